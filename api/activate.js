@@ -0,0 +1,64 @@
+// File: api/activate.js
+//
+//   POST { licenseKey, machineId, appVersion, deviceName? } → take (or refresh) a seat
+//   GET  ?licenseKey=…                                      → list the Macs holding seats
+// Every response reports { seats: { limit, used, remaining } }.
+
+import { getLicense, isLicenseBlocked } from '../lib/licenses';
+import { activateDevice, listActivations } from '../lib/activations';
+import { rateLimit } from '../lib/rate-limit';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'activate' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const input = req.method === 'GET' ? req.query : (req.body || {});
+  const { licenseKey, machineId, appVersion, deviceName } = input;
+  if (!licenseKey) {
+    return res.status(400).json({ error: 'Missing licenseKey' });
+  }
+  if (!(await rateLimit(req, res, 'activate', { licenseKey }))) return;
+  if (req.method === 'POST' && (typeof machineId !== 'string' || machineId.length < 8)) {
+    return res.status(400).json({ error: 'Missing or invalid machineId' });
+  }
+
+  try {
+    const licenseDoc = await getLicense(licenseKey);
+    if (!licenseDoc) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await listActivations(licenseDoc));
+    }
+
+    if (isLicenseBlocked(licenseDoc.data())) {
+      return res.status(403).json({ error: 'License is not active' });
+    }
+    // Team keys manage seats; each member activates with their own key
+    if (licenseDoc.data().organization) {
+      return res.status(409).json({
+        error: 'This is a team license key. Activate with the key from your team invitation; admins invite members in the customer portal.'
+      });
+    }
+
+    const result = await activateDevice(licenseDoc, { machineId, appVersion, deviceName });
+    if (result.error === 'seat_limit') {
+      return res.status(409).json({
+        error: 'All seats for this license are in use. Deactivate another Mac to free one.',
+        seats: result.seats,
+        activations: result.activations
+      });
+    }
+
+    log.info('💻 Device activated');
+    return res.status(200).json({ activated: true, ...result });
+  } catch (err) {
+    log.error('❌ Error in activate', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
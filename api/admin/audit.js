@@ -0,0 +1,33 @@
+// File: api/admin/audit.js
+//
+// The admin audit log (lib/audit.js).
+//   GET [?licenseKey=…][&limit=…]  → newest entries first
+//   GET ?verify=true               → re-check the hash chain for tampering
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { listAudit, verifyAuditChain } from '../../lib/audit';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/audit' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!requireAdmin(req, res, 'audit:read')) return;
+
+  try {
+    if (req.query.verify === 'true') {
+      return res.status(200).json(await verifyAuditChain());
+    }
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const entries = await listAudit({ licenseKey: req.query.licenseKey || null, limit });
+    return res.status(200).json({ entries });
+  } catch (err) {
+    log.error('❌ Error reading audit log', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
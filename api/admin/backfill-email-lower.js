@@ -0,0 +1,73 @@
+// File: api/admin/backfill-email-lower.js
+//
+// One-off job: stores emailLower on the records written before lookups by
+// email went through that field, so a mixed-case address on an old license,
+// checkout session, subscription mapping or outbox entry is found again.
+//
+//   POST /api/admin/backfill-email-lower            → dry run, report only
+//   POST /api/admin/backfill-email-lower?apply=true → write the field
+//
+// Safe to run again: records whose emailLower is already right are skipped.
+
+import { db } from '../../lib/firebase';
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { normalizeEmail } from '../../lib/licenses';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/backfill-email-lower' });
+
+// Collection → the field holding the address as it was typed
+const EMAIL_FIELDS = {
+  licenses: 'email',
+  checkout_sessions: 'email',
+  subscription_mappings: 'email',
+  mail_outbox: 'to'
+};
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 400;
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  const actor = requireAdmin(req, res, 'licenses:backfill');
+  if (!actor) return;
+
+  const apply = req.query.apply === 'true';
+
+  try {
+    const report = { apply, updated: {} };
+
+    for (const [collection, field] of Object.entries(EMAIL_FIELDS)) {
+      const snapshot = await db.collection(collection).get();
+      const stale = snapshot.docs.filter(doc => {
+        const value = doc.data()[field];
+        return typeof value === 'string' && doc.data().emailLower !== normalizeEmail(value);
+      });
+      report.updated[collection] = stale.length;
+
+      if (!apply) continue;
+      for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        stale.slice(i, i + BATCH_SIZE).forEach(doc => {
+          batch.update(doc.ref, { emailLower: normalizeEmail(doc.data()[field]) });
+        });
+        await batch.commit();
+      }
+    }
+
+    if (apply) {
+      await recordAudit(actor, 'licenses.backfill_email_lower', { details: report });
+    }
+    log.info('🧹 emailLower backfill finished', report);
+    return res.status(200).json(report);
+  } catch (err) {
+    log.error('❌ Error backfilling emailLower', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
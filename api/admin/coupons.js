@@ -0,0 +1,59 @@
+// File: api/admin/coupons.js
+//
+// Coupon codes (see lib/coupons.js).
+//   GET                                  → every coupon with its redemption count
+//   POST { code, type: 'percent' | 'fixed', amount, currency?, planIds?,
+//          expiresAt?, maxRedemptions?, active? }
+//                                        → create a coupon, or update the one with that code
+// A percent amount is a whole number (25 = 25% off); a fixed amount is a
+// decimal string with its currency ("5.00", "USD"). Set active: false to retire one.
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { listCoupons, saveCoupon, CouponError } from '../../lib/coupons';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/coupons' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      if (!requireAdmin(req, res, 'coupons:read')) return;
+      const coupons = await listCoupons();
+      return res.status(200).json({ count: coupons.length, coupons });
+    }
+
+    if (req.method === 'POST') {
+      const actor = requireAdmin(req, res, 'coupons:manage');
+      if (!actor) return;
+
+      const body = req.body || {};
+      const { code, created } = await saveCoupon(body, actor);
+      await recordAudit(actor, created ? 'coupon.create' : 'coupon.update', {
+        details: {
+          code,
+          type: body.type,
+          amount: body.amount,
+          currency: body.currency || null,
+          planIds: body.planIds || null,
+          expiresAt: body.expiresAt || null,
+          maxRedemptions: body.maxRedemptions || null,
+          active: body.active !== false
+        }
+      });
+      log.info(created ? '🎟️ Coupon created' : '🎟️ Coupon updated', { actor: actor.name });
+      return res.status(created ? 201 : 200).json({ code, created });
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    if (err instanceof CouponError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error('❌ Error in admin coupons', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -0,0 +1,143 @@
+// File: api/admin/license.js
+//
+// One license, for support.
+//   GET  ?licenseKey=…                          → the license, its Macs and its history
+//   POST { licenseKey, action, … }              → one of:
+//     revoke             { reason }
+//     reinstate
+//     extend             { until }   ISO date; a past date removes the extension
+//     reset_activations
+//     replace            { reason }  new key for the same purchase
+//     refund             { amount?, transactionId?, reason?, cancelSubscription? }
+// Every POST is written to the audit log.
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { listActivations } from '../../lib/activations';
+import { PayPalError } from '../../lib/paypal';
+import {
+  describeLicense,
+  licenseHistory,
+  revokeLicense,
+  reinstateLicense,
+  extendLicense,
+  resetActivations,
+  replaceLicense,
+  refundLicense,
+  findLicenseForAdmin,
+  LicenseActionError
+} from '../../lib/license-admin';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/license' });
+
+const ACTION_PERMISSIONS = {
+  revoke: 'licenses:revoke',
+  reinstate: 'licenses:revoke',
+  extend: 'licenses:extend',
+  reset_activations: 'licenses:reset_activations',
+  replace: 'licenses:issue',
+  refund: 'licenses:refund'
+};
+
+function reasonFrom(body) {
+  return typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim().slice(0, 500) : null;
+}
+
+// Runs one action; resolves to the JSON to answer with
+async function runAction(action, licenseDoc, body) {
+  switch (action) {
+    case 'revoke':
+      await revokeLicense(licenseDoc, reasonFrom(body));
+      return { status: 'revoked' };
+    case 'reinstate':
+      await reinstateLicense(licenseDoc);
+      return { status: (await licenseDoc.ref.get()).data().status };
+    case 'extend': {
+      const entitlement = await extendLicense(licenseDoc, body.until);
+      return { state: entitlement.state, validUntil: entitlement.validUntil };
+    }
+    case 'reset_activations':
+      return { removed: await resetActivations(licenseDoc) };
+    case 'replace': {
+      const replacement = await replaceLicense(licenseDoc, reasonFrom(body));
+      return { newLicenseKey: replacement.licenseKey, newLicenseId: replacement.licenseId };
+    }
+    case 'refund': {
+      if (body.amount !== undefined && body.amount !== null && !/^\d+(\.\d{1,2})?$/.test(String(body.amount))) {
+        throw new LicenseActionError('amount must be a decimal like "2.99"', 400);
+      }
+      return refundLicense(licenseDoc, {
+        transactionId: typeof body.transactionId === 'string' ? body.transactionId : null,
+        amount: body.amount ? String(body.amount) : null,
+        reason: reasonFrom(body),
+        cancelSubscription: body.cancelSubscription === true
+      });
+    }
+    default:
+      throw new LicenseActionError(`Unknown action: ${action}`, 400);
+  }
+}
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      if (!requireAdmin(req, res, 'licenses:read')) return;
+      const licenseDoc = await findLicenseForAdmin(req.query.licenseKey);
+      if (!licenseDoc) {
+        return res.status(404).json({ error: 'License not found' });
+      }
+      const [{ seats, activations }, history] = await Promise.all([
+        listActivations(licenseDoc),
+        licenseHistory(licenseDoc)
+      ]);
+      return res.status(200).json({ license: describeLicense(licenseDoc), seats, activations, history });
+    }
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      const permission = ACTION_PERMISSIONS[body.action];
+      if (!permission) {
+        return res.status(400).json({ error: `action must be one of ${Object.keys(ACTION_PERMISSIONS).join(', ')}` });
+      }
+      const actor = requireAdmin(req, res, permission);
+      if (!actor) return;
+
+      const licenseDoc = await findLicenseForAdmin(body.licenseKey);
+      if (!licenseDoc) {
+        return res.status(404).json({ error: 'License not found' });
+      }
+
+      // Audit entries never hold a key in the clear
+      const before = describeLicense(licenseDoc, { includeKey: false });
+      const result = await runAction(body.action, licenseDoc, body);
+      const after = describeLicense(await licenseDoc.ref.get(), { includeKey: false });
+      await recordAudit(actor, `license.${body.action}`, {
+        licenseKey: licenseDoc.id,
+        details: {
+          request: { ...body, licenseKey: undefined, action: undefined },
+          result: { ...result, newLicenseKey: undefined },
+          before,
+          after
+        }
+      });
+      log.info('🛠️ Admin license action', { action: body.action, actor: actor.name });
+      return res.status(200).json({ success: true, ...result });
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    if (err instanceof LicenseActionError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err instanceof PayPalError) {
+      log.error('❌ PayPal refused an admin action', { err });
+      return res.status(502).json({ error: `PayPal: ${err.message}` });
+    }
+    log.error('❌ Error in admin license action', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -0,0 +1,84 @@
+// File: api/admin/licenses.js
+//
+// License search and complimentary keys for support.
+//   GET  ?q=…[&by=key|email|paypal][&status=…]   → matching licenses
+//   GET  …&format=csv                             → the same, as a CSV download
+//   POST { email, seatLimit?, note? }             → issue a complimentary lifetime license
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import {
+  searchLicenses,
+  describeLicense,
+  toCsv,
+  issueComplimentaryLicense,
+  LicenseActionError
+} from '../../lib/license-admin';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/licenses' });
+
+const SEARCH_MODES = ['auto', 'key', 'email', 'paypal'];
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const csv = req.query.format === 'csv';
+      const actor = requireAdmin(req, res, csv ? 'licenses:export' : 'licenses:read');
+      if (!actor) return;
+
+      const by = req.query.by || 'auto';
+      if (!SEARCH_MODES.includes(by)) {
+        return res.status(400).json({ error: `by must be one of ${SEARCH_MODES.join(', ')}` });
+      }
+      if (!req.query.q && !req.query.status) {
+        return res.status(400).json({ error: 'Must provide q or status' });
+      }
+
+      const rows = (await searchLicenses({ q: req.query.q, by, status: req.query.status || null }))
+        .map(describeLicense);
+      if (!csv) {
+        return res.status(200).json({ count: rows.length, licenses: rows });
+      }
+
+      await recordAudit(actor, 'licenses.export', {
+        details: { q: req.query.q || null, by, status: req.query.status || null, rows: rows.length }
+      });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="licenses.csv"');
+      return res.status(200).send(toCsv(rows));
+    }
+
+    if (req.method === 'POST') {
+      const actor = requireAdmin(req, res, 'licenses:issue');
+      if (!actor) return;
+
+      const { email, seatLimit, note } = req.body || {};
+      if (seatLimit !== undefined && seatLimit !== null && !(Number.isInteger(seatLimit) && seatLimit > 0 && seatLimit <= 100)) {
+        return res.status(400).json({ error: 'seatLimit must be a whole number from 1 to 100' });
+      }
+      const { licenseKey, licenseId } = await issueComplimentaryLicense({
+        email: typeof email === 'string' ? email.trim() : email,
+        seatLimit: seatLimit || null,
+        note: typeof note === 'string' ? note.slice(0, 500) : null
+      });
+      await recordAudit(actor, 'license.issue_complimentary', {
+        licenseKey: licenseId,
+        details: { email, seatLimit: seatLimit || null, note: note || null }
+      });
+      log.info('🔑 Complimentary license issued', { actor: actor.name });
+      return res.status(201).json({ licenseKey, licenseId });
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    if (err instanceof LicenseActionError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error('❌ Error in admin licenses', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
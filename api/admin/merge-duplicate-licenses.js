@@ -0,0 +1,136 @@
+// File: api/admin/merge-duplicate-licenses.js
+//
+// One-off job: folds the duplicate licenses minted before issuance was keyed on
+// the PayPal ID into a single license per subscription/order, and backfills the
+// issuances/{paypalId} records so every later path converges on that license.
+//
+//   POST /api/admin/merge-duplicate-licenses            → dry run, report only
+//   POST /api/admin/merge-duplicate-licenses?apply=true → write the merge
+//
+// The surviving license is the one /api/check-license was already handing out
+// (the newest), so customers keep the key they were shown. The others are kept
+// as `status: 'merged'` with `mergedInto` so their keys still resolve.
+
+import { admin, db } from '../../lib/firebase';
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { isValidEmail, normalizeEmail } from '../../lib/licenses';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/merge-duplicate-licenses' });
+
+const PENDING_STATUSES = ['pending_email', 'pending_email_resolution'];
+
+function timestampMillis(data) {
+  return data.timestamp && typeof data.timestamp.toMillis === 'function'
+    ? data.timestamp.toMillis()
+    : 0;
+}
+
+// Picks the license every duplicate folds into
+function pickCanonical(docs, issuedKey) {
+  const issued = docs.find(doc => doc.id === issuedKey);
+  if (issued) {
+    return issued;
+  }
+  return docs.reduce((newest, doc) =>
+    timestampMillis(doc.data()) > timestampMillis(newest.data()) ? doc : newest
+  );
+}
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  const actor = requireAdmin(req, res, 'licenses:merge');
+  if (!actor) return;
+
+  const apply = req.query.apply === 'true';
+
+  try {
+    // 1) Group every live license by the PayPal ID it was issued for
+    const snapshot = await db.collection('licenses').get();
+    const groups = new Map();
+    snapshot.docs.forEach(doc => {
+      const data = doc.data();
+      if (data.status === 'merged') return;
+      const paypalId = data.subscriptionId || data.paypalID;
+      if (!paypalId) return;
+      if (!groups.has(paypalId)) groups.set(paypalId, []);
+      groups.get(paypalId).push(doc);
+    });
+
+    const report = { apply, groups: groups.size, duplicateGroups: 0, merged: 0, issuancesBackfilled: 0 };
+
+    // 2) Merge each group and record its issuance
+    for (const [paypalId, docs] of groups) {
+      const issuanceRef = db.collection('issuances').doc(paypalId);
+      const issuance = await issuanceRef.get();
+      const canonical = pickCanonical(docs, issuance.exists ? issuance.data().licenseKey : null);
+      const duplicates = docs.filter(doc => doc.id !== canonical.id);
+
+      if (duplicates.length === 0 && issuance.exists) continue;
+
+      const batch = db.batch();
+
+      if (duplicates.length > 0) {
+        report.duplicateGroups++;
+        report.merged += duplicates.length;
+
+        // Carry over an email a duplicate knew about and the canonical one did not
+        const canonicalData = canonical.data();
+        const update = {
+          mergedFrom: admin.firestore.FieldValue.arrayUnion(...duplicates.map(doc => doc.id)),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (!isValidEmail(canonicalData.email)) {
+          const withEmail = duplicates.find(doc => isValidEmail(doc.data().email));
+          if (withEmail) {
+            update.email = withEmail.data().email;
+            update.emailLower = normalizeEmail(update.email);
+            if (PENDING_STATUSES.includes(canonicalData.status)) {
+              update.status = 'active';
+              update.notes = admin.firestore.FieldValue.delete();
+            }
+          }
+        }
+        batch.update(canonical.ref, update);
+
+        duplicates.forEach(doc => {
+          batch.update(doc.ref, {
+            status: 'merged',
+            mergedInto: canonical.id,
+            statusBeforeMerge: doc.data().status || null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+      }
+
+      if (!issuance.exists) {
+        report.issuancesBackfilled++;
+        batch.set(issuanceRef, {
+          licenseKey: canonical.id,
+          purchaseType: canonical.data().purchaseType || null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          backfilled: true
+        });
+      }
+
+      if (apply) {
+        await batch.commit();
+      }
+    }
+
+    if (apply) {
+      await recordAudit(actor, 'licenses.merge_duplicates', { details: report });
+    }
+    log.info('🧹 Duplicate license merge finished', report);
+    return res.status(200).json(report);
+  } catch (err) {
+    log.error('❌ Error merging duplicate licenses', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -0,0 +1,77 @@
+// File: api/admin/pending-licenses.js
+//
+// The queue of licenses still waiting for an email address.
+//   GET                                  → every pending license, oldest first
+//   GET  ?needsOperator=true             → only those the reconciler gave up on
+//   POST { licenseKey, email }           → attach the address, activate, send the key
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { isValidEmail } from '../../lib/licenses';
+import { listPendingLicenses, resolveManually } from '../../lib/email-resolution';
+import { toDate } from '../../lib/entitlements';
+import { findLicenseForAdmin } from '../../lib/license-admin';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/pending-licenses' });
+
+function describe(licenseDoc) {
+  const license = licenseDoc.data();
+  const resolution = license.emailResolution || {};
+  return {
+    licenseId: licenseDoc.id,
+    keyHint: license.keyHint || null,
+    status: license.status,
+    purchaseType: license.purchaseType,
+    paypalID: license.paypalID,
+    subscriptionId: license.subscriptionId || null,
+    payerId: license.payerId || null,
+    issuedAt: toDate(license.timestamp),
+    notes: license.notes || null,
+    attempts: resolution.attempts || 0,
+    lastAttemptAt: toDate(resolution.lastAttemptAt),
+    lastError: resolution.lastError || null,
+    needsOperator: Boolean(resolution.needsOperator)
+  };
+}
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      if (!requireAdmin(req, res, 'licenses:read')) return;
+      let pending = (await listPendingLicenses()).map(describe);
+      if (req.query.needsOperator === 'true') {
+        pending = pending.filter(license => license.needsOperator);
+      }
+      return res.status(200).json({ count: pending.length, licenses: pending });
+    }
+
+    if (req.method === 'POST') {
+      const actor = requireAdmin(req, res, 'licenses:resolve_email');
+      if (!actor) return;
+      const { licenseId, licenseKey, email } = req.body || {};
+      if (!isValidEmail(email)) {
+        return res.status(400).json({ error: 'Invalid email address' });
+      }
+      const licenseDoc = await findLicenseForAdmin(licenseId || licenseKey);
+      if (!licenseDoc) {
+        return res.status(404).json({ error: 'License not found' });
+      }
+      const attached = await resolveManually(licenseDoc.id, email.trim());
+      if (!attached) {
+        return res.status(409).json({ error: 'License is not waiting for an email' });
+      }
+      await recordAudit(actor, 'license.attach_email', { licenseKey: licenseDoc.id, details: { email: email.trim() } });
+      log.info('✅ Operator attached an email to a license', { licenseId: licenseDoc.id });
+      return res.status(200).json({ success: true, licenseId: licenseDoc.id });
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    log.error('❌ Error in pending licenses queue', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
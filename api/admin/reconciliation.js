@@ -0,0 +1,50 @@
+// File: api/admin/reconciliation.js
+//
+// Reports from the PayPal ↔ Firestore reconciliation job (lib/reconciliation.js).
+//   GET                                → the latest runs with their counts
+//   GET  ?runId=…[&type=mismatch]      → one run with its findings
+//   POST { "dryRun": true }            → start a run now (a dry run only reports),
+//                                        or continue the one in progress, for one slice
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { runReconciliation, listRuns, getRunReport } from '../../lib/reconciliation';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/reconciliation' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      if (!requireAdmin(req, res, 'reconciliation:read')) return;
+      if (req.query.runId) {
+        const report = await getRunReport(req.query.runId, req.query.type || null);
+        if (!report) {
+          return res.status(404).json({ error: 'Run not found' });
+        }
+        return res.status(200).json(report);
+      }
+      return res.status(200).json({ runs: await listRuns() });
+    }
+
+    if (req.method === 'POST') {
+      const actor = requireAdmin(req, res, 'reconciliation:run');
+      if (!actor) return;
+      const dryRun = req.body?.dryRun === true;
+      const result = await runReconciliation({ dryRun, force: true, budgetMs: 40000 });
+      if (result.status === 'idle') {
+        return res.status(409).json({ error: 'A reconciliation run is in progress' });
+      }
+      await recordAudit(actor, 'reconciliation.run', { details: { runId: result.runId, dryRun, apply: result.apply } });
+      return res.status(200).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    log.error('❌ Error in reconciliation admin route', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
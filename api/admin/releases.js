@@ -0,0 +1,77 @@
+// File: api/admin/releases.js
+//
+// App releases behind /api/appcast (see lib/releases.js).
+//   GET                                  → every release, newest first
+//   POST { action: 'publish', version, shortVersion, channel?, url, length,
+//          edSignature, minimumSystemVersion?, releaseNotes?, releaseNotesUrl?,
+//          rolloutPercent?, blobUrl? }   → verify the archive and publish it
+//   POST { action: 'update', version, channel?, rolloutPercent?, releaseNotes?,
+//          releaseNotesUrl?, minimumSystemVersion?, published?, blobUrl? }
+//                                        → widen a rollout, move to stable, withdraw, …
+// dev/publish-release.js signs an archive and calls publish for you.
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { toDate } from '../../lib/entitlements';
+import { listReleases, publishRelease, updateRelease, ReleaseError } from '../../lib/releases';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/releases' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      if (!requireAdmin(req, res, 'releases:read')) return;
+      const releases = (await listReleases()).map(release => ({
+        ...release,
+        pubDate: toDate(release.pubDate)?.toISOString() || null,
+        updatedAt: toDate(release.updatedAt)?.toISOString() || null
+      }));
+      return res.status(200).json({ count: releases.length, releases });
+    }
+
+    if (req.method === 'POST') {
+      const actor = requireAdmin(req, res, 'releases:manage');
+      if (!actor) return;
+      const { action, ...body } = req.body || {};
+
+      if (action === 'publish') {
+        const release = await publishRelease(body, actor);
+        await recordAudit(actor, 'release.publish', {
+          details: {
+            version: release.version,
+            shortVersion: release.shortVersion,
+            channel: release.channel,
+            rolloutPercent: release.rolloutPercent,
+            sha256: release.sha256
+          }
+        });
+        return res.status(201).json({ success: true, release });
+      }
+
+      if (action === 'update') {
+        if (!body.version) {
+          return res.status(400).json({ error: 'Missing version' });
+        }
+        const { version, ...changes } = body;
+        const result = await updateRelease(version, changes, actor);
+        await recordAudit(actor, 'release.update', { details: { version: String(version), ...result } });
+        log.info('🛠️ Release updated', { version, actor: actor.name });
+        return res.status(200).json({ success: true, ...result });
+      }
+
+      return res.status(400).json({ error: 'action must be publish or update' });
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    if (err instanceof ReleaseError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error('❌ Error in admin releases', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -0,0 +1,48 @@
+// File: api/admin/replay-webhook-events.js
+//
+// Re-runs stored PayPal webhook events, e.g. after fixing a bug that made them fail.
+//   POST { "eventId": "WH-…" }     → replay one event (even if it was processed)
+//   POST { "allFailed": true }     → replay every failed or dead-lettered event
+
+import { requireAdmin } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { recordAudit } from '../../lib/audit';
+import { replayWebhookEvent, listFailedEventIds } from '../../lib/webhook-events';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'admin/replay-webhook-events' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  const actor = requireAdmin(req, res, 'webhooks:replay');
+  if (!actor) return;
+
+  const { eventId, allFailed } = req.body || {};
+  if (!eventId && allFailed !== true) {
+    return res.status(400).json({ error: 'Must provide either eventId or allFailed: true' });
+  }
+
+  try {
+    const eventIds = eventId ? [eventId] : await listFailedEventIds();
+    const results = [];
+    // One at a time: replays touch the same licenses and run in one function instance
+    for (const id of eventIds) {
+      const result = await replayWebhookEvent(id);
+      results.push({ eventId: id, status: result.status, outcome: result.body });
+    }
+
+    const failed = results.filter(result => result.status >= 500).length;
+    await recordAudit(actor, 'webhooks.replay', {
+      details: { eventId: eventId || null, allFailed: allFailed === true, replayed: results.length, failed }
+    });
+    log.info('🔁 Replayed webhook events', { replayed: results.length, failed });
+    return res.status(200).json({ replayed: results.length, failed, results });
+  } catch (err) {
+    log.error('❌ Error replaying webhook events', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -0,0 +1,42 @@
+// File: api/appcast.js
+//
+// The Sparkle update feed, built from the releases store (see lib/releases.js).
+//   GET ?channel=stable|beta&id=<install ID>
+// Beta also lists stable releases, and beta items carry <sparkle:channel>, so
+// the app may equally ask for the beta feed and let Sparkle filter by channel.
+// id is an opaque per-install value the app appends to SUFeedURL; it keeps an
+// install in the same phased-rollout bucket. Without it the caller's address
+// is used.
+
+import { createHash } from 'crypto';
+import { listReleases, releasesForClient, buildAppcast, CHANNELS } from '../lib/releases';
+import { clientIp, rateLimit } from '../lib/rate-limit';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'appcast' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!(await rateLimit(req, res, 'appcast'))) return;
+
+  const channel = req.query.channel || 'stable';
+  if (!CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `channel must be one of ${CHANNELS.join(', ')}` });
+  }
+  const installId = typeof req.query.id === 'string' && req.query.id.length <= 128 ? req.query.id : null;
+  const clientId = installId || createHash('sha256').update(clientIp(req)).digest('hex');
+
+  try {
+    const releases = releasesForClient(await listReleases(), { channel, clientId });
+    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+    // Per install, because of phased rollouts
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.status(200).send(buildAppcast(releases));
+  } catch (err) {
+    log.error('❌ Error building appcast', { err });
+    // Sparkle treats an error as "no update", which is the safe answer
+    return res.status(503).json({ error: 'Update feed temporarily unavailable' });
+  }
+});
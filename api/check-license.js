@@ -1,78 +1,125 @@
 // File: api/check-license.js
+//
+// Finds the license for a PayPal order or subscription ID. The ID alone is not
+// enough (see lib/lookup-guard.js): the caller also sends the purchase email or
+// the lookupToken the checkout flow got back, as a POST body or query, or is
+// signed in to the customer portal:
+//   { paypalId, email?, lookupToken?, pow? }
+// A lookup token (or portal session) returns the key; the email returns it
+// masked and mails it to that address. Unknown IDs and wrong factors both
+// answer { found: false }.
 
-const admin = require('firebase-admin');
+import { db } from '../lib/firebase';
+import { rateLimit } from '../lib/rate-limit';
+import { lookupAccess, settle, requireLookupAllowed, recordLookupFailure } from '../lib/lookup-guard';
+import { maskLicenseKey } from '../lib/license-key';
+import { licenseKeyOf } from '../lib/key-vault';
+import { notifyLicenseLookup } from '../lib/notifications';
+import { getPortalEmail } from '../lib/portal';
+import { createLogger, withRequestLog } from '../lib/log';
 
-// Initialize Admin if needed (similar to purchase.js)
-if (!admin.apps.length) {
-  try {
-    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-    console.log('✅ Firebase Admin initialized.');
-  } catch (e) {
-    console.error('❌ Firebase Admin failed to initialize:', e);
-    // There is no res in this scope; just throw
-    throw new Error('Failed to initialize Firebase Admin: ' + e.message);
+const log = createLogger({ module: 'check-license' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'check-license'))) return;
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
   }
-}
-const db = admin.firestore();
 
-module.exports = async function handler(req, res) {
-  const { paypalId } = req.query;
-  if (!paypalId) {
+  const startedAt = Date.now();
+  const input = req.method === 'POST' ? (req.body || {}) : req.query;
+  const { paypalId, email, lookupToken, pow } = input;
+  if (!paypalId || typeof paypalId !== 'string') {
     return res.status(400).json({ error: 'Missing paypalId parameter' });
   }
+  // A signed-in portal customer needs neither; lookupAccess checks the session
+  if (!email && !lookupToken && !(await getPortalEmail(req))) {
+    return res.status(400).json({ error: 'Provide the purchase email, a lookup token or sign in to the portal' });
+  }
   try {
-    console.log('🔍 Querying licenses with paypalID:', paypalId);
-    const snapshot = await db.collection('licenses')
-      .where('paypalID', '==', paypalId)
-      .get();
+    if (!(await requireLookupAllowed(req, res, pow))) return;
 
-    // If not found by paypalID, try subscriptionId
-    let allDocs = [...snapshot.docs];
-    if (snapshot.empty) {
-      const subSnap = await db.collection('licenses')
-        .where('subscriptionId', '==', paypalId)
-        .get();
-      allDocs = [...subSnap.docs];
-    }
+    const newestDoc = await findNewestLicense(paypalId);
+    const data = newestDoc ? newestDoc.data() : null;
+    const access = data
+      ? await lookupAccess(req, data, [paypalId, data.paypalID, data.subscriptionId], { email, lookupToken })
+      : null;
 
-    if (allDocs.length === 0) {
+    if (!access) {
+      // Polling from checkout before the license exists is not a failed guess
+      if (!lookupToken || email) {
+        await recordLookupFailure(req);
+      }
+      await settle(startedAt);
       return res.status(200).json({ found: false });
     }
-    // If multiple licenses exist, pick the newest one by timestamp, with logging and guards for bad data
-    let newestDoc = null;
-    allDocs.forEach(doc => {
-      const data = doc.data();
-      if (!data.timestamp || typeof data.timestamp.toMillis !== 'function') {
-        console.warn('⚠️ Skipping document with invalid or missing timestamp:', doc.id);
-        return;
-      }
-      try {
-        if (
-          !newestDoc ||
-          (newestDoc.data().timestamp &&
-           typeof newestDoc.data().timestamp.toMillis === 'function' &&
-           data.timestamp.toMillis() > newestDoc.data().timestamp.toMillis())
-        ) {
-          newestDoc = doc;
-        }
-      } catch (e) {
-        console.warn('⚠️ Failed to compare timestamps for doc:', doc.id, e);
-      }
-    });
-    // Read Firestore data from the newest document
-    const data = newestDoc.data();
-    // Extract subscriptionId and paypalID, defaulting to null if not present
-    const subscriptionId = data && data.subscriptionId ? data.subscriptionId : null;
-    const paypalID = data && data.paypalID ? data.paypalID : null;
+
+    if (access === 'masked') {
+      await notifyLicenseLookup(newestDoc);
+    }
+    const licenseKey = licenseKeyOf(newestDoc);
+    await settle(startedAt);
     return res.status(200).json({
       found: true,
-      licenseKey: newestDoc.id,
-      subscriptionId: subscriptionId,
-      paypalID: paypalID,
+      licenseKey: access === 'full' ? licenseKey : maskLicenseKey(licenseKey),
+      masked: access !== 'full',
+      emailed: access === 'masked',
+      subscriptionId: data.subscriptionId || null,
+      paypalID: data.paypalID || null,
     });
   } catch (err) {
-    console.error('check-license.js error:', err.stack || err);
-    return res.status(500).json({ error: 'Internal server error', details: err.message });
+    log.error('❌ Error in check-license', { err });
+    return res.status(500).json({ error: 'Internal server error' });
   }
-}
\ No newline at end of file
+});
+
+// The license for a PayPal ID, or null. Merged duplicates are never handed out.
+async function findNewestLicense(paypalId) {
+  // Licenses issued through an issuance record resolve directly
+  const issuance = await db.collection('issuances').doc(paypalId).get();
+  if (issuance.exists) {
+    const licenseDoc = await db.collection('licenses').doc(issuance.data().licenseKey).get();
+    if (licenseDoc.exists) {
+      return licenseDoc;
+    }
+  }
+
+  // Legacy licenses (issued before issuances existed)
+  log.debug('🔍 Querying licenses by PayPal ID');
+  const snapshot = await db.collection('licenses')
+    .where('paypalID', '==', paypalId)
+    .get();
+
+  // If not found by paypalID, try subscriptionId
+  let allDocs = [...snapshot.docs];
+  if (snapshot.empty) {
+    const subSnap = await db.collection('licenses')
+      .where('subscriptionId', '==', paypalId)
+      .get();
+    allDocs = [...subSnap.docs];
+  }
+  allDocs = allDocs.filter(doc => doc.data().status !== 'merged');
+
+  // If multiple licenses exist, pick the newest one by timestamp, with logging and guards for bad data
+  let newestDoc = null;
+  allDocs.forEach(doc => {
+    const data = doc.data();
+    if (!data.timestamp || typeof data.timestamp.toMillis !== 'function') {
+      log.warn('⚠️ Skipping license with invalid or missing timestamp', { licenseId: doc.id });
+      return;
+    }
+    try {
+      if (
+        !newestDoc ||
+        (newestDoc.data().timestamp &&
+         typeof newestDoc.data().timestamp.toMillis === 'function' &&
+         data.timestamp.toMillis() > newestDoc.data().timestamp.toMillis())
+      ) {
+        newestDoc = doc;
+      }
+    } catch (e) {
+      log.warn('⚠️ Failed to compare license timestamps', { licenseId: doc.id, err: e });
+    }
+  });
+  return newestDoc;
+}
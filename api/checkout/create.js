@@ -0,0 +1,53 @@
+// File: api/checkout/create.js
+//
+// Creates the PayPal payment for a checkout session server-side, at the
+// catalogue price less any coupon, for the PayPal buttons to open (see
+// lib/checkout.js). Start the session with /api/checkout/session.
+//   POST { sessionId }
+// Responds { purchaseType, orderId | subscriptionId, price, listPrice, couponCode,
+// seats, approveUrl, lookupToken }; prices of a team plan are per seat. The lookup token lets the page poll
+// /api/check-license for the key once PayPal has taken the payment.
+
+import { createCheckout, CheckoutError } from '../../lib/checkout';
+import { CouponError } from '../../lib/coupons';
+import { PayPalError } from '../../lib/paypal';
+import { rateLimit } from '../../lib/rate-limit';
+import { log, withRequestLog } from '../../lib/log';
+import { signLookupToken } from '../../lib/lookup-guard';
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!(await rateLimit(req, res, 'checkout'))) return;
+
+  const { sessionId } = req.body || {};
+  if (typeof sessionId !== 'string' || !sessionId) {
+    return res.status(400).json({ error: 'Missing sessionId' });
+  }
+
+  try {
+    const checkout = await createCheckout(sessionId);
+    const idField = checkout.purchaseType === 'subscription' ? 'subscriptionId' : 'orderId';
+    return res.status(200).json({
+      purchaseType: checkout.purchaseType,
+      [idField]: checkout.paypalId,
+      price: checkout.price,
+      listPrice: checkout.listPrice,
+      couponCode: checkout.couponCode,
+      seats: checkout.seats,
+      approveUrl: checkout.approveUrl,
+      lookupToken: signLookupToken(checkout.paypalId)
+    });
+  } catch (err) {
+    if (err instanceof CheckoutError || err instanceof CouponError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err instanceof PayPalError) {
+      log.error('❌ PayPal refused the checkout', err);
+      return res.status(502).json({ error: 'Could not start the PayPal checkout' });
+    }
+    log.error('❌ Error in checkout', err);
+    return res.status(500).json({ error: 'Could not start the checkout' });
+  }
+});
@@ -0,0 +1,41 @@
+// File: api/checkout/session.js
+//
+// Starts a checkout: records the email the customer typed and the plan they
+// chose before PayPal opens (see lib/checkout.js).
+//   POST { planId, email, coupon?, seats? }
+// seats is required for a per-seat (team) plan and ignored otherwise. Responds { sessionId, expiresAt }. Pass sessionId to /api/checkout/create;
+// PayPal carries it back to our webhooks as custom_id.
+
+import { createCheckoutSession, CheckoutError } from '../../lib/checkout';
+import { CouponError } from '../../lib/coupons';
+import { rateLimit } from '../../lib/rate-limit';
+import { log, withRequestLog } from '../../lib/log';
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { planId, coupon, seats } = req.body || {};
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+  if (!(await rateLimit(req, res, 'checkout', { email }))) return;
+  if (typeof planId !== 'string' || !planId) {
+    return res.status(400).json({ error: 'Missing planId' });
+  }
+
+  try {
+    const session = await createCheckoutSession({
+      planId,
+      couponCode: typeof coupon === 'string' && coupon.trim() ? coupon : null,
+      email,
+      seats: seats === undefined ? null : seats
+    });
+    return res.status(200).json({ sessionId: session.sessionId, expiresAt: session.expiresAt.toISOString() });
+  } catch (err) {
+    if (err instanceof CheckoutError || err instanceof CouponError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error('❌ Error in checkout session', err);
+    return res.status(500).json({ error: 'Could not start the checkout' });
+  }
+});
@@ -0,0 +1,117 @@
+// File: api/create-license.js
+
+import { issueLicense, findIssuedLicense, isValidEmail } from '../lib/licenses';
+import { licenseKeyOf } from '../lib/key-vault';
+import { orders } from '../lib/paypal';
+import { checkPayment, completeCheckout, checkoutEmailFor } from '../lib/checkout';
+import { rateLimit } from '../lib/rate-limit';
+import { signLookupToken } from '../lib/lookup-guard';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'create-license' });
+
+// —————— 1) Helper: check the order was actually paid in full ——————
+// Returns { capture, payment } when it was, or { error } describing what is
+// wrong. The amount is held to the checkout's price (see lib/checkout.js).
+async function validateLifetimeOrder(orderId, order) {
+  if (order.status !== 'COMPLETED') {
+    return { error: `Order is not completed (status: ${order.status})` };
+  }
+
+  const unit = (order.purchase_units || [])[0];
+  const capture = unit?.payments?.captures?.[0];
+  if (!capture) {
+    return { error: 'Order has no capture' };
+  }
+  if (capture.status !== 'COMPLETED') {
+    return { error: `Capture is not completed (status: ${capture.status})` };
+  }
+
+  const amount = capture.amount || unit.amount || {};
+  const payment = await checkPayment(orderId, 'one-time', { amount });
+  if (payment.error) {
+    log.warn('⚠️ Captured amount does not match the plan', { orderId, amount });
+    return { error: payment.error };
+  }
+
+  return { capture, payment };
+}
+
+// Emails compare as the customer might type them: any case, stray spaces
+function sameEmail(typed, stored) {
+  return typeof stored === 'string' && typed.toLowerCase() === stored.trim().toLowerCase();
+}
+
+// —————— 2) Main handler ——————
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  // Expect a JSON body like { "paypalId": "5O190127TN364715T", "email": "…", "purchaseType": "one-time" }
+  const { paypalId: orderId, purchaseType } = req.body || {};
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+  if (!orderId) {
+    return res.status(400).json({ error: 'Missing paypalId' });
+  }
+  if (!(await rateLimit(req, res, 'create-license', { orderId }))) return;
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+  if (purchaseType && purchaseType !== 'one-time') {
+    return res.status(400).json({ error: 'Only one-time purchases are handled here' });
+  }
+
+  try {
+    // ——— 2a) Same order again? Hand back the key we already issued ———
+    // Only to the email it was issued to; see 2c for any other
+    const existing = await findIssuedLicense(orderId);
+    if (existing && sameEmail(email, existing.data().email)) {
+      log.info('ℹ️ License already issued for this order', { orderId });
+      return res.status(200).json({ licenseKey: licenseKeyOf(existing), lookupToken: signLookupToken(orderId) });
+    }
+
+    // ——— 2b) Ask PayPal what was actually paid ———
+    const order = await orders.get(orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { capture, payment, error } = await validateLifetimeOrder(orderId, order);
+    if (error) {
+      log.warn('⚠️ Refusing to issue license for order', { orderId, reason: error });
+      return res.status(400).json({ error });
+    }
+
+    // ——— 2c) Write the license, tied to the order ———
+    // The order ID is no secret, so the typed email only counts when it is the
+    // one the checkout session recorded (the capture webhook may already have
+    // issued the license to the PayPal email; this swaps in the typed one).
+    // Any other email leaves the license with the PayPal email and gets
+    // { found: false }, as from check-license; the key is mailed to its owner.
+    const sessionEmail = await checkoutEmailFor(orderId, order.purchase_units?.[0]?.custom_id);
+    const vouched = sameEmail(email, sessionEmail);
+    const { licenseKey, licenseId, created } = await issueLicense(orderId, {
+      purchaseType: 'one-time',
+      captureId: capture.id,
+      email: vouched ? email : order.payer?.email_address,
+      emailSource: vouched ? 'checkout' : 'paypal',
+      payerId: order.payer?.payer_id,
+      planFields: payment.licenseFields,
+      source: 'create_license'
+    });
+    log.info(created ? '🔑 License issued' : '📄 Existing license enriched', { orderId });
+    await completeCheckout(orderId, payment.checkout, licenseId);
+
+    if (!vouched) {
+      log.warn('⚠️ Email does not match the checkout for this order', { orderId });
+      return res.status(200).json({ found: false });
+    }
+
+    // The lookup token lets the checkout page poll check-license for this order
+    return res.status(200).json({ licenseKey, lookupToken: signLookupToken(orderId) });
+  } catch (err) {
+    log.error('❌ Error in create-license', { orderId, err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -0,0 +1,33 @@
+// File: api/cron/expire-downloads.js
+//
+// Scheduled by vercel.json: deletes the Blob copies of downloads whose
+// short-lived URL has expired (see lib/downloads.js).
+//   GET  (Vercel Cron, Authorization: Bearer <CRON_SECRET>)
+//   POST (by hand, with the admin key)
+
+import { isCronRequest } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { expireDownloads } from '../../lib/downloads';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'cron/expire-downloads' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const counts = await expireDownloads();
+    log.info('🧹 Download expiry finished', counts);
+    return res.status(200).json(counts);
+  } catch (err) {
+    log.error('❌ Error expiring downloads', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
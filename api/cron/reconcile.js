@@ -0,0 +1,36 @@
+// File: api/cron/reconcile.js
+//
+// Scheduled by vercel.json: works through the current PayPal ↔ Firestore
+// reconciliation run, starting a new one every RECONCILE_INTERVAL_HOURS.
+// See lib/reconciliation.js.
+//   GET  (Vercel Cron, Authorization: Bearer <CRON_SECRET>)
+//   POST (by hand, with the admin key)
+
+import { isCronRequest } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { runReconciliation } from '../../lib/reconciliation';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'cron/reconcile' });
+
+// Leaves headroom under the function's maxDuration (vercel.json)
+const SLICE_MS = 40000;
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await runReconciliation({ budgetMs: SLICE_MS });
+    return res.status(200).json(result);
+  } catch (err) {
+    log.error('❌ Error in reconciliation', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
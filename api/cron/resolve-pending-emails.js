@@ -0,0 +1,33 @@
+// File: api/cron/resolve-pending-emails.js
+//
+// Scheduled by vercel.json: looks up the email for licenses issued without
+// one and sends their keys. See lib/email-resolution.js.
+//   GET  (Vercel Cron, Authorization: Bearer <CRON_SECRET>)
+//   POST (by hand, with the admin key)
+
+import { isCronRequest } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { resolvePendingLicenses } from '../../lib/email-resolution';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'cron/resolve-pending-emails' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const counts = await resolvePendingLicenses();
+    log.info('🔍 Pending email resolution finished', counts);
+    return res.status(200).json(counts);
+  } catch (err) {
+    log.error('❌ Error resolving pending emails', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
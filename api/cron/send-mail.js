@@ -0,0 +1,33 @@
+// File: api/cron/send-mail.js
+//
+// Scheduled by vercel.json: retries outbox emails whose last send failed or
+// was cut off before its outcome was recorded (see lib/mailer.js).
+//   GET  (Vercel Cron, Authorization: Bearer <CRON_SECRET>)
+//   POST (by hand, with the admin key)
+
+import { isCronRequest } from '../../lib/admin-auth';
+import { rateLimit } from '../../lib/rate-limit';
+import { retryDueMail } from '../../lib/mailer';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'cron/send-mail' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'admin'))) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const counts = await retryDueMail();
+    log.info('📧 Mail retry finished', counts);
+    return res.status(200).json(counts);
+  } catch (err) {
+    log.error('❌ Error retrying mail', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
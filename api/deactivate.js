@@ -0,0 +1,47 @@
+// File: api/deactivate.js
+//
+//   POST { licenseKey, machineId }     → free this Mac's seat
+//   POST { licenseKey, activationId }  → free another Mac's seat (IDs come from GET /api/activate)
+
+import { getLicense } from '../lib/licenses';
+import { deactivateDevice } from '../lib/activations';
+import { rateLimit } from '../lib/rate-limit';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'deactivate' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { licenseKey, machineId, activationId } = req.body || {};
+  if (!licenseKey) {
+    return res.status(400).json({ error: 'Missing licenseKey' });
+  }
+  if (!(await rateLimit(req, res, 'deactivate', { licenseKey }))) return;
+  if (activationId !== undefined && !/^[0-9a-f]{64}$/.test(activationId)) {
+    return res.status(400).json({ error: 'Invalid activationId' });
+  }
+  if (!activationId && typeof machineId !== 'string') {
+    return res.status(400).json({ error: 'Must provide either machineId or activationId' });
+  }
+
+  try {
+    const licenseDoc = await getLicense(licenseKey);
+    if (!licenseDoc) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+
+    const { removed, seats } = await deactivateDevice(licenseDoc, { machineId, activationId });
+    if (!removed) {
+      return res.status(404).json({ error: 'Activation not found', seats });
+    }
+
+    log.info('💻 Device deactivated');
+    return res.status(200).json({ deactivated: true, seats });
+  } catch (err) {
+    log.error('❌ Error in deactivate', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -0,0 +1,142 @@
+// File: api/download.js
+//
+// Licensed app downloads (see lib/downloads.js).
+//   GET  ?ref=…&version=…                 → page with a Download button; what the
+//                                            license email links to
+//   POST (form) { ref | licenseKey, version?, csrf }
+//                                          → 303 to a short-lived Blob URL
+//   POST { licenseKey | token, version? }  → { url, version, shortVersion, expiresAt }
+//                                            for the app and the portal
+// A GET never looks anything up or counts a download, so mail scanners and
+// link previews that fetch the email's link cannot use up the limit. Email
+// links carry a sealed ref (lib/key-vault.js), not the key, to keep keys out
+// of access logs; ?licenseKey= links in mail sent before still get the page.
+// Without version the newest stable release is served. The license must be
+// entitled right now; each download counts against the license's limit.
+
+import { getLicense, getLicenseById, isLicenseBlocked } from '../lib/licenses';
+import { licenseIdForRef } from '../lib/key-vault';
+import { publicKeyBase64 } from '../lib/license-token';
+import { verifyLicenseToken } from '../lib/verify-license-token';
+import { resolveEntitlement } from '../lib/entitlements';
+import { createDownload, DownloadError } from '../lib/downloads';
+import { PayPalUnavailableError } from '../lib/paypal';
+import { clientIp, rateLimit } from '../lib/rate-limit';
+import { escapeHtml, sendPage, issueCsrfToken, isValidCsrf } from '../lib/html';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'download' });
+
+const ROUTE = '/api/download';
+const VERSION_PATTERN = /^[0-9A-Za-z.-]{1,32}$/;
+
+function isFormPost(req) {
+  return req.method === 'POST' &&
+    (req.headers['content-type'] || '').includes('application/x-www-form-urlencoded');
+}
+
+// Answers in the form the caller asked in: a page for links, JSON for the app
+function fail(req, res, status, message) {
+  if (req.method === 'GET' || isFormPost(req)) {
+    return sendPage(res, status, 'Download unavailable', `<p>${escapeHtml(message)}</p>
+      <p>Your license key and downloads are also in the <a href="/portal.html">customer portal</a>.</p>`);
+  }
+  return res.status(status).json({ error: message });
+}
+
+// The button the emailed link opens; the fields only travel on to the POST
+function confirmPage(req, res, { ref, licenseKey, version }) {
+  const field = (name, value) => typeof value === 'string' && value
+    ? `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`
+    : '';
+  if (!ref && !licenseKey) {
+    return fail(req, res, 400, 'This download link is incomplete');
+  }
+  // Keeps a legacy link's key from leaving in the Referer of the Blob request
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  return sendPage(res, 200, 'Download CardLocker', `
+    <form method="POST" action="${ROUTE}">
+      ${field('ref', ref)}
+      ${field('licenseKey', licenseKey)}
+      ${field('version', version)}
+      <input type="hidden" name="csrf" value="${escapeHtml(issueCsrfToken(req, res))}">
+      <p><button type="submit" style="padding: 0.75rem 1.5rem;">Download CardLocker for macOS</button></p>
+    </form>
+    <p>The download link works for a few minutes; come back here for a fresh one.</p>`);
+}
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method === 'GET') {
+    return confirmPage(req, res, req.query);
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const form = isFormPost(req);
+  const { licenseKey, ref, token, version } = req.body || {};
+  if (form && !isValidCsrf(req, req.body?.csrf)) {
+    return fail(req, res, 403, 'This page expired; open the download link again');
+  }
+  let licenseId = null;
+
+  // ——— 1) A link names the license by a sealed ref; the app may use a token we signed ———
+  if (!licenseKey && ref && form) {
+    licenseId = licenseIdForRef(ref);
+    if (!licenseId) {
+      return fail(req, res, 404, 'This download link is not valid');
+    }
+  } else if (!licenseKey && token && !form) {
+    if (!process.env.LICENSE_SIGNING_KEY) {
+      log.error('❌ LICENSE_SIGNING_KEY is not set');
+      return res.status(500).json({ error: 'License signing is not configured' });
+    }
+    // An expired token still names the license; entitlement is checked below
+    const result = verifyLicenseToken(token, publicKeyBase64(), { ignoreExpiry: true });
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid token', reason: result.reason });
+    }
+    licenseId = result.payload.lid;
+  }
+  if (!(await rateLimit(req, res, 'download', { licenseKey: licenseKey || licenseId }))) return;
+  if (!licenseKey && !licenseId) {
+    return fail(req, res, 400, 'Missing licenseKey');
+  }
+  if (version !== undefined && (typeof version !== 'string' || !VERSION_PATTERN.test(version))) {
+    return fail(req, res, 400, 'Invalid version');
+  }
+
+  try {
+    // ——— 2) Only an entitled license downloads ———
+    const licenseDoc = licenseKey ? await getLicense(licenseKey) : await getLicenseById(licenseId);
+    if (!licenseDoc) {
+      return fail(req, res, 404, 'License not found');
+    }
+    if (isLicenseBlocked(licenseDoc.data())) {
+      return fail(req, res, 403, 'This license is not active');
+    }
+    const entitlement = await resolveEntitlement(licenseDoc);
+    if (!entitlement.entitled) {
+      return fail(req, res, 403, 'This license is not entitled to downloads; check your subscription in the customer portal');
+    }
+
+    // ——— 3) Log the download and hand out its copy ———
+    const download = await createDownload(licenseDoc.id, { version: version || null, ip: clientIp(req) });
+    res.setHeader('Cache-Control', 'no-store');
+    if (form) {
+      res.setHeader('Referrer-Policy', 'no-referrer');
+      return res.redirect(303, download.url);
+    }
+    return res.status(200).json({ ...download, expiresAt: download.expiresAt.toISOString() });
+  } catch (err) {
+    if (err instanceof DownloadError) {
+      return fail(req, res, err.status, err.message);
+    }
+    if (err instanceof PayPalUnavailableError) {
+      res.setHeader('Retry-After', '300');
+      return fail(req, res, 503, 'Subscription status temporarily unavailable; please try again in a few minutes');
+    }
+    log.error('❌ Error in download', { err });
+    return fail(req, res, 500, 'Could not prepare the download');
+  }
+});
@@ -0,0 +1,53 @@
+// File: api/license-status.js
+//
+//   GET ?licenseKey=… (or POST { licenseKey })
+// Responds { state, entitled, validUntil, purchaseType, planId, features, stale } where state is
+// one of the states in lib/entitlements.js and validUntil (ISO, or null) is how
+// long the app may trust this answer without asking again. stale: true means
+// PayPal could not be reached and this is the last known state.
+
+import { getLicense } from '../lib/licenses';
+import { resolveEntitlement } from '../lib/entitlements';
+import { PayPalUnavailableError } from '../lib/paypal';
+import { rateLimit } from '../lib/rate-limit';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'license-status' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { licenseKey } = req.method === 'GET' ? req.query : (req.body || {});
+  if (!licenseKey) {
+    return res.status(400).json({ error: 'Missing licenseKey' });
+  }
+  if (!(await rateLimit(req, res, 'license-status', { licenseKey }))) return;
+
+  try {
+    const licenseDoc = await getLicense(licenseKey);
+    if (!licenseDoc) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+
+    const entitlement = await resolveEntitlement(licenseDoc);
+    return res.status(200).json({
+      state: entitlement.state,
+      entitled: entitlement.entitled,
+      validUntil: entitlement.validUntil ? entitlement.validUntil.toISOString() : null,
+      purchaseType: licenseDoc.data().purchaseType,
+      planId: licenseDoc.data().planId || null,
+      features: licenseDoc.data().features || [],
+      stale: entitlement.stale
+    });
+  } catch (err) {
+    if (err instanceof PayPalUnavailableError) {
+      // Nothing cached yet; the app should keep whatever it had and retry
+      res.setHeader('Retry-After', '300');
+      return res.status(503).json({ error: 'Subscription status temporarily unavailable' });
+    }
+    log.error('❌ Error in license-status', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
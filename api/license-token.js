@@ -0,0 +1,89 @@
+// File: api/license-token.js
+//
+// Issues and refreshes signed offline license tokens for the macOS app.
+//   POST { "licenseKey": "CLK1-KWX0-RYZ1-9N9A-GSKZ-1E9X-5H0Y-B9V2" }  → first token for a license
+//   POST { "token": "CL1.…" }              → refresh; an expired token is fine
+// Responds { token, expiresAt } where expiresAt is null for lifetime licenses.
+
+import { getLicense, getLicenseById, isLicenseBlocked } from '../lib/licenses';
+import { buildTokenPayload, signLicenseToken, publicKeyBase64 } from '../lib/license-token';
+import { verifyLicenseToken } from '../lib/verify-license-token';
+import { resolveEntitlement } from '../lib/entitlements';
+import { PayPalUnavailableError } from '../lib/paypal';
+import { rateLimit } from '../lib/rate-limit';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'license-token' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!process.env.LICENSE_SIGNING_KEY) {
+    log.error('❌ LICENSE_SIGNING_KEY is not set');
+    return res.status(500).json({ error: 'License signing is not configured' });
+  }
+
+  const { licenseKey, token } = req.body || {};
+  let licenseId = null;
+
+  // ——— 1) A refresh identifies the license by the license ID in a token we signed earlier ———
+  if (!licenseKey && token) {
+    const result = verifyLicenseToken(token, publicKeyBase64(), { ignoreExpiry: true });
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid token', reason: result.reason });
+    }
+    licenseId = result.payload.lid;
+  }
+  if (!(await rateLimit(req, res, 'license-token', { licenseKey: licenseKey || licenseId }))) return;
+  if (!licenseKey && !licenseId) {
+    return res.status(400).json({ error: 'Must provide either licenseKey or token' });
+  }
+
+  try {
+    // ——— 2) Look up the license (a merged duplicate resolves to its canonical license) ———
+    const licenseDoc = licenseKey ? await getLicense(licenseKey) : await getLicenseById(licenseId);
+    if (!licenseDoc) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+    const license = licenseDoc.data();
+    if (isLicenseBlocked(license)) {
+      return res.status(403).json({ error: 'License is not active' });
+    }
+    // Team keys manage seats and never run the app (see api/activate.js)
+    if (license.organization) {
+      return res.status(409).json({
+        error: 'This is a team license key. Use the key from your team invitation; admins invite members in the customer portal.'
+      });
+    }
+
+    // ——— 3) Subscriptions are entitled until their paid-through date ———
+    let entitlementExpiry = null;
+    if (license.purchaseType === 'subscription') {
+      let entitlement;
+      try {
+        entitlement = await resolveEntitlement(licenseDoc);
+      } catch (err) {
+        if (!(err instanceof PayPalUnavailableError)) throw err;
+        // The app keeps using its current token; it will retry later
+        log.warn('⚠️ Could not reach PayPal for token refresh', { err });
+        res.setHeader('Retry-After', '300');
+        return res.status(503).json({ error: 'Subscription status temporarily unavailable' });
+      }
+      if (!entitlement.entitled || !entitlement.validUntil) {
+        return res.status(403).json({ error: 'Subscription is not active', state: entitlement.state });
+      }
+      entitlementExpiry = entitlement.validUntil;
+    }
+
+    // ——— 4) Sign and return the token ———
+    const payload = buildTokenPayload(licenseDoc.id, license, { entitlementExpiry });
+    return res.status(200).json({
+      token: signLicenseToken(payload),
+      expiresAt: payload.exp === null ? null : new Date(payload.exp * 1000).toISOString()
+    });
+  } catch (err) {
+    log.error('❌ Error in license-token', { err });
+    return res.status(500).json({ error: err.message });
+  }
+});
@@ -1,119 +1,218 @@
 // File: api/merchant-cancel-subscription.js
+//
+// Self-service cancellation. Knowing a license key is not enough: the customer
+// asks for an email to the license's address, then either follows the link in
+// it (a signed token, valid CANCEL_TOKEN_TTL_MINUTES) or types the one-time
+// code it contains. Nothing is cancelled by a GET.
+//
+//   GET                 page to request the email, or to enter a code
+//   GET  ?token=…       confirmation form: immediate vs period end, optional reason
+//   POST action=request { licenseKey }             → emails link + code
+//   POST action=code    { licenseKey, code }       → confirmation form (JSON: { token })
+//   POST action=confirm { token, mode, reason }    → cancels, shows when service ends
+// HTML form posts carry a double-submit CSRF token; JSON posts are accepted
+// without one, since a cross-site page cannot send them without CORS approval.
 
-import admin from 'firebase-admin';
-import fetch from 'node-fetch';
+import { getLicense, getLicenseById } from '../lib/licenses';
+import { licenseKeyOf } from '../lib/key-vault';
+import { PayPalError } from '../lib/paypal';
+import { rateLimit } from '../lib/rate-limit';
+import { queueMail } from '../lib/mailer';
+import { escapeHtml, sendPage, siteUrl, issueCsrfToken, isValidCsrf } from '../lib/html';
+import {
+  CANCEL_MODES,
+  CANCEL_TOKEN_TTL_MINUTES,
+  MAX_REASON_LENGTH,
+  createCancelRequest,
+  checkCancelToken,
+  redeemCancelCode,
+  consumeCancelToken,
+  releaseCancelToken,
+  cleanReason,
+  isCancellable,
+  cancelSubscription
+} from '../lib/cancellation';
+import { createLogger, withRequestLog } from '../lib/log';
 
-// Initialize Firebase Admin if necessary
-if (!admin.apps.length) {
-  const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-}
-const db = admin.firestore();
-
-// Helper to get a PayPal access token
-async function getPayPalAccessToken() {
-  const clientId = process.env.PAYPAL_CLIENT_ID;
-  const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
-  const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-  
-  const response = await fetch('https://api-m.paypal.com/v1/oauth2/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${auth}`
-    },
-    body: 'grant_type=client_credentials'
-  });
-  const data = await response.json();
-  return data.access_token; // e.g. "A21AAK…"
+const log = createLogger({ module: 'merchant-cancel-subscription' });
+
+const ROUTE = '/api/merchant-cancel-subscription';
+
+// Same answer whether or not the key exists, so the form cannot be used to probe keys
+const REQUEST_SENT_MESSAGE =
+  'If that license has an active subscription, we have emailed a cancellation link and code to the address on file.';
+
+// —————— 1) Helpers ——————
+function formatDate(date) {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
 }
 
-export default async function handler(req, res) {
-  // Confirmation check for GET requests with licenseKey but not confirm=true
-  if (req.method === 'GET' && req.query.licenseKey && req.query.confirm !== 'true') {
-    return res.send(`
-      <html>
-        <body style="font-family: sans-serif; max-width: 600px; margin: auto; padding: 2rem;">
-          <h2>Cancel Your Subscription</h2>
-          <p>This action will permanently cancel your subscription and deactivate your license.</p>
-          <p>If you're sure, click the button below:</p>
-          <p>
-            <a href="/api/merchant-cancel-subscription?licenseKey=${req.query.licenseKey}&confirm=true"
-               style="background: #d00; color: #fff; padding: 0.75rem 1.5rem; text-decoration: none; border-radius: 4px;">
-              Yes, Cancel My Subscription
-            </a>
-          </p>
-        </body>
-      </html>
-    `);
-  }
+function requestForms(csrf, message = '') {
+  return `
+    ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+    <form method="POST" action="${ROUTE}">
+      <input type="hidden" name="action" value="request">
+      <input type="hidden" name="csrf" value="${escapeHtml(csrf)}">
+      <p><label>License key<br><input name="licenseKey" required autocomplete="off"></label></p>
+      <p><button type="submit">Email me a cancellation link</button></p>
+    </form>
+    <hr>
+    <form method="POST" action="${ROUTE}">
+      <input type="hidden" name="action" value="code">
+      <input type="hidden" name="csrf" value="${escapeHtml(csrf)}">
+      <p>Already have a code?</p>
+      <p><label>License key<br><input name="licenseKey" required autocomplete="off"></label></p>
+      <p><label>Code<br><input name="code" required inputmode="numeric" pattern="[0-9]{6}" autocomplete="one-time-code"></label></p>
+      <p><button type="submit">Continue</button></p>
+    </form>`;
+}
 
-  // Support both POST (API) and GET (with confirm=true) for cancellation
-  let licenseKey;
-  if (req.method === 'POST') {
-    licenseKey = req.body.licenseKey;
-  } else if (req.method === 'GET' && req.query.licenseKey && req.query.confirm === 'true') {
-    licenseKey = req.query.licenseKey;
-  } else {
-    return res.status(405).json({ error: 'Method Not Allowed' });
-  }
+function confirmForm(token, csrf, license) {
+  const paidThrough = license.paidThrough?.toDate ? license.paidThrough.toDate() : null;
+  const periodEnd = paidThrough && paidThrough > new Date()
+    ? `keep access until ${escapeHtml(formatDate(paidThrough))}`
+    : 'keep access until the end of the period you have paid for';
+  return `
+    <p>Subscription for license <strong>${escapeHtml(license.licenseKey)}</strong>.</p>
+    <form method="POST" action="${ROUTE}">
+      <input type="hidden" name="action" value="confirm">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <input type="hidden" name="csrf" value="${escapeHtml(csrf)}">
+      <p><label><input type="radio" name="mode" value="period_end" checked> Stop renewing, ${periodEnd}</label></p>
+      <p><label><input type="radio" name="mode" value="immediate"> Cancel now and lose access immediately</label></p>
+      <p><label>Why are you cancelling? (optional)<br>
+        <textarea name="reason" rows="3" cols="50" maxlength="${MAX_REASON_LENGTH}"></textarea></label></p>
+      <p><button type="submit" style="background: #d00; color: #fff; padding: 0.75rem 1.5rem; border: 0; border-radius: 4px;">
+        Cancel My Subscription
+      </button></p>
+    </form>`;
+}
 
-  if (!licenseKey) {
-    return res.status(400).json({ error: 'Missing licenseKey' });
-  }
+async function emailCancelLink(req, license, request) {
+  const link = siteUrl(req, `${ROUTE}?token=${encodeURIComponent(request.token)}`);
+  await queueMail('cancel_request', license.email, {
+    licenseKey: license.licenseKey,
+    link,
+    code: request.code,
+    ttlMinutes: CANCEL_TOKEN_TTL_MINUTES
+  }, { sensitive: true, licenseKey: license.licenseId });
+}
 
-  // 1) Look up the Firestore document to find paypalID
-  const docRef = db.collection('licenses').doc(licenseKey);
-  const docSnap = await docRef.get();
-  if (!docSnap.exists) {
-    return res.status(404).json({ error: 'License not found' });
-  }
-  const { subscriptionId, purchaseType, status } = docSnap.data();
-  if (!subscriptionId) {
-    return res.status(500).json({ error: 'No subscriptionId stored for this license' });
-  }
-  if (purchaseType !== 'subscription' || status !== 'active') {
-    return res.status(400).json({ error: 'Not an active subscription' });
-  }
+// —————— 2) Main handler ——————
+export default withRequestLog(async function handler(req, res) {
+  const wantsJson = (req.headers['content-type'] || '').includes('application/json');
+  // Pages are cheap; requests, codes and confirmations are what gets guessed at
+  const licenseKey = typeof req.body?.licenseKey === 'string' ? req.body.licenseKey.trim() : null;
+  if (!(await rateLimit(req, res, req.method === 'POST' ? 'cancel' : 'portal', { licenseKey }))) return;
 
   try {
-    // 2) Cancel via PayPal API
-    const accessToken = await getPayPalAccessToken();
-    // ✅ subscriptionId here matches PayPal's I-... subscription ID (aka resourceId)
-    const cancelResponse = await fetch(
-      `https://api-m.paypal.com/v1/billing/subscriptions/${subscriptionId}/cancel`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${accessToken}`
-        },
-        body: JSON.stringify({ reason: 'Customer requested cancellation' })
+    // ——— 2a) Pages ———
+    if (req.method === 'GET') {
+      const csrf = issueCsrfToken(req, res);
+      const token = typeof req.query.token === 'string' ? req.query.token : null;
+      if (!token) {
+        return sendPage(res, 200, 'Cancel Your Subscription', requestForms(csrf));
+      }
+      const licenseId = await checkCancelToken(token);
+      const licenseDoc = licenseId && await getLicenseById(licenseId);
+      if (!licenseDoc || !isCancellable(licenseDoc.data())) {
+        return sendPage(res, 400, 'Link Expired',
+          requestForms(csrf, 'This cancellation link has expired or was already used. Request a new one below.'));
       }
-    );
+      return sendPage(res, 200, 'Cancel Your Subscription',
+        confirmForm(token, csrf, { ...licenseDoc.data(), licenseKey: licenseKeyOf(licenseDoc) }));
+    }
 
-    if (!cancelResponse.ok) {
-      const errData = await cancelResponse.json();
-      console.error('❌ PayPal cancel failed:', errData);
-      return res.status(500).json({ error: 'PayPal cancel failed', details: errData });
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
     }
 
-    // 3) Now your webhook (paypal-webhook.js) will mark status: 'inactive' in Firestore.
-    // Return success so your frontend can show a “Cancelled” confirmation.
-    // For GET requests, show a simple HTML confirmation
-    if (req.method === 'GET') {
-      return res.send(`
-        <html>
-          <body style="font-family: sans-serif; max-width: 600px; margin: auto; padding: 2rem;">
-            <h2>Subscription Cancelled</h2>
-            <p>Your subscription has been cancelled. Check your email for confirmation.</p>
-          </body>
-        </html>
-      `);
+    const body = req.body || {};
+    if (!wantsJson && !isValidCsrf(req, body.csrf)) {
+      return sendPage(res, 403, 'Session Expired',
+        requestForms(issueCsrfToken(req, res), 'Your session expired. Please try again.'));
     }
-    return res.status(200).json({ success: true, message: 'Subscription cancelled. Check your email for confirmation.' });
+
+    // ——— 2b) Email a link and code ———
+    if (body.action === 'request') {
+      const licenseKey = typeof body.licenseKey === 'string' ? body.licenseKey.trim() : '';
+      const licenseDoc = licenseKey && await getLicense(licenseKey);
+      const license = licenseDoc && licenseDoc.data();
+      if (license && license.email && isCancellable(license)) {
+        const request = await createCancelRequest(licenseDoc.id);
+        if (request) {
+          await emailCancelLink(req, { ...license, licenseKey: licenseKeyOf(licenseDoc), licenseId: licenseDoc.id }, request);
+        }
+      }
+      return wantsJson
+        ? res.status(200).json({ success: true, message: REQUEST_SENT_MESSAGE })
+        : sendPage(res, 200, 'Check Your Email', `<p>${escapeHtml(REQUEST_SENT_MESSAGE)}</p>`);
+    }
+
+    // ——— 2c) Exchange a one-time code for a token ———
+    if (body.action === 'code') {
+      const licenseKey = typeof body.licenseKey === 'string' ? body.licenseKey.trim() : '';
+      const licenseDoc = licenseKey && await getLicense(licenseKey);
+      const token = licenseDoc && await redeemCancelCode(licenseDoc.id, body.code);
+      if (!token || !isCancellable(licenseDoc.data())) {
+        return wantsJson
+          ? res.status(400).json({ error: 'Invalid or expired code' })
+          : sendPage(res, 400, 'Invalid Code',
+            requestForms(issueCsrfToken(req, res), 'That code is wrong or has expired.'));
+      }
+      return wantsJson
+        ? res.status(200).json({ token })
+        : sendPage(res, 200, 'Cancel Your Subscription',
+          confirmForm(token, issueCsrfToken(req, res), { ...licenseDoc.data(), licenseKey: licenseKeyOf(licenseDoc) }));
+    }
+
+    // ——— 2d) Cancel ———
+    if (body.action === 'confirm') {
+      const mode = CANCEL_MODES.includes(body.mode) ? body.mode : null;
+      if (!mode) {
+        return res.status(400).json({ error: `mode must be one of: ${CANCEL_MODES.join(', ')}` });
+      }
+
+      const licenseId = await consumeCancelToken(body.token);
+      const licenseDoc = licenseId && await getLicenseById(licenseId);
+      if (!licenseDoc || !isCancellable(licenseDoc.data())) {
+        return wantsJson
+          ? res.status(400).json({ error: 'Invalid or expired token' })
+          : sendPage(res, 400, 'Link Expired',
+            requestForms(issueCsrfToken(req, res), 'This cancellation link has expired or was already used.'));
+      }
+
+      let endsAt;
+      try {
+        ({ endsAt } = await cancelSubscription(licenseDoc, {
+          mode,
+          reason: cleanReason(body.reason),
+          via: wantsJson ? 'api' : 'web'
+        }));
+      } catch (err) {
+        // Let the customer try again with the same link
+        await releaseCancelToken(licenseId);
+        if (!(err instanceof PayPalError)) throw err;
+        log.error('❌ PayPal cancel failed', { err });
+        return wantsJson
+          ? res.status(502).json({ error: 'PayPal cancel failed' })
+          : sendPage(res, 502, 'Something Went Wrong',
+            '<p>PayPal did not accept the cancellation. Nothing has changed; please try again in a few minutes.</p>');
+      }
+
+      // The BILLING.SUBSCRIPTION.CANCELLED webhook that follows agrees with what we wrote
+      if (wantsJson) {
+        return res.status(200).json({ success: true, mode, endsAt: endsAt.toISOString() });
+      }
+      const ends = mode === 'immediate'
+        ? 'Your access has ended.'
+        : `You keep full access until ${escapeHtml(formatDate(endsAt))}, and you will not be charged again.`;
+      return sendPage(res, 200, 'Subscription Cancelled', `<p>Your subscription has been cancelled. ${ends}</p>`);
+    }
+
+    return res.status(400).json({ error: 'Unknown action' });
   } catch (err) {
-    console.error('❌ Error cancelling subscription:', err);
+    log.error('❌ Error cancelling subscription', { err });
     return res.status(500).json({ error: 'Internal server error' });
   }
-}
\ No newline at end of file
+});
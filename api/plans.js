@@ -0,0 +1,59 @@
+// File: api/plans.js
+//
+// The pricing page's catalogue (see lib/plans.js).
+//   GET                → { plans: [{ id, name, description, purchaseType, price, interval, entitlements }] }
+//   GET ?coupon=CODE   → the same, each plan with the price it would cost with
+//                        the coupon, plus { coupon: { code, valid, error } }
+// Prices are decimal strings: { value: '20.00', currency: 'USD' }.
+
+import { listPlans, publicPlan } from '../lib/plans';
+import { applyCoupon, CouponError } from '../lib/coupons';
+import { rateLimit } from '../lib/rate-limit';
+import { createLogger, withRequestLog } from '../lib/log';
+
+const log = createLogger({ module: 'plans' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!(await rateLimit(req, res, 'plans'))) return;
+
+  try {
+    const plans = (await listPlans()).filter(plan => plan.active);
+    const code = typeof req.query.coupon === 'string' ? req.query.coupon.trim() : '';
+
+    if (!code) {
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      return res.status(200).json({ plans: plans.map(publicPlan) });
+    }
+
+    // Price every plan with the coupon; a plan it does not cover keeps its price
+    let couponCode = null;
+    let lastError = null;
+    const priced = [];
+    for (const plan of plans) {
+      const row = publicPlan(plan);
+      try {
+        const applied = await applyCoupon(code, plan);
+        couponCode = applied.code;
+        priced.push({ ...row, listPrice: plan.price, price: applied.price, couponApplies: true });
+      } catch (err) {
+        if (!(err instanceof CouponError)) throw err;
+        lastError = err.message;
+        priced.push({ ...row, listPrice: plan.price, couponApplies: false });
+      }
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      plans: priced,
+      coupon: couponCode
+        ? { code: couponCode, valid: true, error: null }
+        : { code, valid: false, error: lastError || 'Unknown coupon code' }
+    });
+  } catch (err) {
+    log.error('❌ Error in plans', { err });
+    return res.status(500).json({ error: 'Could not load plans' });
+  }
+});
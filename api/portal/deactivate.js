@@ -0,0 +1,42 @@
+// File: api/portal/deactivate.js
+//
+//   POST { licenseKey, activationId } → frees a Mac's seat on one of the
+// signed-in customer's licenses.
+
+import { getLicense } from '../../lib/licenses';
+import { deactivateDevice } from '../../lib/activations';
+import { rateLimit } from '../../lib/rate-limit';
+import { requirePortalSession, ownsLicense } from '../../lib/portal';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'portal/deactivate' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!(await rateLimit(req, res, 'portal'))) return;
+
+  try {
+    const email = await requirePortalSession(req, res);
+    if (!email) return;
+
+    const { licenseKey, activationId } = req.body || {};
+    if (typeof activationId !== 'string' || !/^[0-9a-f]{64}$/.test(activationId)) {
+      return res.status(400).json({ error: 'Invalid activationId' });
+    }
+
+    const licenseDoc = await getLicense(licenseKey);
+    // Someone else's license looks exactly like a missing one
+    if (!licenseDoc || !ownsLicense(email, licenseDoc.data())) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+
+    const result = await deactivateDevice(licenseDoc, { activationId });
+    return res.status(200).json(result);
+  } catch (err) {
+    log.error('❌ Error freeing seat from portal', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
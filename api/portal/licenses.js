@@ -0,0 +1,87 @@
+// File: api/portal/licenses.js
+//
+//   GET → every license tied to the signed-in email:
+//   [{ licenseKey, purchaseType, status, state, entitled, validUntil, renewsAt,
+//      cancellation, purchasedAt, seats, activations, stale, teamSeat, team }]
+// renewsAt is the next billing date of a subscription that will renew.
+// teamSeat marks a key an organization gave this email. team is set on an
+// organization license, which this email administers: { seats, members }
+// (see lib/organizations.js).
+
+import { findLicensesByEmail } from '../../lib/licenses';
+import { resolveEntitlement, toDate } from '../../lib/entitlements';
+import { listActivations } from '../../lib/activations';
+import { rateLimit } from '../../lib/rate-limit';
+import { requirePortalSession } from '../../lib/portal';
+import { licenseKeyOf } from '../../lib/key-vault';
+import { isOrganization, listMembers } from '../../lib/organizations';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'portal/licenses' });
+
+function iso(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+// Entitlement for display; a PayPal outage falls back to what was last stored
+async function entitlementFor(licenseDoc) {
+  try {
+    return await resolveEntitlement(licenseDoc);
+  } catch (err) {
+    log.warn('⚠️ Could not resolve entitlement for portal', { err });
+    const cached = licenseDoc.data().entitlement || {};
+    return { state: cached.state || 'pending', entitled: false, validUntil: toDate(cached.validUntil), stale: true };
+  }
+}
+
+async function describeLicense(licenseDoc) {
+  const license = licenseDoc.data();
+  const [entitlement, { seats, activations }, team] = await Promise.all([
+    entitlementFor(licenseDoc),
+    listActivations(licenseDoc),
+    isOrganization(license) ? listMembers(licenseDoc) : null
+  ]);
+  const cancellation = license.cancellation
+    ? { mode: license.cancellation.mode, endsAt: iso(license.cancellation.endsAt) }
+    : null;
+
+  return {
+    licenseKey: licenseKeyOf(licenseDoc),
+    purchaseType: license.purchaseType,
+    status: license.status,
+    state: entitlement.state,
+    entitled: entitlement.entitled,
+    validUntil: entitlement.validUntil ? entitlement.validUntil.toISOString() : null,
+    renewsAt: entitlement.state === 'active' && entitlement.validUntil ? entitlement.validUntil.toISOString() : null,
+    cancellation,
+    purchasedAt: iso(license.timestamp),
+    seats,
+    activations,
+    stale: entitlement.stale,
+    teamSeat: Boolean(license.orgLicenseId),
+    team
+  };
+}
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!(await rateLimit(req, res, 'portal'))) return;
+
+  try {
+    const email = await requirePortalSession(req, res);
+    if (!email) return;
+
+    const licenseDocs = await findLicensesByEmail(email);
+    const licenses = await Promise.all(licenseDocs.map(describeLicense));
+    licenses.sort((a, b) => (b.purchasedAt || '').localeCompare(a.purchasedAt || ''));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ email, licenses });
+  } catch (err) {
+    log.error('❌ Error listing portal licenses', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -0,0 +1,108 @@
+// File: api/portal/receipt.js
+//
+//   GET ?licenseKey=… → printable receipt (HTML) for one of the signed-in
+// customer's licenses: the one-time capture, or every subscription payment in
+// the last year.
+
+import { getLicense } from '../../lib/licenses';
+import { licenseKeyOf } from '../../lib/key-vault';
+import { toDate } from '../../lib/entitlements';
+import { captures, subscriptions, PayPalError } from '../../lib/paypal';
+import { getPortalEmail, ownsLicense } from '../../lib/portal';
+import { rateLimit } from '../../lib/rate-limit';
+import { escapeHtml, sendPage } from '../../lib/html';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'portal/receipt' });
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+function formatDate(date) {
+  return date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }) : '—';
+}
+
+// [{ id, date, amount, currency, status }] from PayPal
+async function paymentsFor(license) {
+  if (license.purchaseType === 'subscription') {
+    const end = new Date();
+    const start = new Date(Math.max(end.getTime() - YEAR_MS, (toDate(license.timestamp) || end).getTime() - 24 * 60 * 60 * 1000));
+    const result = await subscriptions.listTransactions(
+      license.subscriptionId || license.paypalID,
+      start.toISOString(),
+      end.toISOString()
+    );
+    return (result?.transactions || []).map(tx => ({
+      id: tx.id,
+      date: toDate(tx.time),
+      amount: tx.amount_with_breakdown?.gross_amount?.value,
+      currency: tx.amount_with_breakdown?.gross_amount?.currency_code,
+      status: tx.status
+    }));
+  }
+
+  if (!license.captureId) return [];
+  const capture = await captures.get(license.captureId);
+  return capture
+    ? [{
+      id: capture.id,
+      date: toDate(capture.create_time),
+      amount: capture.amount?.value,
+      currency: capture.amount?.currency_code,
+      status: capture.status
+    }]
+    : [];
+}
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!(await rateLimit(req, res, 'portal'))) return;
+
+  try {
+    const email = await getPortalEmail(req);
+    if (!email) {
+      return sendPage(res, 401, 'Signed Out', '<p>Please <a href="/portal.html">sign in</a> again.</p>');
+    }
+    const licenseDoc = await getLicense(req.query.licenseKey);
+    if (!licenseDoc || !ownsLicense(email, licenseDoc.data())) {
+      return sendPage(res, 404, 'Receipt Not Found', '<p>No such license on your account.</p>');
+    }
+    const license = licenseDoc.data();
+
+    let payments;
+    try {
+      payments = await paymentsFor(license);
+    } catch (err) {
+      if (!(err instanceof PayPalError)) throw err;
+      log.warn('⚠️ Could not load payments for receipt', { err });
+      return sendPage(res, 503, 'Receipt Unavailable', '<p>We could not reach PayPal just now. Please try again shortly.</p>');
+    }
+
+    const rows = payments.map(p => `
+      <tr>
+        <td>${escapeHtml(formatDate(p.date))}</td>
+        <td>${escapeHtml(p.id)}</td>
+        <td>${escapeHtml(p.amount || '')} ${escapeHtml(p.currency || '')}</td>
+        <td>${escapeHtml(p.status || '')}</td>
+      </tr>`).join('');
+
+    return sendPage(res, 200, 'CardLocker Receipt', `
+      <p>
+        License: <strong>${escapeHtml(licenseKeyOf(licenseDoc))}</strong><br>
+        ${license.purchaseType === 'subscription' ? 'Subscription' : 'Lifetime license'}<br>
+        Purchased: ${escapeHtml(formatDate(toDate(license.timestamp)))}<br>
+        Billed to: ${escapeHtml(license.email)}
+      </p>
+      ${payments.length === 0 ? '<p>No payments found.</p>' : `
+      <table style="width: 100%; border-collapse: collapse;" border="1" cellpadding="6">
+        <tr><th>Date</th><th>Transaction</th><th>Amount</th><th>Status</th></tr>
+        ${rows}
+      </table>`}
+      <p><button onclick="window.print()">Print</button></p>`);
+  } catch (err) {
+    log.error('❌ Error building receipt', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
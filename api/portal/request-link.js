@@ -0,0 +1,46 @@
+// File: api/portal/request-link.js
+//
+//   POST { email } → emails a one-time sign-in link for the customer portal.
+// The answer is the same whether or not the address has licenses.
+
+import { isValidEmail, findLicensesByEmail } from '../../lib/licenses';
+import { createMagicLink, LINK_TTL_MINUTES } from '../../lib/portal';
+import { queueMail } from '../../lib/mailer';
+import { siteUrl } from '../../lib/html';
+import { rateLimit } from '../../lib/rate-limit';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'portal/request-link' });
+
+const SENT_MESSAGE = 'If we have licenses for that address, a sign-in link is on its way.';
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+  if (!(await rateLimit(req, res, 'portal-link', { email }))) return;
+
+  try {
+    const licenses = await findLicensesByEmail(email);
+    if (licenses.length === 0) {
+      return res.status(200).json({ success: true, message: SENT_MESSAGE });
+    }
+
+    const token = await createMagicLink(email);
+    if (token) {
+      const link = siteUrl(req, `/api/portal/verify?token=${token}`);
+      await queueMail('portal_link', email, { link, ttlMinutes: LINK_TTL_MINUTES }, { sensitive: true });
+    } else {
+      log.warn('⚠️ Portal link limit reached for an address; not sending');
+    }
+    return res.status(200).json({ success: true, message: SENT_MESSAGE });
+  } catch (err) {
+    log.error('❌ Error sending portal link', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -0,0 +1,31 @@
+// File: api/portal/session.js
+//
+//   GET    → { email } of the signed-in customer, or 401
+//   DELETE → signs out
+
+import { getPortalEmail, endSession } from '../../lib/portal';
+import { rateLimit } from '../../lib/rate-limit';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'portal/session' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (!(await rateLimit(req, res, 'portal'))) return;
+
+  try {
+    if (req.method === 'GET') {
+      const email = await getPortalEmail(req);
+      return email
+        ? res.status(200).json({ email })
+        : res.status(401).json({ error: 'Not signed in' });
+    }
+    if (req.method === 'DELETE') {
+      await endSession(req, res);
+      return res.status(200).json({ success: true });
+    }
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    log.error('❌ Error in portal session', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -0,0 +1,83 @@
+// File: api/portal/subscription.js
+//
+//   POST { licenseKey, action: 'cancel', mode: 'immediate'|'period_end', reason? }
+//   POST { licenseKey, action: 'resume' }
+// Manages a subscription on one of the signed-in customer's licenses. Resume
+// applies to a subscription PayPal suspended after failed payments; a
+// cancelled PayPal subscription cannot be restarted, only bought again.
+
+import { getLicense } from '../../lib/licenses';
+import { resolveEntitlement } from '../../lib/entitlements';
+import { subscriptions, PayPalError, PayPalUnavailableError } from '../../lib/paypal';
+import { CANCEL_MODES, isCancellable, cleanReason, cancelSubscription } from '../../lib/cancellation';
+import { requirePortalSession, ownsLicense } from '../../lib/portal';
+import { rateLimit } from '../../lib/rate-limit';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'portal/subscription' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!(await rateLimit(req, res, 'portal'))) return;
+
+  try {
+    const email = await requirePortalSession(req, res);
+    if (!email) return;
+
+    const { licenseKey, action, mode, reason } = req.body || {};
+    const licenseDoc = await getLicense(licenseKey);
+    if (!licenseDoc || !ownsLicense(email, licenseDoc.data())) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+    const license = licenseDoc.data();
+    if (license.purchaseType !== 'subscription') {
+      return res.status(400).json({ error: 'Not a subscription license' });
+    }
+    if (license.orgLicenseId) {
+      return res.status(400).json({ error: "This is a team seat; your team's admin manages the subscription" });
+    }
+
+    // ——— Cancel ———
+    if (action === 'cancel') {
+      if (!CANCEL_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${CANCEL_MODES.join(', ')}` });
+      }
+      if (!isCancellable(license)) {
+        return res.status(409).json({ error: 'Subscription is already cancelled' });
+      }
+      const { endsAt } = await cancelSubscription(licenseDoc, { mode, reason: cleanReason(reason), via: 'portal' });
+      return res.status(200).json({ success: true, mode, endsAt: endsAt.toISOString() });
+    }
+
+    // ——— Resume ———
+    if (action === 'resume') {
+      if (license.entitlement?.state !== 'suspended') {
+        return res.status(409).json({ error: 'Only a suspended subscription can be resumed' });
+      }
+      await subscriptions.activate(license.subscriptionId || license.paypalID, 'Customer resumed from portal');
+      const entitlement = await resolveEntitlement(await licenseDoc.ref.get());
+      log.info('▶️ Subscription resumed from portal', { licenseId: licenseDoc.id });
+      return res.status(200).json({
+        success: true,
+        state: entitlement.state,
+        validUntil: entitlement.validUntil ? entitlement.validUntil.toISOString() : null
+      });
+    }
+
+    return res.status(400).json({ error: 'action must be cancel or resume' });
+  } catch (err) {
+    if (err instanceof PayPalUnavailableError) {
+      res.setHeader('Retry-After', '60');
+      return res.status(503).json({ error: 'PayPal is unavailable, please try again shortly' });
+    }
+    if (err instanceof PayPalError) {
+      log.error('❌ PayPal rejected portal subscription change', { err });
+      return res.status(502).json({ error: 'PayPal did not accept the change' });
+    }
+    log.error('❌ Error changing subscription from portal', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -0,0 +1,63 @@
+// File: api/portal/team.js
+//
+//   POST { licenseKey, action: 'invite', email }  → give an email a seat and mail it a key
+//   POST { licenseKey, action: 'remove', email }  → take a member's seat back
+//   POST { licenseKey, action: 'seats', seats }   → change how many seats PayPal bills
+// Manages a team license the signed-in email administers (see
+// lib/organizations.js). A seat change may answer with an approveUrl for the
+// admin to confirm at PayPal; the new count applies once PayPal bills it.
+// The team itself is listed by /api/portal/licenses.
+
+import { getLicense } from '../../lib/licenses';
+import { isOrganization, inviteMember, removeMember, changeSeatCount, OrgError } from '../../lib/organizations';
+import { PayPalError, PayPalUnavailableError } from '../../lib/paypal';
+import { requirePortalSession, ownsLicense } from '../../lib/portal';
+import { rateLimit } from '../../lib/rate-limit';
+import { log, withRequestLog } from '../../lib/log';
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!(await rateLimit(req, res, 'portal'))) return;
+
+  try {
+    const email = await requirePortalSession(req, res);
+    if (!email) return;
+
+    const { licenseKey, action } = req.body || {};
+    const licenseDoc = await getLicense(licenseKey);
+    // Only the admin's own team licenses; anything else looks missing
+    if (!licenseDoc || !ownsLicense(email, licenseDoc.data()) || !isOrganization(licenseDoc.data())) {
+      return res.status(404).json({ error: 'Team license not found' });
+    }
+
+    if (action === 'invite') {
+      const result = await inviteMember(licenseDoc, req.body.email, { invitedBy: email });
+      return res.status(200).json({ success: true, email: result.email, seats: result.seats });
+    }
+    if (action === 'remove') {
+      return res.status(200).json({ success: true, ...(await removeMember(licenseDoc, req.body.email)) });
+    }
+    if (action === 'seats') {
+      return res.status(200).json({ success: true, ...(await changeSeatCount(licenseDoc, Number(req.body.seats))) });
+    }
+
+    return res.status(400).json({ error: 'action must be invite, remove or seats' });
+  } catch (err) {
+    if (err instanceof OrgError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err instanceof PayPalUnavailableError) {
+      res.setHeader('Retry-After', '60');
+      return res.status(503).json({ error: 'PayPal is unavailable, please try again shortly' });
+    }
+    if (err instanceof PayPalError) {
+      log.error('❌ PayPal rejected the seat change', err);
+      return res.status(502).json({ error: 'PayPal did not accept the change' });
+    }
+    log.error('❌ Error managing team from portal', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
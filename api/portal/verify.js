@@ -0,0 +1,33 @@
+// File: api/portal/verify.js
+//
+//   GET ?token=… → the link from the sign-in email. Opens a portal session and
+// sends the customer on to /portal.html.
+
+import { redeemMagicLink, setSessionCookie } from '../../lib/portal';
+import { sendPage } from '../../lib/html';
+import { rateLimit } from '../../lib/rate-limit';
+import { createLogger, withRequestLog } from '../../lib/log';
+
+const log = createLogger({ module: 'portal/verify' });
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  if (!(await rateLimit(req, res, 'portal'))) return;
+
+  try {
+    const session = await redeemMagicLink(req.query.token);
+    if (!session) {
+      return sendPage(res, 400, 'Link Expired',
+        '<p>This sign-in link has expired or was already used.</p><p><a href="/portal.html">Request a new one</a></p>');
+    }
+    setSessionCookie(res, session.sessionId);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.redirect(302, '/portal.html');
+  } catch (err) {
+    log.error('❌ Error verifying portal link', { err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
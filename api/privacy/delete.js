@@ -0,0 +1,45 @@
+// File: api/privacy/delete.js
+//
+//   POST { confirmEmail } → erases the signed-in customer's personal data and
+// signs them out (see lib/privacy.js for what is deleted and what payment
+// records are kept). confirmEmail must repeat the signed-in address.
+// Responds { erased: true, counts }; 409 while a subscription would still bill
+// or a team the customer administers still has members.
+
+import { requirePortalSession, endSession } from '../../lib/portal';
+import { eraseCustomerData, PrivacyError } from '../../lib/privacy';
+import { PayPalUnavailableError } from '../../lib/paypal';
+import { rateLimit } from '../../lib/rate-limit';
+import { log, withRequestLog } from '../../lib/log';
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!(await rateLimit(req, res, 'privacy'))) return;
+
+  try {
+    const email = await requirePortalSession(req, res);
+    if (!email) return;
+
+    const { confirmEmail } = req.body || {};
+    if (typeof confirmEmail !== 'string' || confirmEmail.trim().toLowerCase() !== email) {
+      return res.status(400).json({ error: 'Type your email address to confirm' });
+    }
+
+    const counts = await eraseCustomerData(email);
+    await endSession(req, res);
+    log.info('🗑️ Privacy erasure', { email, counts });
+    return res.status(200).json({ erased: true, counts });
+  } catch (err) {
+    if (err instanceof PrivacyError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err instanceof PayPalUnavailableError) {
+      res.setHeader('Retry-After', '300');
+      return res.status(503).json({ error: 'Subscription status temporarily unavailable' });
+    }
+    log.error('❌ Error in privacy erasure', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
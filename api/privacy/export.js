@@ -0,0 +1,31 @@
+// File: api/privacy/export.js
+//
+//   GET → every record we hold about the signed-in customer, as a JSON
+// download (see lib/privacy.js). The portal session is what verifies the
+// email; sign in through /portal.html first.
+
+import { requirePortalSession } from '../../lib/portal';
+import { exportCustomerData } from '../../lib/privacy';
+import { rateLimit } from '../../lib/rate-limit';
+import { log, withRequestLog } from '../../lib/log';
+
+export default withRequestLog(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!(await rateLimit(req, res, 'privacy'))) return;
+
+  try {
+    const email = await requirePortalSession(req, res);
+    if (!email) return;
+
+    const data = await exportCustomerData(email);
+    log.info('📦 Privacy export', { email, licenses: data.licenses.length });
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Disposition', 'attachment; filename="cardlocker-data.json"');
+    return res.status(200).json(data);
+  } catch (err) {
+    log.error('❌ Error in privacy export', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
@@ -0,0 +1,490 @@
+// File: dev/mock-paypal.js
+//
+// A local stand-in for the PayPal REST API, so billing flows can be run end to
+// end without sandbox or live credentials. Point the app at it with
+//   PAYPAL_API_BASE=http://localhost:4010
+// and it answers the endpoints lib/paypal.js calls, keeping orders, captures,
+// subscriptions and refunds in memory. Whenever PayPal would send a webhook,
+// the mock signs one (dev/webhook-fixtures.js) and posts it to
+// MOCK_PAYPAL_WEBHOOK_URL; its verify-webhook-signature endpoint accepts
+// exactly those signatures.
+//
+// Control endpoints under /__mock drive the scenarios; see docs/local-testing.md.
+// Run directly it listens on MOCK_PAYPAL_PORT; required (as test/support/stack.mjs
+// does) it exports the server unstarted.
+//
+// Environment:
+//   MOCK_PAYPAL_PORT         default 4010
+//   MOCK_PAYPAL_WEBHOOK_URL  e.g. http://localhost:3000/api/paypal-webhook (unset: no deliveries)
+//   MOCK_PAYPAL_WEBHOOK_ID   must match the app's PAYPAL_WEBHOOK_ID (default MOCK-WEBHOOK-ID)
+
+const http = require('http');
+const {
+  createSigningKey,
+  mockId,
+  buildEvent,
+  captureResource,
+  saleResource,
+  refundResource,
+  signWebhook,
+  verifyFixtureSignature
+} = require('./webhook-fixtures');
+
+const PORT = Number(process.env.MOCK_PAYPAL_PORT) || 4010;
+const WEBHOOK_URL = process.env.MOCK_PAYPAL_WEBHOOK_URL || null;
+const WEBHOOK_ID = process.env.MOCK_PAYPAL_WEBHOOK_ID || 'MOCK-WEBHOOK-ID';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const signingKey = createSigningKey();
+
+// —————— 1) In-memory state ——————
+let state;
+function resetState() {
+  state = {
+    orders: new Map(),
+    captures: new Map(),
+    subscriptions: new Map(),
+    sales: new Map(),
+    refunds: new Map(),
+    deliveries: [],
+    // Forced failures: the next `remaining` API calls answer with `status`
+    outage: { status: 0, remaining: 0 },
+    // Webhooks PayPal "loses": the next `dropWebhooks` deliveries are not sent
+    dropWebhooks: 0
+  };
+}
+resetState();
+
+function nextBillingTime(from = new Date(), days = 30) {
+  return new Date(from.getTime() + days * DAY_MS).toISOString();
+}
+
+// —————— 2) Webhook delivery ——————
+async function deliver(eventType, resource) {
+  const event = buildEvent(eventType, resource);
+  const record = { eventId: event.id, eventType, status: null };
+  state.deliveries.push(record);
+  if (!WEBHOOK_URL) {
+    record.status = 'not_sent';
+    return record;
+  }
+  if (state.dropWebhooks > 0) {
+    state.dropWebhooks--;
+    record.status = 'dropped';
+    console.log(`🕳️ Dropped ${eventType}`);
+    return record;
+  }
+
+  const { headers, rawBody } = signWebhook(event, { privateKey: signingKey.privateKey, webhookId: WEBHOOK_ID });
+  try {
+    const response = await fetch(WEBHOOK_URL, { method: 'POST', headers, body: rawBody });
+    record.status = response.status;
+    record.response = await response.text();
+    console.log(`📬 Delivered ${eventType} → ${response.status}`);
+  } catch (err) {
+    record.status = 'error';
+    record.response = err.message;
+    console.error(`❌ Could not deliver ${eventType}:`, err.message);
+  }
+  return record;
+}
+
+// —————— 3) Domain helpers ——————
+function createOrder({ email = 'buyer@example.com', amount = '20.00', currency = 'USD', customId } = {}) {
+  const order = {
+    id: mockId('ORDER'),
+    status: 'CREATED',
+    intent: 'CAPTURE',
+    payer: { email_address: email, payer_id: mockId('PAYER') },
+    purchase_units: [{ amount: { value: amount, currency_code: currency }, custom_id: customId, payments: { captures: [] } }],
+    create_time: new Date().toISOString()
+  };
+  state.orders.set(order.id, order);
+  return order;
+}
+
+async function captureOrder(order) {
+  const unit = order.purchase_units[0];
+  const capture = captureResource({
+    orderId: order.id,
+    email: order.payer.email_address,
+    amount: unit.amount.value,
+    currency: unit.amount.currency_code,
+    customId: unit.custom_id
+  });
+  unit.payments.captures.push(capture);
+  order.status = 'COMPLETED';
+  state.captures.set(capture.id, { ...capture, orderId: order.id });
+  const webhook = await deliver('PAYMENT.CAPTURE.COMPLETED', capture);
+  return { capture, webhook };
+}
+
+// PayPal bills the plan price once per unit of quantity (seats on a team plan)
+function billedAmount(subscription) {
+  const cents = Math.round(Number(subscription.price.value) * 100) * (Number(subscription.quantity) || 1);
+  return `${Math.floor(cents / 100)}.${String(cents % 100).padStart(2, '0')}`;
+}
+
+async function chargeSubscription(subscription) {
+  const sale = saleResource({
+    subscriptionId: subscription.id,
+    amount: billedAmount(subscription),
+    currency: subscription.price.currency_code
+  });
+  state.sales.set(sale.id, sale);
+  subscription.billing_info.last_payment = {
+    amount: { value: sale.amount.total, currency_code: sale.amount.currency },
+    time: sale.create_time
+  };
+  subscription.billing_info.next_billing_time = nextBillingTime(
+    new Date(Math.max(Date.now(), Date.parse(subscription.billing_info.next_billing_time) || 0))
+  );
+  subscription.billing_info.failed_payments_count = 0;
+  delete subscription.billing_info.last_failed_payment;
+  const webhook = await deliver('PAYMENT.SALE.COMPLETED', sale);
+  return { sale, webhook };
+}
+
+// The default plan ID is the app's built-in monthly plan (lib/plans.js)
+function newSubscription({
+  email = 'subscriber@example.com',
+  planId = 'P-0UR33161F2240691LNA7RJ4A',
+  customId,
+  quantity = '1',
+  price = { value: '0.99', currency_code: 'USD' },
+  planOverridden = false,
+  status = 'ACTIVE'
+} = {}) {
+  const subscription = {
+    id: mockId('I'),
+    plan_id: planId,
+    plan_overridden: planOverridden,
+    status,
+    quantity: String(quantity),
+    custom_id: customId,
+    subscriber: { email_address: email, payer_id: mockId('PAYER') },
+    billing_info: { failed_payments_count: 0, next_billing_time: new Date().toISOString() },
+    create_time: new Date().toISOString(),
+    price
+  };
+  state.subscriptions.set(subscription.id, subscription);
+  return subscription;
+}
+
+// The buyer approved: PayPal activates the subscription and takes the first payment
+async function activateSubscription(subscription) {
+  subscription.status = 'ACTIVE';
+  const activated = await deliver('BILLING.SUBSCRIPTION.ACTIVATED', subscription);
+  const { sale, webhook } = await chargeSubscription(subscription);
+  return { subscription, sale, webhooks: [activated, webhook] };
+}
+
+async function createSubscription(options) {
+  return activateSubscription(newSubscription(options));
+}
+
+async function setSubscriptionStatus(subscription, status, eventType) {
+  subscription.status = status;
+  subscription.status_update_time = new Date().toISOString();
+  if (status === 'CANCELLED') {
+    // PayPal drops the next billing time once a subscription is cancelled
+    delete subscription.billing_info.next_billing_time;
+  }
+  return deliver(eventType, subscription);
+}
+
+async function failPayment(subscription) {
+  subscription.billing_info.failed_payments_count = (subscription.billing_info.failed_payments_count || 0) + 1;
+  subscription.billing_info.last_failed_payment = {
+    amount: { ...subscription.price },
+    time: new Date().toISOString(),
+    reason_code: 'PAYMENT_DENIED'
+  };
+  return deliver('BILLING.SUBSCRIPTION.PAYMENT.FAILED', subscription);
+}
+
+async function refund(kind, parent, amount) {
+  const refundAmount = amount || (kind === 'sale' ? parent.amount.total : parent.amount.value);
+  const resource = refundResource({
+    kind,
+    parentId: parent.id,
+    amount: refundAmount,
+    orderId: parent.orderId
+  });
+  state.refunds.set(resource.id, resource);
+  // Refunds that leave part of the payment mark it partially refunded
+  const refunded = [...state.refunds.values()]
+    .filter(r => r.links[0].href.endsWith(`/${parent.id}`))
+    .reduce((sum, r) => sum + Math.round(Number(r.amount.value || r.amount.total) * 100), 0);
+  const full = refunded >= Math.round(Number(kind === 'sale' ? parent.amount.total : parent.amount.value) * 100);
+  if (kind === 'capture') parent.status = full ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  if (kind === 'sale') parent.state = full ? 'refunded' : 'partially_refunded';
+  const webhook = await deliver(kind === 'sale' ? 'PAYMENT.SALE.REFUNDED' : 'PAYMENT.CAPTURE.REFUNDED', resource);
+  return { refund: resource, webhook };
+}
+
+// —————— 4) HTTP plumbing ——————
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function paypalError(res, status, name, message) {
+  send(res, status, { name, message, debug_id: mockId('DEBUG') });
+}
+
+function notFound(res) {
+  paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'The specified resource does not exist.');
+}
+
+// The raw webhook_event from a verify-webhook-signature payload. lib/paypal-webhook-verify
+// appends it verbatim as the last field, which is what makes the CRC match.
+function rawWebhookEvent(payloadText, payload) {
+  const marker = '"webhook_event":';
+  const at = payloadText.lastIndexOf(marker);
+  if (at >= 0 && payloadText.trimEnd().endsWith('}')) {
+    return payloadText.slice(at + marker.length, payloadText.trimEnd().length - 1);
+  }
+  return JSON.stringify(payload.webhook_event);
+}
+
+// —————— 5) PayPal REST routes ——————
+async function handlePayPal(req, res, path, text) {
+  // The token request is form-encoded; everything else is JSON
+  const body = text && (req.headers['content-type'] || '').includes('json') ? JSON.parse(text) : {};
+  let match;
+
+  if (req.method === 'POST' && path === '/v1/oauth2/token') {
+    return send(res, 200, { access_token: mockId('A21'), token_type: 'Bearer', expires_in: 32400 });
+  }
+  if (!/^Bearer /.test(req.headers.authorization || '')) {
+    return paypalError(res, 401, 'AUTHENTICATION_FAILURE', 'Missing access token');
+  }
+
+  if (req.method === 'POST' && path === '/v1/notifications/verify-webhook-signature') {
+    const ok = body.webhook_id === WEBHOOK_ID && verifyFixtureSignature({
+      transmissionId: body.transmission_id,
+      transmissionTime: body.transmission_time,
+      transmissionSig: body.transmission_sig,
+      webhookId: body.webhook_id,
+      rawBody: rawWebhookEvent(text, body),
+      publicKey: signingKey.publicKey
+    });
+    return send(res, 200, { verification_status: ok ? 'SUCCESS' : 'FAILURE' });
+  }
+
+  // Orders
+  if (req.method === 'POST' && path === '/v2/checkout/orders') {
+    const unit = (body.purchase_units || [])[0] || {};
+    return send(res, 201, createOrder({ amount: unit.amount?.value, currency: unit.amount?.currency_code, customId: unit.custom_id }));
+  }
+  if ((match = /^\/v2\/checkout\/orders\/([^/]+)(\/capture)?$/.exec(path))) {
+    const order = state.orders.get(decodeURIComponent(match[1]));
+    if (!order) return notFound(res);
+    if (req.method === 'GET' && !match[2]) return send(res, 200, order);
+    if (req.method === 'POST' && match[2]) {
+      if (order.status === 'COMPLETED') {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_CAPTURED');
+      }
+      await captureOrder(order);
+      return send(res, 201, order);
+    }
+  }
+
+  // Captures, sales and refunds
+  if ((match = /^\/v2\/payments\/captures\/([^/]+)(\/refund)?$/.exec(path))) {
+    const capture = state.captures.get(decodeURIComponent(match[1]));
+    if (!capture) return notFound(res);
+    if (req.method === 'GET' && !match[2]) return send(res, 200, capture);
+    if (req.method === 'POST' && match[2]) {
+      const result = await refund('capture', capture, body.amount?.value);
+      return send(res, 201, result.refund);
+    }
+  }
+  if ((match = /^\/v1\/payments\/sale\/([^/]+)(\/refund)?$/.exec(path))) {
+    const sale = state.sales.get(decodeURIComponent(match[1]));
+    if (!sale) return notFound(res);
+    if (req.method === 'GET' && !match[2]) return send(res, 200, sale);
+    if (req.method === 'POST' && match[2]) {
+      const result = await refund('sale', sale, body.amount?.total);
+      return send(res, 201, result.refund);
+    }
+  }
+  if (req.method === 'GET' && (match = /^\/v2\/payments\/refunds\/([^/]+)$/.exec(path))) {
+    const found = state.refunds.get(decodeURIComponent(match[1]));
+    return found ? send(res, 200, found) : notFound(res);
+  }
+
+  // Subscriptions
+  if (req.method === 'POST' && path === '/v1/billing/subscriptions') {
+    const fixedPrice = body.plan?.billing_cycles?.[0]?.pricing_scheme?.fixed_price;
+    const subscription = newSubscription({
+      email: body.subscriber?.email_address,
+      planId: body.plan_id,
+      customId: body.custom_id,
+      quantity: body.quantity || '1',
+      price: fixedPrice || undefined,
+      planOverridden: Boolean(body.plan),
+      status: 'APPROVAL_PENDING'
+    });
+    const approve = `http://${req.headers.host}/__mock/subscriptions/${subscription.id}/approve`;
+    return send(res, 201, { ...subscription, links: [{ rel: 'approve', href: approve, method: 'GET' }] });
+  }
+  if ((match = /^\/v1\/billing\/subscriptions\/([^/]+)(?:\/([a-z]+))?$/.exec(path))) {
+    const subscription = state.subscriptions.get(decodeURIComponent(match[1]));
+    if (!subscription) return notFound(res);
+    const action = match[2];
+
+    if (req.method === 'GET' && !action) return send(res, 200, subscription);
+    if (req.method === 'GET' && action === 'transactions') {
+      const transactions = [...state.sales.values()]
+        .filter(sale => sale.billing_agreement_id === subscription.id)
+        .map(sale => ({
+          id: sale.id,
+          status: 'COMPLETED',
+          amount_with_breakdown: { gross_amount: { value: sale.amount.total, currency_code: sale.amount.currency } },
+          time: sale.create_time
+        }));
+      return send(res, 200, { transactions });
+    }
+    if (req.method === 'POST' && action === 'cancel') {
+      if (subscription.status === 'CANCELLED') {
+        return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'SUBSCRIPTION_STATUS_INVALID');
+      }
+      await setSubscriptionStatus(subscription, 'CANCELLED', 'BILLING.SUBSCRIPTION.CANCELLED');
+      return send(res, 204);
+    }
+    if (req.method === 'POST' && action === 'suspend') {
+      await setSubscriptionStatus(subscription, 'SUSPENDED', 'BILLING.SUBSCRIPTION.SUSPENDED');
+      return send(res, 204);
+    }
+    if (req.method === 'POST' && action === 'activate') {
+      await setSubscriptionStatus(subscription, 'ACTIVE', 'BILLING.SUBSCRIPTION.RE-ACTIVATED');
+      return send(res, 204);
+    }
+    if (req.method === 'POST' && action === 'revise') {
+      if (body.plan_id) subscription.plan_id = body.plan_id;
+      if (body.quantity) subscription.quantity = String(body.quantity);
+      await deliver('BILLING.SUBSCRIPTION.UPDATED', subscription);
+      return send(res, 200, { plan_id: subscription.plan_id, quantity: subscription.quantity, links: [] });
+    }
+  }
+
+  return notFound(res);
+}
+
+// —————— 6) Control routes (/__mock) ——————
+async function handleControl(req, res, path, text) {
+  const body = text ? JSON.parse(text) : {};
+  let match;
+
+  if (req.method === 'POST' && path === '/__mock/reset') {
+    resetState();
+    return send(res, 200, { reset: true });
+  }
+  if (req.method === 'GET' && path === '/__mock/state') {
+    const dump = {};
+    for (const [name, value] of Object.entries(state)) {
+      dump[name] = value instanceof Map ? [...value.values()] : value;
+    }
+    return send(res, 200, dump);
+  }
+  // { status: 503, count: 3 } → the next 3 PayPal API calls fail with 503
+  if (req.method === 'POST' && path === '/__mock/outage') {
+    state.outage = { status: Number(body.status) || 503, remaining: Number(body.count) || 1 };
+    return send(res, 200, state.outage);
+  }
+
+  // { count: 2 } → the next 2 webhooks are lost, as if PayPal never delivered them
+  if (req.method === 'POST' && path === '/__mock/drop-webhooks') {
+    state.dropWebhooks = Number(body.count) || 1;
+    return send(res, 200, { dropWebhooks: state.dropWebhooks });
+  }
+
+  // Buyer paid a one-time order: { email, amount, currency }
+  if (req.method === 'POST' && path === '/__mock/purchase') {
+    const order = createOrder(body);
+    const { capture, webhook } = await captureOrder(order);
+    return send(res, 201, { orderId: order.id, captureId: capture.id, webhook });
+  }
+  // Buyer approved a subscription: { email, planId, customId, quantity }
+  if (req.method === 'POST' && path === '/__mock/subscribe') {
+    const { subscription, sale, webhooks } = await createSubscription(body);
+    return send(res, 201, { subscriptionId: subscription.id, saleId: sale.id, webhooks });
+  }
+  // A subscription made through the API (the app's checkout) is approved by the buyer
+  if (req.method === 'POST' && (match = /^\/__mock\/subscriptions\/([^/]+)\/approve$/.exec(path))) {
+    const subscription = state.subscriptions.get(decodeURIComponent(match[1]));
+    if (!subscription) return notFound(res);
+    if (subscription.status !== 'APPROVAL_PENDING') {
+      return send(res, 409, { error: `Subscription is ${subscription.status}` });
+    }
+    const { sale, webhooks } = await activateSubscription(subscription);
+    return send(res, 200, { subscriptionId: subscription.id, saleId: sale.id, webhooks });
+  }
+  if (req.method === 'POST' && (match = /^\/__mock\/subscriptions\/([^/]+)\/(renew|fail-payment|expire)$/.exec(path))) {
+    const subscription = state.subscriptions.get(decodeURIComponent(match[1]));
+    if (!subscription) return notFound(res);
+    if (match[2] === 'renew') {
+      const { sale, webhook } = await chargeSubscription(subscription);
+      return send(res, 200, { saleId: sale.id, nextBillingTime: subscription.billing_info.next_billing_time, webhook });
+    }
+    if (match[2] === 'fail-payment') {
+      return send(res, 200, { webhook: await failPayment(subscription) });
+    }
+    // Paid-through date moves into the past, as if time ran out after a cancel
+    subscription.billing_info.next_billing_time = nextBillingTime(new Date(), -1);
+    return send(res, 200, { webhook: await setSubscriptionStatus(subscription, 'EXPIRED', 'BILLING.SUBSCRIPTION.EXPIRED') });
+  }
+  // Any hand-built event: { event } is signed and delivered as-is
+  if (req.method === 'POST' && path === '/__mock/webhooks/send') {
+    if (!body.event || !body.event.event_type) {
+      return send(res, 400, { error: 'Missing event' });
+    }
+    const { headers, rawBody } = signWebhook(body.event, { privateKey: signingKey.privateKey, webhookId: WEBHOOK_ID });
+    if (!WEBHOOK_URL) {
+      return send(res, 200, { headers, rawBody });
+    }
+    const response = await fetch(WEBHOOK_URL, { method: 'POST', headers, body: rawBody });
+    return send(res, 200, { status: response.status, response: await response.text() });
+  }
+
+  return notFound(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  const path = new URL(req.url, `http://localhost:${PORT}`).pathname;
+  try {
+    const text = await readBody(req);
+    if (path.startsWith('/__mock/')) {
+      return await handleControl(req, res, path, text);
+    }
+    if (state.outage.remaining > 0) {
+      state.outage.remaining--;
+      console.log(`💥 Simulated outage: ${req.method} ${path} → ${state.outage.status}`);
+      return paypalError(res, state.outage.status, 'SERVICE_UNAVAILABLE', 'Simulated outage');
+    }
+    return await handlePayPal(req, res, path, text);
+  } catch (err) {
+    console.error('❌ Mock PayPal error:', err);
+    return paypalError(res, 500, 'INTERNAL_SERVER_ERROR', err.message);
+  }
+});
+
+module.exports = { server };
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`✅ Mock PayPal listening on http://localhost:${PORT}`);
+    console.log(WEBHOOK_URL ? `📬 Delivering webhooks to ${WEBHOOK_URL}` : '⚠️ MOCK_PAYPAL_WEBHOOK_URL not set; webhooks are not delivered');
+  });
+}
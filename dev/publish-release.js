@@ -0,0 +1,123 @@
+// File: dev/publish-release.js
+//
+// Publishes an app release to /api/appcast, in place of editing appcast XML by
+// hand. It measures and signs the archive the way Sparkle's sign_update does
+// (Ed25519 over the archive bytes), then asks /api/admin/releases to publish
+// it. The server downloads the archive from --url and checks the length and
+// signature again before anything reaches the feed.
+//
+//   node dev/publish-release.js CardLocker-1.2.zip --version 12 --short 1.2 \
+//     --url https://github.com/zeroxjf/CardLocker/releases/download/v1.2/CardLocker-1.2.zip \
+//     [--channel beta] [--min-os 13.0] [--notes notes.html | --notes-url https://…] \
+//     [--rollout 20] [--signature <base64 from sign_update>] [--dry-run] \
+//     [--blob-url https://….blob.vercel-storage.com/builds/CardLocker-1.2-….zip]
+//
+// --blob-url is the master copy licensed customers download through
+// /api/download; upload it first (e.g. `vercel blob put`).
+//
+// Environment:
+//   SPARKLE_PRIVATE_ED_KEY  base64 Ed25519 key as exported by Sparkle's
+//                           `generate_keys -x` (not needed with --signature)
+//   CARDLOCKER_URL          the site, default http://localhost:3000
+//   ADMIN_API_KEY           an admin key allowed to manage releases
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// DER header that turns a raw 32-byte Ed25519 seed into PKCS#8
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const FLAGS = {
+  '--version': 'version',
+  '--short': 'shortVersion',
+  '--url': 'url',
+  '--channel': 'channel',
+  '--min-os': 'minimumSystemVersion',
+  '--notes': 'notesFile',
+  '--notes-url': 'releaseNotesUrl',
+  '--rollout': 'rolloutPercent',
+  '--signature': 'edSignature',
+  '--blob-url': 'blobUrl'
+};
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (FLAGS[argv[i]]) {
+      options[FLAGS[argv[i]]] = argv[++i];
+    } else {
+      rest.push(argv[i]);
+    }
+  }
+  options.archive = rest[0];
+  return options;
+}
+
+// Older Sparkle keys are 64 bytes (seed + public key); the seed is the first half
+function signArchive(archive, keyBase64) {
+  const raw = Buffer.from(keyBase64 || '', 'base64');
+  if (raw.length !== 32 && raw.length !== 64) {
+    throw new Error('SPARKLE_PRIVATE_ED_KEY must be a base64 Ed25519 key (32 or 64 bytes)');
+  }
+  const key = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, raw.subarray(0, 32)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return crypto.sign(null, archive, key).toString('base64');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.archive || !options.version || !options.shortVersion || !options.url) {
+    console.error('Usage: node dev/publish-release.js <archive> --version <build> --short <version> --url <archive URL> [options]');
+    process.exit(1);
+  }
+
+  const archive = fs.readFileSync(options.archive);
+  const edSignature = options.edSignature || signArchive(archive, process.env.SPARKLE_PRIVATE_ED_KEY);
+  const release = {
+    action: 'publish',
+    version: options.version,
+    shortVersion: options.shortVersion,
+    channel: options.channel || 'stable',
+    url: options.url,
+    length: archive.length,
+    edSignature,
+    minimumSystemVersion: options.minimumSystemVersion || null,
+    releaseNotes: options.notesFile ? fs.readFileSync(options.notesFile, 'utf8') : null,
+    releaseNotesUrl: options.releaseNotesUrl || null,
+    rolloutPercent: options.rolloutPercent !== undefined ? Number(options.rolloutPercent) : 100,
+    blobUrl: options.blobUrl || null
+  };
+  console.log(`📦 ${options.archive}: ${archive.length} bytes, sha256 ${crypto.createHash('sha256').update(archive).digest('hex')}`);
+  console.log(`🔏 sparkle:edSignature="${edSignature}" length="${archive.length}"`);
+  if (options.dryRun) {
+    console.log('ℹ️ Dry run; nothing published');
+    return;
+  }
+
+  const base = (process.env.CARDLOCKER_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const response = await fetch(`${base}/api/admin/releases`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.ADMIN_API_KEY || ''}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(release)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    console.error(`❌ Publish refused (${response.status}):`, body.error || body);
+    process.exit(1);
+  }
+  console.log(`🚀 Published ${release.shortVersion} (${release.version}) to ${release.channel} at ${release.rolloutPercent}%`);
+}
+
+main().catch((err) => {
+  console.error('❌ Could not publish release:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+// File: dev/webhook-fixtures.js
+//
+// Builds PayPal webhook events and signs them the way PayPal does: RSA-SHA256
+// over "<transmission id>|<transmission time>|<webhook id>|<crc32 of body>".
+// The mock PayPal server (dev/mock-paypal.js) uses these to deliver events and
+// checks the same signature in its verify-webhook-signature endpoint.
+//
+// As a CLI it hands an event to a running mock, which signs and delivers it:
+//   node dev/webhook-fixtures.js <event type> <resource.json> [--mock http://localhost:4010]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const MOCK_CERT_URL = 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-MOCK-PAYPAL';
+
+// RSA key pair to sign fixtures with; the verifier needs the public half
+function createSigningKey() {
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+}
+
+function mockId(prefix) {
+  return `${prefix}-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+// Resource type PayPal reports for each event family
+function resourceTypeFor(eventType) {
+  if (eventType.startsWith('BILLING.SUBSCRIPTION.')) return 'subscription';
+  if (eventType.startsWith('PAYMENT.SALE.')) return eventType.endsWith('REFUNDED') ? 'refund' : 'sale';
+  if (eventType.startsWith('PAYMENT.CAPTURE.')) return eventType.endsWith('REFUNDED') ? 'refund' : 'capture';
+  if (eventType.startsWith('CUSTOMER.DISPUTE.')) return 'dispute';
+  return 'unknown';
+}
+
+function buildEvent(eventType, resource, { id = mockId('WH'), createTime = new Date() } = {}) {
+  return {
+    id,
+    event_version: '1.0',
+    create_time: createTime.toISOString(),
+    resource_type: resourceTypeFor(eventType),
+    event_type: eventType,
+    summary: `Mock ${eventType}`,
+    resource
+  };
+}
+
+// —————— Resources, shaped like the fields the webhook handlers read ——————
+function captureResource({ captureId = mockId('CAP'), orderId, email, amount = '20.00', currency = 'USD', customId }) {
+  return {
+    id: captureId,
+    status: 'COMPLETED',
+    amount: { value: amount, currency_code: currency },
+    custom_id: customId,
+    payer: email ? { email_address: email } : undefined,
+    supplementary_data: { related_ids: { order_id: orderId } },
+    create_time: new Date().toISOString()
+  };
+}
+
+function saleResource({ saleId = mockId('SALE'), subscriptionId, amount = '2.99', currency = 'USD' }) {
+  return {
+    id: saleId,
+    state: 'completed',
+    billing_agreement_id: subscriptionId,
+    amount: { total: amount, currency },
+    create_time: new Date().toISOString()
+  };
+}
+
+// kind is 'capture' (one-time purchase) or 'sale' (subscription payment)
+function refundResource({ refundId = mockId('REF'), kind, parentId, amount, currency = 'USD', orderId }) {
+  const amountField = kind === 'sale'
+    ? { total: amount, currency }
+    : { value: amount, currency_code: currency };
+  const parentPath = kind === 'sale' ? `/v1/payments/sale/${parentId}` : `/v2/payments/captures/${parentId}`;
+  return {
+    id: refundId,
+    status: 'COMPLETED',
+    amount: amountField,
+    links: [{ rel: 'up', href: `https://api.sandbox.paypal.com${parentPath}`, method: 'GET' }],
+    supplementary_data: orderId ? { related_ids: { order_id: orderId } } : undefined,
+    create_time: new Date().toISOString()
+  };
+}
+
+/**
+ * Signs an event (or a raw JSON string) for delivery. Returns
+ * { headers, rawBody }; post rawBody unchanged with those headers.
+ */
+function signWebhook(event, { privateKey, webhookId, transmissionId = crypto.randomUUID(), time = new Date() }) {
+  const rawBody = typeof event === 'string' ? event : JSON.stringify(event);
+  const transmissionTime = time.toISOString();
+  const crc = zlib.crc32(Buffer.from(rawBody, 'utf8')) >>> 0;
+  const signature = crypto
+    .createSign('RSA-SHA256')
+    .update(`${transmissionId}|${transmissionTime}|${webhookId}|${crc}`)
+    .sign(privateKey, 'base64');
+
+  return {
+    rawBody,
+    headers: {
+      'content-type': 'application/json',
+      'paypal-auth-algo': 'SHA256withRSA',
+      'paypal-cert-url': MOCK_CERT_URL,
+      'paypal-transmission-id': transmissionId,
+      'paypal-transmission-sig': signature,
+      'paypal-transmission-time': transmissionTime
+    }
+  };
+}
+
+// Checks a signature made by signWebhook; what the mock's verify endpoint runs
+function verifyFixtureSignature({ transmissionId, transmissionTime, transmissionSig, webhookId, rawBody, publicKey }) {
+  const crc = zlib.crc32(Buffer.from(rawBody, 'utf8')) >>> 0;
+  return crypto
+    .createVerify('RSA-SHA256')
+    .update(`${transmissionId}|${transmissionTime}|${webhookId}|${crc}`)
+    .verify(publicKey, transmissionSig || '', 'base64');
+}
+
+module.exports = {
+  MOCK_CERT_URL,
+  createSigningKey,
+  mockId,
+  buildEvent,
+  captureResource,
+  saleResource,
+  refundResource,
+  signWebhook,
+  verifyFixtureSignature
+};
+
+// —————— CLI ——————
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const mockFlag = args.indexOf('--mock');
+  const mockBase = mockFlag >= 0 ? args.splice(mockFlag, 2)[1] : 'http://localhost:4010';
+  const [eventType, resourceFile] = args;
+  if (!eventType || !resourceFile) {
+    console.error('Usage: node dev/webhook-fixtures.js <event type> <resource.json> [--mock <url>]');
+    process.exit(1);
+  }
+
+  const resource = JSON.parse(fs.readFileSync(resourceFile, 'utf8'));
+  fetch(`${mockBase}/__mock/webhooks/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ event: buildEvent(eventType, resource) })
+  })
+    .then(async (response) => {
+      console.log(response.status, await response.text());
+      process.exit(response.ok ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error('❌ Could not reach the mock PayPal server:', err.message);
+      process.exit(1);
+    });
+}
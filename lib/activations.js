@@ -0,0 +1,105 @@
+// File: lib/activations.js
+//
+// Device activations live in licenses/{key}/activations/{machineHash}. The raw
+// machine identifier never reaches Firestore; only its hash does.
+
+import { createHash } from 'crypto';
+import { admin, db } from './firebase';
+import { seatLimitFor } from './seats';
+
+export function hashMachineId(machineId) {
+  return createHash('sha256').update(`cardlocker-machine:${machineId}`).digest('hex');
+}
+
+function activationsRef(licenseRef) {
+  return licenseRef.collection('activations');
+}
+
+function toMillis(timestamp) {
+  return timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : null;
+}
+
+// Public view of an activation, safe to show on another device
+function describeActivation(doc) {
+  const data = doc.data();
+  return {
+    activationId: doc.id,
+    deviceName: data.deviceName || null,
+    appVersion: data.appVersion || null,
+    activatedAt: toMillis(data.activatedAt),
+    lastSeenAt: toMillis(data.lastSeenAt)
+  };
+}
+
+function seatSummary(license, count) {
+  const limit = seatLimitFor(license);
+  return { limit, used: count, remaining: Math.max(limit - count, 0) };
+}
+
+/**
+ * Activates (or refreshes) a Mac on a license inside a transaction, so two
+ * Macs racing for the last seat cannot both get it.
+ * Resolves to { activationId, seats }, or { error: 'seat_limit', seats, activations }
+ * listing the Macs currently holding seats.
+ */
+export async function activateDevice(licenseDoc, { machineId, appVersion, deviceName }) {
+  const licenseRef = licenseDoc.ref;
+  const activationRef = activationsRef(licenseRef).doc(hashMachineId(machineId));
+
+  return db.runTransaction(async (tx) => {
+    const license = (await tx.get(licenseRef)).data();
+    const existing = await tx.get(activationsRef(licenseRef));
+    const already = existing.docs.some(doc => doc.id === activationRef.id);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    if (!already && existing.size >= seatLimitFor(license)) {
+      return {
+        error: 'seat_limit',
+        seats: seatSummary(license, existing.size),
+        activations: existing.docs.map(describeActivation)
+      };
+    }
+
+    const update = { lastSeenAt: now };
+    if (appVersion) update.appVersion = String(appVersion).slice(0, 32);
+    if (deviceName) update.deviceName = String(deviceName).slice(0, 64);
+    if (already) {
+      tx.update(activationRef, update);
+    } else {
+      tx.set(activationRef, { ...update, activatedAt: now });
+    }
+
+    const used = already ? existing.size : existing.size + 1;
+    return { activationId: activationRef.id, seats: seatSummary(license, used) };
+  });
+}
+
+/**
+ * Frees a seat. Either the Mac's own machineId or, from another device, the
+ * activationId shown in the activations list identifies it.
+ * Resolves to { removed, seats }.
+ */
+export async function deactivateDevice(licenseDoc, { machineId, activationId }) {
+  const licenseRef = licenseDoc.ref;
+  const id = activationId || hashMachineId(machineId);
+  const activationRef = activationsRef(licenseRef).doc(id);
+
+  return db.runTransaction(async (tx) => {
+    const activation = await tx.get(activationRef);
+    const existing = await tx.get(activationsRef(licenseRef));
+    if (activation.exists) {
+      tx.delete(activationRef);
+    }
+    const used = existing.size - (activation.exists ? 1 : 0);
+    return { removed: activation.exists, seats: seatSummary(licenseDoc.data(), used) };
+  });
+}
+
+// Seats and activations for a license, for status screens
+export async function listActivations(licenseDoc) {
+  const existing = await activationsRef(licenseDoc.ref).get();
+  return {
+    seats: seatSummary(licenseDoc.data(), existing.size),
+    activations: existing.docs.map(describeActivation)
+  };
+}
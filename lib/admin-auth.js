@@ -0,0 +1,98 @@
+// File: lib/admin-auth.js
+//
+// Admin callers send `Authorization: Bearer <key>`. ADMIN_API_KEY is the
+// operator key with every permission. Support staff get their own keys and a
+// role through ADMIN_API_KEYS, so the audit log can say who did what:
+//   ADMIN_API_KEYS='[{"name":"alice","role":"support","key":"…"},{"name":"bob","role":"admin","key":"…"}]'
+
+import { timingSafeEqual } from 'crypto';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'admin-auth' });
+
+// What each role may do; admin may do everything
+const ROLE_PERMISSIONS = {
+  support: ['licenses:read', 'licenses:issue', 'licenses:reset_activations', 'licenses:resolve_email', 'licenses:export', 'coupons:read', 'releases:read'],
+  admin: ['*']
+};
+
+function loadStaffKeys() {
+  if (!process.env.ADMIN_API_KEYS) {
+    return [];
+  }
+  try {
+    return JSON.parse(process.env.ADMIN_API_KEYS)
+      .filter(entry => entry && entry.key && entry.name && ROLE_PERMISSIONS[entry.role]);
+  } catch (e) {
+    log.error('❌ ADMIN_API_KEYS is not valid JSON, ignoring it', { err: e });
+    return [];
+  }
+}
+
+const STAFF_KEYS = loadStaffKeys();
+
+// Compares the request's bearer token with `expected` in constant time
+function hasBearer(req, expected) {
+  const header = req.headers['authorization'] || '';
+  const match = /^Bearer (.+)$/.exec(header);
+  if (!match) {
+    return false;
+  }
+
+  const given = Buffer.from(match[1]);
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && timingSafeEqual(given, wanted);
+}
+
+// The caller as { name, role }, or null. Fails closed when no key is configured.
+export function getAdminActor(req) {
+  const operatorKey = process.env.ADMIN_API_KEY;
+  if (operatorKey && hasBearer(req, operatorKey)) {
+    return { name: 'operator', role: 'admin' };
+  }
+  const staff = STAFF_KEYS.find(entry => hasBearer(req, entry.key));
+  if (staff) {
+    return { name: staff.name, role: staff.role };
+  }
+  if (!operatorKey && STAFF_KEYS.length === 0) {
+    log.error('❌ ADMIN_API_KEY is not set; refusing admin request');
+  }
+  return null;
+}
+
+export function hasPermission(actor, permission) {
+  const granted = (actor && ROLE_PERMISSIONS[actor.role]) || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * For admin API routes: resolves to the actor, or answers 401 (no valid key)
+ * or 403 (role lacks the permission) and resolves to null.
+ */
+export function requireAdmin(req, res, permission) {
+  const actor = getAdminActor(req);
+  if (!actor) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+  if (!hasPermission(actor, permission)) {
+    res.status(403).json({ error: `The ${actor.role} role may not do this` });
+    return null;
+  }
+  return actor;
+}
+
+// Checks the request carries a key with the admin role
+export function isAdminRequest(req) {
+  return getAdminActor(req)?.role === 'admin';
+}
+
+// Scheduled jobs: Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`.
+// The admin key is accepted too, so a job can be run by hand.
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (secret && hasBearer(req, secret)) {
+    return true;
+  }
+  return isAdminRequest(req);
+}
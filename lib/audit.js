@@ -0,0 +1,117 @@
+// File: lib/audit.js
+//
+// Append-only log of every admin action. admin_audit/{seq} holds
+//   seq, at, actor { name, role }, action, licenseKey, details, prevHash, hash
+// where hash = sha256(prevHash + the entry's canonical JSON). Entries are only
+// ever created, never updated, and each one commits to the one before it, so
+// an edited or deleted entry breaks the chain and verifyAuditChain finds it.
+// admin_audit_meta/head { seq, hash } points at the newest entry.
+// Entries outlive erasure (see lib/privacy.js), so any email address in the
+// details is stored as 'sha256:' + sha256 of its lowercase form, the hash
+// privacy_requests uses; support can still match an entry to an address.
+
+import { createHash } from 'crypto';
+import { db } from './firebase';
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+function hashEmail(email) {
+  return `sha256:${createHash('sha256').update(email.trim().toLowerCase()).digest('hex')}`;
+}
+
+// details as plain JSON, with email addresses hashed wherever they appear
+function storedDetails(details) {
+  return JSON.parse(JSON.stringify(details, (key, value) =>
+    typeof value === 'string' ? value.replace(EMAIL, hashEmail) : value));
+}
+
+// JSON with object keys sorted, since Firestore does not keep map key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function entryHash(prevHash, entry) {
+  return createHash('sha256').update(prevHash + canonicalJson(entry)).digest('hex');
+}
+
+// Zero-padded so document IDs sort in order
+function entryId(seq) {
+  return String(seq).padStart(12, '0');
+}
+
+/**
+ * Appends an entry. details must be plain JSON (no Firestore sentinels);
+ * emails in it are hashed. Resolves to the entry's seq.
+ */
+export async function recordAudit(actor, action, { licenseKey = null, details = {} } = {}) {
+  const headRef = db.collection('admin_audit_meta').doc('head');
+
+  return db.runTransaction(async (tx) => {
+    const head = await tx.get(headRef);
+    const seq = head.exists ? head.data().seq + 1 : 1;
+    const prevHash = head.exists ? head.data().hash : GENESIS_HASH;
+
+    const entry = {
+      seq,
+      at: new Date().toISOString(),
+      actor: { name: actor?.name || 'unknown', role: actor?.role || null },
+      action,
+      licenseKey,
+      details: storedDetails(details)
+    };
+    const hash = entryHash(prevHash, entry);
+
+    tx.create(db.collection('admin_audit').doc(entryId(seq)), { ...entry, prevHash, hash });
+    tx.set(headRef, { seq, hash });
+    return seq;
+  });
+}
+
+// Newest entries first, optionally for one license
+export async function listAudit({ licenseKey = null, limit = 100 } = {}) {
+  let query = db.collection('admin_audit');
+  if (licenseKey) {
+    query = query.where('licenseKey', '==', licenseKey);
+  }
+  const snap = await query.get();
+  return snap.docs
+    .map(doc => doc.data())
+    .sort((a, b) => b.seq - a.seq)
+    .slice(0, limit);
+}
+
+/**
+ * Re-computes the chain from the first entry. Resolves to { ok, entries } or
+ * { ok: false, brokenAt, reason } for the first entry that does not match.
+ */
+export async function verifyAuditChain() {
+  const snap = await db.collection('admin_audit').orderBy('seq').get();
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+
+  for (const doc of snap.docs) {
+    const { prevHash: storedPrev, hash, ...entry } = doc.data();
+    if (entry.seq !== expectedSeq) {
+      return { ok: false, brokenAt: expectedSeq, reason: 'Entry missing' };
+    }
+    if (storedPrev !== prevHash || entryHash(prevHash, entry) !== hash) {
+      return { ok: false, brokenAt: entry.seq, reason: 'Entry was altered' };
+    }
+    prevHash = hash;
+    expectedSeq++;
+  }
+
+  const head = await db.collection('admin_audit_meta').doc('head').get();
+  if (head.exists && head.data().seq !== expectedSeq - 1) {
+    return { ok: false, brokenAt: expectedSeq, reason: 'Newest entries missing' };
+  }
+  return { ok: true, entries: expectedSeq - 1 };
+}
@@ -0,0 +1,337 @@
+// File: lib/billing-events.js
+//
+// Moves licenses through their lifecycle in response to PayPal webhooks:
+// subscription status changes, renewals, failed payments, refunds, reversals
+// and disputes. Each handler takes the verified webhook event and resolves to
+// a short description of what it did, which the webhook route logs and returns.
+// The customer is emailed about each change through lib/notifications.js.
+
+import { admin, db } from './firebase';
+import { findLicenseByPaypalId } from './licenses';
+import {
+  notifyCancelled,
+  notifyPaymentFailed,
+  notifyRefund,
+  notifyRenewal,
+  notifySuspended
+} from './notifications';
+import {
+  entitlementFromSubscription,
+  entitlementUpdate,
+  isFinalStatus,
+  resolveEntitlement,
+  toDate,
+  withExtension
+} from './entitlements';
+import { seatCountUpdate } from './organizations';
+import { captures, sales, subscriptions } from './paypal';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'billing-events' });
+
+// Subscription statuses PayPal may still bill
+const BILLABLE_STATUSES = ['APPROVAL_PENDING', 'APPROVED', 'ACTIVE', 'SUSPENDED'];
+
+// Finds the license a sale, capture or refund belongs to
+async function findLicenseByTransactionId(transactionId) {
+  if (!transactionId) return null;
+  const byCapture = await db.collection('licenses').where('captureId', '==', transactionId).limit(1).get();
+  if (!byCapture.empty) return byCapture.docs[0];
+  const bySale = await db.collection('licenses').where('saleIds', 'array-contains', transactionId).limit(1).get();
+  if (!bySale.empty) return bySale.docs[0];
+  return findLicenseByPaypalId(transactionId);
+}
+
+// Capture/sale ID a refund points back to, via its "up" link
+function parentTransactionId(refund) {
+  const up = (refund.links || []).find(link => link.rel === 'up');
+  const match = up && /\/(?:captures|sale)\/([^/]+)$/.exec(up.href);
+  return match ? match[1] : null;
+}
+
+// BILLING.SUBSCRIPTION.* — the resource is the subscription itself
+async function onSubscriptionChanged(event) {
+  const subscription = event.resource || {};
+  const licenseDoc = await findLicenseByPaypalId(subscription.id);
+  if (!licenseDoc) {
+    log.warn('⚠️ No license found for subscription', { subscriptionId: subscription.id });
+    return 'No license for subscription';
+  }
+  const license = licenseDoc.data();
+  if (isFinalStatus(license.status)) {
+    return `License is ${license.status}; ignored`;
+  }
+
+  const result = entitlementFromSubscription(subscription, toDate(license.paidThrough));
+  // Emails follow what PayPal says; access follows any support extension too
+  const update = entitlementUpdate(license, withExtension(license, result), {
+    paypalStatus: subscription.status,
+    source: event.event_type
+  });
+  // A team's seats are what PayPal bills for (see lib/organizations.js)
+  Object.assign(update, await seatCountUpdate(licenseDoc, subscription));
+  if (event.event_type === 'BILLING.SUBSCRIPTION.PAYMENT.FAILED') {
+    update.lastPaymentFailedAt = toDate(subscription.billing_info?.last_failed_payment?.time) || new Date();
+  }
+  await licenseDoc.ref.update(update);
+
+  if (update.lastPaymentFailedAt && result.state === 'past_due') {
+    await notifyPaymentFailed(licenseDoc, { failedAt: update.lastPaymentFailedAt, graceUntil: result.validUntil });
+  } else if (result.state === 'suspended' && license.entitlement?.state !== 'suspended') {
+    await notifySuspended(licenseDoc);
+  } else if (event.event_type === 'BILLING.SUBSCRIPTION.CANCELLED') {
+    // Deduplicated: a no-op when the customer cancelled through us and was emailed then
+    await notifyCancelled(licenseDoc, { mode: 'period_end', endsAt: result.validUntil });
+  }
+
+  log.info('📄 Subscription license changed state', { licenseId: licenseDoc.id, state: result.state });
+  return `License ${result.state}`;
+}
+
+// PAYMENT.SALE.COMPLETED — a subscription payment (first or renewal) went through
+async function onSaleCompleted(event) {
+  const sale = event.resource || {};
+  const subscriptionId = sale.billing_agreement_id;
+  if (!subscriptionId) {
+    return 'Sale is not for a subscription; ignored';
+  }
+  const licenseDoc = await findLicenseByPaypalId(subscriptionId);
+  if (!licenseDoc) {
+    log.warn('⚠️ No license found for renewed subscription', { subscriptionId });
+    return 'No license for subscription';
+  }
+  if (isFinalStatus(licenseDoc.data().status)) {
+    return `License is ${licenseDoc.data().status}; ignored`;
+  }
+
+  await licenseDoc.ref.update({
+    saleIds: admin.firestore.FieldValue.arrayUnion(sale.id),
+    lastPaymentAt: toDate(sale.create_time) || new Date(),
+    lastPayment: {
+      saleId: sale.id,
+      amount: sale.amount?.total || null,
+      currency: sale.amount?.currency || null
+    },
+    lastPaymentFailedAt: admin.firestore.FieldValue.delete()
+  });
+
+  // The sale does not say how far it pays; ask PayPal for the new next billing time
+  let validUntil = null;
+  try {
+    const refreshed = await licenseDoc.ref.get();
+    ({ validUntil } = await resolveEntitlement(refreshed));
+  } catch (err) {
+    log.warn('⚠️ Renewal recorded, but entitlement refresh failed', { licenseId: licenseDoc.id, err });
+  }
+  await notifyRenewal(licenseDoc, sale, validUntil);
+
+  log.info('💰 Renewal recorded', { licenseId: licenseDoc.id, saleId: sale.id });
+  return 'Renewal recorded';
+}
+
+/**
+ * Whether PayPal has refunded all of a capture or sale (kind 'capture' or
+ * 'sale'). After a partial refund PayPal reports the payment as partially
+ * refunded; the refund that returns the rest makes it refunded. A payment
+ * PayPal cannot find counts as fully refunded. PayPal errors propagate.
+ */
+export async function isFullyRefunded(kind, transactionId) {
+  const payment = kind === 'sale' ? await sales.get(transactionId) : await captures.get(transactionId);
+  if (!payment) return true;
+  return String(payment.status || payment.state).toUpperCase() === 'REFUNDED';
+}
+
+/**
+ * Cancels the PayPal subscription behind a license that a refund has ended,
+ * so PayPal stops billing for a license that no longer works. Failures are
+ * logged, not thrown: the refund stands either way, and reconciliation
+ * reports a refunded license whose subscription PayPal still bills.
+ */
+async function stopBilling(licenseDoc, reason) {
+  const license = licenseDoc.data();
+  if (license.purchaseType !== 'subscription') return;
+  const subscriptionId = license.subscriptionId || license.paypalID;
+  try {
+    const subscription = await subscriptions.get(subscriptionId);
+    if (!subscription || !BILLABLE_STATUSES.includes(subscription.status)) return;
+    await subscriptions.cancel(subscriptionId, reason.slice(0, 128));
+    log.info('🛑 Subscription cancelled after refund', { licenseId: licenseDoc.id, subscriptionId });
+  } catch (err) {
+    log.error('❌ Could not cancel the subscription of a refunded license', { licenseId: licenseDoc.id, subscriptionId, err });
+  }
+}
+
+/**
+ * Marks a license refunded and tells the customer. Used for refund webhooks
+ * and for refunds support issues from the admin API; both name the same
+ * refund ID, so the customer is emailed once.
+ * refund: { type, transactionId, refundId, amount, currency, reason, partial }
+ * A partial refund is only recorded under partialRefunds.<refund ID>; the
+ * license keeps working. Any other refund ends the license, so a subscription
+ * is cancelled too, whichever of its payments was refunded.
+ */
+export async function recordRefund(licenseDoc, refund, source) {
+  if (refund.partial) {
+    await licenseDoc.ref.update({
+      [`partialRefunds.${refund.refundId || refund.transactionId}`]: {
+        transactionId: refund.transactionId || null,
+        refundId: refund.refundId || null,
+        amount: refund.amount || null,
+        currency: refund.currency || null,
+        reason: refund.reason,
+        source,
+        at: admin.firestore.FieldValue.serverTimestamp()
+      }
+    });
+    await notifyRefund(licenseDoc, {
+      type: refund.type,
+      transactionId: refund.refundId || refund.transactionId,
+      amount: refund.amount,
+      currency: refund.currency || null,
+      partial: true
+    });
+    return;
+  }
+
+  await licenseDoc.ref.update({
+    status: 'refunded',
+    entitlement: {
+      state: 'refunded',
+      validUntil: null,
+      source,
+      checkedAt: admin.firestore.FieldValue.serverTimestamp()
+    },
+    refund: {
+      type: refund.type,
+      transactionId: refund.transactionId || null,
+      refundId: refund.refundId || null,
+      amount: refund.amount || null,
+      reason: refund.reason,
+      at: admin.firestore.FieldValue.serverTimestamp()
+    }
+  });
+  await stopBilling(licenseDoc, `Refunded: ${refund.reason || refund.type}`);
+  await notifyRefund(licenseDoc, {
+    type: refund.type,
+    transactionId: refund.refundId || refund.transactionId,
+    amount: refund.amount,
+    currency: refund.currency || null
+  });
+}
+
+// PAYMENT.CAPTURE.REFUNDED / PAYMENT.SALE.REFUNDED — resource is the refund
+// PAYMENT.CAPTURE.REVERSED / PAYMENT.SALE.REVERSED — resource is the reversed capture/sale
+async function onRefundOrReversal(event) {
+  const resource = event.resource || {};
+  const reversed = event.event_type.endsWith('.REVERSED');
+  const transactionId = reversed ? resource.id : parentTransactionId(resource);
+
+  let licenseDoc = await findLicenseByTransactionId(transactionId);
+  const orderId = resource.supplementary_data?.related_ids?.order_id;
+  if (!licenseDoc && orderId) {
+    licenseDoc = await findLicenseByPaypalId(orderId);
+  }
+  if (!licenseDoc) {
+    log.warn('⚠️ No license found for refunded transaction', { transactionId });
+    return 'No license for transaction';
+  }
+
+  const reason = reversed
+    ? `reversal${resource.status_details?.reason ? `: ${resource.status_details.reason}` : ''}`
+    : resource.note_to_payer || resource.reason || 'refund';
+
+  // A reversal takes back the whole payment; a refund may return only part of it
+  const kind = event.event_type.startsWith('PAYMENT.SALE.') ? 'sale' : 'capture';
+  const partial = !reversed && !(await isFullyRefunded(kind, transactionId));
+
+  await recordRefund(licenseDoc, {
+    type: reversed ? 'reversal' : 'refund',
+    transactionId,
+    refundId: reversed ? null : resource.id,
+    amount: resource.amount?.value || resource.amount?.total,
+    currency: resource.amount?.currency_code || resource.amount?.currency,
+    reason,
+    partial
+  }, event.event_type);
+
+  if (partial) {
+    log.info('↩️ Partial refund recorded', { licenseId: licenseDoc.id, transactionId });
+    return 'Partial refund recorded';
+  }
+  log.info('↩️ License refunded', { licenseId: licenseDoc.id, transactionId });
+  return 'License refunded';
+}
+
+// CUSTOMER.DISPUTE.CREATED / UPDATED / RESOLVED
+// An open dispute is only recorded; the money moves through a REVERSED event.
+// A dispute resolved in the buyer's favour refunds the license and, for a
+// subscription, cancels it.
+async function onDispute(event) {
+  const dispute = event.resource || {};
+  const transaction = (dispute.disputed_transactions || [])[0] || {};
+  const licenseDoc = await findLicenseByTransactionId(transaction.seller_transaction_id);
+  if (!licenseDoc) {
+    log.warn('⚠️ No license found for disputed transaction', { transactionId: transaction.seller_transaction_id });
+    return 'No license for transaction';
+  }
+
+  const outcome = dispute.dispute_outcome?.outcome_code || null;
+  const update = {
+    dispute: {
+      id: dispute.dispute_id || null,
+      reason: dispute.reason || null,
+      status: dispute.status || null,
+      channel: dispute.dispute_channel || null,
+      outcome,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  };
+
+  if (event.event_type === 'CUSTOMER.DISPUTE.RESOLVED' && outcome === 'RESOLVED_BUYER_FAVOUR') {
+    update.status = 'refunded';
+    update.entitlement = {
+      state: 'refunded',
+      validUntil: null,
+      source: event.event_type,
+      checkedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    update.refund = {
+      type: 'dispute',
+      transactionId: transaction.seller_transaction_id,
+      refundId: null,
+      amount: dispute.dispute_amount?.value || null,
+      reason: `dispute: ${dispute.reason || 'unknown'}`,
+      at: admin.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  await licenseDoc.ref.update(update);
+  if (update.refund) {
+    await stopBilling(licenseDoc, update.refund.reason);
+    await notifyRefund(licenseDoc, {
+      type: 'dispute',
+      transactionId: dispute.dispute_id || transaction.seller_transaction_id,
+      amount: update.refund.amount,
+      currency: dispute.dispute_amount?.currency_code || null
+    });
+  }
+  log.info('⚖️ Dispute recorded', { licenseId: licenseDoc.id, disputeId: dispute.dispute_id || null, status: dispute.status || null });
+  return update.status === 'refunded' ? 'License refunded after dispute' : 'Dispute recorded';
+}
+
+export const BILLING_EVENT_HANDLERS = {
+  'BILLING.SUBSCRIPTION.CANCELLED': onSubscriptionChanged,
+  'BILLING.SUBSCRIPTION.SUSPENDED': onSubscriptionChanged,
+  'BILLING.SUBSCRIPTION.EXPIRED': onSubscriptionChanged,
+  'BILLING.SUBSCRIPTION.RE-ACTIVATED': onSubscriptionChanged,
+  'BILLING.SUBSCRIPTION.UPDATED': onSubscriptionChanged,
+  'BILLING.SUBSCRIPTION.PAYMENT.FAILED': onSubscriptionChanged,
+  'PAYMENT.SALE.COMPLETED': onSaleCompleted,
+  'PAYMENT.SALE.REFUNDED': onRefundOrReversal,
+  'PAYMENT.SALE.REVERSED': onRefundOrReversal,
+  'PAYMENT.CAPTURE.REFUNDED': onRefundOrReversal,
+  'PAYMENT.CAPTURE.REVERSED': onRefundOrReversal,
+  'CUSTOMER.DISPUTE.CREATED': onDispute,
+  'CUSTOMER.DISPUTE.UPDATED': onDispute,
+  'CUSTOMER.DISPUTE.RESOLVED': onDispute
+};
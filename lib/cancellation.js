@@ -0,0 +1,240 @@
+// File: lib/cancellation.js
+//
+// Self-service cancellation. A customer proves they own a subscription license
+// with the link we email to the license's address (a signed, short-lived
+// token) or the one-time code in the same email, which is exchanged for a
+// token. cancel_requests/{licenseKey} holds the current request:
+//   nonce      only tokens carrying the newest nonce are accepted
+//   codeHash   sha256 of the one-time code
+//   attempts   wrong codes so far; the request dies after MAX_CODE_ATTEMPTS
+//   expiresAt, usedAt
+// Every cancellation is also written to cancellations/ with the customer's
+// reason, for churn analysis.
+
+import { createHash, createHmac, randomBytes, randomInt, timingSafeEqual } from 'crypto';
+import { admin, db } from './firebase';
+import { subscriptions } from './paypal';
+import { entitlementFromSubscription, entitlementUpdate, isFinalStatus, toDate } from './entitlements';
+import { base64url, fromBase64url } from './verify-license-token';
+import { notifyCancelled } from './notifications';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'cancellation' });
+
+export const CANCEL_TOKEN_TTL_MINUTES = Number(process.env.CANCEL_TOKEN_TTL_MINUTES) || 30;
+const MAX_CODE_ATTEMPTS = 5;
+// A new email is not sent while the previous one is this fresh
+const RESEND_AFTER_MS = 60 * 1000;
+export const MAX_REASON_LENGTH = 500;
+
+export const CANCEL_MODES = ['immediate', 'period_end'];
+
+function requestRef(licenseKey) {
+  return db.collection('cancel_requests').doc(licenseKey);
+}
+
+function tokenSecret() {
+  const secret = process.env.CANCEL_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('CANCEL_TOKEN_SECRET is not set');
+  }
+  return secret;
+}
+
+function hashCode(licenseKey, code) {
+  return createHash('sha256').update(`${licenseKey}:${code}`).digest('hex');
+}
+
+function signCancelToken(payload) {
+  const body = base64url(Buffer.from(JSON.stringify(payload)));
+  const sig = base64url(createHmac('sha256', tokenSecret()).update(body).digest());
+  return `${body}.${sig}`;
+}
+
+// Checks signature and expiry only; returns { lid, nonce } or null
+function decodeCancelToken(token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  const expected = createHmac('sha256', tokenSecret()).update(body).digest();
+  const given = fromBase64url(sig);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  try {
+    const payload = JSON.parse(fromBase64url(body).toString('utf8'));
+    if (typeof payload.lid !== 'string' || typeof payload.nonce !== 'string') return null;
+    return payload.exp * 1000 > now ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isCurrentRequest(request, payload, now = Date.now()) {
+  return Boolean(
+    request &&
+    request.nonce === payload.nonce &&
+    !request.usedAt &&
+    toDate(request.expiresAt) > new Date(now)
+  );
+}
+
+/**
+ * Starts a cancellation request for a license. Resolves to { token, code,
+ * expiresAt }, or null if one was sent less than a minute ago.
+ */
+export async function createCancelRequest(licenseKey, now = new Date()) {
+  const ref = requestRef(licenseKey);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const previous = snap.exists ? snap.data() : null;
+    const createdAt = previous && toDate(previous.createdAt);
+    if (previous && !previous.usedAt && createdAt && now - createdAt < RESEND_AFTER_MS) {
+      return null;
+    }
+
+    const nonce = randomBytes(16).toString('hex');
+    const code = String(randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(now.getTime() + CANCEL_TOKEN_TTL_MINUTES * 60 * 1000);
+    tx.set(ref, {
+      nonce,
+      codeHash: hashCode(licenseKey, code),
+      attempts: 0,
+      createdAt: now,
+      expiresAt,
+      usedAt: null
+    });
+
+    const token = signCancelToken({ lid: licenseKey, nonce, exp: Math.floor(expiresAt.getTime() / 1000) });
+    return { token, code, expiresAt };
+  });
+}
+
+// Resolves to the license key a token is good for, or null. Does not use it up.
+export async function checkCancelToken(token) {
+  const payload = decodeCancelToken(token);
+  if (!payload) return null;
+  const snap = await requestRef(payload.lid).get();
+  return isCurrentRequest(snap.exists && snap.data(), payload) ? payload.lid : null;
+}
+
+/**
+ * Exchanges a one-time code for a cancel token. Resolves to the token, or null
+ * for a wrong, expired or used-up code.
+ */
+export async function redeemCancelCode(licenseKey, code) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) return null;
+  const ref = requestRef(licenseKey);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const request = snap.data();
+    if (request.usedAt || request.attempts >= MAX_CODE_ATTEMPTS || !(toDate(request.expiresAt) > new Date())) {
+      return null;
+    }
+
+    const given = Buffer.from(hashCode(licenseKey, code.trim()));
+    if (!timingSafeEqual(given, Buffer.from(request.codeHash))) {
+      tx.update(ref, { attempts: admin.firestore.FieldValue.increment(1) });
+      return null;
+    }
+    const exp = Math.floor(toDate(request.expiresAt).getTime() / 1000);
+    return signCancelToken({ lid: licenseKey, nonce: request.nonce, exp });
+  });
+}
+
+// Marks a token used. Resolves to its license key, or null if it was not
+// (or no longer) valid. releaseCancelToken undoes this when PayPal fails.
+export async function consumeCancelToken(token) {
+  const payload = decodeCancelToken(token);
+  if (!payload) return null;
+  const ref = requestRef(payload.lid);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!isCurrentRequest(snap.exists && snap.data(), payload)) return null;
+    tx.update(ref, { usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return payload.lid;
+  });
+}
+
+export async function releaseCancelToken(licenseKey) {
+  await requestRef(licenseKey).update({ usedAt: null });
+}
+
+// Whether a license has a live subscription of its own that can still be
+// cancelled. A suspended one can: the customer may want billing stopped rather
+// than retried.
+export function isCancellable(license) {
+  return (
+    license.purchaseType === 'subscription' &&
+    // A team seat has no subscription of its own; the team admin cancels
+    !license.orgLicenseId &&
+    license.status !== 'merged' &&
+    !isFinalStatus(license.status) &&
+    !license.cancellation &&
+    !['cancelled', 'expired'].includes(license.entitlement?.state)
+  );
+}
+
+export function cleanReason(reason) {
+  if (typeof reason !== 'string') return null;
+  const cleaned = reason.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, MAX_REASON_LENGTH);
+  return cleaned || null;
+}
+
+/**
+ * Cancels the PayPal subscription behind a license and records why.
+ *   immediate   access ends now
+ *   period_end  access runs to the end of the period already paid for
+ * Resolves to { endsAt: Date }. PayPal errors propagate (PayPalError).
+ */
+export async function cancelSubscription(licenseDoc, { mode, reason = null, via }, now = new Date()) {
+  const license = licenseDoc.data();
+  const subscriptionId = license.subscriptionId || license.paypalID;
+
+  // Read the paid-through date before cancelling; PayPal drops it afterwards
+  const subscription = await subscriptions.get(subscriptionId);
+  const nextBilling = toDate(subscription?.billing_info?.next_billing_time);
+  const known = toDate(license.paidThrough);
+  const paidThrough = nextBilling && (!known || nextBilling > known) ? nextBilling : known;
+
+  await subscriptions.cancel(
+    subscriptionId,
+    (reason ? `Customer: ${reason}` : 'Customer requested cancellation').slice(0, 128)
+  );
+
+  const result = entitlementFromSubscription(
+    { status: 'CANCELLED', billing_info: {} },
+    mode === 'immediate' ? now : paidThrough,
+    now
+  );
+  const endsAt = result.validUntil || now;
+  const cancellation = {
+    mode,
+    reason,
+    via,
+    endsAt,
+    requestedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  const batch = db.batch();
+  batch.update(licenseDoc.ref, {
+    ...entitlementUpdate(license, result, { paypalStatus: 'CANCELLED', source: 'self_service_cancel' }),
+    paidThrough: result.paidThrough || now,
+    cancellation
+  });
+  batch.set(db.collection('cancellations').doc(), {
+    licenseKey: licenseDoc.id,
+    subscriptionId,
+    planId: subscription?.plan_id || null,
+    startedAt: toDate(subscription?.create_time) || toDate(license.timestamp),
+    ...cancellation
+  });
+  await batch.commit();
+  await notifyCancelled(licenseDoc, { mode, endsAt });
+
+  log.info('🛑 Subscription cancelled', { licenseId: licenseDoc.id, mode });
+  return { endsAt };
+}
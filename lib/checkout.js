@@ -0,0 +1,318 @@
+// File: lib/checkout.js
+//
+// PayPal orders and subscriptions are created here, never in the browser, so
+// what PayPal charges comes from the plan catalogue (lib/plans.js) and any
+// coupon (lib/coupons.js). A checkout starts with a session recording the
+// email the customer typed and the plan, before PayPal opens:
+//   checkout_sessions/{sessionId}
+//     { planId, couponCode, email, emailLower, seats, paypalIds, createdAt, expiresAt }
+// The session ID goes to PayPal as custom_id and comes back on the capture
+// and subscription webhooks, which is how they learn the typed email. Each
+// checkout is recorded under the PayPal ID the customer will pay, and a
+// subscription also gets subscription_mappings/{subscriptionId} { email, emailLower, … }
+// for the email resolver and reconciliation:
+//   checkouts/{orderId | subscriptionId}
+//     { planId, purchaseType, paypalPlanId, price, listPrice, couponCode,
+//       sessionId, seats, licenseFields, status: 'created' | 'paid', licenseId, createdAt }
+// A per-seat (team) plan is a subscription whose quantity is the seat count;
+// price is per seat.
+// When the payment comes in, checkPayment holds it to that record. A payment
+// with no record (made by an older checkout page) is held to the full price
+// of its plan.
+
+import { randomBytes } from 'crypto';
+import { admin, db } from './firebase';
+import { orders, subscriptions } from './paypal';
+import { isValidEmail, normalizeEmail } from './licenses';
+import { toDate } from './entitlements';
+import { getPlan, planForPayPalPlan, defaultPlanFor, amountMatches, planLicenseFields, seatRange } from './plans';
+import { applyCoupon, recordRedemption } from './coupons';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'checkout' });
+
+// A checkout that cannot be created; status is the HTTP status for the caller
+export class CheckoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+  }
+}
+
+const SESSION_TTL_MINUTES = 60;
+
+const APPLICATION_CONTEXT = {
+  brand_name: 'CardLocker',
+  landing_page: 'BILLING',
+  payment_method: { payee_preferred: 'UNRESTRICTED' },
+  shipping_preference: 'NO_SHIPPING'
+};
+
+function checkoutRef(paypalId) {
+  return db.collection('checkouts').doc(paypalId);
+}
+
+function sessionRef(sessionId) {
+  return db.collection('checkout_sessions').doc(sessionId);
+}
+
+// —————— 1) Sessions ——————
+
+// The seat count a checkout buys: null unless the plan is sold per seat
+function seatsFor(plan, seats) {
+  if (!plan.perSeat) return null;
+  const { minSeats, maxSeats } = seatRange(plan);
+  const count = Number(seats);
+  if (!Number.isInteger(count) || count < minSeats || count > maxSeats) {
+    throw new CheckoutError(`Choose from ${minSeats} to ${maxSeats} seats`);
+  }
+  return count;
+}
+
+/**
+ * Records who is buying what before PayPal opens. The plan, seat count and
+ * coupon are checked now, so the page can say what is wrong before the
+ * customer pays. Resolves to { sessionId, expiresAt }. Throws CheckoutError
+ * or CouponError.
+ */
+export async function createCheckoutSession({ planId, couponCode = null, email, seats = null }) {
+  if (!isValidEmail(email)) {
+    throw new CheckoutError('Invalid email address');
+  }
+  const plan = await getPlan(planId);
+  if (!plan || !plan.active) {
+    throw new CheckoutError('Unknown plan', 404);
+  }
+  const seatCount = seatsFor(plan, seats);
+  const applied = couponCode ? await applyCoupon(couponCode, plan) : null;
+
+  const sessionId = `cs_${randomBytes(16).toString('hex')}`;
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MINUTES * 60 * 1000);
+  await sessionRef(sessionId).set({
+    planId: plan.id,
+    couponCode: applied ? applied.code : null,
+    email,
+    emailLower: normalizeEmail(email),
+    seats: seatCount,
+    paypalIds: [],
+    createdAt: now,
+    expiresAt
+  });
+  return { sessionId, expiresAt };
+}
+
+// Resolves to the open session's data; throws CheckoutError when it is unknown or expired
+async function openSession(sessionId) {
+  const snap = typeof sessionId === 'string' && /^cs_[0-9a-f]{32}$/.test(sessionId)
+    ? await sessionRef(sessionId).get()
+    : null;
+  if (!snap || !snap.exists) {
+    throw new CheckoutError('Unknown checkout session', 404);
+  }
+  if (toDate(snap.data().expiresAt) <= new Date()) {
+    throw new CheckoutError('Checkout session expired; please start again', 410);
+  }
+  return snap.data();
+}
+
+/**
+ * The email the customer typed for a payment, from the session named by the
+ * webhook's custom_id or, for subscriptions, the stored mapping. A session
+ * only vouches for PayPal IDs created from it. Resolves to an email or null.
+ */
+export async function checkoutEmailFor(paypalId, customId) {
+  try {
+    if (typeof customId === 'string' && /^cs_[0-9a-f]{32}$/.test(customId)) {
+      const session = await sessionRef(customId).get();
+      if (session.exists && (session.data().paypalIds || []).includes(paypalId)) {
+        log.info('🔍 Found the checkout email through custom_id', { paypalId });
+        return session.data().email;
+      }
+    }
+    const mapping = await db.collection('subscription_mappings').doc(paypalId).get();
+    if (mapping.exists && isValidEmail(mapping.data().email)) {
+      log.info('🔍 Found the checkout email in the subscription mapping', { paypalId });
+      return mapping.data().email;
+    }
+  } catch (err) {
+    log.error('❌ Error looking up the checkout email', { paypalId, err });
+  }
+  return null;
+}
+
+// —————— 2) Creating checkouts ——————
+
+async function createOrder(plan, price, { sessionId }) {
+  const order = await orders.create({
+    intent: 'CAPTURE',
+    purchase_units: [{
+      description: plan.description || plan.name,
+      custom_id: sessionId,
+      amount: { currency_code: price.currency, value: price.value }
+    }],
+    application_context: { ...APPLICATION_CONTEXT, user_action: 'PAY_NOW' }
+  });
+  return { paypalId: order.id, links: order.links };
+}
+
+async function createSubscription(plan, price, { email, sessionId, discounted, seats }) {
+  const subscription = await subscriptions.create({
+    plan_id: plan.paypalPlanId,
+    custom_id: sessionId,
+    // PayPal bills the plan's price times the quantity
+    ...(seats ? { quantity: String(seats) } : {}),
+    ...(email ? { subscriber: { email_address: email } } : {}),
+    // A coupon overrides the price of the plan's regular cycle, which is
+    // sequence 1 unless the PayPal plan starts with a trial
+    ...(discounted ? {
+      plan: {
+        billing_cycles: [{
+          sequence: plan.paypalBillingCycle || 1,
+          pricing_scheme: { fixed_price: { value: price.value, currency_code: price.currency } }
+        }]
+      }
+    } : {}),
+    application_context: { ...APPLICATION_CONTEXT, user_action: 'SUBSCRIBE_NOW' }
+  });
+  return { paypalId: subscription.id, links: subscription.links };
+}
+
+/**
+ * Creates the PayPal order (one-time plans) or subscription for a checkout
+ * session, at its plan's price less any coupon. A session may create more
+ * than one (the customer closed PayPal and tried again) until it expires.
+ * Resolves to { purchaseType, paypalId, price, listPrice, couponCode, seats, approveUrl };
+ * for a per-seat plan the prices are per seat.
+ * Throws CheckoutError or CouponError when the plan or coupon cannot be sold.
+ */
+export async function createCheckout(sessionId) {
+  const session = await openSession(sessionId);
+  const plan = await getPlan(session.planId);
+  if (!plan || !plan.active) {
+    throw new CheckoutError('Unknown plan', 404);
+  }
+
+  const applied = session.couponCode ? await applyCoupon(session.couponCode, plan) : null;
+  const price = applied
+    ? { value: applied.price.value, currency: applied.price.currency }
+    : { ...plan.price };
+
+  const seats = plan.perSeat ? seatsFor(plan, session.seats) : null;
+  const { paypalId, links } = plan.purchaseType === 'subscription'
+    ? await createSubscription(plan, price, { email: session.email, sessionId, discounted: Boolean(applied), seats })
+    : await createOrder(plan, price, { sessionId });
+
+  const batch = db.batch();
+  batch.set(checkoutRef(paypalId), {
+    planId: plan.id,
+    purchaseType: plan.purchaseType,
+    paypalPlanId: plan.paypalPlanId || null,
+    price,
+    listPrice: plan.price,
+    couponCode: applied ? applied.code : null,
+    sessionId,
+    seats,
+    licenseFields: planLicenseFields(plan, seats),
+    status: 'created',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.update(sessionRef(sessionId), { paypalIds: admin.firestore.FieldValue.arrayUnion(paypalId) });
+  if (plan.purchaseType === 'subscription') {
+    batch.set(db.collection('subscription_mappings').doc(paypalId), {
+      email: session.email,
+      emailLower: normalizeEmail(session.email),
+      sessionId,
+      planId: plan.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  await batch.commit();
+  log.info('🛒 Checkout created', { planId: plan.id, couponCode: applied ? applied.code : null, paypalId });
+
+  return {
+    purchaseType: plan.purchaseType,
+    paypalId,
+    price,
+    listPrice: plan.price,
+    couponCode: applied ? applied.code : null,
+    seats,
+    approveUrl: (links || []).find(link => link.rel === 'approve' || link.rel === 'payer-action')?.href || null
+  };
+}
+
+// —————— 3) Checking payments ——————
+
+// A team license has as many seats as PayPal bills for, whatever the checkout asked
+function withBilledSeats(licenseFields, quantity) {
+  const seats = Number(quantity);
+  if (!licenseFields.organization || !Number.isInteger(seats) || seats < 1) return licenseFields;
+  return { ...licenseFields, seatCount: seats };
+}
+
+/**
+ * Whether what was paid for a PayPal ID matches what we sell, before a
+ * license is issued for it.
+ * paid: { amount } for one-time captures ({ value, currency_code }), or
+ *       { paypalPlanId, planOverridden, quantity } for subscriptions.
+ * Resolves to { licenseFields, checkout } or { error }.
+ */
+export async function checkPayment(paypalId, purchaseType, paid) {
+  const snap = await checkoutRef(paypalId).get();
+  const checkout = snap.exists ? snap.data() : null;
+
+  if (checkout) {
+    if (checkout.purchaseType !== purchaseType) {
+      return { error: `Checkout was for a ${checkout.purchaseType} plan` };
+    }
+    if (purchaseType === 'subscription') {
+      if (checkout.paypalPlanId !== paid.paypalPlanId) {
+        return { error: 'Subscription is not on the PayPal plan it was created for' };
+      }
+    } else if (!amountMatches(paid.amount, checkout.price)) {
+      return { error: 'Paid amount does not match the checkout price' };
+    }
+    return { licenseFields: withBilledSeats(checkout.licenseFields || { planId: checkout.planId }, paid.quantity), checkout };
+  }
+
+  // No checkout record: only the full price of a plan we sell will do
+  if (purchaseType === 'subscription') {
+    const plan = await planForPayPalPlan(paid.paypalPlanId);
+    if (!plan) {
+      return { error: 'Subscription is not on a known plan' };
+    }
+    if (paid.planOverridden) {
+      return { error: 'Subscription price was changed outside our checkout' };
+    }
+    return { licenseFields: withBilledSeats(planLicenseFields(plan), paid.quantity), checkout: null };
+  }
+
+  const plan = await defaultPlanFor(purchaseType);
+  if (!plan || !amountMatches(paid.amount, plan.price)) {
+    return { error: 'Paid amount does not match the plan price' };
+  }
+  return { licenseFields: planLicenseFields(plan), checkout: null };
+}
+
+/**
+ * Marks a checkout paid once its license is issued and counts its coupon.
+ * Failures are logged and swallowed: the license is already out.
+ */
+export async function completeCheckout(paypalId, checkout, licenseId) {
+  if (!checkout) return;
+  try {
+    if (checkout.couponCode) {
+      await recordRedemption(checkout.couponCode, paypalId, { planId: checkout.planId, price: checkout.price });
+    }
+    if (checkout.status !== 'paid') {
+      await checkoutRef(paypalId).update({
+        status: 'paid',
+        licenseId,
+        paidAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  } catch (err) {
+    log.error('❌ Could not complete checkout', { paypalId, err });
+  }
+}
@@ -0,0 +1,214 @@
+// File: lib/coupons.js
+//
+// Coupon codes, in Firestore so redemptions can be counted:
+//   coupons/{CODE}   { type: 'percent' | 'fixed', amount, currency (fixed only),
+//                      planIds (null: every plan), expiresAt, maxRedemptions,
+//                      redemptions, active, createdAt, updatedBy }
+//   coupon_redemptions/{paypalId}   { code, planId, price, redeemedAt }
+// A percent coupon takes amount percent off; a fixed one takes amount (a
+// decimal string) off in its currency. On a subscription the discount applies
+// to every billing cycle. A redemption is counted once the payment is
+// confirmed, so the cap is checked again at checkout and a few may overshoot
+// it when checkouts race.
+
+import { admin, db } from './firebase';
+import { toDate } from './entitlements';
+import { toCents, fromCents } from './plans';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'coupons' });
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const COUPON_TYPES = ['percent', 'fixed'];
+
+// Why a coupon cannot be used; status is the HTTP status for the caller
+export class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+export function normalizeCouponCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+function couponRef(code) {
+  return db.collection('coupons').doc(code);
+}
+
+// —————— 1) Pricing ——————
+
+/**
+ * What plan costs with coupon (a stored coupon's data) applied:
+ * { value, currency, discount }. Throws CouponError when the coupon does not
+ * apply to the plan or would make it free.
+ */
+export function discountedPrice(plan, coupon) {
+  const list = toCents(plan.price.value);
+  let discount;
+  if (coupon.type === 'percent') {
+    discount = Math.round(list * coupon.amount / 100);
+  } else {
+    if (coupon.currency !== plan.price.currency) {
+      throw new CouponError('This coupon is not valid for this plan');
+    }
+    discount = toCents(coupon.amount);
+  }
+  const cents = list - discount;
+  // PayPal cannot charge nothing; free licenses are issued from the admin API
+  if (cents < 1) {
+    throw new CouponError('This coupon is not valid for this plan');
+  }
+  return { value: fromCents(cents), currency: plan.price.currency, discount: fromCents(discount) };
+}
+
+// Why coupon cannot be used on plan right now, or null when it can
+function couponProblem(coupon, plan, now) {
+  if (coupon.active === false) return 'This coupon is no longer valid';
+  const expiresAt = toDate(coupon.expiresAt);
+  if (expiresAt && expiresAt <= now) return 'This coupon has expired';
+  if (Number.isInteger(coupon.maxRedemptions) && (coupon.redemptions || 0) >= coupon.maxRedemptions) {
+    return 'This coupon has been used up';
+  }
+  if (Array.isArray(coupon.planIds) && !coupon.planIds.includes(plan.id)) {
+    return 'This coupon is not valid for this plan';
+  }
+  return null;
+}
+
+/**
+ * Looks a coupon code up for a plan. Resolves to { code, coupon, price };
+ * throws CouponError when the code is unknown or cannot be used.
+ */
+export async function applyCoupon(code, plan, now = new Date()) {
+  const normalized = normalizeCouponCode(code);
+  const snap = normalized ? await couponRef(normalized).get() : null;
+  if (!snap || !snap.exists) {
+    throw new CouponError('Unknown coupon code', 404);
+  }
+  const coupon = snap.data();
+  const problem = couponProblem(coupon, plan, now);
+  if (problem) {
+    throw new CouponError(problem);
+  }
+  return { code: normalized, coupon, price: discountedPrice(plan, coupon) };
+}
+
+/**
+ * Counts one redemption of code for a confirmed payment. Safe to call again
+ * for the same PayPal ID: the redemption is only counted once.
+ */
+export async function recordRedemption(code, paypalId, { planId, price }) {
+  const redemptionRef = db.collection('coupon_redemptions').doc(paypalId);
+  await db.runTransaction(async (tx) => {
+    const redemption = await tx.get(redemptionRef);
+    if (redemption.exists) return;
+    tx.set(redemptionRef, {
+      code,
+      planId,
+      price,
+      redeemedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    tx.update(couponRef(code), { redemptions: admin.firestore.FieldValue.increment(1) });
+  });
+  log.info('🎟️ Coupon redeemed', { code });
+}
+
+// —————— 2) Administration ——————
+
+// Checks and normalises coupon fields from the admin API; throws CouponError
+function couponFields(input) {
+  const fields = {};
+  if (!COUPON_TYPES.includes(input.type)) {
+    throw new CouponError(`type must be one of ${COUPON_TYPES.join(', ')}`);
+  }
+  fields.type = input.type;
+
+  if (input.type === 'percent') {
+    if (!(Number.isInteger(input.amount) && input.amount > 0 && input.amount < 100)) {
+      throw new CouponError('A percent coupon needs an amount from 1 to 99');
+    }
+    fields.amount = input.amount;
+    fields.currency = null;
+  } else {
+    if (!(toCents(input.amount) > 0) || typeof input.currency !== 'string') {
+      throw new CouponError('A fixed coupon needs an amount like "5.00" and a currency');
+    }
+    fields.amount = fromCents(toCents(input.amount));
+    fields.currency = input.currency.toUpperCase();
+  }
+
+  if (input.planIds !== undefined && input.planIds !== null &&
+      !(Array.isArray(input.planIds) && input.planIds.every(id => typeof id === 'string'))) {
+    throw new CouponError('planIds must be a list of plan IDs, or null for every plan');
+  }
+  fields.planIds = input.planIds || null;
+
+  const expiresAt = input.expiresAt ? toDate(input.expiresAt) : null;
+  if (input.expiresAt && !expiresAt) {
+    throw new CouponError('expiresAt must be an ISO date');
+  }
+  fields.expiresAt = expiresAt;
+
+  if (input.maxRedemptions !== undefined && input.maxRedemptions !== null &&
+      !(Number.isInteger(input.maxRedemptions) && input.maxRedemptions > 0)) {
+    throw new CouponError('maxRedemptions must be a whole number above 0, or null for no cap');
+  }
+  fields.maxRedemptions = input.maxRedemptions || null;
+  fields.active = input.active !== false;
+  return fields;
+}
+
+/**
+ * Creates or updates a coupon. The redemption count is kept on update.
+ * Resolves to { code, created }.
+ */
+export async function saveCoupon(input, actor) {
+  const code = normalizeCouponCode(input.code);
+  if (!code) {
+    throw new CouponError('code must be 3 to 32 letters, digits, - or _');
+  }
+  const fields = couponFields(input);
+  const ref = couponRef(code);
+
+  const created = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const update = { ...fields, updatedBy: actor.name, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (snap.exists) {
+      tx.update(ref, update);
+      return false;
+    }
+    tx.set(ref, { ...update, redemptions: 0, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    return true;
+  });
+  return { code, created };
+}
+
+function iso(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+export async function listCoupons() {
+  const snap = await db.collection('coupons').get();
+  return snap.docs.map((doc) => {
+    const coupon = doc.data();
+    return {
+      code: doc.id,
+      type: coupon.type,
+      amount: coupon.amount,
+      currency: coupon.currency || null,
+      planIds: coupon.planIds || null,
+      expiresAt: iso(coupon.expiresAt),
+      maxRedemptions: coupon.maxRedemptions || null,
+      redemptions: coupon.redemptions || 0,
+      active: coupon.active !== false,
+      updatedBy: coupon.updatedBy || null,
+      updatedAt: iso(coupon.updatedAt)
+    };
+  });
+}
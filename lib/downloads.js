@@ -0,0 +1,161 @@
+// File: lib/downloads.js
+//
+// License-gated app downloads. The master archive of a release lives in Vercel
+// Blob (the release's blobUrl, never shown to customers). Blob URLs do not
+// expire, so every download gets its own copy under an unguessable path,
+// and the expire-downloads cron deletes the copy once its time is up. The
+// cron runs every 5 minutes (vercel.json), so a copy really lives from
+// DOWNLOAD_TTL_MINUTES to 5 minutes longer, and the CDN may serve it for up
+// to a minute after that:
+//   downloads/{id}
+//     { licenseKey (the license ID), version, shortVersion, pathname, url,
+//       ipHash, createdAt, expiresAt, live }
+// The same documents are the per-license download log the limit counts.
+//
+// Env: BLOB_READ_WRITE_TOKEN (read by @vercel/blob), DOWNLOAD_LIMIT (default
+// 20 per license) over DOWNLOAD_WINDOW_DAYS (default 30), DOWNLOAD_TTL_MINUTES
+// (default 15).
+
+import { copy, del, getDownloadUrl } from '@vercel/blob';
+import { createHash, randomBytes } from 'crypto';
+import { admin, db } from './firebase';
+import { toDate } from './entitlements';
+import { listReleases } from './releases';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'downloads' });
+
+export const DOWNLOAD_LIMIT = Number(process.env.DOWNLOAD_LIMIT) || 20;
+const WINDOW_DAYS = Number(process.env.DOWNLOAD_WINDOW_DAYS) || 30;
+const TTL_MINUTES = Number(process.env.DOWNLOAD_TTL_MINUTES) || 15;
+const EXPIRE_BATCH = 100;
+
+// A download we will not hand out; status is the HTTP status
+export class DownloadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DownloadError';
+    this.status = status;
+  }
+}
+
+function downloadsCollection() {
+  return db.collection('downloads');
+}
+
+/**
+ * The release to download: the one whose build or version string is
+ * `version`, or without one the newest stable release that is fully rolled
+ * out. Only published releases with a master archive in Blob qualify.
+ */
+export async function pickRelease(version) {
+  const releases = (await listReleases()).filter(release => release.published && release.blobUrl);
+  const release = version
+    ? releases.find(r => r.version === String(version) || r.shortVersion === String(version))
+    : releases.find(r => r.channel === 'stable' && r.rolloutPercent >= 100);
+  if (!release) {
+    throw new DownloadError(version ? `Version ${version} is not available for download` : 'No release is available for download', 404);
+  }
+  return release;
+}
+
+// Reserves a download against the license's limit; resolves to the log entry's ref
+async function reserveDownload(licenseId, release, ip, now) {
+  const windowStart = now.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const ref = downloadsCollection().doc();
+  // Filtered by date here rather than in the query, so no composite index is needed
+  const query = downloadsCollection().where('licenseKey', '==', licenseId);
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(query);
+    const recent = snap.docs.filter(doc => (toDate(doc.data().createdAt)?.getTime() || 0) >= windowStart);
+    if (recent.length >= DOWNLOAD_LIMIT) {
+      throw new DownloadError(`Download limit reached (${DOWNLOAD_LIMIT} every ${WINDOW_DAYS} days); contact support if you need more`, 429);
+    }
+    tx.set(ref, {
+      licenseKey: licenseId,
+      version: release.version,
+      shortVersion: release.shortVersion,
+      pathname: null,
+      url: null,
+      ipHash: ip ? createHash('sha256').update(ip).digest('hex') : null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + TTL_MINUTES * 60 * 1000),
+      live: true
+    });
+  });
+  return ref;
+}
+
+/**
+ * Logs a download for an entitled license and copies the release's archive
+ * to a fresh, unguessable Blob path. Resolves to
+ * { url, version, shortVersion, expiresAt }; throws DownloadError when the
+ * release does not exist or the license is over its limit.
+ */
+export async function createDownload(licenseId, { version = null, ip = null, now = new Date() } = {}) {
+  const release = await pickRelease(version);
+  const ref = await reserveDownload(licenseId, release, ip, now);
+
+  const pathname = `downloads/${randomBytes(16).toString('hex')}/CardLocker-${release.shortVersion.replace(/[^0-9A-Za-z.-]/g, '_')}.zip`;
+  let blob;
+  try {
+    blob = await copy(release.blobUrl, pathname, {
+      access: 'public',
+      addRandomSuffix: false,
+      contentType: 'application/zip',
+      // The copy is deleted within minutes; keep the CDN from outliving it
+      cacheControlMaxAge: 60
+    });
+  } catch (err) {
+    // Do not count a download the customer never got
+    await ref.delete().catch(() => {});
+    throw err;
+  }
+  await ref.update({ pathname: blob.pathname, url: blob.url });
+
+  const expiresAt = new Date(now.getTime() + TTL_MINUTES * 60 * 1000);
+  log.info('📦 Download issued', { shortVersion: release.shortVersion, version: release.version, expiresAt });
+  return {
+    url: getDownloadUrl(blob.url),
+    version: release.version,
+    shortVersion: release.shortVersion,
+    expiresAt
+  };
+}
+
+/**
+ * Deletes the Blob copies of downloads whose time is up and marks them no
+ * longer live. Resolves to { expired, failed }.
+ */
+export async function expireDownloads(now = new Date()) {
+  // Filtered by date here rather than in the query, so no composite index is needed
+  const snap = await downloadsCollection().where('live', '==', true).get();
+  const due = snap.docs
+    .filter(doc => (toDate(doc.data().expiresAt)?.getTime() || 0) <= now.getTime())
+    .slice(0, EXPIRE_BATCH);
+
+  let expired = 0;
+  let failed = 0;
+  for (const doc of due) {
+    try {
+      if (doc.data().url) {
+        await del(doc.data().url);
+      }
+      await doc.ref.update({ live: false, deletedAt: admin.firestore.FieldValue.serverTimestamp() });
+      expired++;
+    } catch (err) {
+      log.error('❌ Could not expire download', { downloadId: doc.id, err });
+      failed++;
+    }
+  }
+  return { expired, failed };
+}
+
+// A license's downloads, newest first, for support
+export async function listDownloads(licenseId) {
+  const snap = await downloadsCollection().where('licenseKey', '==', licenseId).get();
+  return snap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (toDate(b.createdAt)?.getTime() || 0) - (toDate(a.createdAt)?.getTime() || 0));
+}
@@ -0,0 +1,126 @@
+// File: lib/email-resolution.js
+//
+// Finds the email for licenses issued without one (status pending_email or
+// pending_email_resolution) so their keys can be sent. Run on a schedule by
+// /api/cron/resolve-pending-emails. Each license records its attempts:
+//   emailResolution { attempts, lastAttemptAt, lastError, needsOperator }
+// After MAX_AUTO_ATTEMPTS it is left to an operator, who attaches an email
+// through /api/admin/pending-licenses.
+
+import { admin, db } from './firebase';
+import { attachLicenseEmail, isValidEmail, PENDING_STATUSES } from './licenses';
+import { orders, subscriptions } from './paypal';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'email-resolution' });
+
+export const MAX_AUTO_ATTEMPTS = Number(process.env.EMAIL_RESOLUTION_MAX_ATTEMPTS) || 12;
+
+// Resolves to the email stored at checkout for a subscription, or null
+async function emailFromMapping(subscriptionId) {
+  const snap = await db.collection('subscription_mappings').doc(subscriptionId).get();
+  const email = snap.exists ? snap.data().email : null;
+  return isValidEmail(email) ? email : null;
+}
+
+/**
+ * Looks for the address a pending license should go to, best source first:
+ * the checkout mapping, then the subscriber or payer PayPal has on file.
+ * Resolves to { email, emailSource } or null. PayPal errors propagate.
+ */
+export async function findLicenseEmail(license) {
+  if (license.purchaseType === 'subscription') {
+    const subscriptionId = license.subscriptionId || license.paypalID;
+    const mapped = await emailFromMapping(subscriptionId);
+    if (mapped) {
+      return { email: mapped, emailSource: 'checkout' };
+    }
+    const subscription = await subscriptions.get(subscriptionId);
+    const email = subscription?.subscriber?.email_address;
+    return isValidEmail(email) ? { email, emailSource: 'paypal' } : null;
+  }
+
+  const order = await orders.get(license.paypalID);
+  const email = order?.payer?.email_address;
+  return isValidEmail(email) ? { email, emailSource: 'paypal' } : null;
+}
+
+// One attempt for one pending license; resolves to 'resolved' | 'unresolved' | 'failed'
+async function resolveOne(licenseDoc) {
+  const license = licenseDoc.data();
+  const attempts = (license.emailResolution?.attempts || 0) + 1;
+  let lastError = null;
+
+  try {
+    const found = await findLicenseEmail(license);
+    if (found) {
+      // false means it was resolved elsewhere meanwhile, which is just as good
+      await attachLicenseEmail(licenseDoc.id, found.email, found.emailSource);
+      await licenseDoc.ref.update({
+        emailResolution: {
+          attempts,
+          lastAttemptAt: new Date(),
+          lastError: null,
+          needsOperator: false,
+          resolvedVia: found.emailSource
+        }
+      });
+      log.info('✅ Pending license email resolved', { licenseId: licenseDoc.id });
+      return 'resolved';
+    }
+  } catch (err) {
+    lastError = err.message || String(err);
+    log.error('❌ Email resolution failed', { licenseId: licenseDoc.id, err: lastError });
+  }
+
+  await licenseDoc.ref.update({
+    emailResolution: {
+      attempts,
+      lastAttemptAt: new Date(),
+      lastError,
+      needsOperator: attempts >= MAX_AUTO_ATTEMPTS
+    }
+  });
+  return lastError ? 'failed' : 'unresolved';
+}
+
+// Every license still waiting for an email, oldest first
+export async function listPendingLicenses() {
+  const snap = await db.collection('licenses').where('status', 'in', PENDING_STATUSES).get();
+  return snap.docs.sort((a, b) =>
+    (a.data().timestamp?.toMillis?.() || 0) - (b.data().timestamp?.toMillis?.() || 0)
+  );
+}
+
+/**
+ * Tries every pending license that has not yet been handed to an operator.
+ * Resolves to counts: { resolved, unresolved, failed, needsOperator }.
+ */
+export async function resolvePendingLicenses(limit = 50) {
+  const pending = await listPendingLicenses();
+  const counts = { resolved: 0, unresolved: 0, failed: 0, needsOperator: 0 };
+
+  // One at a time: each attempt may call PayPal
+  for (const licenseDoc of pending) {
+    if (licenseDoc.data().emailResolution?.needsOperator) {
+      counts.needsOperator++;
+      continue;
+    }
+    if (counts.resolved + counts.unresolved + counts.failed >= limit) break;
+    counts[await resolveOne(licenseDoc)]++;
+  }
+  return counts;
+}
+
+// An operator attaches the address by hand
+export async function resolveManually(licenseId, email) {
+  const attached = await attachLicenseEmail(licenseId, email, 'admin');
+  if (attached) {
+    await db.collection('licenses').doc(licenseId).update({
+      'emailResolution.needsOperator': false,
+      'emailResolution.resolvedVia': 'admin',
+      'emailResolution.resolvedAt': admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  return attached;
+}
@@ -0,0 +1,147 @@
+// File: lib/email-templates.js
+//
+// Every transactional email, as a function from data to { subject, text, html }.
+// Values are escaped here; callers pass plain strings and Dates.
+
+import { escapeHtml } from './html';
+import { toDate } from './entitlements';
+import { licenseIdForKey, licenseRef } from './key-vault';
+
+const PRODUCT = 'CardLocker';
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || 'support@cardlocker.app';
+const RELEASES_URL = 'https://github.com/zeroxjf/CardLocker/releases/latest';
+
+// Dates arrive as Date, ISO string or, on a retry from the outbox, a Firestore Timestamp
+function formatDate(value) {
+  const date = toDate(value);
+  if (!date) return 'unknown';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function formatAmount(amount, currency) {
+  return amount ? `${amount} ${currency || ''}`.trim() : 'the amount charged';
+}
+
+// Shared frame: paragraphs are arrays of plain-text lines (escaped for HTML)
+// or { html, text } pairs for the odd link or button
+function message(subject, paragraphs) {
+  const text = paragraphs
+    .map(p => (typeof p === 'string' ? p : p.text))
+    .concat(['—', `${PRODUCT} · ${SUPPORT_EMAIL}`])
+    .join('\n\n');
+  const body = paragraphs
+    .map(p => (typeof p === 'string' ? `<p>${escapeHtml(p)}</p>` : `<p>${p.html}</p>`))
+    .join('\n      ');
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1c1c1e; max-width: 560px; margin: auto; padding: 1.5rem;">
+      ${body}
+      <p style="color: #6e6e73; font-size: 0.85rem;">${PRODUCT} · <a href="mailto:${escapeHtml(SUPPORT_EMAIL)}">${escapeHtml(SUPPORT_EMAIL)}</a></p>
+  </body>
+</html>`;
+  return { subject, text, html };
+}
+
+function keyBlock(licenseKey) {
+  return {
+    text: `Your license key: ${licenseKey}`,
+    html: `Your license key:<br><strong style="font-family: ui-monospace, Menlo, monospace; font-size: 1.2rem;">${escapeHtml(licenseKey)}</strong>`
+  };
+}
+
+function link(url, label) {
+  return { text: `${label}: ${url}`, html: `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>` };
+}
+
+// The licensed download route for this key. Built when the email is rendered,
+// so the outbox stores the key only sealed; the link carries an opaque ref
+// instead of the key, and opens a page that downloads only when clicked.
+function downloadLinkFor(licenseKey, downloadUrl) {
+  if (downloadUrl) return downloadUrl;
+  const base = process.env.PUBLIC_BASE_URL;
+  const licenseId = licenseIdForKey(licenseKey);
+  if (!base || !licenseId) return RELEASES_URL;
+  return `${base.replace(/\/+$/, '')}/api/download?ref=${encodeURIComponent(licenseRef(licenseId))}`;
+}
+
+export const TEMPLATES = {
+  // { licenseKey, purchaseType, downloadUrl (null for /api/download) }
+  license_issued: ({ licenseKey, purchaseType, downloadUrl }) => message(`Your ${PRODUCT} license key`, [
+    `Thanks for buying ${PRODUCT}${purchaseType === 'subscription' ? ' — your subscription is active' : ''}!`,
+    keyBlock(licenseKey),
+    link(downloadLinkFor(licenseKey, downloadUrl), `Download ${PRODUCT} for macOS`),
+    'Open the app and enter the key when asked. Keep this email; you can also find your key any time in the customer portal.'
+  ]),
+
+  // { licenseKey, adminEmail, downloadUrl (null for /api/download) }
+  team_invitation: ({ licenseKey, adminEmail, downloadUrl }) => message(`You have a ${PRODUCT} team seat`, [
+    `${adminEmail || 'Your team admin'} added you to their team's ${PRODUCT} license.`,
+    keyBlock(licenseKey),
+    link(downloadLinkFor(licenseKey, downloadUrl), `Download ${PRODUCT} for macOS`),
+    'Open the app and enter the key when asked. The key activates one Mac; your team admin manages the seat.'
+  ]),
+
+  // { licenseKey, amount, currency, paidAt, saleId, nextBillingAt }
+  renewal_receipt: ({ licenseKey, amount, currency, paidAt, saleId, nextBillingAt }) => message(`${PRODUCT} payment receipt`, [
+    `We received your subscription payment of ${formatAmount(amount, currency)} on ${formatDate(paidAt)}.`,
+    `License: ${licenseKey}`,
+    `PayPal transaction: ${saleId}`,
+    nextBillingAt ? `Your next payment is due on ${formatDate(nextBillingAt)}.` : 'Thank you for subscribing.'
+  ]),
+
+  // { licenseKey, graceUntil }
+  payment_failed: ({ licenseKey, graceUntil }) => message(`Action needed: your ${PRODUCT} payment failed`, [
+    `PayPal could not collect your latest ${PRODUCT} subscription payment.`,
+    `License: ${licenseKey}`,
+    graceUntil
+      ? `${PRODUCT} keeps working until ${formatDate(graceUntil)} while PayPal retries. Please check the payment method in your PayPal account before then.`
+      : 'Please check the payment method in your PayPal account.'
+  ]),
+
+  // { licenseKey }
+  subscription_suspended: ({ licenseKey }) => message(`Your ${PRODUCT} subscription is suspended`, [
+    `Payments for your ${PRODUCT} subscription kept failing, so PayPal has suspended it and the app is now locked.`,
+    `License: ${licenseKey}`,
+    'Update your payment method in PayPal, then resume the subscription from the customer portal.'
+  ]),
+
+  // { licenseKey, mode, endsAt }
+  cancellation_confirmed: ({ licenseKey, mode, endsAt }) => message(`Your ${PRODUCT} subscription is cancelled`, [
+    `Your ${PRODUCT} subscription has been cancelled and you will not be charged again.`,
+    `License: ${licenseKey}`,
+    mode === 'immediate' || !(toDate(endsAt) > new Date())
+      ? 'Your access has ended.'
+      : `You keep full access until ${formatDate(endsAt)}.`
+  ]),
+
+  // { licenseKey, amount, currency, type, partial }
+  refund_issued: ({ licenseKey, amount, currency, type, partial }) => message(`Your ${PRODUCT} ${type === 'dispute' ? 'dispute was resolved' : 'refund'}`, [
+    type === 'dispute'
+      ? `Your PayPal dispute was resolved in your favour and ${formatAmount(amount, currency)} was returned to you.`
+      : `We refunded ${formatAmount(amount, currency)} for your ${PRODUCT} purchase. PayPal usually shows it within a few days.`,
+    `License: ${licenseKey}`,
+    partial ? 'This was a partial refund, so your license keeps working.' : 'The license has been deactivated.'
+  ]),
+
+  // { licenseKey, link, code, ttlMinutes }  (sensitive: not stored)
+  cancel_request: ({ licenseKey, link: url, code, ttlMinutes }) => message(`Cancel your ${PRODUCT} subscription`, [
+    `Someone asked to cancel the ${PRODUCT} subscription for license ${licenseKey}.`,
+    link(url, `Cancel my subscription (valid for ${ttlMinutes} minutes)`),
+    `Or enter this code on the cancellation page: ${code}`,
+    "If this wasn't you, ignore this email; nothing changes."
+  ]),
+
+  // { link, ttlMinutes }  (sensitive: not stored)
+  portal_link: ({ link: url, ttlMinutes }) => message(`Sign in to manage your ${PRODUCT} licenses`, [
+    link(url, `Sign in to manage your ${PRODUCT} licenses`),
+    `The link works once and expires in ${ttlMinutes} minutes. If you didn't ask for it, you can ignore this email.`
+  ])
+};
+
+export function renderTemplate(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+}
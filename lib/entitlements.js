@@ -0,0 +1,202 @@
+// File: lib/entitlements.js
+//
+// Works out what a license is entitled to right now. States:
+//   lifetime   one-time purchase, never expires
+//   active     subscription paid, validUntil = next billing time
+//   past_due   a payment failed but the grace period has not run out
+//   suspended  PayPal suspended billing (payments kept failing)
+//   cancelled  cancelled, but still paid through validUntil
+//   expired    cancelled/expired and past the paid-through date
+//   refunded   payment refunded or charged back
+//   revoked    switched off by support
+//   pending    subscription not yet approved at PayPal
+//   extended   support granted access until validUntil (license.extendedUntil),
+//              beyond what PayPal says
+// A team member's license has no billing of its own; it is entitled exactly
+// when its organization's license is (see lib/organizations.js).
+// A PayPal outage never downgrades a license: the last known state is served
+// with stale: true instead.
+
+import { admin, db } from './firebase';
+import { subscriptions, PayPalUnavailableError } from './paypal';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'entitlements' });
+
+// How long a subscriber keeps access after a failed payment
+export const PAST_DUE_GRACE_DAYS = Number(process.env.PAST_DUE_GRACE_DAYS) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ENTITLED_STATES = ['lifetime', 'active', 'past_due', 'cancelled', 'extended'];
+
+const PENDING_STATUSES = ['pending_email', 'pending_email_resolution'];
+
+export function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function later(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+/**
+ * Maps a PayPal subscription onto an entitlement state.
+ * paidThrough is the latest paid-through date we have seen before, which is
+ * all a cancelled subscription still has (PayPal drops next_billing_time).
+ */
+export function entitlementFromSubscription(subscription, paidThrough, now = new Date()) {
+  if (!subscription) {
+    return { state: 'expired', validUntil: null };
+  }
+
+  const billing = subscription.billing_info || {};
+  const nextBilling = toDate(billing.next_billing_time);
+  const lastFailed = toDate(billing.last_failed_payment?.time);
+  const knownPaidThrough = later(paidThrough, nextBilling);
+
+  switch (subscription.status) {
+    case 'ACTIVE': {
+      const failed = lastFailed && (billing.failed_payments_count || 0) > 0;
+      if (failed) {
+        const graceEnd = new Date(lastFailed.getTime() + PAST_DUE_GRACE_DAYS * DAY_MS);
+        return graceEnd > now
+          ? { state: 'past_due', validUntil: graceEnd, paidThrough: knownPaidThrough }
+          : { state: 'suspended', validUntil: null, paidThrough: knownPaidThrough };
+      }
+      return { state: 'active', validUntil: nextBilling, paidThrough: knownPaidThrough };
+    }
+    case 'SUSPENDED':
+      return { state: 'suspended', validUntil: null, paidThrough: knownPaidThrough };
+    case 'CANCELLED':
+    case 'EXPIRED':
+      if (knownPaidThrough && knownPaidThrough > now) {
+        return { state: 'cancelled', validUntil: knownPaidThrough, paidThrough: knownPaidThrough };
+      }
+      return { state: 'expired', validUntil: null, paidThrough: knownPaidThrough };
+    case 'APPROVAL_PENDING':
+    case 'APPROVED':
+      return { state: 'pending', validUntil: null };
+    default:
+      log.warn('⚠️ Unknown PayPal subscription status', { status: subscription.status });
+      return { state: 'suspended', validUntil: null, paidThrough: knownPaidThrough };
+  }
+}
+
+// Applies a support extension (license.extendedUntil) on top of a PayPal-derived
+// result, when it reaches further than what PayPal grants
+export function withExtension(license, result, now = new Date()) {
+  const extendedUntil = toDate(license.extendedUntil);
+  if (!extendedUntil || !(extendedUntil > now)) {
+    return result;
+  }
+  if (ENTITLED_STATES.includes(result.state) && result.validUntil && result.validUntil >= extendedUntil) {
+    return result;
+  }
+  return { ...result, state: 'extended', validUntil: extendedUntil };
+}
+
+// The license `status` field older clients and routes still read
+export function legacyStatusFor(state) {
+  if (isFinalStatus(state)) return state;
+  return ENTITLED_STATES.includes(state) ? 'active' : 'inactive';
+}
+
+/**
+ * Builds the Firestore update that records an entitlement result on a license.
+ * source says what produced it: 'paypal_api' or the webhook event type.
+ */
+export function entitlementUpdate(license, result, { paypalStatus = null, source } = {}) {
+  const entitled = ENTITLED_STATES.includes(result.state);
+  const update = {
+    // A license still waiting for its email keeps that status while it is entitled
+    status: entitled && PENDING_STATUSES.includes(license.status)
+      ? license.status
+      : legacyStatusFor(result.state),
+    entitlement: {
+      state: result.state,
+      validUntil: result.validUntil || null,
+      paypalStatus,
+      source,
+      checkedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  };
+  if (result.paidThrough) {
+    update.paidThrough = result.paidThrough;
+  }
+  return update;
+}
+
+// Refunds, support revocations, erasures at the customer's request (see
+// lib/privacy.js) and team members an admin removed are final; later billing
+// events never undo them
+export function isFinalStatus(status) {
+  return status === 'refunded' || status === 'revoked' || status === 'erased' || status === 'removed';
+}
+
+// Entitlement last written to the license, served when PayPal is unreachable
+function cachedEntitlement(license) {
+  const cached = license.entitlement;
+  if (!cached || !cached.state) {
+    return null;
+  }
+  return {
+    state: cached.state,
+    entitled: ENTITLED_STATES.includes(cached.state),
+    validUntil: toDate(cached.validUntil),
+    stale: true
+  };
+}
+
+/**
+ * Resolves the current entitlement for a license snapshot and persists it.
+ * Resolves to { state, entitled, validUntil: Date|null, stale }.
+ * Throws PayPalUnavailableError only if PayPal is down and nothing is cached.
+ */
+export async function resolveEntitlement(licenseDoc, now = new Date()) {
+  const license = licenseDoc.data();
+
+  if (isFinalStatus(license.status)) {
+    return { state: license.status, entitled: false, validUntil: null, stale: false };
+  }
+  if (license.orgLicenseId) {
+    const orgDoc = await db.collection('licenses').doc(license.orgLicenseId).get();
+    if (!orgDoc.exists) {
+      return { state: 'revoked', entitled: false, validUntil: null, stale: false };
+    }
+    return resolveEntitlement(orgDoc, now);
+  }
+  if (license.purchaseType !== 'subscription') {
+    return { state: 'lifetime', entitled: license.status !== 'inactive', validUntil: null, stale: false };
+  }
+
+  const subscriptionId = license.subscriptionId || license.paypalID;
+  let subscription;
+  try {
+    subscription = await subscriptions.get(subscriptionId);
+  } catch (err) {
+    if (!(err instanceof PayPalUnavailableError)) throw err;
+    log.warn('⚠️ PayPal unavailable, serving cached entitlement', { err });
+    const cached = cachedEntitlement(license);
+    if (!cached) throw err;
+    return cached;
+  }
+
+  const result = withExtension(license, entitlementFromSubscription(subscription, toDate(license.paidThrough), now), now);
+  await licenseDoc.ref.update(entitlementUpdate(license, result, {
+    paypalStatus: subscription ? subscription.status : 'NOT_FOUND',
+    source: 'paypal_api'
+  }));
+
+  return {
+    state: result.state,
+    entitled: ENTITLED_STATES.includes(result.state),
+    validUntil: result.validUntil,
+    stale: false
+  };
+}
@@ -0,0 +1,22 @@
+// File: lib/firebase.js
+
+import admin from 'firebase-admin';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'firebase' });
+
+// Initialize Firebase Admin once per instance; every route shares this app.
+// With FIRESTORE_EMULATOR_HOST set (local runs, see docs/local-testing.md) the
+// SDK talks to the emulator and no service account is needed.
+if (!admin.apps.length) {
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'cardlocker-local' });
+    log.info('🧪 Using the Firestore emulator', { host: process.env.FIRESTORE_EMULATOR_HOST });
+  } else {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  }
+}
+
+export const db = admin.firestore();
+export { admin };
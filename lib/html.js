@@ -0,0 +1,73 @@
+// File: lib/html.js
+//
+// Small helpers for the few routes that answer with HTML pages instead of JSON.
+
+import { randomBytes, timingSafeEqual } from 'crypto';
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Wraps already-escaped body markup in the plain page style the site uses
+export function renderPage(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: sans-serif; max-width: 600px; margin: auto; padding: 2rem;">
+    <h2>${escapeHtml(title)}</h2>
+    ${bodyHtml}
+  </body>
+</html>`;
+}
+
+export function sendPage(res, status, title, bodyHtml) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(status).send(renderPage(title, bodyHtml));
+}
+
+/**
+ * Absolute URL for links we email out. PUBLIC_BASE_URL is required in
+ * production: the Host header is attacker-controlled and must never end up in
+ * a link that carries a token.
+ */
+export function siteUrl(req, path) {
+  const base = process.env.PUBLIC_BASE_URL ||
+    (process.env.NODE_ENV === 'production' ? null : `http://${req.headers.host}`);
+  if (!base) {
+    throw new Error('PUBLIC_BASE_URL is not set');
+  }
+  return `${base.replace(/\/+$/, '')}${path}`;
+}
+
+// —————— CSRF: double-submit cookie for HTML form posts ——————
+const CSRF_COOKIE = 'cl_csrf';
+
+// Sets the CSRF cookie (reusing one the browser already has) and returns the
+// value to put in the form's hidden csrf field
+export function issueCsrfToken(req, res) {
+  const existing = req.cookies?.[CSRF_COOKIE];
+  const token = /^[0-9a-f]{64}$/.test(existing || '') ? existing : randomBytes(32).toString('hex');
+  res.setHeader(
+    'Set-Cookie',
+    `${CSRF_COOKIE}=${token}; Path=/api; HttpOnly; SameSite=Strict${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`
+  );
+  return token;
+}
+
+export function isValidCsrf(req, submitted) {
+  const cookie = req.cookies?.[CSRF_COOKIE];
+  if (typeof cookie !== 'string' || typeof submitted !== 'string' || cookie.length !== submitted.length) {
+    return false;
+  }
+  return timingSafeEqual(Buffer.from(cookie), Buffer.from(submitted));
+}
@@ -0,0 +1,82 @@
+// File: lib/key-vault.js
+//
+// Server side of license keys (the format itself is lib/license-key.js).
+// Firestore never holds a CLK1 key in the clear:
+//   licenses/{sha256(key)}   the document ID is the key's hash, so a lookup by
+//                            key is one read and a leaked ID is not a key
+//   sealedKey                the key, AES-256-GCM sealed with
+//                            LICENSE_KEY_SEAL_KEY (32 bytes, base64), so it can
+//                            still be emailed again and shown in the portal
+// Legacy hex keys are their own document ID and have no sealedKey; they keep
+// working as they are and move to the new format when support replaces them.
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { encodeLicenseKey, parseLicenseKey, RANDOM_BYTES } from './license-key';
+import { base64url, fromBase64url } from './verify-license-token';
+
+const SEAL_VERSION = 'v1';
+
+export function newLicenseKey() {
+  return encodeLicenseKey(randomBytes(RANDOM_BYTES));
+}
+
+/**
+ * The license document ID for a key as a customer typed it, or null when the
+ * input is not a well-formed key (so malformed input never reaches Firestore).
+ */
+export function licenseIdForKey(input) {
+  const parsed = parseLicenseKey(input);
+  if (!parsed.valid) return null;
+  return parsed.format === 'legacy'
+    ? parsed.key
+    : createHash('sha256').update(parsed.key).digest('hex');
+}
+
+function sealKey() {
+  const key = Buffer.from(process.env.LICENSE_KEY_SEAL_KEY || '', 'base64');
+  if (key.length !== 32) {
+    throw new Error('LICENSE_KEY_SEAL_KEY must be 32 bytes, base64');
+  }
+  return key;
+}
+
+export function sealLicenseKey(licenseKey) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', sealKey(), iv);
+  const sealed = Buffer.concat([cipher.update(licenseKey, 'utf8'), cipher.final()]);
+  return [SEAL_VERSION, base64url(iv), base64url(cipher.getAuthTag()), base64url(sealed)].join('.');
+}
+
+export function unsealLicenseKey(sealedKey) {
+  const [version, iv, tag, sealed] = String(sealedKey).split('.');
+  if (version !== SEAL_VERSION || !iv || !tag || !sealed) {
+    throw new Error('Unrecognised sealed license key');
+  }
+  const decipher = createDecipheriv('aes-256-gcm', sealKey(), fromBase64url(iv));
+  decipher.setAuthTag(fromBase64url(tag));
+  return Buffer.concat([decipher.update(fromBase64url(sealed)), decipher.final()]).toString('utf8');
+}
+
+// The key a customer types for a license snapshot
+export function licenseKeyOf(licenseDoc) {
+  const sealedKey = licenseDoc.data().sealedKey;
+  return sealedKey ? unsealLicenseKey(sealedKey) : licenseDoc.id;
+}
+
+// An opaque stand-in for a license in links (the download email), so the key
+// itself never sits in a URL. The prefix keeps a sealedKey from passing as one.
+const REF_PREFIX = 'ref:';
+
+export function licenseRef(licenseId) {
+  return sealLicenseKey(REF_PREFIX + licenseId);
+}
+
+// The license ID a ref stands for, or null when it is not one of ours
+export function licenseIdForRef(ref) {
+  try {
+    const opened = unsealLicenseKey(ref);
+    return opened.startsWith(REF_PREFIX) ? opened.slice(REF_PREFIX.length) : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,456 @@
+// File: lib/license-admin.js
+//
+// What support can do to licenses through the admin API: search, history,
+// complimentary and replacement keys, revoke/reinstate, extensions, seat
+// resets and refunds. The routes write each action to the audit log
+// (lib/audit.js); these functions only do the work.
+
+import { admin, db } from './firebase';
+import {
+  createLicenseRecord,
+  findIssuedLicense,
+  isValidEmail,
+  normalizeEmail
+} from './licenses';
+import { captures, sales, subscriptions } from './paypal';
+import { isFinalStatus, resolveEntitlement, toDate } from './entitlements';
+import { isFullyRefunded, recordRefund } from './billing-events';
+import { notifyLicenseIssued } from './notifications';
+import { listAudit } from './audit';
+import { listDownloads } from './downloads';
+import { licenseIdForKey, licenseKeyOf } from './key-vault';
+
+// An action that cannot be done to this license; status is the HTTP status to answer with
+export class LicenseActionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'LicenseActionError';
+    this.status = status;
+  }
+}
+
+const SEARCH_LIMIT = 200;
+
+// —————— 1) Search and views ——————
+
+function uniqueDocs(docs) {
+  const seen = new Map();
+  docs.filter(Boolean).forEach(doc => seen.set(doc.id, doc));
+  return [...seen.values()];
+}
+
+async function byPaypalId(id) {
+  const issued = await findIssuedLicense(id);
+  const queries = ['paypalID', 'subscriptionId', 'captureId', 'payerId'].map(field =>
+    db.collection('licenses').where(field, '==', id).limit(SEARCH_LIMIT).get()
+  );
+  queries.push(db.collection('licenses').where('saleIds', 'array-contains', id).limit(SEARCH_LIMIT).get());
+  const snaps = await Promise.all(queries);
+  return uniqueDocs([issued, ...snaps.flatMap(snap => snap.docs)]);
+}
+
+async function byEmail(email) {
+  const snap = await db.collection('licenses').where('emailLower', '==', normalizeEmail(email)).limit(SEARCH_LIMIT).get();
+  return snap.docs;
+}
+
+/**
+ * A license by its key or its license ID. Merges are not followed: support
+ * works on the exact record it asked for. Resolves to the snapshot or null.
+ */
+export async function findLicenseForAdmin(keyOrId) {
+  if (typeof keyOrId !== 'string' || !keyOrId.trim() || keyOrId.includes('/')) return null;
+  const ids = new Set([licenseIdForKey(keyOrId), keyOrId.trim()].filter(Boolean));
+  for (const id of ids) {
+    const doc = await db.collection('licenses').doc(id).get();
+    if (doc.exists) return doc;
+  }
+  return null;
+}
+
+async function byKey(keyOrId) {
+  const doc = await findLicenseForAdmin(keyOrId);
+  return doc ? [doc] : [];
+}
+
+/**
+ * Finds licenses. by is key | email | paypal | auto (the default: an address
+ * is an email, anything else is tried as a key or license ID, then as any
+ * PayPal ID).
+ * With only a status, lists licenses in that status. Merged and replaced
+ * keys are included; support needs to see them.
+ */
+export async function searchLicenses({ q = '', by = 'auto', status = null } = {}) {
+  const query = String(q).trim();
+  let docs;
+  if (!query) {
+    if (!status) return [];
+    const snap = await db.collection('licenses').where('status', '==', status).limit(SEARCH_LIMIT).get();
+    docs = snap.docs;
+  } else if (by === 'email' || (by === 'auto' && query.includes('@'))) {
+    docs = await byEmail(query);
+  } else if (by === 'key') {
+    docs = await byKey(query);
+  } else if (by === 'paypal') {
+    docs = await byPaypalId(query);
+  } else {
+    docs = await byKey(query);
+    if (docs.length === 0) docs = await byPaypalId(query);
+  }
+  return status ? docs.filter(doc => doc.data().status === status) : docs;
+}
+
+function isoOrNull(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+// Flat view of a license: one row in search results and CSV exports. Pass
+// includeKey: false for anything stored, such as audit entries.
+export function describeLicense(licenseDoc, { includeKey = true } = {}) {
+  const license = licenseDoc.data();
+  return {
+    licenseKey: includeKey ? licenseKeyOf(licenseDoc) : null,
+    licenseId: licenseDoc.id,
+    email: license.email || null,
+    status: license.status || null,
+    state: license.entitlement?.state || null,
+    purchaseType: license.purchaseType || null,
+    paypalID: license.paypalID || null,
+    subscriptionId: license.subscriptionId || null,
+    captureId: license.captureId || null,
+    issuedVia: license.issuedVia || null,
+    issuedAt: isoOrNull(license.timestamp),
+    validUntil: isoOrNull(license.entitlement?.validUntil),
+    extendedUntil: isoOrNull(license.extendedUntil),
+    seatLimit: license.seatLimit || null,
+    seatCount: license.seatCount || null,
+    orgLicenseId: license.orgLicenseId || null,
+    mergedInto: license.mergedInto || null,
+    replacedBy: license.replacedBy || null,
+    replaces: license.replaces || null,
+    refundType: license.refund?.type || null
+  };
+}
+
+export const CSV_COLUMNS = Object.keys(describeLicense({ id: '', data: () => ({}) }));
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote anything with separators, and defuse formulas for spreadsheet apps
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+export function toCsv(rows, columns = CSV_COLUMNS) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Everything that happened to a license, newest first: webhook events for
+ * its PayPal IDs, cancellations, emails, downloads and admin actions.
+ * Entries: { at, kind, summary, ... }
+ */
+export async function licenseHistory(licenseDoc) {
+  const license = licenseDoc.data();
+  const ids = [...new Set([
+    license.paypalID, license.subscriptionId, license.captureId, ...(license.saleIds || [])
+  ].filter(Boolean))];
+
+  const history = [];
+  // Firestore allows at most 30 values in an 'in' query
+  for (let i = 0; i < ids.length; i += 30) {
+    const snap = await db.collection('webhook_events').where('resourceId', 'in', ids.slice(i, i + 30)).get();
+    snap.docs.forEach(doc => {
+      const event = doc.data();
+      history.push({
+        at: isoOrNull(event.receivedAt),
+        kind: 'webhook',
+        summary: `${event.eventType} (${event.status})`,
+        eventId: doc.id,
+        lastError: event.lastError || null
+      });
+    });
+  }
+
+  const [cancellations, mail, downloads, audit] = await Promise.all([
+    db.collection('cancellations').where('licenseKey', '==', licenseDoc.id).get(),
+    db.collection('mail_outbox').where('licenseKey', '==', licenseDoc.id).get(),
+    listDownloads(licenseDoc.id),
+    listAudit({ licenseKey: licenseDoc.id })
+  ]);
+  cancellations.docs.forEach(doc => {
+    const cancellation = doc.data();
+    history.push({
+      at: isoOrNull(cancellation.requestedAt),
+      kind: 'cancellation',
+      summary: `Cancelled (${cancellation.mode}) via ${cancellation.via}`,
+      reason: cancellation.reason || null
+    });
+  });
+  mail.docs.forEach(doc => {
+    const message = doc.data();
+    history.push({
+      at: isoOrNull(message.sentAt || message.createdAt),
+      kind: 'email',
+      summary: `${message.template} email ${message.status}`,
+      to: message.to
+    });
+  });
+  downloads.forEach(download => {
+    history.push({
+      at: isoOrNull(download.createdAt),
+      kind: 'download',
+      summary: `Downloaded ${download.shortVersion} (${download.version})`,
+      ipHash: download.ipHash
+    });
+  });
+  audit.forEach(entry => {
+    history.push({
+      at: entry.at,
+      kind: 'admin',
+      summary: `${entry.action} by ${entry.actor.name}`,
+      details: entry.details
+    });
+  });
+  if (license.reconciliation) {
+    history.push({
+      at: isoOrNull(license.reconciliation.at),
+      kind: 'reconciliation',
+      summary: `Fixed by reconciliation: ${license.reconciliation.reason}`,
+      runId: license.reconciliation.runId
+    });
+  }
+
+  return history.sort((a, b) => String(b.at || '').localeCompare(String(a.at || '')));
+}
+
+// —————— 2) Issuing ——————
+
+/**
+ * A free lifetime license for an email, e.g. for press or a goodwill gesture.
+ * Resolves to { licenseKey, licenseId }.
+ */
+export async function issueComplimentaryLicense({ email, seatLimit = null, note = null }) {
+  if (!isValidEmail(email)) {
+    throw new LicenseActionError('Invalid email address', 400);
+  }
+  const fields = {
+    purchaseType: 'complimentary',
+    email,
+    emailSource: 'admin',
+    issuedVia: 'admin'
+  };
+  if (seatLimit) fields.seatLimit = seatLimit;
+  if (note) fields.notes = note;
+
+  const created = await createLicenseRecord(fields);
+  await notifyLicenseIssued(created.licenseId);
+  return created;
+}
+
+// Fields a replacement license takes over from the one it replaces
+const CARRIED_FIELDS = [
+  'purchaseType', 'paypalID', 'subscriptionId', 'payerId', 'captureId', 'saleIds',
+  'email', 'emailSource', 'seatLimit', 'entitlement', 'paidThrough', 'extendedUntil',
+  'lastPayment', 'lastPaymentAt', 'cancellation'
+];
+
+/**
+ * Swaps a license for a new key, e.g. when the old key leaked. The purchase
+ * moves to the new key; the old one is revoked and points at it. Activations
+ * do not move: every Mac activates again with the new key.
+ * Resolves to the new license's { licenseKey, licenseId }.
+ */
+export async function replaceLicense(licenseDoc, reason) {
+  const license = licenseDoc.data();
+  if (license.status === 'merged' || license.replacedBy) {
+    throw new LicenseActionError('License was already merged or replaced');
+  }
+  if (isFinalStatus(license.status)) {
+    throw new LicenseActionError(`License is ${license.status}`);
+  }
+
+  const fields = { status: license.status, replaces: licenseDoc.id, issuedVia: 'admin_replacement' };
+  CARRIED_FIELDS.forEach(field => {
+    if (license[field] !== undefined) fields[field] = license[field];
+  });
+  const replacement = await createLicenseRecord(fields);
+
+  const batch = db.batch();
+  batch.update(licenseDoc.ref, {
+    status: 'revoked',
+    statusBeforeRevoke: license.status || null,
+    replacedBy: replacement.licenseId,
+    revocation: { reason: reason || 'Replaced', at: admin.firestore.FieldValue.serverTimestamp() },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  // Later webhooks for this purchase must find the new key
+  const paypalId = license.purchaseType === 'subscription'
+    ? license.subscriptionId || license.paypalID
+    : license.paypalID;
+  if (paypalId) {
+    batch.set(db.collection('issuances').doc(paypalId), {
+      licenseKey: replacement.licenseId,
+      purchaseType: license.purchaseType || null,
+      replacedFrom: licenseDoc.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  await batch.commit();
+
+  await notifyLicenseIssued(replacement.licenseId);
+  return replacement;
+}
+
+// —————— 3) Status ——————
+
+export async function revokeLicense(licenseDoc, reason) {
+  const license = licenseDoc.data();
+  if (license.status === 'merged' || isFinalStatus(license.status)) {
+    throw new LicenseActionError(`License is already ${license.status}`);
+  }
+  await licenseDoc.ref.update({
+    status: 'revoked',
+    statusBeforeRevoke: license.status || null,
+    entitlement: {
+      state: 'revoked',
+      validUntil: null,
+      source: 'admin',
+      checkedAt: admin.firestore.FieldValue.serverTimestamp()
+    },
+    revocation: { reason: reason || null, at: admin.firestore.FieldValue.serverTimestamp() },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Undoes a revocation; subscriptions then get their state from PayPal again
+export async function reinstateLicense(licenseDoc) {
+  const license = licenseDoc.data();
+  if (license.status !== 'revoked') {
+    throw new LicenseActionError('License is not revoked');
+  }
+  if (license.replacedBy) {
+    throw new LicenseActionError(`License was replaced by ${license.replacedBy}; reinstate that one instead`);
+  }
+  const previous = license.statusBeforeRevoke;
+  await licenseDoc.ref.update({
+    status: previous && previous !== 'revoked' ? previous : 'active',
+    statusBeforeRevoke: admin.firestore.FieldValue.delete(),
+    revocation: admin.firestore.FieldValue.delete(),
+    entitlement: admin.firestore.FieldValue.delete(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  if (license.purchaseType === 'subscription') {
+    await resolveEntitlement(await licenseDoc.ref.get());
+  }
+}
+
+/**
+ * Keeps a subscription license entitled until `until`, whatever PayPal says
+ * (see withExtension in lib/entitlements.js). A date in the past removes the
+ * extension. Resolves to the license's entitlement afterwards.
+ */
+export async function extendLicense(licenseDoc, until) {
+  const license = licenseDoc.data();
+  if (license.purchaseType !== 'subscription') {
+    throw new LicenseActionError('Only subscription licenses expire', 400);
+  }
+  if (isFinalStatus(license.status)) {
+    throw new LicenseActionError(`License is ${license.status}`);
+  }
+  const date = toDate(until);
+  if (!date) {
+    throw new LicenseActionError('Invalid date', 400);
+  }
+  await licenseDoc.ref.update({
+    extendedUntil: date > new Date() ? date : admin.firestore.FieldValue.delete(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return resolveEntitlement(await licenseDoc.ref.get());
+}
+
+// Frees every seat. Resolves to the number of activations removed.
+export async function resetActivations(licenseDoc) {
+  const snap = await licenseDoc.ref.collection('activations').get();
+  const batch = db.batch();
+  snap.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+  return snap.size;
+}
+
+// —————— 4) Refunds ——————
+
+/**
+ * Refunds a payment through PayPal and marks the license refunded.
+ *   one-time:      the license's capture
+ *   subscription:  transactionId, or the latest payment; cancelSubscription
+ *                  also stops future billing after a partial refund
+ * amount (a decimal string) makes it a partial refund, which leaves the
+ * license active unless it returns the rest of the payment. A full refund
+ * ends the license and, through recordRefund, the subscription. PayPal errors
+ * propagate (PayPalError).
+ * Resolves to { refundId, transactionId, amount, currency, partial }.
+ */
+export async function refundLicense(licenseDoc, { transactionId = null, amount = null, reason = null, cancelSubscription = false }) {
+  const license = licenseDoc.data();
+  if (isFinalStatus(license.status) || license.status === 'merged') {
+    throw new LicenseActionError(`License is ${license.status}`);
+  }
+  const currency = license.lastPayment?.currency || 'USD';
+  let refund;
+  let refundedId;
+
+  if (license.purchaseType === 'subscription') {
+    refundedId = transactionId || license.lastPayment?.saleId || (license.saleIds || []).slice(-1)[0];
+    if (!refundedId) {
+      throw new LicenseActionError('No subscription payment on record to refund', 400);
+    }
+    const response = await sales.refund(refundedId, { amount: amount ? { total: amount, currency } : undefined });
+    refund = {
+      id: response.id,
+      amount: response.amount?.total || amount,
+      currency: response.amount?.currency || currency
+    };
+    if (cancelSubscription) {
+      await subscriptions.cancel(license.subscriptionId || license.paypalID, 'Refunded by support');
+    }
+  } else {
+    refundedId = transactionId || license.captureId;
+    if (!refundedId) {
+      throw new LicenseActionError('License has no PayPal capture to refund', 400);
+    }
+    const response = await captures.refund(refundedId, {
+      amount: amount ? { value: amount, currency_code: currency } : undefined,
+      noteToPayer: reason || undefined
+    });
+    refund = {
+      id: response.id,
+      amount: response.amount?.value || amount,
+      currency: response.amount?.currency_code || currency
+    };
+  }
+
+  const kind = license.purchaseType === 'subscription' ? 'sale' : 'capture';
+  const partial = Boolean(amount) && !(await isFullyRefunded(kind, refundedId));
+  await recordRefund(licenseDoc, {
+    type: 'refund',
+    transactionId: refundedId,
+    refundId: refund.id,
+    amount: refund.amount,
+    currency: refund.currency,
+    reason: reason || 'Refunded by support',
+    partial
+  }, 'admin');
+
+  return {
+    refundId: refund.id,
+    transactionId: refundedId,
+    amount: refund.amount || null,
+    currency: refund.currency,
+    partial
+  };
+}
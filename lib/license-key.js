@@ -0,0 +1,110 @@
+// File: lib/license-key.js
+//
+// Standalone license key format. No server dependencies, so it can be copied
+// into any JS client to catch typos before a network call; the Swift app
+// implements the same steps and is checked against lib/license-key-vectors.json.
+//
+// Key format:   CLK1-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXC
+//   CLK1   product and key format version
+//   X      27 Crockford base32 symbols: 135 random bits
+//   C      check symbol, Luhn mod 32 over the 27 symbols; catches any single
+//          wrong symbol and every swap of two neighbours except 0 and Z
+//          (values 0 and 31, which Luhn mod 32 cannot tell apart when swapped,
+//          as decimal Luhn misses 09 and 90)
+// Input is forgiving: case, spaces and hyphens do not matter, and O, I and L
+// read as 0, 1 and 1.
+//
+// Keys issued before this format are 12 lowercase hex digits and stay valid.
+
+export const KEY_PREFIX = 'CLK1';
+export const KEY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+export const RANDOM_BYTES = 17;
+const BODY_LENGTH = 27;
+const GROUP_SIZE = 4;
+
+const LEGACY_KEY = /^[0-9a-f]{12}$/;
+
+// Luhn mod N with N = 32, over symbols of KEY_ALPHABET
+export function checkSymbol(body) {
+  let factor = 2;
+  let sum = 0;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * KEY_ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / 32) + (addend % 32);
+    sum += addend;
+  }
+  return KEY_ALPHABET[(32 - (sum % 32)) % 32];
+}
+
+function format(symbols) {
+  const groups = symbols.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g'));
+  return [KEY_PREFIX, ...groups].join('-');
+}
+
+/**
+ * Builds a key from RANDOM_BYTES random bytes (the caller supplies them from a
+ * CSPRNG). Each symbol takes the next 5 bits, most significant first.
+ */
+export function encodeLicenseKey(bytes) {
+  if (!bytes || bytes.length < RANDOM_BYTES) {
+    throw new Error(`A license key needs ${RANDOM_BYTES} random bytes`);
+  }
+  let body = '';
+  for (let i = 0; i < BODY_LENGTH; i++) {
+    let value = 0;
+    for (let bit = i * 5; bit < i * 5 + 5; bit++) {
+      value = (value << 1) | ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    body += KEY_ALPHABET[value];
+  }
+  return format(body + checkSymbol(body));
+}
+
+/**
+ * Reads a key as typed. Returns
+ *   { valid: true, format: 'clk1', key }     key in canonical form
+ *   { valid: true, format: 'legacy', key }   a 12-digit hex key
+ *   { valid: false, reason: 'checksum' }     right shape, mistyped
+ *   { valid: false, reason: 'format' }       not a license key at all
+ */
+export function parseLicenseKey(input) {
+  if (typeof input !== 'string') {
+    return { valid: false, reason: 'format' };
+  }
+  const compact = input.replace(/[\s-]/g, '').toUpperCase();
+
+  if (LEGACY_KEY.test(compact.toLowerCase())) {
+    return { valid: true, format: 'legacy', key: compact.toLowerCase() };
+  }
+  // The prefix's own 1 may be typed as I or L too
+  if (!/^CLK[1IL]/.test(compact)) {
+    return { valid: false, reason: 'format' };
+  }
+
+  const symbols = compact.slice(KEY_PREFIX.length)
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (symbols.length !== BODY_LENGTH + 1 || [...symbols].some(c => !KEY_ALPHABET.includes(c))) {
+    return { valid: false, reason: 'format' };
+  }
+
+  const body = symbols.slice(0, BODY_LENGTH);
+  if (checkSymbol(body) !== symbols[BODY_LENGTH]) {
+    return { valid: false, reason: 'checksum' };
+  }
+  return { valid: true, format: 'clk1', key: format(symbols) };
+}
+
+// CLK1-••••-…-ABCD: only the prefix and the last group show; a legacy
+// hex key keeps its last four digits
+export function maskLicenseKey(licenseKey) {
+  const key = String(licenseKey);
+  if (LEGACY_KEY.test(key)) {
+    return '•'.repeat(key.length - GROUP_SIZE) + key.slice(-GROUP_SIZE);
+  }
+  const groups = key.split('-');
+  return groups
+    .map((group, i) => (i === groups.length - 1 || group === KEY_PREFIX ? group : '•'.repeat(group.length)))
+    .join('-');
+}
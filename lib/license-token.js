@@ -0,0 +1,66 @@
+// File: lib/license-token.js
+//
+// Signs offline license tokens (format documented in verify-license-token.js).
+// The signing key is an Ed25519 seed, base64 in LICENSE_SIGNING_KEY, the same
+// kind of key Sparkle's generate_keys produces.
+
+import { createPrivateKey, createPublicKey, sign } from 'crypto';
+import { TOKEN_PREFIX, base64url, hashEmail } from './verify-license-token';
+import { seatLimitFor } from './seats';
+
+// DER header that turns a raw 32-byte Ed25519 seed into PKCS#8
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// How long a subscription token keeps working offline past the paid-through date
+export const GRACE_DAYS = Number(process.env.LICENSE_TOKEN_GRACE_DAYS) || 14;
+
+// Older Sparkle keys are 64 bytes (seed + public key); the seed is the first half
+export function privateKeyFromBase64(seedBase64) {
+  const raw = Buffer.from(seedBase64 || '', 'base64');
+  if (raw.length !== 32 && raw.length !== 64) {
+    throw new Error('Ed25519 signing key must be a 32-byte seed');
+  }
+  return createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, raw.subarray(0, 32)]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+}
+
+// Raw public key as base64, the value the app embeds to verify tokens
+export function publicKeyBase64(seedBase64 = process.env.LICENSE_SIGNING_KEY) {
+  const spki = createPublicKey(privateKeyFromBase64(seedBase64)).export({ format: 'der', type: 'spki' });
+  return spki.subarray(spki.length - 32).toString('base64');
+}
+
+/**
+ * Builds the claims for a license.
+ * entitlementExpiry is a Date (paid-through time), required for subscriptions
+ * and ignored for lifetime licenses, whose tokens never expire.
+ */
+export function buildTokenPayload(licenseKey, license, { entitlementExpiry = null, now = Date.now() } = {}) {
+  const lifetime = license.purchaseType !== 'subscription';
+  if (!lifetime && !entitlementExpiry) {
+    throw new Error('Subscription tokens need an entitlement expiry');
+  }
+  const ent = lifetime ? null : Math.floor(entitlementExpiry.getTime() / 1000);
+
+  return {
+    v: 1,
+    lid: licenseKey,
+    typ: license.purchaseType,
+    eh: hashEmail(license.email),
+    ent,
+    exp: ent === null ? null : ent + GRACE_DAYS * DAY_SECONDS,
+    dev: seatLimitFor(license),
+    iat: Math.floor(now / 1000)
+  };
+}
+
+export function signLicenseToken(payload, seedBase64 = process.env.LICENSE_SIGNING_KEY) {
+  const signedPart = `${TOKEN_PREFIX}.${base64url(JSON.stringify(payload))}`;
+  const signature = sign(null, Buffer.from(signedPart, 'ascii'), privateKeyFromBase64(seedBase64));
+  return `${signedPart}.${base64url(signature)}`;
+}
@@ -0,0 +1,288 @@
+// File: lib/licenses.js
+//
+// A license's document ID is its license ID: the sha256 of a CLK1 key, or the
+// key itself for legacy hex keys (see lib/key-vault.js). Customers hand us
+// keys, which getLicense turns into IDs; everything stored elsewhere
+// (issuances, activations, cancel requests, audit) refers to the ID.
+
+import { admin, db } from './firebase';
+import { notifyLicenseIssued } from './notifications';
+import { newLicenseKey, licenseIdForKey, sealLicenseKey, licenseKeyOf } from './key-vault';
+import { isFinalStatus } from './entitlements';
+
+// Where a license's email came from. When both are known the higher rank wins:
+// the address the customer typed at checkout beats their PayPal account email,
+// and an address an operator attached by hand beats both.
+// Licenses written before this field existed count as 'paypal'.
+const EMAIL_SOURCE_RANK = { paypal: 1, checkout: 2, admin: 3 };
+
+// Issued, but with no address to send the key to yet
+export const PENDING_STATUSES = ['pending_email', 'pending_email_resolution'];
+
+// Helper to validate email format
+export function isValidEmail(email) {
+  if (typeof email !== 'string') return false;
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Records that keep an email as it was typed (licenses, checkout sessions,
+// subscription mappings, mail_outbox) also store this form of it as
+// emailLower, and lookups by email query that field: Alice@Example.com and
+// alice@example.com are the same customer. Portal links and sessions and team
+// members only ever store this form.
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// A fresh key, where its license will live, and the key fields to store:
+// { licenseKey, licenseRef, fields }.
+function mintLicense() {
+  const licenseKey = newLicenseKey();
+  return {
+    licenseKey,
+    licenseRef: db.collection('licenses').doc(licenseIdForKey(licenseKey)),
+    fields: {
+      sealedKey: sealLicenseKey(licenseKey),
+      keyFormat: 'clk1',
+      keyHint: licenseKey.slice(-4)
+    }
+  };
+}
+
+function emailRank(source) {
+  return EMAIL_SOURCE_RANK[source] || EMAIL_SOURCE_RANK.paypal;
+}
+
+// Licenses that may not be used on any Mac: every final status (refunded,
+// revoked, erased, removed) plus inactive and merged ones
+const BLOCKED_STATUSES = ['inactive', 'merged'];
+
+export function isLicenseBlocked(license) {
+  return BLOCKED_STATUSES.includes(license.status) || isFinalStatus(license.status);
+}
+
+// Returns the license snapshot for a key as a customer gave it, following a
+// merged duplicate to its canonical license, or null if the key is unknown or
+// mistyped
+export async function getLicense(licenseKey) {
+  const licenseId = licenseIdForKey(licenseKey);
+  return licenseId ? getLicenseById(licenseId) : null;
+}
+
+// Like getLicense, for a license ID we stored ourselves (issuances, tokens,
+// cancel requests). Never pass customer input here: an ID is not a key.
+export async function getLicenseById(licenseId) {
+  if (typeof licenseId !== 'string' || !licenseId || licenseId.includes('/')) {
+    return null;
+  }
+  let licenseDoc = await db.collection('licenses').doc(licenseId).get();
+  if (licenseDoc.exists && licenseDoc.data().mergedInto) {
+    licenseDoc = await db.collection('licenses').doc(licenseDoc.data().mergedInto).get();
+  }
+  return licenseDoc.exists ? licenseDoc : null;
+}
+
+// Returns the license snapshot issued for a PayPal ID, or null if none was
+export async function findIssuedLicense(paypalId) {
+  const issuance = await db.collection('issuances').doc(paypalId).get();
+  if (!issuance.exists) {
+    return null;
+  }
+  const license = await db.collection('licenses').doc(issuance.data().licenseKey).get();
+  return license.exists ? license : null;
+}
+
+// Like findIssuedLicense, but also finds legacy licenses written before issuances existed
+export async function findLicenseByPaypalId(paypalId) {
+  const issued = await findIssuedLicense(paypalId);
+  if (issued) {
+    return issued;
+  }
+  for (const field of ['subscriptionId', 'paypalID']) {
+    const snap = await db.collection('licenses').where(field, '==', paypalId).limit(1).get();
+    if (!snap.empty) {
+      return snap.docs[0];
+    }
+  }
+  return null;
+}
+
+// Every license (merged duplicates excluded) whose email matches, ignoring case
+export async function findLicensesByEmail(email) {
+  if (!isValidEmail(email)) return [];
+  const snap = await db.collection('licenses').where('emailLower', '==', normalizeEmail(email)).get();
+  return snap.docs.filter(doc => doc.data().status !== 'merged');
+}
+
+// Builds the update that folds newly arrived details into an existing license
+function enrichmentFor(existing, details) {
+  const update = {};
+
+  if (
+    isValidEmail(details.email) &&
+    details.email !== existing.email &&
+    (!existing.email || emailRank(details.emailSource) > emailRank(existing.emailSource))
+  ) {
+    update.email = details.email;
+    update.emailLower = normalizeEmail(details.email);
+    update.emailSource = details.emailSource || 'paypal';
+  }
+
+  const hasEmail = Boolean(update.email || existing.email);
+  if (hasEmail && PENDING_STATUSES.includes(existing.status)) {
+    update.status = 'active';
+    update.notes = admin.firestore.FieldValue.delete();
+  }
+
+  for (const field of ['subscriptionId', 'payerId', 'captureId']) {
+    if (details[field] && !existing[field]) {
+      update[field] = details[field];
+    }
+  }
+
+  if (details.planFields && !existing.planId) {
+    Object.assign(update, details.planFields);
+  }
+
+  return update;
+}
+
+/**
+ * Issues the one license for a PayPal order or subscription ID, or enriches
+ * the license already issued for it. Every issuing path goes through here, so
+ * retries, duplicate webhooks and the checkout page racing the webhook all
+ * converge on the same key.
+ *
+ * Once the license has an email address the key is mailed to it; the email
+ * is deduplicated per license, so converging calls send it once.
+ *
+ * details: { purchaseType, email, emailSource, subscriptionId, payerId, captureId, source,
+ *            planFields (the plan's license fields, from lib/plans.js) }
+ * Resolves to { licenseKey, licenseId, created, status }; licenseKey is what
+ * the customer types, so only hand it to the customer.
+ */
+export async function issueLicense(paypalId, details) {
+  const issuanceRef = db.collection('issuances').doc(paypalId);
+
+  const result = await db.runTransaction(async (tx) => {
+    const issuance = await tx.get(issuanceRef);
+
+    if (issuance.exists) {
+      const licenseRef = db.collection('licenses').doc(issuance.data().licenseKey);
+      const license = await tx.get(licenseRef);
+      const existing = license.data() || {};
+      const update = enrichmentFor(existing, details);
+      if (Object.keys(update).length > 0) {
+        update.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+        tx.update(licenseRef, update);
+      }
+      return {
+        licenseKey: license.exists ? licenseKeyOf(license) : licenseRef.id,
+        licenseId: licenseRef.id,
+        created: false,
+        status: update.status || existing.status
+      };
+    }
+
+    // Pick a key nobody holds yet (with 135 random bits, a clash is theoretical)
+    let minted;
+    do {
+      minted = mintLicense();
+    } while ((await tx.get(minted.licenseRef)).exists);
+    const { licenseRef } = minted;
+
+    const docData = {
+      ...minted.fields,
+      purchaseType: details.purchaseType,
+      paypalID: paypalId,
+      issuedVia: details.source || 'unknown',
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      status: 'active'
+    };
+    if (details.purchaseType === 'subscription') {
+      docData.subscriptionId = details.subscriptionId || paypalId;
+    }
+    if (details.payerId) docData.payerId = details.payerId;
+    if (details.captureId) docData.captureId = details.captureId;
+    if (details.planFields) Object.assign(docData, details.planFields);
+
+    if (isValidEmail(details.email)) {
+      docData.email = details.email;
+      docData.emailLower = normalizeEmail(details.email);
+      docData.emailSource = details.emailSource || 'paypal';
+    } else {
+      docData.status = 'pending_email_resolution';
+      docData.notes = 'Email could not be resolved from PayPal webhook or API';
+    }
+
+    tx.set(licenseRef, docData);
+    tx.set(issuanceRef, {
+      licenseKey: licenseRef.id,
+      purchaseType: details.purchaseType,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { licenseKey: minted.licenseKey, licenseId: licenseRef.id, created: true, status: docData.status };
+  });
+
+  if (result.status === 'active') {
+    await notifyLicenseIssued(result.licenseId);
+  }
+  return result;
+}
+
+/**
+ * Writes a license no PayPal payment issued: complimentary keys and
+ * replacements from support. fields are stored as given on top of the
+ * defaults. Resolves to { licenseKey, licenseId }.
+ */
+export async function createLicenseRecord(fields) {
+  return db.runTransaction(async (tx) => {
+    let minted;
+    do {
+      minted = mintLicense();
+    } while ((await tx.get(minted.licenseRef)).exists);
+
+    tx.set(minted.licenseRef, {
+      ...minted.fields,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      status: 'active',
+      ...fields,
+      ...(typeof fields.email === 'string' ? { emailLower: normalizeEmail(fields.email) } : {})
+    });
+    return { licenseKey: minted.licenseKey, licenseId: minted.licenseRef.id };
+  });
+}
+
+/**
+ * Gives a license that is still waiting for its email an address and makes
+ * it active, then mails the key. Resolves to true, or false when the license
+ * is no longer pending (someone else resolved it first).
+ */
+export async function attachLicenseEmail(licenseId, email, emailSource) {
+  if (!isValidEmail(email)) {
+    throw new Error('Invalid email address');
+  }
+  const licenseRef = db.collection('licenses').doc(licenseId);
+
+  const attached = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(licenseRef);
+    if (!snap.exists || !PENDING_STATUSES.includes(snap.data().status)) {
+      return false;
+    }
+    tx.update(licenseRef, {
+      email,
+      emailLower: normalizeEmail(email),
+      emailSource,
+      status: 'active',
+      notes: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+
+  if (attached) {
+    await notifyLicenseIssued(licenseId);
+  }
+  return attached;
+}
@@ -0,0 +1,154 @@
+// File: lib/log.js
+//
+// Structured logging. Each line is one JSON object:
+//   { time, level, requestId, msg, ...fields }
+// and everything in it goes through redact() first, so call sites can pass
+// PayPal resources and license documents without leaking customer data:
+//   emails         → "[email:1a2b3c4d]" (a short hash, so lines about the
+//                    same customer still correlate)
+//   license keys   → masked to the last group, as support sees them; so are
+//                    licenseId fields, since a legacy hex key is its own
+//                    license ID (hashed IDs of CLK1 keys pass unchanged)
+//   tokens         → CL1 license tokens and Bearer credentials, "[redacted]"
+//   names, addresses, phone numbers and secrets under well-known field names
+//                  → "[redacted]"
+// Routes wrap their handler in withRequestLog, which takes the request ID from
+// Vercel (x-vercel-id) or the caller (x-request-id), echoes it back as
+// X-Request-Id and stamps it on every line logged while the request runs.
+// LOG_LEVEL (debug | info | warn | error, default info) sets what is written.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomBytes } from 'crypto';
+import { maskLicenseKey } from './license-key';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const MAX_DEPTH = 16;
+
+const requestContext = new AsyncLocalStorage();
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const CLK1_KEY = /\bCLK1(?:-[0-9A-Za-z]{4}){7}\b/g;
+const LICENSE_TOKEN = /\bCL1\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+const BEARER = /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi;
+
+// Field names whose values are never written, whatever they hold
+const SECRET_FIELDS = new Set([
+  'token', 'lookuptoken', 'accesstoken', 'access_token', 'refresh_token', 'authorization',
+  'cookie', 'set-cookie', 'password', 'secret', 'sealedkey', 'sealedlicensekey', 'pow',
+  'given_name', 'surname', 'full_name', 'middle_name', 'alternate_full_name',
+  'address', 'address_line_1', 'address_line_2', 'admin_area_1', 'admin_area_2', 'postal_code',
+  'phone', 'phone_number', 'national_number', 'tax_info', 'birth_date', 'devicename'
+]);
+// Field names that hold a license key or ID (legacy hex keys match no pattern)
+const KEY_FIELDS = new Set(['licensekey', 'licenseid', 'orglicenseid']);
+
+export function emailTag(email) {
+  return `[email:${createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex').slice(0, 8)}]`;
+}
+
+function redactString(value) {
+  return value
+    .replace(EMAIL, emailTag)
+    .replace(CLK1_KEY, maskLicenseKey)
+    .replace(LICENSE_TOKEN, '[redacted]')
+    .replace(BEARER, 'Bearer [redacted]');
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.status ? { status: err.status } : {}),
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.details ? { details: err.details } : {}),
+    stack: err.stack
+  };
+}
+
+/**
+ * A copy of value with customer data and secrets removed (see the header).
+ * Safe on any JSON-like value, Errors and Firestore Timestamps included.
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (value instanceof Error) return redact(serializeError(value), depth + 1);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [field, item] of Object.entries(value)) {
+    const name = field.toLowerCase();
+    if (item === null || item === undefined) {
+      copy[field] = item;
+    } else if (SECRET_FIELDS.has(name)) {
+      copy[field] = '[redacted]';
+    } else if (KEY_FIELDS.has(name) && typeof item === 'string') {
+      copy[field] = maskLicenseKey(item);
+    } else {
+      copy[field] = redact(item, depth + 1);
+    }
+  }
+  return copy;
+}
+
+function write(level, bound, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const context = requestContext.getStore();
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const line = JSON.stringify(redact({
+    time: new Date().toISOString(),
+    level,
+    requestId: context?.requestId || null,
+    msg,
+    ...bound,
+    ...extra
+  }));
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * A logger whose lines all carry `bound` (e.g. { module: 'webhook' }).
+ *   log.info('🔑 License issued', { licenseId })
+ *   log.error('❌ Could not send', err)   // an Error alone becomes { err }
+ */
+export function createLogger(bound = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bound, msg, fields),
+    info: (msg, fields) => write('info', bound, msg, fields),
+    warn: (msg, fields) => write('warn', bound, msg, fields),
+    error: (msg, fields) => write('error', bound, msg, fields),
+    child: (more) => createLogger({ ...bound, ...more })
+  };
+}
+
+export const log = createLogger();
+
+// The current request's ID, or null outside withRequestLog
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+function requestIdFor(req) {
+  const given = req.headers?.['x-vercel-id'] || req.headers?.['x-request-id'];
+  return typeof given === 'string' && /^[A-Za-z0-9:._-]{1,128}$/.test(given)
+    ? given
+    : randomBytes(8).toString('hex');
+}
+
+/**
+ * Wraps a route handler so everything it logs carries the request's ID:
+ *   export default withRequestLog(async function handler(req, res) { … });
+ */
+export function withRequestLog(handler) {
+  return function loggedHandler(req, res) {
+    const requestId = requestIdFor(req);
+    res.setHeader('X-Request-Id', requestId);
+    return requestContext.run({ requestId }, () => handler(req, res));
+  };
+}
@@ -0,0 +1,227 @@
+// File: lib/lookup-guard.js
+//
+// Keeps the license lookup routes (check-license, verify-subscription) from
+// being used to harvest keys. A lookup needs a second factor besides the
+// PayPal ID or license key:
+//   lookupToken  signed by the checkout flow for the PayPal ID it just paid
+//                (LOOKUP_TOKEN_SECRET); the caller gets the full key
+//   portal       a portal session whose email owns the license; full key
+//   email        the purchase email; the caller only sees a masked key and
+//                the full key is emailed to that address
+// A miss and a wrong factor get the same answer, and every answer is held
+// back to the same minimum time, so neither content nor timing tells them apart.
+//
+// Misses are counted per caller address in lookup_failures/{sha256(ip)}
+//   { count, windowStart, lockedUntil }
+// After CHALLENGE_AFTER misses in an hour each further lookup needs a solved
+// proof-of-work challenge; after LOCK_AFTER the address is locked out.
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { db } from './firebase';
+import { toDate } from './entitlements';
+import { getPortalEmail, ownsLicense } from './portal';
+import { clientIp } from './rate-limit';
+import { base64url, fromBase64url } from './verify-license-token';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'lookup-guard' });
+
+const LOOKUP_TOKEN_TTL_MINUTES = 60;
+export const MIN_LOOKUP_MS = 600;
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const CHALLENGE_AFTER = 3;
+const LOCK_AFTER = 10;
+const LOCK_MS = 60 * 60 * 1000;
+
+// Leading zero bits sha256(challenge + ':' + nonce) must have; about 65k tries
+export const POW_DIFFICULTY = Number(process.env.LOOKUP_POW_DIFFICULTY) || 16;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function sign(body) {
+  const secret = process.env.LOOKUP_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('LOOKUP_TOKEN_SECRET is not set');
+  }
+  return base64url(createHmac('sha256', secret).update(body).digest());
+}
+
+function signedPayload(payload) {
+  const body = base64url(Buffer.from(JSON.stringify(payload)));
+  return `${body}.${sign(body)}`;
+}
+
+// Checks signature and expiry; returns the payload or null
+function readSigned(token, now = Date.now()) {
+  if (typeof token !== 'string' || !process.env.LOOKUP_TOKEN_SECRET) return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  const expected = fromBase64url(sign(body));
+  const given = fromBase64url(sig);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  try {
+    const payload = JSON.parse(fromBase64url(body).toString('utf8'));
+    return payload.exp * 1000 > now ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// —————— 1) Factors ——————
+
+/**
+ * Signs a lookup token for a PayPal order or subscription ID, for the checkout
+ * flow to hand back to check-license. Resolves to null (and logs) when
+ * LOOKUP_TOKEN_SECRET is missing, so checkout still works without it.
+ */
+export function signLookupToken(paypalId, now = Date.now()) {
+  try {
+    return signedPayload({ pid: paypalId, exp: Math.floor(now / 1000) + LOOKUP_TOKEN_TTL_MINUTES * 60 });
+  } catch (err) {
+    log.error('❌ Could not sign lookup token', { err });
+    return null;
+  }
+}
+
+// Whether a lookup token was signed for one of the given PayPal IDs
+export function isValidLookupToken(token, paypalIds) {
+  const payload = readSigned(token);
+  return Boolean(payload && typeof payload.pid === 'string' && paypalIds.filter(Boolean).includes(payload.pid));
+}
+
+// Compares two addresses case-insensitively in constant time
+function sameEmail(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(sha256(a.trim().toLowerCase()));
+  const right = Buffer.from(sha256(b.trim().toLowerCase()));
+  return timingSafeEqual(left, right);
+}
+
+/**
+ * How the caller proved they may see a license:
+ *   'full'    a lookup token for one of its PayPal IDs, or an owning portal session
+ *   'masked'  its purchase email
+ *   null      nothing that matches
+ * paypalIds: the IDs the license is known by (order, subscription, legacy paypalID).
+ */
+export async function lookupAccess(req, license, paypalIds, { email, lookupToken }) {
+  if (lookupToken && isValidLookupToken(lookupToken, paypalIds)) {
+    return 'full';
+  }
+  const portalEmail = await getPortalEmail(req);
+  if (portalEmail && ownsLicense(portalEmail, license)) {
+    return 'full';
+  }
+  if (email && sameEmail(email, license.email)) {
+    return 'masked';
+  }
+  return null;
+}
+
+// Holds a response back until MIN_LOOKUP_MS have passed since startedAt
+export async function settle(startedAt) {
+  const wait = MIN_LOOKUP_MS - (Date.now() - startedAt);
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
+
+// —————— 2) Failed lookups ——————
+
+function failureRef(req) {
+  return db.collection('lookup_failures').doc(sha256(clientIp(req)));
+}
+
+// A solved challenge is { challenge, nonce }; each can be spent once
+async function spendChallenge(req, solution, now = Date.now()) {
+  if (!solution || typeof solution.challenge !== 'string' || typeof solution.nonce !== 'string') {
+    return false;
+  }
+  const payload = readSigned(solution.challenge, now);
+  if (!payload || payload.ip !== sha256(clientIp(req))) {
+    return false;
+  }
+  const digest = createHash('sha256').update(`${solution.challenge}:${solution.nonce}`).digest();
+  if (!hasLeadingZeroBits(digest, payload.bits)) {
+    return false;
+  }
+  try {
+    await db.collection('lookup_challenges').doc(sha256(solution.challenge)).create({
+      usedAt: new Date(now),
+      expiresAt: new Date(payload.exp * 1000)
+    });
+    return true;
+  } catch (err) {
+    // gRPC ALREADY_EXISTS: this solution was spent before
+    if (err.code === 6) return false;
+    throw err;
+  }
+}
+
+function hasLeadingZeroBits(digest, bits) {
+  for (let i = 0; i < bits; i++) {
+    if (digest[i >> 3] & (0x80 >> (i & 7))) return false;
+  }
+  return true;
+}
+
+function newChallenge(req, now = Date.now()) {
+  return {
+    challenge: signedPayload({
+      ip: sha256(clientIp(req)),
+      bits: POW_DIFFICULTY,
+      salt: randomBytes(8).toString('hex'),
+      exp: Math.floor((now + CHALLENGE_TTL_MS) / 1000)
+    }),
+    difficulty: POW_DIFFICULTY,
+    algorithm: 'sha256(challenge + ":" + nonce) with `difficulty` leading zero bits'
+  };
+}
+
+/**
+ * For lookup routes, before doing any lookup: answers 429 while the caller's
+ * address is locked out, or 403 with a new proof-of-work challenge when one
+ * is needed and `body.pow` is not a fresh solution. Resolves to true when the
+ * lookup may go ahead.
+ */
+export async function requireLookupAllowed(req, res, pow, now = Date.now()) {
+  const snap = await failureRef(req).get();
+  const failures = snap.exists ? snap.data() : null;
+
+  const lockedUntil = failures && toDate(failures.lockedUntil);
+  if (lockedUntil && lockedUntil.getTime() > now) {
+    res.setHeader('Retry-After', String(Math.ceil((lockedUntil.getTime() - now) / 1000)));
+    res.status(429).json({ error: 'Too many failed lookups; try again later' });
+    return false;
+  }
+
+  const inWindow = failures && toDate(failures.windowStart)?.getTime() > now - FAILURE_WINDOW_MS;
+  if (inWindow && failures.count >= CHALLENGE_AFTER && !(await spendChallenge(req, pow, now))) {
+    res.status(403).json({ error: 'Challenge required', challenge: newChallenge(req, now) });
+    return false;
+  }
+  return true;
+}
+
+// Counts a miss or wrong factor against the caller's address
+export async function recordLookupFailure(req, now = Date.now()) {
+  const ref = failureRef(req);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const previous = snap.exists ? snap.data() : null;
+    const fresh = !previous || !(toDate(previous.windowStart)?.getTime() > now - FAILURE_WINDOW_MS);
+    const count = fresh ? 1 : previous.count + 1;
+    tx.set(ref, {
+      count,
+      windowStart: fresh ? new Date(now) : previous.windowStart,
+      lockedUntil: count >= LOCK_AFTER ? new Date(now + LOCK_MS) : null
+    });
+  });
+  log.warn('⚠️ Failed license lookup recorded');
+}
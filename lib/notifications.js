@@ -0,0 +1,103 @@
+// File: lib/notifications.js
+//
+// The billing emails a customer gets, keyed so each goes out once even when
+// webhooks are redelivered or replayed. Notification failures are logged and
+// swallowed: an email problem must never fail a payment or webhook.
+
+import { db } from './firebase';
+import { queueMail } from './mailer';
+import { toDate } from './entitlements';
+import { licenseKeyOf } from './key-vault';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'notifications' });
+
+// A fixed download link; without it the email links to /api/download (see lib/email-templates.js)
+const DOWNLOAD_URL = process.env.DOWNLOAD_URL || null;
+
+function iso(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+async function notify(licenseDoc, template, data, dedupeKey) {
+  try {
+    const license = licenseDoc.data();
+    if (!license.email) {
+      log.warn('⚠️ No email on license; email not sent', { template, licenseId: licenseDoc.id });
+      return null;
+    }
+    return await queueMail(template, license.email, { licenseKey: licenseKeyOf(licenseDoc), ...data }, {
+      dedupeKey,
+      licenseKey: licenseDoc.id
+    });
+  } catch (err) {
+    log.error('❌ Could not queue email', { template, err });
+    return null;
+  }
+}
+
+// Sent once per license, as soon as it has an email address
+export async function notifyLicenseIssued(licenseId) {
+  const licenseDoc = await db.collection('licenses').doc(licenseId).get();
+  if (!licenseDoc.exists) return null;
+  return notify(licenseDoc, 'license_issued', {
+    purchaseType: licenseDoc.data().purchaseType,
+    downloadUrl: DOWNLOAD_URL
+  }, `license_issued:${licenseId}`);
+}
+
+// A team member's own key, sent once when the admin invites them
+export async function notifyTeamInvitation(licenseId, adminEmail) {
+  const licenseDoc = await db.collection('licenses').doc(licenseId).get();
+  if (!licenseDoc.exists) return null;
+  return notify(licenseDoc, 'team_invitation', {
+    adminEmail: adminEmail || null,
+    downloadUrl: DOWNLOAD_URL
+  }, `team_invitation:${licenseId}`);
+}
+
+// The key again, for a lookup by purchase email; at most once an hour per license
+export function notifyLicenseLookup(licenseDoc, now = new Date()) {
+  return notify(licenseDoc, 'license_issued', {
+    purchaseType: licenseDoc.data().purchaseType,
+    downloadUrl: DOWNLOAD_URL
+  }, `license_lookup:${licenseDoc.id}:${now.toISOString().slice(0, 13)}`);
+}
+
+export function notifyRenewal(licenseDoc, sale, nextBillingAt) {
+  return notify(licenseDoc, 'renewal_receipt', {
+    saleId: sale.id,
+    amount: sale.amount?.total || null,
+    currency: sale.amount?.currency || null,
+    paidAt: iso(sale.create_time) || new Date().toISOString(),
+    nextBillingAt: iso(nextBillingAt)
+  }, `receipt:${sale.id}`);
+}
+
+export function notifyPaymentFailed(licenseDoc, { failedAt, graceUntil }) {
+  return notify(licenseDoc, 'payment_failed', {
+    graceUntil: iso(graceUntil)
+  }, `payment_failed:${licenseDoc.id}:${iso(failedAt) || 'unknown'}`);
+}
+
+export function notifySuspended(licenseDoc, suspendedAt = new Date()) {
+  return notify(licenseDoc, 'subscription_suspended', {}, `suspended:${licenseDoc.id}:${iso(suspendedAt).slice(0, 10)}`);
+}
+
+export function notifyCancelled(licenseDoc, { mode, endsAt }) {
+  return notify(licenseDoc, 'cancellation_confirmed', {
+    mode,
+    endsAt: iso(endsAt)
+  }, `cancelled:${licenseDoc.id}`);
+}
+
+// type: refund | reversal | dispute; partial when the license stays active
+export function notifyRefund(licenseDoc, { type, transactionId, amount, currency, partial = false }) {
+  return notify(licenseDoc, 'refund_issued', {
+    type,
+    amount: amount || null,
+    currency: currency || null,
+    partial
+  }, `refund:${licenseDoc.id}:${transactionId || 'unknown'}`);
+}
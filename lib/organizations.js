@@ -0,0 +1,299 @@
+// File: lib/organizations.js
+//
+// Team licenses. A per-seat plan (lib/plans.js) issues one organization
+// license to the buyer, whose email is the team's admin, with
+//   { organization: true, seatCount, pendingSeatCount? }
+// seatCount is the PayPal subscription's quantity: what is billed. The admin
+// invites members by email from the portal; each member gets a license of
+// their own, mailed to them, which activates on one Mac:
+//   licenses/{memberLicenseId}
+//     { email, orgLicenseId, seatLimit: 1, status, … }
+//   licenses/{orgLicenseId}/members/{sha256(email)}
+//     { email, licenseKey (the member license ID), status: 'active' | 'removed',
+//       invitedAt, invitedBy, removedAt }
+// The members subcollection is the seat pool: an invite takes a seat inside
+// a transaction, so two invites cannot both take the last one. A member's
+// access follows the organization's (see resolveEntitlement). The
+// organization key itself manages the team and does not activate.
+//
+// A seat change revises the subscription's quantity at PayPal. An increase
+// usually needs the admin to approve it at PayPal; until then it waits in
+// pendingSeatCount, and the BILLING.SUBSCRIPTION.UPDATED webhook brings
+// seatCount in line with what PayPal bills.
+//
+// changeSeatCount will not go below the members in place, but the quantity
+// can still drop at PayPal itself. Then nobody is cut off, since we cannot
+// tell which members the admin meant to keep: the organization is marked
+// overSeats, and no one can be invited until removals bring the members
+// within seatCount, which clears the mark.
+
+import { createHash } from 'crypto';
+import { admin, db } from './firebase';
+import { isLicenseBlocked, isValidEmail, createLicenseRecord, normalizeEmail } from './licenses';
+import { listActivations } from './activations';
+import { subscriptions } from './paypal';
+import { getPlan, seatRange } from './plans';
+import { notifyTeamInvitation } from './notifications';
+import { isFinalStatus, toDate } from './entitlements';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'organizations' });
+
+// A team change we will not make; status is the HTTP status
+export class OrgError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrgError';
+    this.status = status;
+  }
+}
+
+function membersRef(orgRef) {
+  return orgRef.collection('members');
+}
+
+function memberId(email) {
+  return createHash('sha256').update(email).digest('hex');
+}
+
+function iso(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+export function isOrganization(license) {
+  return Boolean(license && license.organization === true);
+}
+
+function seatSummary(org, used) {
+  const limit = org.seatCount || 0;
+  return {
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    over: Math.max(used - limit, 0),
+    pending: org.pendingSeatCount || null
+  };
+}
+
+// The overSeats mark for an organization with `used` members
+function overSeatsUpdate(org, used) {
+  return used > (org.seatCount || 0) ? true : admin.firestore.FieldValue.delete();
+}
+
+function liveMembers(snap) {
+  return snap.docs.filter(doc => doc.data().status === 'active');
+}
+
+// —————— 1) Members ——————
+
+/**
+ * The organization's members (removed ones included, for the record) with
+ * how many Macs each has activated. Resolves to { seats, members }.
+ */
+export async function listMembers(orgDoc) {
+  const snap = await membersRef(orgDoc.ref).get();
+  const members = await Promise.all(snap.docs.map(async (doc) => {
+    const member = doc.data();
+    let activations = 0;
+    if (member.status === 'active' && member.licenseKey) {
+      const memberDoc = await db.collection('licenses').doc(member.licenseKey).get();
+      if (memberDoc.exists) activations = (await listActivations(memberDoc)).seats.used;
+    }
+    return {
+      email: member.email,
+      status: member.status,
+      invitedAt: iso(member.invitedAt),
+      removedAt: iso(member.removedAt),
+      activations
+    };
+  }));
+  members.sort((a, b) => (a.invitedAt || '').localeCompare(b.invitedAt || ''));
+  return { seats: seatSummary(orgDoc.data(), liveMembers(snap).length), members };
+}
+
+/**
+ * Gives an email a seat: takes it from the pool, issues the member's own
+ * license and mails them the key. Resolves to { email, licenseId, seats }.
+ * Throws OrgError 409 when the pool is full or the email is already a member.
+ */
+export async function inviteMember(orgDoc, email, { invitedBy = null, now = new Date() } = {}) {
+  const address = normalizeEmail(email);
+  if (!isValidEmail(address)) {
+    throw new OrgError('Invalid email address');
+  }
+  const orgRef = orgDoc.ref;
+  const memberRef = membersRef(orgRef).doc(memberId(address));
+
+  const { org, used, previous } = await db.runTransaction(async (tx) => {
+    const org = (await tx.get(orgRef)).data();
+    if (!isOrganization(org) || isLicenseBlocked(org)) {
+      throw new OrgError('This license is not an active team license', 409);
+    }
+    const snap = await tx.get(membersRef(orgRef));
+    const live = liveMembers(snap);
+    if (live.some(doc => doc.id === memberRef.id)) {
+      throw new OrgError('That email is already a member of the team', 409);
+    }
+    if (live.length > (org.seatCount || 0)) {
+      throw new OrgError(`The team has more members (${live.length}) than paid seats (${org.seatCount || 0}); remove members or add seats first`, 409);
+    }
+    if (live.length >= (org.seatCount || 0)) {
+      throw new OrgError(`All ${org.seatCount || 0} seats are taken; add seats or remove a member first`, 409);
+    }
+    // A removed member being invited back
+    const previous = snap.docs.find(doc => doc.id === memberRef.id)?.data() || null;
+    tx.set(memberRef, {
+      email: address,
+      licenseKey: null,
+      status: 'active',
+      invitedAt: now,
+      invitedBy,
+      removedAt: null
+    });
+    return { org, used: live.length + 1, previous };
+  });
+
+  let licenseId;
+  try {
+    ({ licenseId } = await createLicenseRecord({
+      email: address,
+      emailSource: 'organization',
+      purchaseType: org.purchaseType,
+      orgLicenseId: orgRef.id,
+      seatLimit: 1,
+      ...(org.planId ? { planId: org.planId } : {}),
+      ...(Array.isArray(org.features) ? { features: org.features } : {}),
+      issuedVia: 'organization'
+    }));
+  } catch (err) {
+    // Give the seat back as it was; the member never got a key
+    await (previous ? memberRef.set(previous) : memberRef.delete()).catch((restoreErr) => {
+      log.error('❌ Could not give a seat back after a failed invite', { orgLicenseId: orgRef.id, err: restoreErr });
+    });
+    throw err;
+  }
+  await memberRef.update({ licenseKey: licenseId });
+  await notifyTeamInvitation(licenseId, org.email);
+
+  log.info('👥 Team member invited', { orgLicenseId: orgRef.id, email: address });
+  return { email: address, licenseId, seats: seatSummary(org, used) };
+}
+
+/**
+ * Takes a member's seat back: their license stops working and its Mac is
+ * deactivated. Resolves to { email, seats }; throws OrgError 404 for an
+ * email that is not a member.
+ */
+export async function removeMember(orgDoc, email, { now = new Date() } = {}) {
+  const address = normalizeEmail(email);
+  const orgRef = orgDoc.ref;
+  const memberRef = membersRef(orgRef).doc(memberId(address));
+
+  const { member, org, used } = await db.runTransaction(async (tx) => {
+    const org = (await tx.get(orgRef)).data();
+    const snap = await tx.get(membersRef(orgRef));
+    const doc = liveMembers(snap).find(d => d.id === memberRef.id);
+    if (!doc) {
+      throw new OrgError('That email is not a member of the team', 404);
+    }
+    const member = doc.data();
+    const memberLicense = member.licenseKey
+      ? await tx.get(db.collection('licenses').doc(member.licenseKey))
+      : null;
+    const used = liveMembers(snap).length - 1;
+    tx.update(memberRef, { status: 'removed', removedAt: now });
+    // A member who had their data erased keeps that status
+    if (memberLicense?.exists && !isFinalStatus(memberLicense.data().status)) {
+      tx.update(memberLicense.ref, { status: 'removed', removedAt: now });
+    }
+    if (org.overSeats) {
+      tx.update(orgRef, { overSeats: overSeatsUpdate(org, used) });
+    }
+    return { member, org, used };
+  });
+
+  if (member.licenseKey) {
+    const activations = await db.collection('licenses').doc(member.licenseKey).collection('activations').get();
+    const batch = db.batch();
+    activations.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  log.info('👥 Team member removed', { orgLicenseId: orgRef.id, email: address });
+  return { email: address, seats: seatSummary(org, used) };
+}
+
+// —————— 2) Seat count ——————
+
+/**
+ * Asks PayPal to bill for `seats` seats from now on. Resolves to
+ * { seatCount, pendingSeatCount, approveUrl }: with an approveUrl the admin
+ * must approve the change at PayPal before it takes effect. Throws OrgError
+ * for a count the plan does not allow or that would drop current members.
+ * PayPal errors propagate.
+ */
+export async function changeSeatCount(orgDoc, seats, now = new Date()) {
+  const org = orgDoc.data();
+  if (!isOrganization(org) || org.purchaseType !== 'subscription') {
+    throw new OrgError('Seats can only be changed on a team subscription', 409);
+  }
+  const { minSeats, maxSeats } = seatRange(org.planId ? await getPlan(org.planId) : null);
+  if (!Number.isInteger(seats) || seats < minSeats || seats > maxSeats) {
+    throw new OrgError(`Seats must be a whole number from ${minSeats} to ${maxSeats}`);
+  }
+  if (seats === org.seatCount && !org.pendingSeatCount) {
+    throw new OrgError(`The team already has ${seats} seats`);
+  }
+  const used = liveMembers(await membersRef(orgDoc.ref).get()).length;
+  if (seats < used) {
+    throw new OrgError(`${used} seats are in use; remove members before going down to ${seats}`, 409);
+  }
+
+  const subscriptionId = org.subscriptionId || org.paypalID;
+  const subscription = await subscriptions.get(subscriptionId);
+  if (!subscription || subscription.status !== 'ACTIVE') {
+    throw new OrgError('Seats can only be changed while the subscription is active', 409);
+  }
+  const revised = await subscriptions.revise(subscriptionId, {
+    plan_id: subscription.plan_id,
+    quantity: String(seats)
+  });
+  const approveUrl = (revised.links || []).find(link => link.rel === 'approve')?.href || null;
+
+  // Without an approval step PayPal bills the new count straight away
+  const update = approveUrl
+    ? { pendingSeatCount: seats, seatChangeRequestedAt: now }
+    : { seatCount: seats, pendingSeatCount: admin.firestore.FieldValue.delete() };
+  await orgDoc.ref.update(update);
+
+  log.info('👥 Team seat change requested', { orgLicenseId: orgDoc.id, from: org.seatCount, to: seats, needsApproval: Boolean(approveUrl) });
+  return {
+    seatCount: approveUrl ? org.seatCount : seats,
+    pendingSeatCount: approveUrl ? seats : null,
+    approveUrl
+  };
+}
+
+/**
+ * The license fields that bring an organization in line with the quantity a
+ * subscription webhook reports, overSeats included; empty for any other
+ * license.
+ */
+export async function seatCountUpdate(licenseDoc, subscription) {
+  const license = licenseDoc.data();
+  const quantity = Number(subscription.quantity);
+  if (!isOrganization(license) || !Number.isInteger(quantity) || quantity < 1) {
+    return {};
+  }
+  const update = { seatCount: quantity };
+  if (license.pendingSeatCount === quantity) {
+    update.pendingSeatCount = admin.firestore.FieldValue.delete();
+  }
+  const used = liveMembers(await membersRef(licenseDoc.ref).get()).length;
+  update.overSeats = overSeatsUpdate(update, used);
+  if (used > quantity) {
+    log.warn('⚠️ PayPal bills a team for fewer seats than it has members', { orgLicenseId: licenseDoc.id, seats: quantity, members: used });
+  }
+  return update;
+}
@@ -0,0 +1,241 @@
+// File: lib/paypal-webhook-verify.js
+//
+// Verifies that a webhook delivery really came from PayPal. Two modes, chosen
+// with PAYPAL_WEBHOOK_VERIFY_MODE:
+//   api    (default) ask PayPal's verify-webhook-signature endpoint
+//   local  verify offline: CRC32 of the raw body, the signing cert chain up to
+//          a pinned root (PAYPAL_WEBHOOK_ROOT_CERT, PEM), then the RSA-SHA256
+//          signature over "<transmission id>|<time>|<webhook id>|<crc32>"
+// Both modes reject deliveries whose transmission time is older (or further in
+// the future) than PAYPAL_WEBHOOK_MAX_AGE_SECONDS.
+
+import { X509Certificate, createVerify } from 'crypto';
+import { webhooks } from './paypal';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'webhook' });
+
+const MAX_AGE_SECONDS = Number(process.env.PAYPAL_WEBHOOK_MAX_AGE_SECONDS) || 600;
+
+// Signing certs are fetched from cert_url; keep them for an hour per URL
+const CERT_CACHE_TTL_MS = 60 * 60 * 1000;
+const certCache = new Map();
+// A cert chain is a few KB; the webhook must not wait on or buffer much more
+const CERT_FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_CERT_CHAIN_BYTES = 64 * 1024;
+
+// —————— CRC32 (IEEE), as PayPal computes it over the raw body ——————
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(input) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Header names arrive lowercased from Node; accept either form
+function header(headers, name) {
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+function transmissionHeaders(headers) {
+  return {
+    authAlgo: header(headers, 'paypal-auth-algo'),
+    certUrl: header(headers, 'paypal-cert-url'),
+    transmissionId: header(headers, 'paypal-transmission-id'),
+    transmissionSig: header(headers, 'paypal-transmission-sig'),
+    transmissionTime: header(headers, 'paypal-transmission-time')
+  };
+}
+
+export function isTransmissionFresh(transmissionTime, now = Date.now()) {
+  const sent = Date.parse(transmissionTime);
+  if (isNaN(sent)) return false;
+  return Math.abs(now - sent) <= MAX_AGE_SECONDS * 1000;
+}
+
+// Only PayPal's own hosts may serve signing certs
+function isPayPalCertUrl(certUrl) {
+  try {
+    const url = new URL(certUrl);
+    return url.protocol === 'https:' && (url.hostname === 'paypal.com' || url.hostname.endsWith('.paypal.com'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Splits a PEM bundle into X509Certificate objects, leaf first
+function parseChain(pem) {
+  const blocks = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+  return blocks.map(block => new X509Certificate(block));
+}
+
+async function downloadCertChain(certUrl, fetchImpl, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetchImpl(certUrl, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch PayPal signing cert: ${response.status}`);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_CERT_CHAIN_BYTES) {
+      throw new Error(`PayPal signing cert is larger than ${MAX_CERT_CHAIN_BYTES} bytes`);
+    }
+    // Read in chunks so a server that lies about the length cannot exhaust memory
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_CERT_CHAIN_BYTES) {
+        controller.abort();
+        throw new Error(`PayPal signing cert is larger than ${MAX_CERT_CHAIN_BYTES} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`Timed out fetching PayPal signing cert after ${timeoutMs}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchCertChain(certUrl, fetchImpl, timeoutMs) {
+  const cached = certCache.get(certUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.chain;
+  }
+  const chain = parseChain(await downloadCertChain(certUrl, fetchImpl, timeoutMs));
+  certCache.set(certUrl, { chain, expiresAt: Date.now() + CERT_CACHE_TTL_MS });
+  return chain;
+}
+
+/**
+ * Checks every link of the chain (leaf first), its validity dates, and that it
+ * ends at the pinned root. Returns null when valid, or the reason it is not.
+ */
+export function validateCertChain(chain, rootPem, now = new Date()) {
+  if (chain.length === 0) return 'empty cert chain';
+  if (!rootPem) return 'no pinned root configured';
+
+  const root = new X509Certificate(rootPem);
+  const leaf = chain[0];
+  const cn = /CN=([^\n,]+)/.exec(leaf.subject);
+  if (!cn || !(cn[1] === 'paypal.com' || cn[1].endsWith('.paypal.com'))) {
+    return 'signing cert is not issued to paypal.com';
+  }
+
+  for (let i = 0; i < chain.length; i++) {
+    const cert = chain[i];
+    if (new Date(cert.validFrom) > now || new Date(cert.validTo) < now) {
+      return `cert ${i} is outside its validity period`;
+    }
+    const issuer = chain[i + 1] || root;
+    if (cert.fingerprint256 === root.fingerprint256) {
+      return null;
+    }
+    if (!cert.checkIssued(issuer) || !cert.verify(issuer.publicKey)) {
+      return `cert ${i} is not signed by its issuer`;
+    }
+    if (issuer === root) {
+      return null;
+    }
+  }
+  return 'chain does not end at the pinned root';
+}
+
+// —————— Mode 1: ask PayPal ——————
+async function verifyWithApi(headers, rawBody, webhookId) {
+  const h = transmissionHeaders(headers);
+
+  // The raw body goes in verbatim; re-serialising the parsed event can change
+  // it and make PayPal report FAILURE for a genuine delivery
+  const payload =
+    `{"auth_algo":${JSON.stringify(h.authAlgo)},` +
+    `"cert_url":${JSON.stringify(h.certUrl)},` +
+    `"transmission_id":${JSON.stringify(h.transmissionId)},` +
+    `"transmission_sig":${JSON.stringify(h.transmissionSig)},` +
+    `"transmission_time":${JSON.stringify(h.transmissionTime)},` +
+    `"webhook_id":${JSON.stringify(webhookId)},` +
+    `"webhook_event":${rawBody}}`;
+
+  const result = await webhooks.verifySignature(payload);
+  return result.verification_status === 'SUCCESS'
+    ? { valid: true }
+    : { valid: false, reason: 'PayPal reported verification failure' };
+}
+
+// —————— Mode 2: verify offline ——————
+async function verifyLocally(headers, rawBody, webhookId, { fetchImpl, certTimeoutMs, rootPem, now }) {
+  const h = transmissionHeaders(headers);
+  if (h.authAlgo !== 'SHA256withRSA') {
+    return { valid: false, reason: `unsupported auth algo ${h.authAlgo}` };
+  }
+  if (!isPayPalCertUrl(h.certUrl)) {
+    return { valid: false, reason: 'cert_url is not a PayPal https URL' };
+  }
+
+  const chain = await fetchCertChain(h.certUrl, fetchImpl, certTimeoutMs);
+  const chainError = validateCertChain(chain, rootPem, new Date(now));
+  if (chainError) {
+    return { valid: false, reason: chainError };
+  }
+
+  const message = `${h.transmissionId}|${h.transmissionTime}|${webhookId}|${crc32(rawBody)}`;
+  const verifier = createVerify('RSA-SHA256');
+  verifier.update(message);
+  const ok = verifier.verify(chain[0].publicKey, h.transmissionSig, 'base64');
+  return ok ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+}
+
+/**
+ * Verifies a webhook delivery. rawBody must be the body exactly as received.
+ * Resolves to { valid, reason? }; never throws for a bad delivery, only for
+ * infrastructure failures (PayPal or the cert host unreachable).
+ *
+ * options (mostly for tests): mode, webhookId, rootPem, now, and fetchImpl
+ * and certTimeoutMs for fetching the signing cert chain in local mode
+ */
+export async function verifyWebhookSignature(headers, rawBody, options = {}) {
+  const {
+    mode = process.env.PAYPAL_WEBHOOK_VERIFY_MODE || 'api',
+    webhookId = process.env.PAYPAL_WEBHOOK_ID,
+    rootPem = process.env.PAYPAL_WEBHOOK_ROOT_CERT,
+    fetchImpl = fetch,
+    certTimeoutMs = CERT_FETCH_TIMEOUT_MS,
+    now = Date.now()
+  } = options;
+
+  if (!webhookId) {
+    log.error('❌ PAYPAL_WEBHOOK_ID is not set');
+    return { valid: false, reason: 'webhook id not configured' };
+  }
+  const h = transmissionHeaders(headers);
+  if (!h.transmissionId || !h.transmissionSig || !h.transmissionTime || !h.certUrl) {
+    return { valid: false, reason: 'missing PayPal transmission headers' };
+  }
+  if (!isTransmissionFresh(h.transmissionTime, now)) {
+    return { valid: false, reason: 'stale transmission_time' };
+  }
+
+  if (mode === 'local') {
+    return verifyLocally(headers, rawBody, webhookId, { fetchImpl, certTimeoutMs, rootPem, now });
+  }
+  return verifyWithApi(headers, rawBody, webhookId);
+}
@@ -0,0 +1,266 @@
+// File: lib/paypal.js
+//
+// The one PayPal REST client every route uses.
+//
+// Environment:
+//   PAYPAL_ENV        'live' | 'sandbox' (default: live when NODE_ENV=production)
+//   PAYPAL_API_BASE   overrides the base URL entirely, e.g. a local fake PayPal
+//   PAYPAL_CLIENT_ID / PAYPAL_CLIENT_SECRET
+//
+// Requests time out after PAYPAL_TIMEOUT_MS (default 10s). 429s, 5xx responses
+// and network errors are retried with exponential backoff; POSTs carry a
+// PayPal-Request-Id so a retried POST is not applied twice.
+
+import { randomUUID } from 'crypto';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'paypal' });
+
+const BASE_URLS = {
+  live: 'https://api-m.paypal.com',
+  sandbox: 'https://api-m.sandbox.paypal.com'
+};
+
+const TIMEOUT_MS = Number(process.env.PAYPAL_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 250;
+const MAX_RETRY_AFTER_MS = 5000;
+
+// A non-2xx answer from PayPal. status is the HTTP status, details the error body.
+export class PayPalError extends Error {
+  constructor(message, { status = null, details = null } = {}) {
+    super(message);
+    this.name = 'PayPalError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// PayPal could not give a definitive answer (network, timeout, 429, 5xx) even
+// after retries. Callers must never treat this as "not paid".
+export class PayPalUnavailableError extends PayPalError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PayPalUnavailableError';
+  }
+}
+
+export function paypalEnvironment() {
+  if (process.env.PAYPAL_ENV === 'live' || process.env.PAYPAL_ENV === 'sandbox') {
+    return process.env.PAYPAL_ENV;
+  }
+  return process.env.NODE_ENV === 'production' ? 'live' : 'sandbox';
+}
+
+export function paypalBaseUrl() {
+  return (process.env.PAYPAL_API_BASE || BASE_URLS[paypalEnvironment()]).replace(/\/+$/, '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function retryDelay(attempt, response) {
+  const retryAfter = response && Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+  }
+  return BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * BASE_DELAY_MS);
+}
+
+// fetch with a timeout and retries; resolves to the final Response
+async function fetchWithRetry(url, init) {
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      lastError = err.name === 'AbortError' ? new Error(`timed out after ${TIMEOUT_MS}ms`) : err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response && !isRetryableStatus(response.status)) {
+      return response;
+    }
+    if (attempt === MAX_ATTEMPTS) {
+      if (response) return response;
+      break;
+    }
+    log.warn('⚠️ PayPal request failed, retrying', { status: response ? response.status : null, err: lastError });
+    await sleep(retryDelay(attempt, response));
+  }
+  throw new PayPalUnavailableError(`PayPal unreachable: ${lastError.message}`);
+}
+
+// —————— Access token, cached until shortly before it expires ——————
+let cachedToken = null;
+
+export async function getAccessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  const response = await fetchWithRetry(`${paypalBaseUrl()}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Accept-Language': 'en_US',
+      'Authorization': `Basic ${Buffer.from(
+        `${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`
+      ).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+
+  if (!response.ok) {
+    // Bad credentials will not fix themselves, but to callers it is still "PayPal unavailable"
+    throw new PayPalUnavailableError(`Failed to get PayPal access token: ${response.status}`, {
+      status: response.status
+    });
+  }
+
+  const json = await response.json();
+  const lifetimeMs = (Number(json.expires_in) || 0) * 1000;
+  cachedToken = {
+    value: json.access_token,
+    // Refresh a minute early so a token never expires mid-request
+    expiresAt: Date.now() + Math.max(lifetimeMs - 60000, 0)
+  };
+  return cachedToken.value;
+}
+
+/**
+ * Calls the PayPal REST API. Resolves to the parsed JSON body (null for 204),
+ * or null for a 404 when allowNotFound is set. Throws PayPalError for other
+ * non-2xx answers and PayPalUnavailableError when PayPal cannot be reached.
+ *
+ * options: { body (object), rawBody (string, sent verbatim), query, allowNotFound, requestId }
+ */
+export async function paypalRequest(method, path, options = {}) {
+  const { body, rawBody, query, allowNotFound = false } = options;
+  const accessToken = await getAccessToken();
+
+  let url = `${paypalBaseUrl()}${path}`;
+  if (query) {
+    url += `?${new URLSearchParams(query).toString()}`;
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  };
+  if (method !== 'GET') {
+    headers['PayPal-Request-Id'] = options.requestId || randomUUID();
+  }
+
+  const response = await fetchWithRetry(url, {
+    method,
+    headers,
+    body: rawBody !== undefined ? rawBody : body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  if (response.status === 404 && allowNotFound) {
+    return null;
+  }
+  if (response.status === 204) {
+    return null;
+  }
+
+  const text = await response.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch (e) {
+    json = { raw: text };
+  }
+
+  if (!response.ok) {
+    const ErrorClass = isRetryableStatus(response.status) ? PayPalUnavailableError : PayPalError;
+    throw new ErrorClass(`PayPal ${method} ${path} failed: ${response.status}`, {
+      status: response.status,
+      details: json
+    });
+  }
+  return json;
+}
+
+const id = value => encodeURIComponent(value);
+
+// —————— Subscriptions (v1/billing) ——————
+export const subscriptions = {
+  // Resolves to the new subscription (APPROVAL_PENDING) with its approve link
+  create: subscription =>
+    paypalRequest('POST', '/v1/billing/subscriptions', { body: subscription }),
+  // Resolves to the subscription, or null if PayPal does not know it
+  get: subscriptionId =>
+    paypalRequest('GET', `/v1/billing/subscriptions/${id(subscriptionId)}`, { allowNotFound: true }),
+  cancel: (subscriptionId, reason) =>
+    paypalRequest('POST', `/v1/billing/subscriptions/${id(subscriptionId)}/cancel`, { body: { reason } }),
+  suspend: (subscriptionId, reason) =>
+    paypalRequest('POST', `/v1/billing/subscriptions/${id(subscriptionId)}/suspend`, { body: { reason } }),
+  activate: (subscriptionId, reason) =>
+    paypalRequest('POST', `/v1/billing/subscriptions/${id(subscriptionId)}/activate`, { body: { reason } }),
+  // Plan or quantity change; resolves to { plan_id, quantity, links, ... }
+  revise: (subscriptionId, revision) =>
+    paypalRequest('POST', `/v1/billing/subscriptions/${id(subscriptionId)}/revise`, { body: revision }),
+  // startTime / endTime are ISO strings; resolves to { transactions: [...] }
+  listTransactions: (subscriptionId, startTime, endTime) =>
+    paypalRequest('GET', `/v1/billing/subscriptions/${id(subscriptionId)}/transactions`, {
+      query: { start_time: startTime, end_time: endTime }
+    })
+};
+
+// —————— Orders (v2/checkout) ——————
+export const orders = {
+  // Resolves to the order, or null if PayPal does not know it
+  get: orderId =>
+    paypalRequest('GET', `/v2/checkout/orders/${id(orderId)}`, { allowNotFound: true }),
+  create: order =>
+    paypalRequest('POST', '/v2/checkout/orders', { body: order }),
+  capture: orderId =>
+    paypalRequest('POST', `/v2/checkout/orders/${id(orderId)}/capture`, { body: {} })
+};
+
+// —————— Captures and refunds (v2/payments) ——————
+export const captures = {
+  get: captureId =>
+    paypalRequest('GET', `/v2/payments/captures/${id(captureId)}`, { allowNotFound: true }),
+  // Omit amount for a full refund; amount is { value, currency_code }
+  refund: (captureId, { amount, noteToPayer } = {}) =>
+    paypalRequest('POST', `/v2/payments/captures/${id(captureId)}/refund`, {
+      body: {
+        ...(amount ? { amount } : {}),
+        ...(noteToPayer ? { note_to_payer: noteToPayer } : {})
+      }
+    })
+};
+
+export const refunds = {
+  get: refundId =>
+    paypalRequest('GET', `/v2/payments/refunds/${id(refundId)}`, { allowNotFound: true })
+};
+
+// Subscription payments are sales, refunded through the v1 payments API
+export const sales = {
+  get: saleId =>
+    paypalRequest('GET', `/v1/payments/sale/${id(saleId)}`, { allowNotFound: true }),
+  // Omit amount for a full refund; amount is { total, currency }
+  refund: (saleId, { amount } = {}) =>
+    paypalRequest('POST', `/v1/payments/sale/${id(saleId)}/refund`, { body: amount ? { amount } : {} })
+};
+
+// —————— Webhooks ——————
+export const webhooks = {
+  // payload is the JSON string for verify-webhook-signature, sent verbatim
+  verifySignature: payload =>
+    paypalRequest('POST', '/v1/notifications/verify-webhook-signature', { rawBody: payload })
+};
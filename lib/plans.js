@@ -0,0 +1,178 @@
+// File: lib/plans.js
+//
+// What we sell. The catalogue is the `plans` item of the Vercel Edge Config
+// (EDGE_CONFIG), so a price can change without a deploy. Where there is no
+// Edge Config, PLANS holds the same JSON as an env var, and DEFAULT_PLANS
+// stands in when neither is set. A plan:
+//   {
+//     id: 'lifetime', name, description,
+//     purchaseType: 'one-time' | 'subscription',
+//     price: { value: '20.00', currency: 'USD' },
+//     interval: 'month',                  subscriptions only, for display
+//     paypalPlanId: 'P-…',                subscriptions only: the PayPal billing plan
+//     entitlements: { seats, features },  stored on each license it issues
+//     perSeat: true, minSeats, maxSeats   subscriptions only: a team plan, billed
+//                                         per member through the subscription
+//                                         quantity (see lib/organizations.js)
+//     active: true                        inactive plans are not sold, but
+//                                         payments already made still match
+//   }
+// Coupons are in lib/coupons.js; checkout and payment checks in lib/checkout.js.
+
+import { get as edgeConfigGet } from '@vercel/edge-config';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'plans' });
+
+export const DEFAULT_PLANS = [
+  {
+    id: 'lifetime',
+    name: 'Lifetime License',
+    description: 'CardLocker Lifetime License',
+    purchaseType: 'one-time',
+    price: { value: '20.00', currency: 'USD' },
+    entitlements: {},
+    active: true
+  },
+  {
+    id: 'monthly',
+    name: 'Subscription',
+    description: 'CardLocker Monthly Subscription',
+    purchaseType: 'subscription',
+    price: { value: '0.99', currency: 'USD' },
+    interval: 'month',
+    paypalPlanId: 'P-0UR33161F2240691LNA7RJ4A',
+    entitlements: {},
+    active: true
+  }
+];
+
+const PURCHASE_TYPES = ['one-time', 'subscription'];
+// Largest team a per-seat plan sells without its own maxSeats
+const DEFAULT_MAX_SEATS = 500;
+const CACHE_MS = 60 * 1000;
+
+// —————— 1) Money ——————
+// Prices are decimal strings, as PayPal sends them; arithmetic is in cents
+
+export function toCents(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const match = /^(\d+)(?:\.(\d{1,2}))?$/.exec(String(value).trim());
+  if (!match) return null;
+  return Number(match[1]) * 100 + Number((match[2] || '').padEnd(2, '0'));
+}
+
+export function fromCents(cents) {
+  return `${Math.floor(cents / 100)}.${String(cents % 100).padStart(2, '0')}`;
+}
+
+// Whether a PayPal amount ({ value, currency_code }) is exactly price
+export function amountMatches(amount, price) {
+  return Boolean(
+    amount &&
+    amount.currency_code === price.currency &&
+    toCents(amount.value) !== null &&
+    toCents(amount.value) === toCents(price.value)
+  );
+}
+
+// —————— 2) Catalogue ——————
+
+// Drops (and logs) any plan PayPal could not charge for
+function validPlans(plans, source) {
+  if (!Array.isArray(plans)) {
+    log.error('❌ Plans are not a list, using defaults', { source });
+    return DEFAULT_PLANS;
+  }
+  return plans.filter((plan) => {
+    const ok = plan && typeof plan.id === 'string' &&
+      PURCHASE_TYPES.includes(plan.purchaseType) &&
+      toCents(plan.price?.value) > 0 && typeof plan.price?.currency === 'string' &&
+      (plan.purchaseType !== 'subscription' || typeof plan.paypalPlanId === 'string') &&
+      (!plan.perSeat || plan.purchaseType === 'subscription');
+    if (!ok) {
+      log.error('❌ Ignoring invalid plan', { source, planId: plan && plan.id });
+    }
+    return ok;
+  }).map(plan => ({ entitlements: {}, active: true, ...plan }));
+}
+
+async function readPlans() {
+  if (process.env.EDGE_CONFIG) {
+    try {
+      const plans = await edgeConfigGet('plans');
+      if (plans) return validPlans(plans, 'Edge Config');
+      log.warn('⚠️ Edge Config has no plans item, falling back');
+    } catch (err) {
+      log.error('❌ Could not read plans from Edge Config', { err });
+    }
+  }
+  if (process.env.PLANS) {
+    try {
+      return validPlans(JSON.parse(process.env.PLANS), 'PLANS');
+    } catch (e) {
+      log.error('❌ PLANS is not valid JSON, using defaults', { err: e });
+    }
+  }
+  return DEFAULT_PLANS;
+}
+
+let cached = null;
+
+// Every plan, active or not; cached for a minute per instance
+export async function listPlans() {
+  if (!cached || cached.expiresAt <= Date.now()) {
+    cached = { plans: await readPlans(), expiresAt: Date.now() + CACHE_MS };
+  }
+  return cached.plans;
+}
+
+export async function getPlan(planId) {
+  return (await listPlans()).find(plan => plan.id === planId) || null;
+}
+
+// The plan a PayPal billing plan belongs to, or null
+export async function planForPayPalPlan(paypalPlanId) {
+  if (!paypalPlanId) return null;
+  return (await listPlans()).find(plan => plan.paypalPlanId === paypalPlanId) || null;
+}
+
+// The first active plan of a purchase type: what a payment made without a
+// checkout record (from an older checkout page) is held to
+export async function defaultPlanFor(purchaseType) {
+  return (await listPlans()).find(plan => plan.active && plan.purchaseType === purchaseType) || null;
+}
+
+// A plan as the pricing page sees it
+export function publicPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name || plan.id,
+    description: plan.description || null,
+    purchaseType: plan.purchaseType,
+    price: plan.price,
+    interval: plan.interval || null,
+    entitlements: plan.entitlements || {},
+    perSeat: Boolean(plan.perSeat),
+    ...(plan.perSeat ? seatRange(plan) : {})
+  };
+}
+
+// How many seats a per-seat plan sells: { minSeats, maxSeats }
+export function seatRange(plan) {
+  return { minSeats: plan?.minSeats || 1, maxSeats: plan?.maxSeats || DEFAULT_MAX_SEATS };
+}
+
+// The license fields a plan's entitlements turn into (see lib/seats.js). A
+// per-seat plan issues an organization license for seatCount members.
+export function planLicenseFields(plan, seatCount = null) {
+  const fields = { planId: plan.id };
+  const { seats, features } = plan.entitlements || {};
+  if (Number.isInteger(seats) && seats > 0) fields.seatLimit = seats;
+  if (Array.isArray(features)) fields.features = features.filter(f => typeof f === 'string');
+  if (plan.perSeat) {
+    fields.organization = true;
+    fields.seatCount = seatCount || plan.minSeats || 1;
+  }
+  return fields;
+}
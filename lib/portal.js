@@ -0,0 +1,124 @@
+// File: lib/portal.js
+//
+// Sign-in for the customer portal. A customer asks for a magic link by email;
+// following it opens a portal session tied to that address.
+//   portal_links/{sha256(token)}     { email, expiresAt, usedAt }   one use only
+//   portal_sessions/{sha256(id)}     { email, expiresAt }
+// Only hashes are stored, so a leaked database does not leak live links or
+// sessions. The session cookie is HttpOnly and SameSite=Strict, which is also
+// what keeps other sites from driving the portal's POST routes.
+
+import { createHash, randomBytes } from 'crypto';
+import { admin, db } from './firebase';
+import { toDate } from './entitlements';
+import { normalizeEmail } from './licenses';
+
+export const LINK_TTL_MINUTES = Number(process.env.PORTAL_LINK_TTL_MINUTES) || 15;
+const SESSION_TTL_HOURS = Number(process.env.PORTAL_SESSION_TTL_HOURS) || 24;
+// At most this many links per address per hour
+const MAX_LINKS_PER_HOUR = 5;
+
+const SESSION_COOKIE = 'cl_portal';
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Creates a magic link token for an email. Resolves to the token, or null when
+ * the address has asked for too many links in the last hour.
+ */
+export async function createMagicLink(email, now = new Date()) {
+  const normalized = normalizeEmail(email);
+  const since = new Date(now.getTime() - 60 * 60 * 1000);
+  // Filtered here rather than in the query, which would need a composite index
+  const links = await db.collection('portal_links').where('email', '==', normalized).get();
+  const recent = links.docs.filter(doc => toDate(doc.data().createdAt) > since);
+  if (recent.length >= MAX_LINKS_PER_HOUR) {
+    return null;
+  }
+
+  const token = randomBytes(32).toString('hex');
+  await db.collection('portal_links').doc(sha256(token)).set({
+    email: normalized,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + LINK_TTL_MINUTES * 60 * 1000),
+    usedAt: null
+  });
+  return token;
+}
+
+/**
+ * Uses up a magic link and opens a session. Resolves to { sessionId, email },
+ * or null for an unknown, expired or already used link.
+ */
+export async function redeemMagicLink(token, now = new Date()) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+  const linkRef = db.collection('portal_links').doc(sha256(token));
+
+  const email = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(linkRef);
+    if (!snap.exists) return null;
+    const link = snap.data();
+    if (link.usedAt || !(toDate(link.expiresAt) > now)) return null;
+    tx.update(linkRef, { usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return normalizeEmail(link.email);
+  });
+  if (!email) return null;
+
+  const sessionId = randomBytes(32).toString('hex');
+  await db.collection('portal_sessions').doc(sha256(sessionId)).set({
+    email,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+  });
+  return { sessionId, email };
+}
+
+export function setSessionCookie(res, sessionId) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  res.setHeader(
+    'Set-Cookie',
+    `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_HOURS * 3600}${secure}`
+  );
+}
+
+export async function endSession(req, res) {
+  const sessionId = req.cookies?.[SESSION_COOKIE];
+  if (typeof sessionId === 'string' && /^[0-9a-f]{64}$/.test(sessionId)) {
+    await db.collection('portal_sessions').doc(sha256(sessionId)).delete();
+  }
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+// Resolves to the signed-in email, or null
+export async function getPortalEmail(req, now = new Date()) {
+  const sessionId = req.cookies?.[SESSION_COOKIE];
+  if (typeof sessionId !== 'string' || !/^[0-9a-f]{64}$/.test(sessionId)) return null;
+  const snap = await db.collection('portal_sessions').doc(sha256(sessionId)).get();
+  if (!snap.exists || !(toDate(snap.data().expiresAt) > now)) return null;
+  return snap.data().email;
+}
+
+/**
+ * For portal API routes: resolves to the signed-in email, or answers 401 and
+ * resolves to null. POSTs must be JSON, so a plain cross-site form cannot
+ * submit to them even if a browser did send the cookie.
+ */
+export async function requirePortalSession(req, res) {
+  if (req.method === 'POST' && !(req.headers['content-type'] || '').includes('application/json')) {
+    res.status(415).json({ error: 'Expected application/json' });
+    return null;
+  }
+  const email = await getPortalEmail(req);
+  if (!email) {
+    res.status(401).json({ error: 'Not signed in' });
+    return null;
+  }
+  return email;
+}
+
+// Whether a license belongs to the signed-in email
+export function ownsLicense(email, license) {
+  return Boolean(license && typeof license.email === 'string' && normalizeEmail(license.email) === normalizeEmail(email));
+}
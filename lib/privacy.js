@@ -0,0 +1,315 @@
+// File: lib/privacy.js
+//
+// Data export and erasure for a customer, identified by an email address the
+// caller has already verified (a portal session; see api/privacy/*).
+// A customer's records are their licenses (merged duplicates included) and
+// everything that refers to those licenses or their PayPal IDs, plus what was
+// stored under the email itself: checkout sessions, subscription mappings,
+// team seats, emails sent and portal sign-ins. Records are matched on
+// emailLower (see normalizeEmail in lib/licenses.js), so case does not matter.
+//
+// Erasure keeps what tax law requires us to keep: the payment itself (PayPal
+// IDs, amounts, dates, plan, refunds) on the license, checkouts, issuances
+// and coupon redemptions, and the stored PayPal events with their personal
+// fields redacted. Everything that identifies the person is deleted, and the
+// license becomes 'erased', which no longer activates. The admin audit log is
+// append-only and hash-chained, so its entries stay as they are; they name
+// licenses by ID and hold emails only as hashes (see lib/audit.js).
+// A team admin cannot erase their data while the team license still gives
+// other members their seats: erasing it would cut them off. The admin removes
+// the members first (or the team license ends).
+//
+// Each export and erasure is recorded without the address:
+//   privacy_requests/{id} { kind: 'export' | 'erasure', emailHash, licenseIds, counts, at }
+
+import { createHash } from 'crypto';
+import { admin, db } from './firebase';
+import { isFinalStatus, resolveEntitlement, toDate } from './entitlements';
+import { normalizeEmail } from './licenses';
+import { isOrganization } from './organizations';
+import { licenseKeyOf } from './key-vault';
+import { listAudit } from './audit';
+import { redact } from './log';
+
+// Subscriptions in these states will bill again; they must be cancelled first
+const BILLING_STATES = ['active', 'past_due'];
+
+// License fields that identify the person rather than the payment
+const PERSONAL_LICENSE_FIELDS = [
+  'email', 'emailLower', 'emailSource', 'payerId', 'notes', 'sealedKey', 'keyHint', 'emailResolution',
+  'cancellation.reason', 'revocation.reason'
+];
+
+// Firestore allows at most 30 values in an 'in' query and 500 writes in a batch
+const IN_LIMIT = 30;
+const BATCH_LIMIT = 400;
+
+// A privacy request that cannot be carried out; status is the HTTP status
+export class PrivacyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.status = status;
+  }
+}
+
+function emailHash(email) {
+  return createHash('sha256').update(normalizeEmail(email)).digest('hex');
+}
+
+// Firestore data as plain JSON: Timestamps and Dates become ISO strings
+function plain(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date || typeof value.toDate === 'function') {
+    return toDate(value).toISOString();
+  }
+  if (Array.isArray(value)) return value.map(plain);
+  const copy = {};
+  for (const [field, item] of Object.entries(value)) copy[field] = plain(item);
+  return copy;
+}
+
+// Every doc of `collection` whose `field` is one of `values`
+async function docsWhereIn(collection, field, values) {
+  const docs = [];
+  for (let i = 0; i < values.length; i += IN_LIMIT) {
+    const snap = await db.collection(collection).where(field, 'in', values.slice(i, i + IN_LIMIT)).get();
+    docs.push(...snap.docs);
+  }
+  return docs;
+}
+
+async function docsById(collection, ids) {
+  if (ids.length === 0) return [];
+  const snaps = await db.getAll(...ids.map(id => db.collection(collection).doc(id)));
+  return snaps.filter(snap => snap.exists);
+}
+
+// Unique by path, in case two queries found the same document
+function uniqueDocs(docs) {
+  const seen = new Map();
+  for (const doc of docs) seen.set(doc.ref.path, doc);
+  return [...seen.values()];
+}
+
+// —————— 1) Finding a customer's records ——————
+
+/**
+ * Every stored record tied to an email, as Firestore snapshots grouped by
+ * kind. licenses includes merged duplicates.
+ */
+async function collectRecords(email) {
+  const address = [normalizeEmail(email)];
+  const licenses = await docsWhereIn('licenses', 'emailLower', address);
+  const licenseIds = licenses.map(doc => doc.id);
+  const paypalIds = [...new Set(licenses.flatMap(doc => {
+    const license = doc.data();
+    return [license.paypalID, license.subscriptionId, license.captureId, ...(license.saleIds || [])];
+  }).filter(Boolean))];
+
+  const activations = (await Promise.all(licenses.map(doc => doc.ref.collection('activations').get())))
+    .flatMap(snap => snap.docs);
+  // A team seat is listed on its organization under the member's email hash
+  // (see lib/organizations.js)
+  const memberships = (await Promise.all(licenses
+    .filter(doc => doc.data().orgLicenseId)
+    .map(doc => db.collection('licenses').doc(doc.data().orgLicenseId).collection('members').doc(emailHash(email)).get())))
+    .filter(snap => snap.exists);
+  const checkouts = await docsById('checkouts', paypalIds);
+  const sessionIds = [...new Set(checkouts.map(doc => doc.data().sessionId).filter(Boolean))];
+
+  const [
+    issuances, cancelRequests, cancellations, mailByLicense, mailByAddress, downloads,
+    sessionsByEmail, sessionsById, mappingsByEmail, mappingsById, redemptions, events,
+    portalLinks, portalSessions
+  ] = await Promise.all([
+    docsWhereIn('issuances', 'licenseKey', licenseIds),
+    docsById('cancel_requests', licenseIds),
+    docsWhereIn('cancellations', 'licenseKey', licenseIds),
+    docsWhereIn('mail_outbox', 'licenseKey', licenseIds),
+    docsWhereIn('mail_outbox', 'emailLower', address),
+    docsWhereIn('downloads', 'licenseKey', licenseIds),
+    docsWhereIn('checkout_sessions', 'emailLower', address),
+    docsById('checkout_sessions', sessionIds),
+    docsWhereIn('subscription_mappings', 'emailLower', address),
+    docsById('subscription_mappings', paypalIds),
+    docsById('coupon_redemptions', paypalIds),
+    docsWhereIn('webhook_events', 'resourceId', paypalIds),
+    docsWhereIn('portal_links', 'email', address),
+    docsWhereIn('portal_sessions', 'email', address)
+  ]);
+
+  return {
+    licenses,
+    activations,
+    teamMemberships: uniqueDocs(memberships),
+    issuances,
+    checkouts,
+    couponRedemptions: redemptions,
+    checkoutSessions: uniqueDocs([...sessionsByEmail, ...sessionsById]),
+    subscriptionMappings: uniqueDocs([...mappingsByEmail, ...mappingsById]),
+    cancelRequests,
+    cancellations,
+    emails: uniqueDocs([...mailByLicense, ...mailByAddress]),
+    downloads,
+    paymentEvents: events,
+    portalLinks,
+    portalSessions
+  };
+}
+
+async function recordRequest(kind, email, licenseIds, counts) {
+  await db.collection('privacy_requests').add({
+    kind,
+    emailHash: emailHash(email),
+    licenseIds,
+    counts,
+    at: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+function countsOf(records) {
+  const counts = {};
+  for (const [kind, docs] of Object.entries(records)) counts[kind] = docs.length;
+  return counts;
+}
+
+// —————— 2) Export ——————
+
+/**
+ * Everything we hold about an email, as JSON. Secrets that only prove
+ * something to us (sealed keys, code and token hashes) are left out; the
+ * license keys themselves are included.
+ */
+export async function exportCustomerData(email, now = new Date()) {
+  const records = await collectRecords(email);
+  const activationsByLicense = new Map();
+  for (const doc of records.activations) {
+    const licenseId = doc.ref.parent.parent.id;
+    const list = activationsByLicense.get(licenseId) || [];
+    list.push({ activationId: doc.id, ...plain(doc.data()) });
+    activationsByLicense.set(licenseId, list);
+  }
+  const audit = (await Promise.all(records.licenses.map(doc => listAudit({ licenseKey: doc.id })))).flat();
+
+  const rows = (docs, strip = []) => docs.map(doc => {
+    const data = { id: doc.id, ...plain(doc.data()) };
+    for (const field of strip) delete data[field];
+    return data;
+  });
+
+  const result = {
+    email,
+    exportedAt: now.toISOString(),
+    licenses: records.licenses.map(doc => {
+      const { sealedKey, ...fields } = plain(doc.data());
+      return {
+        licenseKey: licenseKeyOf(doc),
+        ...fields,
+        activations: activationsByLicense.get(doc.id) || []
+      };
+    }),
+    teamMemberships: rows(records.teamMemberships),
+    issuances: rows(records.issuances),
+    checkouts: rows(records.checkouts),
+    couponRedemptions: rows(records.couponRedemptions),
+    checkoutSessions: rows(records.checkoutSessions),
+    subscriptionMappings: rows(records.subscriptionMappings),
+    cancellations: rows(records.cancellations),
+    cancelRequests: rows(records.cancelRequests, ['nonce', 'codeHash']),
+    emails: rows(records.emails, ['data']),
+    downloads: rows(records.downloads, ['url', 'pathname']),
+    paymentEvents: records.paymentEvents.map(doc => {
+      const event = doc.data();
+      return {
+        id: doc.id,
+        eventType: event.eventType,
+        receivedAt: plain(event.receivedAt),
+        status: event.status,
+        resource: plain(event.event?.resource || null)
+      };
+    }),
+    portalSignIns: records.portalLinks.map(doc => ({
+      createdAt: plain(doc.data().createdAt),
+      usedAt: plain(doc.data().usedAt)
+    })),
+    adminActions: audit.map(entry => ({ at: plain(entry.at), action: entry.action, details: plain(entry.details) }))
+  };
+
+  await recordRequest('export', email, records.licenses.map(doc => doc.id), countsOf(records));
+  return result;
+}
+
+// —————— 3) Erasure ——————
+
+// Commits writes in batches small enough for Firestore
+async function commitInBatches(writes) {
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+// Whether a team license still holds seats for anyone but its admin
+async function hasOtherMembers(orgDoc, email) {
+  const snap = await orgDoc.ref.collection('members').where('status', '==', 'active').get();
+  return snap.docs.some(doc => doc.id !== emailHash(email));
+}
+
+/**
+ * Erases or anonymises everything tied to an email (see the header for what
+ * is kept). Refuses with PrivacyError 409 while a subscription would still
+ * bill or a team license the email administers still has other members.
+ * PayPal errors from checking subscriptions propagate. Resolves to the
+ * number of records deleted and anonymised per kind.
+ */
+export async function eraseCustomerData(email, now = new Date()) {
+  const records = await collectRecords(email);
+
+  for (const doc of records.licenses) {
+    const license = doc.data();
+    if (isOrganization(license) && !isFinalStatus(license.status) && await hasOtherMembers(doc, email)) {
+      throw new PrivacyError('Remove your team members before deleting your data; their seats depend on your team license', 409);
+    }
+  }
+  for (const doc of records.licenses) {
+    const license = doc.data();
+    // A team seat is billed to the organization, not to its member
+    if (license.purchaseType !== 'subscription' || license.status === 'merged' || license.orgLicenseId) continue;
+    const entitlement = await resolveEntitlement(doc, now);
+    if (BILLING_STATES.includes(entitlement.state) && !license.cancellation) {
+      throw new PrivacyError('Cancel your subscription before deleting your data; it would otherwise keep billing', 409);
+    }
+  }
+
+  const remove = (docs) => docs.map(doc => batch => batch.delete(doc.ref));
+  const deletePersonal = Object.fromEntries(
+    PERSONAL_LICENSE_FIELDS.map(field => [field, admin.firestore.FieldValue.delete()])
+  );
+  const writes = [
+    ...records.licenses.map(doc => batch => batch.update(doc.ref, {
+      ...deletePersonal,
+      status: 'erased',
+      erasedAt: now
+    })),
+    ...records.cancellations.map(doc => batch => batch.update(doc.ref, { reason: admin.firestore.FieldValue.delete() })),
+    // The stored event is the payment record; keep it with the payer's details redacted
+    ...records.paymentEvents.map(doc => batch => batch.update(doc.ref, { event: redact(doc.data().event || null) })),
+    ...remove(records.activations),
+    // Frees the seat on the organization's license
+    ...remove(records.teamMemberships),
+    ...remove(records.checkoutSessions),
+    ...remove(records.subscriptionMappings),
+    ...remove(records.cancelRequests),
+    ...remove(records.emails),
+    ...remove(records.downloads),
+    ...remove(records.portalLinks),
+    ...remove(records.portalSessions)
+  ];
+  await commitInBatches(writes);
+
+  const counts = countsOf(records);
+  await recordRequest('erasure', email, records.licenses.map(doc => doc.id), counts);
+  return counts;
+}
@@ -0,0 +1,350 @@
+// File: lib/rate-limit.js
+//
+// Per-route rate limits for every api/* route. Each route names a policy and
+// passes the identifiers it knows (the client IP always, plus a license key,
+// email or subscription ID where the request carries one); every identifier
+// gets its own budget, and the request is refused when any of them runs out.
+// Each identifier has two budgets: one per client IP, so nobody can spend
+// someone else's email or key from another address, and one across all
+// addresses, IDENTIFIER_BUDGET_FACTOR times larger (or the policy's
+// `identifierFactor`), so rotating addresses does not buy fresh guesses at a
+// key. Budgets are spent in order, IP first, and stop at the first one that
+// is out.
+//
+// Algorithms:
+//   sliding_window  at most `limit` requests in any `window` seconds
+//                   (sliding window counter: this and the previous fixed window, weighted)
+//   token_bucket    bursts of up to `capacity`, refilled at `refillPerMinute`
+//
+// Stores (RATE_LIMIT_STORE):
+//   redis   shared across every function instance; a Redis REST endpoint such
+//           as Vercel KV or Upstash (KV_REST_API_URL + KV_REST_API_TOKEN, or
+//           UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN)
+//   memory  per instance, bounded; the default when no Redis is configured
+// Policies can be overridden with RATE_LIMITS='{"license-token":{"capacity":5}}'.
+// Redis calls time out after RATE_LIMIT_REDIS_TIMEOUT_MS (default 2s). If the
+// store fails or times out the request is let through: the limiter fails open,
+// because a Redis outage must not take licensing down with it.
+
+import { createHash } from 'crypto';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'rate-limit' });
+
+const DEFAULT_POLICIES = {
+  'check-license': { algorithm: 'sliding_window', limit: 5, window: 60 },
+  'create-license': { algorithm: 'sliding_window', limit: 10, window: 60 },
+  'license-status': { algorithm: 'sliding_window', limit: 30, window: 60 },
+  'license-token': { algorithm: 'token_bucket', capacity: 10, refillPerMinute: 2 },
+  'activate': { algorithm: 'sliding_window', limit: 10, window: 60 },
+  'deactivate': { algorithm: 'sliding_window', limit: 10, window: 60 },
+  'verify-subscription': { algorithm: 'sliding_window', limit: 20, window: 60 },
+  'cancel': { algorithm: 'sliding_window', limit: 10, window: 900 },
+  'portal-link': { algorithm: 'sliding_window', limit: 5, window: 900 },
+  'plans': { algorithm: 'sliding_window', limit: 30, window: 60 },
+  'checkout': { algorithm: 'sliding_window', limit: 10, window: 60 },
+  'download': { algorithm: 'sliding_window', limit: 10, window: 300 },
+  'appcast': { algorithm: 'token_bucket', capacity: 30, refillPerMinute: 30 },
+  'portal': { algorithm: 'token_bucket', capacity: 60, refillPerMinute: 30 },
+  'privacy': { algorithm: 'sliding_window', limit: 5, window: 3600 },
+  'webhook': { algorithm: 'token_bucket', capacity: 200, refillPerMinute: 600 },
+  'admin': { algorithm: 'token_bucket', capacity: 120, refillPerMinute: 120 }
+};
+
+function loadPolicies() {
+  if (!process.env.RATE_LIMITS) {
+    return DEFAULT_POLICIES;
+  }
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    const merged = { ...DEFAULT_POLICIES };
+    for (const [name, policy] of Object.entries(overrides)) {
+      merged[name] = { ...(DEFAULT_POLICIES[name] || {}), ...policy };
+    }
+    return merged;
+  } catch (e) {
+    log.error('❌ RATE_LIMITS is not valid JSON, using defaults', { err: e });
+    return DEFAULT_POLICIES;
+  }
+}
+
+export const RATE_LIMIT_POLICIES = loadPolicies();
+
+// How many times the per-IP budget an identifier gets across all addresses
+export const IDENTIFIER_BUDGET_FACTOR = 5;
+
+// The policy for an identifier's budget across all addresses
+function acrossAddresses(policy) {
+  const factor = policy.identifierFactor || IDENTIFIER_BUDGET_FACTOR;
+  return policy.algorithm === 'token_bucket'
+    ? { ...policy, capacity: policy.capacity * factor, refillPerMinute: policy.refillPerMinute * factor }
+    : { ...policy, limit: policy.limit * factor };
+}
+
+// —————— 1) Stores ——————
+// Both answer the same two operations:
+//   slidingWindow(key, limit, windowMs, now) → { allowed, count } (count includes this request)
+//   tokenBucket(key, capacity, refillPerMs, now) → { allowed, tokens } (tokens left afterwards)
+
+const MAX_MEMORY_KEYS = 10000;
+
+export class MemoryStore {
+  constructor(maxKeys = MAX_MEMORY_KEYS) {
+    this.entries = new Map();
+    this.maxKeys = maxKeys;
+  }
+
+  // Drops expired entries, then the oldest ones, so the map never grows unbounded
+  evict(now) {
+    if (this.entries.size < this.maxKeys) return;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size < this.maxKeys) break;
+      this.entries.delete(key);
+    }
+  }
+
+  async slidingWindow(key, limit, windowMs, now) {
+    this.evict(now);
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let entry = this.entries.get(key);
+    if (!entry || entry.windowStart !== windowStart) {
+      const previous = entry && entry.windowStart === windowStart - windowMs ? entry.current : 0;
+      entry = { windowStart, current: 0, previous, expiresAt: windowStart + 2 * windowMs };
+    }
+    const weight = (windowMs - (now - windowStart)) / windowMs;
+    const estimate = entry.previous * weight + entry.current;
+    const allowed = estimate < limit;
+    if (allowed) entry.current++;
+    // Re-inserting keeps Map order close to least-recently-used for eviction
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { allowed, count: Math.ceil(entry.previous * weight + entry.current) };
+  }
+
+  async tokenBucket(key, capacity, refillPerMs, now) {
+    this.evict(now);
+    const entry = this.entries.get(key) || { tokens: capacity, updatedAt: now };
+    const tokens = Math.min(capacity, entry.tokens + (now - entry.updatedAt) * refillPerMs);
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+    this.entries.delete(key);
+    this.entries.set(key, { tokens: left, updatedAt: now, expiresAt: now + Math.ceil(capacity / refillPerMs) });
+    return { allowed, tokens: left };
+  }
+}
+
+const REDIS_URL = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+const REDIS_TOKEN = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+const REDIS_TIMEOUT_MS = Number(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS) || 2000;
+
+// Both scripts run atomically in Redis, so concurrent instances share one count
+const SLIDING_WINDOW_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+local limit = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local weight = tonumber(ARGV[3])
+if previous * weight + current >= limit then
+  return {0, current, previous}
+end
+current = redis.call('INCR', KEYS[1])
+redis.call('PEXPIRE', KEYS[1], windowMs * 2)
+return {1, current, previous}`;
+
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + (now - ts) * refillPerMs)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refillPerMs))
+return {allowed, tostring(tokens)}`;
+
+export class RedisStore {
+  constructor(url = REDIS_URL, token = REDIS_TOKEN, timeoutMs = REDIS_TIMEOUT_MS) {
+    this.url = url;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async command(args) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args),
+        signal: controller.signal
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.error) {
+        throw new Error(`Redis responded ${response.status}: ${body.error || 'no body'}`);
+      }
+      return body.result;
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new Error(`Redis timed out after ${this.timeoutMs}ms`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async slidingWindow(key, limit, windowMs, now) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const weight = (windowMs - (now - windowStart)) / windowMs;
+    const [allowed, current, previous] = await this.command([
+      'EVAL', SLIDING_WINDOW_SCRIPT, '2',
+      `${key}:${windowStart}`, `${key}:${windowStart - windowMs}`,
+      String(limit), String(windowMs), String(weight)
+    ]);
+    return { allowed: allowed === 1, count: Math.ceil(previous * weight + current) };
+  }
+
+  async tokenBucket(key, capacity, refillPerMs, now) {
+    const [allowed, tokens] = await this.command([
+      'EVAL', TOKEN_BUCKET_SCRIPT, '1', key,
+      String(capacity), String(refillPerMs), String(now)
+    ]);
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+}
+
+function createStore() {
+  const name = process.env.RATE_LIMIT_STORE || (REDIS_URL ? 'redis' : 'memory');
+  if (name === 'redis') {
+    if (!REDIS_URL || !REDIS_TOKEN) {
+      log.error('❌ RATE_LIMIT_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN; using memory');
+      return new MemoryStore();
+    }
+    return new RedisStore();
+  }
+  return new MemoryStore();
+}
+
+let store = null;
+function getStore() {
+  store = store || createStore();
+  return store;
+}
+
+// —————— 2) Checks ——————
+
+// The caller's address: the first x-forwarded-for entry is the client, the
+// rest are proxies along the way
+export function clientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || String(req.headers['x-real-ip'] || '').trim() || req.socket?.remoteAddress || 'unknown';
+}
+
+// Identifiers are hashed so emails and keys are not stored in the limiter
+function bucketKey(policyName, kind, value) {
+  const digest = createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex').slice(0, 32);
+  return `rl:${policyName}:${kind}:${digest}`;
+}
+
+async function checkOne(policy, key, now) {
+  if (policy.algorithm === 'token_bucket') {
+    const refillPerMs = policy.refillPerMinute / 60000;
+    const { allowed, tokens } = await getStore().tokenBucket(key, policy.capacity, refillPerMs, now);
+    const remaining = Math.floor(tokens);
+    return {
+      allowed,
+      limit: policy.capacity,
+      remaining,
+      // Seconds until the bucket is full again / until one token is back
+      reset: Math.ceil((policy.capacity - tokens) / refillPerMs / 1000),
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000)),
+      policy: `${policy.capacity};w=${Math.round(policy.capacity / policy.refillPerMinute * 60)}`
+    };
+  }
+
+  const windowMs = policy.window * 1000;
+  const { allowed, count } = await getStore().slidingWindow(key, policy.limit, windowMs, now);
+  const reset = Math.ceil((Math.floor(now / windowMs) * windowMs + windowMs - now) / 1000);
+  return {
+    allowed,
+    limit: policy.limit,
+    remaining: Math.max(policy.limit - count, 0),
+    reset,
+    retryAfter: allowed ? 0 : Math.max(1, reset),
+    policy: `${policy.limit};w=${policy.window}`
+  };
+}
+
+/**
+ * Spends one request from each identifier's budgets under a policy, stopping
+ * at the first that is spent. identifiers: { ip, licenseKey, email,
+ * subscriptionId, … }; empty ones are skipped. The others are counted per ip
+ * when one is given, and across all addresses.
+ * Resolves to the tightest result: { allowed, limit, remaining, reset, retryAfter, policy }.
+ */
+export async function checkRateLimit(policyName, identifiers, now = Date.now()) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+
+  const { ip, ...others } = identifiers;
+  const budgets = [];
+  if (ip) budgets.push([policy, bucketKey(policyName, 'ip', ip)]);
+  for (const [kind, value] of Object.entries(others)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (ip) budgets.push([policy, bucketKey(policyName, kind, `${ip}|${value}`)]);
+    budgets.push([acrossAddresses(policy), bucketKey(policyName, `${kind}:all`, value)]);
+  }
+
+  let tightest = null;
+  for (const [budgetPolicy, key] of budgets) {
+    const result = await checkOne(budgetPolicy, key, now);
+    if (!result.allowed) {
+      return result;
+    }
+    if (!tightest || result.remaining < tightest.remaining) {
+      tightest = result;
+    }
+  }
+  return tightest || { allowed: true, limit: 0, remaining: 0, reset: 0, retryAfter: 0, policy: null };
+}
+
+/**
+ * For API routes: applies a policy to the caller's IP plus any identifiers
+ * given, sets RateLimit-* headers, and answers 429 with Retry-After when the
+ * budget is spent. Resolves to true when the request may go ahead.
+ */
+export async function rateLimit(req, res, policyName, identifiers = {}) {
+  let result;
+  try {
+    result = await checkRateLimit(policyName, { ip: clientIp(req), ...identifiers });
+  } catch (err) {
+    log.warn('⚠️ Rate limiter unavailable, letting the request through', { policy: policyName, err });
+    return true;
+  }
+
+  if (result.policy) {
+    res.setHeader('RateLimit-Policy', result.policy);
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.reset));
+  }
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+    log.warn('⚠️ Rate limit hit', { policy: policyName });
+    res.status(429).json({ error: 'Too many requests', retryAfter: result.retryAfter });
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,413 @@
+// File: lib/reconciliation.js
+//
+// Compares Firestore with PayPal and fixes what webhooks missed. A run pages
+// through every subscription license, then every subscription_mappings entry,
+// then every one-time checkout not marked paid:
+//   mismatch           license status/entitlement differs from the PayPal subscription
+//   missing_payment    PayPal has a payment the license never recorded
+//   unrecorded_refund  PayPal refunded a payment but the license is not refunded
+//   orphaned           license with no subscription, or one PayPal does not know
+//   missing_license    a paid subscription or order from checkout that never got
+//                      a license; issued through the webhook's own path
+//                      (lib/webhook-processor.js), so plan, seats, checkout
+//                      email and coupon are recorded as if the webhook had come
+//   error              the check itself failed
+// Mismatches, missing payments and missing licenses are fixed when the run
+// applies changes. Refunds and orphans are final or ambiguous, so they are
+// only reported for an operator.
+//
+// reconciliation_runs/{runId}: status (running | done), apply, phase, cursor,
+// counts, startedAt, finishedAt, lockedUntil. Findings go in its findings/
+// subcollection. A run is worked on in time-boxed slices (one per cron call),
+// so it can cover more licenses than one function invocation has time for.
+
+import { admin, db } from './firebase';
+import { findLicenseByPaypalId } from './licenses';
+import { orders, subscriptions, PayPalUnavailableError } from './paypal';
+import { issueCaptureLicense, issueSubscriptionLicense } from './webhook-processor';
+import {
+  entitlementFromSubscription,
+  entitlementUpdate,
+  isFinalStatus,
+  resolveEntitlement,
+  toDate,
+  withExtension
+} from './entitlements';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'reconciliation' });
+
+export const RUN_INTERVAL_HOURS = Number(process.env.RECONCILE_INTERVAL_HOURS) || 24;
+// Each license costs up to three PayPal calls; small pages keep a slice near its budget
+const PAGE_SIZE = 10;
+const TRANSACTION_WINDOW_DAYS = 45;
+// Unpaid checkouts older than this are abandoned; PayPal is not asked about them again
+const CHECKOUT_WINDOW_DAYS = 45;
+// How long one slice may hold a run before another invocation can take it over
+const LEASE_MS = 5 * 60 * 1000;
+
+const PHASES = { licenses: 'mappings', mappings: 'checkouts', checkouts: 'done' };
+// What each phase's findings name the document by
+const SUBJECT_FIELDS = { licenses: 'licenseKey', mappings: 'subscriptionId', checkouts: 'orderId' };
+const COUNTERS = {
+  mismatch: 'mismatched',
+  missing_payment: 'missingPayments',
+  unrecorded_refund: 'unrecordedRefunds',
+  orphaned: 'orphaned',
+  missing_license: 'missingLicenses',
+  error: 'errors'
+};
+// Subscriptions that have taken money at some point
+const BILLED_STATUSES = ['ACTIVE', 'SUSPENDED', 'CANCELLED', 'EXPIRED'];
+
+function emptyCounts() {
+  return {
+    checked: 0,
+    inSync: 0,
+    fixed: 0,
+    mismatched: 0,
+    missingPayments: 0,
+    unrecordedRefunds: 0,
+    orphaned: 0,
+    missingLicenses: 0,
+    errors: 0
+  };
+}
+
+function iso(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+// —————— 1) Checks ——————
+
+// Status and entitlement against the PayPal subscription
+function compareStatus(licenseDoc, subscription, now) {
+  const license = licenseDoc.data();
+  if (isFinalStatus(license.status)) {
+    return subscription.status === 'ACTIVE'
+      ? { type: 'mismatch', reason: `License is ${license.status} but PayPal still bills the subscription`, fixable: false }
+      : null;
+  }
+
+  const result = withExtension(license, entitlementFromSubscription(subscription, toDate(license.paidThrough), now), now);
+  const update = entitlementUpdate(license, result, { paypalStatus: subscription.status, source: 'reconciliation' });
+  const before = {
+    status: license.status || null,
+    state: license.entitlement?.state || null,
+    validUntil: iso(license.entitlement?.validUntil)
+  };
+  const after = { status: update.status, state: result.state, validUntil: iso(result.validUntil) };
+  const fields = Object.keys(before).filter(field => before[field] !== after[field]);
+  if (fields.length === 0) return null;
+
+  return {
+    type: 'mismatch',
+    reason: `PayPal reports ${subscription.status}`,
+    fields,
+    before,
+    after,
+    fixable: true,
+    update
+  };
+}
+
+// Payments in the last TRANSACTION_WINDOW_DAYS against the sales the license knows
+async function comparePayments(licenseDoc, subscriptionId, now) {
+  const license = licenseDoc.data();
+  const start = new Date(now.getTime() - TRANSACTION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const { transactions = [] } =
+    (await subscriptions.listTransactions(subscriptionId, start.toISOString(), now.toISOString())) || {};
+  const known = new Set(license.saleIds || []);
+  const findings = [];
+
+  const missing = transactions.filter(t =>
+    ['COMPLETED', 'REFUNDED', 'PARTIALLY_REFUNDED'].includes(t.status) && !known.has(t.id)
+  );
+  if (missing.length > 0) {
+    findings.push({
+      type: 'missing_payment',
+      reason: `${missing.length} payment(s) never recorded`,
+      saleIds: missing.map(t => t.id),
+      fixable: true,
+      transactions: missing
+    });
+  }
+
+  if (!isFinalStatus(license.status)) {
+    // Partial refunds we recorded leave the license active on purpose
+    const partiallyRefunded = new Set(Object.values(license.partialRefunds || {}).map(r => r.transactionId));
+    const refunded = transactions.filter(t =>
+      t.status === 'REFUNDED' || (t.status === 'PARTIALLY_REFUNDED' && !partiallyRefunded.has(t.id))
+    );
+    for (const t of refunded) {
+      findings.push({
+        type: 'unrecorded_refund',
+        reason: `PayPal shows payment ${t.id} as ${t.status}`,
+        saleIds: [t.id],
+        fixable: false
+      });
+    }
+  }
+  return findings;
+}
+
+async function checkLicense(licenseDoc, now) {
+  const license = licenseDoc.data();
+  // Merged duplicates and replaced keys live on in another license; team
+  // members are billed through their organization's
+  if (license.status === 'merged' || license.replacedBy || license.orgLicenseId) return [];
+
+  const subscriptionId = license.subscriptionId || license.paypalID;
+  if (!subscriptionId) {
+    return [{ type: 'orphaned', reason: 'License has no PayPal subscription ID', fixable: false }];
+  }
+  const subscription = await subscriptions.get(subscriptionId);
+  if (!subscription) {
+    // Not expired automatically: a sandbox/live mix-up looks exactly like this
+    return [{ type: 'orphaned', reason: 'PayPal does not know this subscription', fixable: false }];
+  }
+
+  const findings = [];
+  const status = compareStatus(licenseDoc, subscription, now);
+  if (status) findings.push(status);
+  findings.push(...await comparePayments(licenseDoc, subscriptionId, now));
+  return findings;
+}
+
+async function checkMapping(mappingDoc) {
+  const subscriptionId = mappingDoc.id;
+  if (await findLicenseByPaypalId(subscriptionId)) return [];
+
+  const subscription = await subscriptions.get(subscriptionId);
+  // Checkouts that were abandoned before approval never took money
+  if (!subscription || !BILLED_STATUSES.includes(subscription.status) || !subscription.billing_info?.last_payment) {
+    return [];
+  }
+  return [{
+    type: 'missing_license',
+    reason: `Subscription is ${subscription.status} with payments but has no license`,
+    fixable: true,
+    subscription
+  }];
+}
+
+// A one-time checkout PayPal captured but that never got its license.
+// Subscription checkouts are covered by their mappings.
+async function checkCheckout(checkoutDoc, now) {
+  const checkout = checkoutDoc.data();
+  if (checkout.purchaseType !== 'one-time') return [];
+  const since = new Date(now.getTime() - CHECKOUT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (!(toDate(checkout.createdAt) > since)) return [];
+  if (await findLicenseByPaypalId(checkoutDoc.id)) return [];
+
+  const order = await orders.get(checkoutDoc.id);
+  const unit = order?.purchase_units?.[0];
+  const capture = (unit?.payments?.captures || []).find(c => c.status === 'COMPLETED');
+  if (!capture) return [];
+  return [{
+    type: 'missing_license',
+    reason: `Order was paid (capture ${capture.id}) but has no license`,
+    fixable: true,
+    // The capture as PAYMENT.CAPTURE.COMPLETED would have carried it
+    capture: {
+      ...capture,
+      custom_id: capture.custom_id || unit.custom_id,
+      payer: capture.payer || order.payer,
+      supplementary_data: { related_ids: { order_id: order.id } }
+    }
+  }];
+}
+
+// —————— 2) Fixes ——————
+async function applyFix(finding, doc, runId) {
+  const record = {
+    runId,
+    at: admin.firestore.FieldValue.serverTimestamp(),
+    reason: finding.reason
+  };
+
+  if (finding.type === 'mismatch') {
+    await doc.ref.update({ ...finding.update, reconciliation: { ...record, fields: finding.fields } });
+  } else if (finding.type === 'missing_payment') {
+    const latest = finding.transactions
+      .filter(t => t.status === 'COMPLETED')
+      .sort((a, b) => new Date(b.time) - new Date(a.time))[0];
+    const update = {
+      saleIds: admin.firestore.FieldValue.arrayUnion(...finding.saleIds),
+      reconciliation: { ...record, fields: ['saleIds'] }
+    };
+    if (latest && !(toDate(doc.data().lastPaymentAt) >= new Date(latest.time))) {
+      update.lastPaymentAt = new Date(latest.time);
+      update.lastPayment = {
+        saleId: latest.id,
+        amount: latest.amount_with_breakdown?.gross_amount?.value || null,
+        currency: latest.amount_with_breakdown?.gross_amount?.currency_code || null
+      };
+    }
+    await doc.ref.update(update);
+  } else if (finding.type === 'missing_license') {
+    const { body } = finding.subscription
+      ? await issueSubscriptionLicense(finding.subscription, { source: 'reconciliation' })
+      : await issueCaptureLicense(finding.capture, { source: 'reconciliation' });
+    if (!body?.licenseId) {
+      throw new Error(`No license issued: ${body?.error || body?.ignored || 'unknown reason'}`);
+    }
+    if (finding.subscription) {
+      await resolveEntitlement(await db.collection('licenses').doc(body.licenseId).get());
+    }
+    finding.licenseKey = body.licenseId;
+  }
+}
+
+// —————— 3) Runs ——————
+function runsCollection() {
+  return db.collection('reconciliation_runs');
+}
+
+// Takes the lease on the run in progress, or starts one when the last run is
+// older than RUN_INTERVAL_HOURS (or force is set). Resolves to { ref, run } or null.
+async function claimRun({ dryRun, force }, now) {
+  return db.runTransaction(async (tx) => {
+    const running = await tx.get(runsCollection().where('status', '==', 'running').limit(1));
+    const lockedUntil = new Date(now.getTime() + LEASE_MS);
+
+    if (!running.empty) {
+      const doc = running.docs[0];
+      if (toDate(doc.data().lockedUntil) > now) return null;
+      tx.update(doc.ref, { lockedUntil });
+      return { ref: doc.ref, run: doc.data() };
+    }
+
+    if (!force) {
+      const last = await tx.get(runsCollection().orderBy('startedAt', 'desc').limit(1));
+      const since = new Date(now.getTime() - RUN_INTERVAL_HOURS * 60 * 60 * 1000);
+      if (!last.empty && toDate(last.docs[0].data().startedAt) > since) return null;
+    }
+
+    const ref = runsCollection().doc();
+    const run = {
+      status: 'running',
+      apply: !dryRun,
+      phase: 'licenses',
+      cursor: null,
+      counts: emptyCounts(),
+      startedAt: now,
+      finishedAt: null,
+      lockedUntil
+    };
+    tx.set(ref, run);
+    return { ref, run };
+  });
+}
+
+const PAGES = {
+  licenses: () => db.collection('licenses').where('purchaseType', '==', 'subscription'),
+  mappings: () => db.collection('subscription_mappings'),
+  checkouts: () => db.collection('checkouts').where('status', '==', 'created')
+};
+
+const CHECKS = { licenses: checkLicense, mappings: checkMapping, checkouts: checkCheckout };
+
+function nextPage(phase, cursor) {
+  let query = PAGES[phase]();
+  query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+  return (cursor ? query.startAfter(cursor) : query).get();
+}
+
+/**
+ * Works on the current reconciliation run for up to budgetMs, starting a new
+ * run if one is due. options: { dryRun, force, budgetMs }.
+ * Resolves to { runId, status, phase, counts } or { status: 'idle' } when there
+ * is nothing to do or another invocation holds the run.
+ */
+export async function runReconciliation({ dryRun = false, force = false, budgetMs = 45000 } = {}, now = new Date()) {
+  const claimed = await claimRun({ dryRun, force }, now);
+  if (!claimed) {
+    return { status: 'idle' };
+  }
+  const { ref } = claimed;
+  let { phase, cursor } = claimed.run;
+  const apply = claimed.run.apply;
+  const deadline = Date.now() + budgetMs;
+  let paused = false;
+
+  while (phase !== 'done' && !paused && Date.now() < deadline) {
+    const page = await nextPage(phase, cursor);
+    if (page.empty) {
+      phase = PHASES[phase];
+      cursor = null;
+      await ref.update({ phase, cursor });
+      continue;
+    }
+
+    const counts = emptyCounts();
+    const batch = db.batch();
+    for (const doc of page.docs) {
+      let findings;
+      try {
+        findings = await CHECKS[phase](doc, now);
+        for (const finding of findings.filter(f => f.fixable && apply)) {
+          await applyFix(finding, doc, ref.id);
+          finding.fixed = true;
+        }
+      } catch (err) {
+        // PayPal is down: stop here and pick up from this document next time
+        if (err instanceof PayPalUnavailableError) {
+          log.warn('⚠️ PayPal unavailable; reconciliation paused', { err });
+          paused = true;
+          break;
+        }
+        findings = [{ type: 'error', reason: err.message || String(err), fixable: false }];
+      }
+
+      counts.checked++;
+      if (findings.length === 0) counts.inSync++;
+      for (const finding of findings) {
+        counts[COUNTERS[finding.type]]++;
+        if (finding.fixed) counts.fixed++;
+        const { update, transactions, subscription, capture, fixable, ...stored } = finding;
+        batch.set(ref.collection('findings').doc(), {
+          [SUBJECT_FIELDS[phase]]: doc.id,
+          ...stored,
+          fixed: Boolean(finding.fixed),
+          at: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+      cursor = doc.id;
+    }
+
+    const increments = {};
+    for (const [name, value] of Object.entries(counts)) {
+      if (value) increments[`counts.${name}`] = admin.firestore.FieldValue.increment(value);
+    }
+    batch.update(ref, { cursor, phase, lockedUntil: new Date(Date.now() + LEASE_MS), ...increments });
+    await batch.commit();
+  }
+
+  const done = phase === 'done';
+  await ref.update(done
+    ? { status: 'done', finishedAt: admin.firestore.FieldValue.serverTimestamp(), lockedUntil: null }
+    : { lockedUntil: null });
+  const run = (await ref.get()).data();
+  if (done) {
+    log.info('🔍 Reconciliation done', { runId: ref.id, ...run.counts });
+  }
+  return { runId: ref.id, status: run.status, phase: run.phase, apply: run.apply, counts: run.counts };
+}
+
+// The latest runs, newest first
+export async function listRuns(limit = 10) {
+  const snap = await runsCollection().orderBy('startedAt', 'desc').limit(limit).get();
+  return snap.docs.map(doc => ({ runId: doc.id, ...doc.data() }));
+}
+
+// One run with its findings, optionally of one type
+export async function getRunReport(runId, type = null) {
+  const snap = await runsCollection().doc(runId).get();
+  if (!snap.exists) return null;
+  let query = snap.ref.collection('findings');
+  if (type) query = query.where('type', '==', type);
+  const findings = await query.limit(1000).get();
+  return { runId, ...snap.data(), findings: findings.docs.map(doc => doc.data()) };
+}
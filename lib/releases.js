@@ -0,0 +1,332 @@
+// File: lib/releases.js
+//
+// App releases and the Sparkle appcast built from them. A release is stored
+// under its build number (CFBundleVersion, what Sparkle compares):
+//   releases/{version}
+//     { version, shortVersion, channel: 'stable' | 'beta', url, length,
+//       edSignature, minimumSystemVersion, releaseNotes (HTML),
+//       releaseNotesUrl, rolloutPercent, published, pubDate, publishedBy,
+//       blobUrl (master archive in Vercel Blob for licensed downloads,
+//       see lib/downloads.js; never put in the feed) }
+// publishRelease downloads the archive and refuses it unless its size is the
+// enclosure length and the Ed25519 signature verifies against
+// SPARKLE_PUBLIC_ED_KEY (the app's SUPublicEDKey), so the feed never offers
+// an update Sparkle would reject.
+//
+// Phased rollout: a release at rolloutPercent < 100 is only offered to that
+// share of installs, bucketed by the install ID the app sends (or the caller's
+// address); everyone else is offered the newest release fully rolled out.
+
+import { createHash, verify } from 'crypto';
+import { admin, db } from './firebase';
+import { toDate } from './entitlements';
+import { publicKeyFromBase64 } from './verify-license-token';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'releases' });
+
+export const CHANNELS = ['stable', 'beta'];
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+const MAX_ARCHIVE_BYTES = 500 * 1024 * 1024;
+
+const FEED_TITLE = 'CardLocker Updates';
+const FEED_LINK = 'https://zeroxjf.github.io/CardLocker/';
+
+const BLOB_URL = /^https:\/\/[^/]+\.blob\.vercel-storage\.com\//;
+
+// A release that cannot be published or changed; status is the HTTP status
+export class ReleaseError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReleaseError';
+    this.status = status;
+  }
+}
+
+function releasesCollection() {
+  return db.collection('releases');
+}
+
+// '1.10.2' > '1.9' : compares dotted build numbers segment by segment
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// —————— 1) Checking an archive ——————
+
+async function downloadArchive(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new ReleaseError(`Archive download failed: ${response.status}`, 422);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_ARCHIVE_BYTES) {
+      throw new ReleaseError(`Archive is larger than ${MAX_ARCHIVE_BYTES} bytes`, 422);
+    }
+    // Read in chunks so a server that lies about the length cannot exhaust memory
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_ARCHIVE_BYTES) {
+        controller.abort();
+        throw new ReleaseError(`Archive is larger than ${MAX_ARCHIVE_BYTES} bytes`, 422);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } catch (err) {
+    if (err instanceof ReleaseError) throw err;
+    throw new ReleaseError(`Archive download failed: ${err.name === 'AbortError' ? 'timed out' : err.message}`, 422);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks an archive against the enclosure we would publish for it. Resolves to
+ * { sha256 } or throws ReleaseError saying what does not match.
+ */
+export async function verifyReleaseArchive({ url, length, edSignature }) {
+  if (!process.env.SPARKLE_PUBLIC_ED_KEY) {
+    throw new ReleaseError('SPARKLE_PUBLIC_ED_KEY is not set; cannot verify releases', 500);
+  }
+  const archive = await downloadArchive(url);
+  if (archive.length !== length) {
+    throw new ReleaseError(`Archive is ${archive.length} bytes, not the enclosure length ${length}`, 422);
+  }
+  const signature = Buffer.from(edSignature, 'base64');
+  const ok = signature.length === 64 &&
+    verify(null, archive, publicKeyFromBase64(process.env.SPARKLE_PUBLIC_ED_KEY), signature);
+  if (!ok) {
+    throw new ReleaseError('edSignature does not verify against the archive and SPARKLE_PUBLIC_ED_KEY', 422);
+  }
+  return { sha256: createHash('sha256').update(archive).digest('hex') };
+}
+
+// —————— 2) Publishing ——————
+
+function rolloutPercentOf(value) {
+  if (value === undefined || value === null) return 100;
+  if (!(Number.isInteger(value) && value >= 0 && value <= 100)) {
+    throw new ReleaseError('rolloutPercent must be a whole number from 0 to 100');
+  }
+  return value;
+}
+
+// Checks and normalises the fields of a new release; throws ReleaseError
+function releaseFields(input) {
+  const version = typeof input.version === 'string' ? input.version.trim() : String(input.version ?? '');
+  if (!/^\d+(\.\d+)*$/.test(version)) {
+    throw new ReleaseError('version must be the build number, e.g. "12"');
+  }
+  if (typeof input.shortVersion !== 'string' || !input.shortVersion.trim()) {
+    throw new ReleaseError('shortVersion is required, e.g. "1.2"');
+  }
+  const channel = input.channel || 'stable';
+  if (!CHANNELS.includes(channel)) {
+    throw new ReleaseError(`channel must be one of ${CHANNELS.join(', ')}`);
+  }
+  if (typeof input.url !== 'string' || !/^https:\/\//.test(input.url)) {
+    throw new ReleaseError('url must be the https URL of the archive');
+  }
+  if (!(Number.isInteger(input.length) && input.length > 0)) {
+    throw new ReleaseError('length must be the archive size in bytes');
+  }
+  if (typeof input.edSignature !== 'string' || !input.edSignature) {
+    throw new ReleaseError('edSignature is required (from Sparkle\'s sign_update)');
+  }
+  if (input.minimumSystemVersion && !/^\d+(\.\d+){0,2}$/.test(input.minimumSystemVersion)) {
+    throw new ReleaseError('minimumSystemVersion must look like "13.0"');
+  }
+  if (input.releaseNotesUrl && !/^https:\/\//.test(input.releaseNotesUrl)) {
+    throw new ReleaseError('releaseNotesUrl must be an https URL');
+  }
+  if (input.blobUrl && !BLOB_URL.test(input.blobUrl)) {
+    throw new ReleaseError('blobUrl must be a Vercel Blob URL');
+  }
+  return {
+    version,
+    shortVersion: input.shortVersion.trim(),
+    channel,
+    url: input.url,
+    length: input.length,
+    edSignature: input.edSignature.trim(),
+    minimumSystemVersion: input.minimumSystemVersion || null,
+    releaseNotes: typeof input.releaseNotes === 'string' ? input.releaseNotes : null,
+    releaseNotesUrl: input.releaseNotesUrl || null,
+    rolloutPercent: rolloutPercentOf(input.rolloutPercent),
+    blobUrl: input.blobUrl || null
+  };
+}
+
+/**
+ * Verifies and publishes a new release. A build number can be published
+ * once; change its rollout or notes with updateRelease. Resolves to the
+ * stored release.
+ */
+export async function publishRelease(input, actor) {
+  const fields = releaseFields(input);
+  const { sha256 } = await verifyReleaseArchive(fields);
+
+  const release = {
+    ...fields,
+    sha256,
+    published: true,
+    pubDate: new Date(),
+    publishedBy: actor.name
+  };
+  try {
+    await releasesCollection().doc(fields.version).create(release);
+  } catch (err) {
+    // gRPC ALREADY_EXISTS
+    if (err.code === 6) {
+      throw new ReleaseError(`Build ${fields.version} is already published`, 409);
+    }
+    throw err;
+  }
+  log.info('🚀 Release published', { shortVersion: fields.shortVersion, version: fields.version, channel: fields.channel });
+  return release;
+}
+
+// The fields of a published release that may change: not the archive itself
+const UPDATABLE = ['channel', 'rolloutPercent', 'releaseNotes', 'releaseNotesUrl', 'minimumSystemVersion', 'published', 'blobUrl'];
+
+/**
+ * Changes rollout, channel, notes, minimum OS or withdraws a release
+ * (published: false). Resolves to { before, after }.
+ */
+export async function updateRelease(version, changes, actor) {
+  const ref = releasesCollection().doc(String(version));
+  const update = {};
+  for (const field of UPDATABLE) {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  }
+  if (Object.keys(update).length === 0) {
+    throw new ReleaseError(`Nothing to change; give one of ${UPDATABLE.join(', ')}`);
+  }
+  if (update.channel !== undefined && !CHANNELS.includes(update.channel)) {
+    throw new ReleaseError(`channel must be one of ${CHANNELS.join(', ')}`);
+  }
+  if (update.rolloutPercent !== undefined) {
+    update.rolloutPercent = rolloutPercentOf(update.rolloutPercent);
+  }
+  if (update.minimumSystemVersion && !/^\d+(\.\d+){0,2}$/.test(update.minimumSystemVersion)) {
+    throw new ReleaseError('minimumSystemVersion must look like "13.0"');
+  }
+  if (update.releaseNotesUrl && !/^https:\/\//.test(update.releaseNotesUrl)) {
+    throw new ReleaseError('releaseNotesUrl must be an https URL');
+  }
+  if (update.blobUrl && !BLOB_URL.test(update.blobUrl)) {
+    throw new ReleaseError('blobUrl must be a Vercel Blob URL');
+  }
+  if (update.published !== undefined && typeof update.published !== 'boolean') {
+    throw new ReleaseError('published must be true or false');
+  }
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) {
+      throw new ReleaseError('Release not found', 404);
+    }
+    tx.update(ref, { ...update, updatedBy: actor.name, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    const before = {};
+    for (const field of Object.keys(update)) before[field] = snap.data()[field] ?? null;
+    return { before, after: update };
+  });
+}
+
+// Every release, newest build first
+export async function listReleases() {
+  const snap = await releasesCollection().get();
+  return snap.docs
+    .map(doc => doc.data())
+    .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+// —————— 3) The feed ——————
+
+// 0–99, stable for an install (or address) and a release
+export function rolloutBucket(clientId, version) {
+  const digest = createHash('sha256').update(`${version}:${clientId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+/**
+ * The releases a client on `channel` is offered: every published release of
+ * the channel (beta also sees stable), minus the ones still rolling out that
+ * this client is not in yet.
+ */
+export function releasesForClient(releases, { channel, clientId }) {
+  const channels = channel === 'beta' ? ['stable', 'beta'] : ['stable'];
+  return releases.filter(release =>
+    release.published &&
+    channels.includes(release.channel) &&
+    (release.rolloutPercent >= 100 || rolloutBucket(clientId, release.version) < release.rolloutPercent)
+  );
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function itemXml(release) {
+  const lines = [
+    '    <item>',
+    `      <title>Version ${escapeXml(release.shortVersion)}</title>`,
+    `      <pubDate>${toDate(release.pubDate).toUTCString()}</pubDate>`
+  ];
+  if (release.channel !== 'stable') {
+    lines.push(`      <sparkle:channel>${escapeXml(release.channel)}</sparkle:channel>`);
+  }
+  if (release.minimumSystemVersion) {
+    lines.push(`      <sparkle:minimumSystemVersion>${escapeXml(release.minimumSystemVersion)}</sparkle:minimumSystemVersion>`);
+  }
+  if (release.releaseNotesUrl) {
+    lines.push(`      <sparkle:releaseNotesLink>${escapeXml(release.releaseNotesUrl)}</sparkle:releaseNotesLink>`);
+  } else if (release.releaseNotes) {
+    // CDATA cannot contain its own terminator; split it across two sections
+    lines.push(`      <description><![CDATA[${release.releaseNotes.replace(/]]>/g, ']]]]><![CDATA[>')}]]></description>`);
+  }
+  lines.push(
+    '      <enclosure',
+    `        url="${escapeXml(release.url)}"`,
+    `        sparkle:version="${escapeXml(release.version)}"`,
+    `        sparkle:shortVersionString="${escapeXml(release.shortVersion)}"`,
+    `        sparkle:edSignature="${escapeXml(release.edSignature)}"`,
+    `        length="${release.length}"`,
+    '        type="application/octet-stream"/>',
+    '    </item>'
+  );
+  return lines.join('\n');
+}
+
+// The appcast XML for the given releases, newest first
+export function buildAppcast(releases) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss xmlns:sparkle="http://www.andymatuschak.org/xml-namespaces/sparkle" version="2.0">',
+    '  <channel>',
+    `    <title>${FEED_TITLE}</title>`,
+    `    <link>${FEED_LINK}</link>`,
+    '    <description>Latest updates for CardLocker</description>',
+    '    <language>en</language>',
+    ...releases.map(itemXml),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,31 @@
+// File: lib/seats.js
+
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'seats' });
+
+// Default number of Macs one license may be activated on, per purchase type.
+// Override with SEAT_LIMITS='{"one-time":3,"subscription":2}'.
+const DEFAULT_SEAT_LIMITS = { 'one-time': 3, subscription: 2 };
+
+function loadSeatLimits() {
+  if (!process.env.SEAT_LIMITS) {
+    return DEFAULT_SEAT_LIMITS;
+  }
+  try {
+    return { ...DEFAULT_SEAT_LIMITS, ...JSON.parse(process.env.SEAT_LIMITS) };
+  } catch (e) {
+    log.error('❌ SEAT_LIMITS is not valid JSON, using defaults', { err: e });
+    return DEFAULT_SEAT_LIMITS;
+  }
+}
+
+export const SEAT_LIMITS = loadSeatLimits();
+
+// A seatLimit stored on the license itself wins over the per-type default
+export function seatLimitFor(license) {
+  if (Number.isInteger(license.seatLimit) && license.seatLimit > 0) {
+    return license.seatLimit;
+  }
+  return SEAT_LIMITS[license.purchaseType] || SEAT_LIMITS['one-time'];
+}
@@ -0,0 +1,101 @@
+// File: lib/verify-license-token.js
+//
+// Standalone verifier for offline license tokens. No server dependencies, so
+// it can be copied into any JS client; the Swift app implements the same steps
+// and is checked against lib/license-token-vectors.json.
+//
+// Token format:   CL1.<payload>.<signature>
+//   payload    base64url(JSON), fields:
+//                v    format version (1)
+//                lid  license ID
+//                typ  purchase type ('one-time' | 'subscription')
+//                eh   hex SHA-256 of the lowercased, trimmed license email (or null)
+//                ent  entitlement expiry, unix seconds (null = lifetime)
+//                exp  token expiry = ent + grace period, unix seconds (null = never)
+//                dev  device limit
+//                iat  issued at, unix seconds
+//   signature  base64url(Ed25519 signature over the ASCII bytes "CL1.<payload>")
+
+import { createHash, createPublicKey, verify } from 'crypto';
+
+export const TOKEN_PREFIX = 'CL1';
+
+// DER header that turns a raw 32-byte Ed25519 public key into SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+export function base64url(buf) {
+  return Buffer.from(buf).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64url(str) {
+  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Hash used for the `eh` claim, so a token never carries the email itself
+export function hashEmail(email) {
+  if (typeof email !== 'string' || !email.includes('@')) return null;
+  return createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+// Accepts the raw public key as base64 (the same encoding Sparkle uses for SUPublicEDKey)
+export function publicKeyFromBase64(publicKeyBase64) {
+  const raw = Buffer.from(publicKeyBase64, 'base64');
+  if (raw.length !== 32) {
+    throw new Error('Ed25519 public key must be 32 bytes');
+  }
+  return createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * Verifies a token's signature and expiry.
+ *
+ * Returns { valid: true, payload } or { valid: false, reason, payload? }.
+ * With { ignoreExpiry: true } an expired but correctly signed token still
+ * verifies, which is what the refresh endpoint needs.
+ */
+export function verifyLicenseToken(token, publicKeyBase64, { now = Date.now(), ignoreExpiry = false } = {}) {
+  if (typeof token !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const signedPart = `${parts[0]}.${parts[1]}`;
+  let signatureOk = false;
+  try {
+    signatureOk = verify(
+      null,
+      Buffer.from(signedPart, 'ascii'),
+      publicKeyFromBase64(publicKeyBase64),
+      fromBase64url(parts[2])
+    );
+  } catch (e) {
+    signatureOk = false;
+  }
+  if (!signatureOk) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64url(parts[1]).toString('utf8'));
+  } catch (e) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (payload.v !== 1 || typeof payload.lid !== 'string') {
+    return { valid: false, reason: 'unsupported_version' };
+  }
+
+  if (!ignoreExpiry && payload.exp !== null && Math.floor(now / 1000) >= payload.exp) {
+    return { valid: false, reason: 'expired', payload };
+  }
+
+  return { valid: true, payload };
+}
@@ -0,0 +1,129 @@
+// File: lib/webhook-events.js
+//
+// Every verified PayPal webhook is stored in webhook_events/{event.id} before
+// it is processed:
+//   status    processing | processed | rejected | failed | dead_letter
+//   attempts  how many times processing was tried
+//   lastError message from the last failure
+//   leaseUntil  while processing, when the attempt is presumed dead
+// A delivery of an event that was already processed is skipped, and one that
+// arrives while another attempt holds the lease is turned away with a 409 so
+// PayPal redelivers it later. Failed events
+// stay until PayPal redelivers them or an admin replays them; after
+// MAX_ATTEMPTS failures an event is parked as dead_letter.
+
+import { admin, db } from './firebase';
+import { processWebhookEvent } from './webhook-processor';
+import { toDate } from './entitlements';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'webhook' });
+
+export const MAX_ATTEMPTS = 5;
+
+// Longer than any webhook or replay function may run
+const LEASE_MS = 2 * 60 * 1000;
+
+const DONE_STATUSES = ['processed', 'rejected'];
+
+function eventRef(eventId) {
+  return db.collection('webhook_events').doc(eventId);
+}
+
+// Claims an attempt at an event. Resolves to { skip: true } if it was already
+// handled, unless force is set, or if another attempt is still running.
+async function beginAttempt(event, source, force, now = new Date()) {
+  const ref = eventRef(event.id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const stored = snap.exists ? snap.data() : {};
+    if (!force && DONE_STATUSES.includes(stored.status)) {
+      return { skip: true, status: stored.status };
+    }
+    // Even a forced replay waits for a live attempt; a crashed one's lease runs out
+    if (stored.status === 'processing' && toDate(stored.leaseUntil) > now) {
+      return { skip: true, status: stored.status };
+    }
+
+    const stamp = admin.firestore.FieldValue.serverTimestamp();
+    const record = {
+      status: 'processing',
+      attempts: admin.firestore.FieldValue.increment(1),
+      lastAttemptAt: stamp,
+      lastAttemptSource: source,
+      leaseUntil: new Date(now.getTime() + LEASE_MS)
+    };
+    if (!snap.exists) {
+      Object.assign(record, {
+        eventType: event.event_type || null,
+        resourceId: event.resource?.id || null,
+        receivedAt: stamp,
+        event
+      });
+    }
+    tx.set(ref, record, { merge: true });
+    return { skip: false, attempts: (stored.attempts || 0) + 1 };
+  });
+}
+
+/**
+ * Records, processes and marks a verified event. Used for live deliveries
+ * (source 'webhook') and replays (source 'replay'); force re-runs an event
+ * that was already handled. Resolves to { status, body } like processWebhookEvent.
+ */
+export async function handleWebhookEvent(event, { source = 'webhook', force = false } = {}) {
+  if (!event || !event.id) {
+    return { status: 400, body: { error: 'Webhook event has no id' } };
+  }
+
+  const attempt = await beginAttempt(event, source, force);
+  if (attempt.skip && attempt.status === 'processing') {
+    log.info('ℹ️ Webhook event is being processed by another attempt', { eventId: event.id });
+    return { status: 409, body: { error: 'Event is already being processed; retry later' } };
+  }
+  if (attempt.skip) {
+    log.info('ℹ️ Webhook event already handled, skipping', { eventId: event.id });
+    return { status: 200, body: 'Event already processed' };
+  }
+
+  try {
+    const result = await processWebhookEvent(event);
+    await eventRef(event.id).update({
+      // A 4xx means the event itself is unusable; retrying will not help
+      status: result.status >= 400 ? 'rejected' : 'processed',
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      outcome: typeof result.body === 'string' ? result.body : result.body?.error || 'ok',
+      lastError: admin.firestore.FieldValue.delete(),
+      leaseUntil: admin.firestore.FieldValue.delete()
+    });
+    return result;
+  } catch (err) {
+    log.error('❌ Error processing webhook event', { eventId: event.id, err });
+    await eventRef(event.id).update({
+      status: attempt.attempts >= MAX_ATTEMPTS ? 'dead_letter' : 'failed',
+      lastError: err.message || String(err),
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      leaseUntil: admin.firestore.FieldValue.delete()
+    });
+    return { status: 500, body: { error: 'Internal error in webhook handler', details: err.message } };
+  }
+}
+
+// Replays one stored event, whatever its status (a processed one is re-run on purpose)
+export async function replayWebhookEvent(eventId) {
+  const snap = await eventRef(eventId).get();
+  if (!snap.exists) {
+    return { eventId, status: 404, body: { error: 'Event not found' } };
+  }
+  const result = await handleWebhookEvent(snap.data().event, { source: 'replay', force: true });
+  return { eventId, ...result };
+}
+
+// IDs of every event waiting on a replay
+export async function listFailedEventIds(limit = 100) {
+  const snap = await db.collection('webhook_events')
+    .where('status', 'in', ['failed', 'dead_letter'])
+    .limit(limit)
+    .get();
+  return snap.docs.map(doc => doc.id);
+}
@@ -0,0 +1,235 @@
+// File: lib/webhook-processor.js
+//
+// Business logic for verified PayPal webhook events, kept apart from the HTTP
+// route so stored events can be replayed. processWebhookEvent resolves to
+// { status, body } for the route to send back. The two issuing paths,
+// issueCaptureLicense and issueSubscriptionLicense, are also how
+// reconciliation issues a license for a payment whose webhook never came.
+
+import { db } from './firebase';
+import { issueLicense, findIssuedLicense, isValidEmail, normalizeEmail } from './licenses';
+import { BILLING_EVENT_HANDLERS } from './billing-events';
+import { subscriptions } from './paypal';
+import { checkPayment, completeCheckout, checkoutEmailFor } from './checkout';
+import { createLogger } from './log';
+
+const log = createLogger({ module: 'webhook' });
+
+export async function processWebhookEvent(webhookEvent) {
+  // Handle only the events we care about:
+  const eventType = webhookEvent.event_type;
+  const resource = webhookEvent.resource || {};
+
+  // a) One-time payment completed
+  if (eventType === 'PAYMENT.CAPTURE.COMPLETED') {
+    log.debug('🔍 PAYMENT.CAPTURE.COMPLETED resource', { resource });
+    return await issueCaptureLicense(resource);
+  }
+
+  // b) Subscription activated - ENHANCED EMAIL RESOLUTION
+  if (eventType === 'BILLING.SUBSCRIPTION.ACTIVATED') {
+    log.debug('🔍 BILLING.SUBSCRIPTION.ACTIVATED resource', { resource });
+    return await issueSubscriptionLicense(resource);
+  }
+
+  // c) Subscription lifecycle, renewals, refunds and disputes
+  const lifecycleHandler = BILLING_EVENT_HANDLERS[eventType];
+  if (lifecycleHandler) {
+    const outcome = await lifecycleHandler(webhookEvent);
+    return { status: 200, body: outcome };
+  }
+
+  // d) Other events: ignore
+  log.info('ℹ️ Unhandled event type', { eventType });
+  return { status: 200, body: 'Event ignored' };
+}
+
+/**
+ * Issues the license for a completed capture (a PAYMENT.CAPTURE.COMPLETED
+ * resource). source says who asked: 'webhook' or 'reconciliation'.
+ * Resolves to { status, body } with body.licenseId once a license is out.
+ */
+export async function issueCaptureLicense(resource, { source = 'webhook' } = {}) {
+  const purchaseType = 'one-time';
+  // Key one-time licenses on the order ID, the same ID /api/create-license uses
+  const captureId = resource.id;
+  const paypalID = resource.supplementary_data?.related_ids?.order_id || captureId;
+
+  // The email typed at checkout (custom_id names its session), else PayPal's
+  const checkoutEmail = await checkoutEmailFor(paypalID, resource.custom_id);
+  const emailSource = checkoutEmail ? 'checkout' : 'paypal';
+  const payerEmail =
+    checkoutEmail ||
+    resource.payer?.email_address ||
+    resource.payer?.payer_info?.email ||
+    resource.billing_info?.email_address;
+
+  if (!payerEmail) {
+    log.error('❌ No payer email found in PAYMENT.CAPTURE.COMPLETED webhook', {
+      paypalId: paypalID,
+      paths: {
+        'resource.payer': !!resource.payer,
+        'resource.payer.email_address': !!resource.payer?.email_address,
+        'resource.payer.payer_info': !!resource.payer?.payer_info,
+        'resource.billing_info': !!resource.billing_info
+      }
+    });
+    return { status: 400, body: { error: 'Missing payer email in webhook resource' } };
+  }
+
+  // Only a payment for one of our plans, at its price, earns a license
+  const payment = await checkPayment(paypalID, purchaseType, { amount: resource.amount });
+  if (payment.error) {
+    return refusePayment(paypalID, payment.error);
+  }
+
+  return await createLicenseAndRespond(payerEmail, purchaseType, paypalID, { captureId, emailSource, payment, source });
+}
+
+/**
+ * Issues the license for an approved subscription (a
+ * BILLING.SUBSCRIPTION.ACTIVATED resource, or the subscription as PayPal's API
+ * returns it). source as for issueCaptureLicense; resolves the same way.
+ */
+export async function issueSubscriptionLicense(resource, { source = 'webhook' } = {}) {
+  const subscriptionId = resource.id;
+  const purchaseType = 'subscription';
+  let payerEmail = null;
+  let emailSource = 'paypal';
+
+  const payment = await checkPayment(subscriptionId, purchaseType, {
+    paypalPlanId: resource.plan_id,
+    planOverridden: resource.plan_overridden === true,
+    quantity: resource.quantity
+  });
+  if (payment.error) {
+    return refusePayment(subscriptionId, payment.error);
+  }
+
+  // Step 1: The email typed at checkout, through custom_id or the stored mapping
+  payerEmail = await checkoutEmailFor(subscriptionId, resource.custom_id);
+  if (payerEmail) {
+    emailSource = 'checkout';
+    log.info('✅ Found the checkout email', { subscriptionId, email: payerEmail });
+  }
+
+  // Step 2: If not found, the subscriber email in the webhook resource
+  if (!payerEmail) {
+    payerEmail = resource.subscriber?.email_address;
+    if (payerEmail) {
+      log.info('✅ Found email in webhook resource', { subscriptionId, email: payerEmail });
+    }
+  }
+
+  // Step 3: If still not found, try PayPal API
+  if (!payerEmail) {
+    log.info('🔍 Email not in checkout or webhook, fetching from PayPal API', { subscriptionId });
+    try {
+      const subscriptionDetails = (await subscriptions.get(subscriptionId)) || {};
+      log.debug('🔍 PayPal API subscription details', { subscription: subscriptionDetails });
+
+      // Try multiple possible paths in the API response
+      payerEmail =
+        subscriptionDetails.subscriber?.email_address ||
+        subscriptionDetails.billing_info?.email_address || null;
+
+      if (payerEmail) {
+        log.info('✅ Found email in PayPal API response', { subscriptionId, email: payerEmail });
+      }
+    } catch (fetchErr) {
+      log.error('❌ Error fetching subscription details from PayPal API', { subscriptionId, err: fetchErr });
+    }
+  }
+
+  // Step 4: Email validation - must be present and valid
+  if (!payerEmail || !payerEmail.includes('@')) {
+    log.error('❌ Invalid or missing email — license left for the email reconciler', { subscriptionId });
+    return await createLicenseWithSubscriptionId(subscriptionId, purchaseType, subscriptionId, {
+      payerId: resource.subscriber?.payer_id,
+      payment,
+      source
+    });
+  }
+
+  // Success! Create the license
+  return await createLicenseAndRespond(payerEmail, purchaseType, subscriptionId, { emailSource, payment, source });
+}
+
+// Helper: a payment that does not match a plan gets no license. Answered 200,
+// since PayPal redelivering it would not change the amount.
+function refusePayment(paypalID, reason) {
+  log.warn('⚠️ Not issuing a license for this payment', { paypalId: paypalID, reason });
+  return { status: 200, body: { ignored: reason, paypalId: paypalID } };
+}
+
+// Helper: issues (or enriches) the license for this PayPal ID + returns licenseId JSON (downloads: api/download.js)
+async function createLicenseAndRespond(email, purchaseType, paypalID, extra = {}) {
+  try {
+    // 1) Validate the email we resolved
+    const userEmail = email && typeof email === 'string' ? email : null;
+    const emailSource = extra.emailSource || 'paypal';
+    if (userEmail && !isValidEmail(userEmail)) {
+      log.warn('⚠️ Invalid email format', { paypalId: paypalID });
+      return { status: 400, body: { error: 'Invalid email address' } };
+    }
+
+    // 2) Enforce the per-email limit only when this would be a new license.
+    //    Team seats an organization gave this address are not purchases.
+    if (userEmail && !(await findIssuedLicense(paypalID))) {
+      const snapshot = await db.collection('licenses').where('emailLower', '==', normalizeEmail(userEmail)).get();
+      if (snapshot.docs.filter(doc => !doc.data().orgLicenseId).length >= 5) {
+        log.warn('⚠️ License limit reached for this email', { paypalId: paypalID, email: userEmail });
+        return { status: 403, body: { error: 'Maximum of 5 licenses per email reached.' } };
+      }
+    }
+
+    // 3) Issue or enrich the single license for this PayPal ID
+    const { licenseId, created } = await issueLicense(paypalID, {
+      purchaseType,
+      email: userEmail,
+      emailSource,
+      subscriptionId: purchaseType === 'subscription' ? paypalID : undefined,
+      captureId: extra.captureId,
+      planFields: extra.payment?.licenseFields,
+      source: extra.source || 'webhook'
+    });
+    log.info(created ? '🔑 License issued' : '📄 Existing license enriched', { paypalId: paypalID });
+    await completeCheckout(paypalID, extra.payment?.checkout, licenseId);
+
+    // 4) Return JSON { licenseId }; the key itself only ever goes to the customer
+    return { status: 200, body: { licenseId } };
+  } catch (error) {
+    log.error('❌ Error in createLicenseAndRespond', { paypalId: paypalID, err: error });
+    throw error;
+  }
+}
+
+// Fallback helper for when we can't get email but have subscription ID. The license
+// is left pending_email_resolution for lib/email-resolution.js to finish.
+async function createLicenseWithSubscriptionId(subscriptionId, purchaseType, paypalID, { payerId, payment, source = 'webhook' } = {}) {
+  try {
+    const { licenseId, status } = await issueLicense(paypalID, {
+      purchaseType,
+      subscriptionId,
+      payerId,
+      planFields: payment?.licenseFields,
+      source
+    });
+    await completeCheckout(paypalID, payment?.checkout, licenseId);
+
+    // Return JSON { licenseId } - same as normal flow
+    return {
+      status: 200,
+      body: {
+        licenseId,
+        note: status === 'pending_email_resolution'
+          ? 'License created with subscription ID - email resolution pending'
+          : 'License created with valid email'
+      }
+    };
+  } catch (error) {
+    log.error('❌ Error in createLicenseWithSubscriptionId', { subscriptionId, err: error });
+    throw error;
+  }
+}
+
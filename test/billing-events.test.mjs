@@ -0,0 +1,229 @@
+// lib/billing-events.js against webhook events built by dev/webhook-fixtures.js:
+// subscription status changes, renewals, refunds (full and partial), reversals
+// and disputes. Licenses come from the mock PayPal, which also answers the
+// handlers' questions about a payment.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fixtures from '../dev/webhook-fixtures.js';
+import { startStack, mailTo, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, subscribeMonthly, licenseFor } from './support/flows.mjs';
+import { BILLING_EVENT_HANDLERS } from '../lib/billing-events.js';
+
+const { buildEvent, mockId, refundResource, saleResource } = fixtures;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+function handle(eventType, resource) {
+  return BILLING_EVENT_HANDLERS[eventType](buildEvent(eventType, resource));
+}
+
+function refundMail(email) {
+  return mailTo(email).filter(mail => /refund/.test(mail.subject));
+}
+
+// The subscription as the mock PayPal has it, with `changes` applied
+async function subscription(subscriptionId, changes = {}) {
+  const { body } = await stack.mock('GET', `/v1/billing/subscriptions/${subscriptionId}`);
+  return { ...body, ...changes, billing_info: { ...body.billing_info, ...changes.billing_info } };
+}
+
+function dispute(captureId, { status = 'OPEN', outcome } = {}) {
+  return {
+    dispute_id: mockId('PP-D'),
+    reason: 'MERCHANDISE_OR_SERVICE_NOT_RECEIVED',
+    status,
+    dispute_channel: 'INTERNAL',
+    dispute_amount: { value: '20.00', currency_code: 'USD' },
+    disputed_transactions: [{ seller_transaction_id: captureId }],
+    ...(outcome ? { dispute_outcome: { outcome_code: outcome } } : {})
+  };
+}
+
+test('a cancelled subscription keeps access until the paid-through date', async () => {
+  const { subscriptionId, doc } = await subscribeMonthly(stack, { email: uniqueEmail(), ip: '198.51.100.60' });
+  const paidThrough = doc.data().paidThrough.toDate();
+  assert.ok(paidThrough > new Date());
+
+  const cancelled = await subscription(subscriptionId, { status: 'CANCELLED', billing_info: { next_billing_time: undefined } });
+  assert.equal(await handle('BILLING.SUBSCRIPTION.CANCELLED', cancelled), 'License cancelled');
+  let { data } = await licenseFor(subscriptionId);
+  assert.equal(data.status, 'active');
+  assert.equal(data.entitlement.state, 'cancelled');
+  assert.equal(data.entitlement.validUntil.toDate().getTime(), paidThrough.getTime());
+
+  await doc.ref.update({ paidThrough: new Date(Date.now() - DAY_MS) });
+  const expired = await subscription(subscriptionId, { status: 'EXPIRED', billing_info: { next_billing_time: undefined } });
+  assert.equal(await handle('BILLING.SUBSCRIPTION.EXPIRED', expired), 'License expired');
+  ({ data } = await licenseFor(subscriptionId));
+  assert.equal(data.status, 'inactive');
+  assert.equal(data.entitlement.paypalStatus, 'EXPIRED');
+});
+
+test('a failed payment starts the grace period; suspension and re-activation follow PayPal', async () => {
+  const { subscriptionId } = await subscribeMonthly(stack, { email: uniqueEmail(), ip: '198.51.100.61' });
+  const failedAt = new Date();
+
+  await handle('BILLING.SUBSCRIPTION.PAYMENT.FAILED', await subscription(subscriptionId, {
+    billing_info: {
+      failed_payments_count: 1,
+      last_failed_payment: { amount: { value: '2.99', currency_code: 'USD' }, time: failedAt.toISOString() }
+    }
+  }));
+  let { data } = await licenseFor(subscriptionId);
+  assert.equal(data.status, 'active');
+  assert.equal(data.entitlement.state, 'past_due');
+  assert.equal(data.lastPaymentFailedAt.toDate().getTime(), failedAt.getTime());
+
+  await handle('BILLING.SUBSCRIPTION.SUSPENDED', await subscription(subscriptionId, { status: 'SUSPENDED' }));
+  ({ data } = await licenseFor(subscriptionId));
+  assert.equal(data.status, 'inactive');
+  assert.equal(data.entitlement.state, 'suspended');
+
+  const active = await subscription(subscriptionId);
+  await handle('BILLING.SUBSCRIPTION.RE-ACTIVATED', active);
+  ({ data } = await licenseFor(subscriptionId));
+  assert.equal(data.status, 'active');
+  assert.equal(data.entitlement.state, 'active');
+  assert.equal(data.entitlement.validUntil.toDate().toISOString(), active.billing_info.next_billing_time);
+});
+
+test('a renewal sale is recorded against its subscription', async () => {
+  const { subscriptionId, saleId } = await subscribeMonthly(stack, { email: uniqueEmail(), ip: '198.51.100.62' });
+  const renewal = saleResource({ subscriptionId });
+
+  assert.equal(await handle('PAYMENT.SALE.COMPLETED', renewal), 'Renewal recorded');
+  const { data } = await licenseFor(subscriptionId);
+  assert.deepEqual(data.saleIds, [saleId, renewal.id]);
+  assert.deepEqual(data.lastPayment, { saleId: renewal.id, amount: '2.99', currency: 'USD' });
+
+  assert.equal(await handle('PAYMENT.SALE.COMPLETED', saleResource({})), 'Sale is not for a subscription; ignored');
+});
+
+test('a full capture refund refunds the license', async () => {
+  const email = uniqueEmail();
+  const { orderId, captureId } = await buyLifetime(stack, { email, ip: '198.51.100.63' });
+  // PayPal has refunded the capture; the webhook is handled here
+  await stack.mock('POST', '/__mock/drop-webhooks', { count: 1 });
+  const { body: refund } = await stack.mock('POST', `/v2/payments/captures/${captureId}/refund`, {});
+
+  assert.equal(await handle('PAYMENT.CAPTURE.REFUNDED', refund), 'License refunded');
+  const { data } = await licenseFor(orderId);
+  assert.equal(data.status, 'refunded');
+  assert.equal(data.entitlement.state, 'refunded');
+  assert.deepEqual(
+    { type: data.refund.type, transactionId: data.refund.transactionId, refundId: data.refund.refundId, amount: data.refund.amount },
+    { type: 'refund', transactionId: captureId, refundId: refund.id, amount: '20.00' }
+  );
+  const [mail] = refundMail(email);
+  assert.match(mail.text, /deactivated/);
+});
+
+test('a partial capture refund keeps the license until the rest is refunded', async () => {
+  const email = uniqueEmail();
+  const { orderId, captureId } = await buyLifetime(stack, { email, ip: '198.51.100.69' });
+
+  const { body: first } = await stack.mock('POST', `/v2/payments/captures/${captureId}/refund`, {
+    amount: { value: '5.00', currency_code: 'USD' }
+  });
+  let { data } = await licenseFor(orderId);
+  assert.equal(data.status, 'active');
+  assert.equal(data.refund, undefined);
+  assert.deepEqual(
+    { transactionId: data.partialRefunds[first.id].transactionId, amount: data.partialRefunds[first.id].amount },
+    { transactionId: captureId, amount: '5.00' }
+  );
+  const [mail] = refundMail(email);
+  assert.match(mail.text, /keeps working/);
+
+  // Handling the same event again changes nothing
+  assert.equal(await handle('PAYMENT.CAPTURE.REFUNDED', first), 'Partial refund recorded');
+  assert.equal(Object.keys((await licenseFor(orderId)).data.partialRefunds).length, 1);
+
+  await stack.mock('POST', `/v2/payments/captures/${captureId}/refund`, {
+    amount: { value: '15.00', currency_code: 'USD' }
+  });
+  ({ data } = await licenseFor(orderId));
+  assert.equal(data.status, 'refunded');
+  assert.equal(data.refund.amount, '15.00');
+  assert.equal(refundMail(email).length, 2);
+});
+
+test('a partial refund of a subscription payment keeps the license', async () => {
+  const { subscriptionId, saleId } = await subscribeMonthly(stack, { email: uniqueEmail(), ip: '198.51.100.70' });
+
+  await stack.mock('POST', `/v1/payments/sale/${saleId}/refund`, { amount: { total: '0.50', currency: 'USD' } });
+  const { data } = await licenseFor(subscriptionId);
+  assert.equal(data.status, 'active');
+  assert.equal(Object.values(data.partialRefunds)[0].transactionId, saleId);
+});
+
+test('a full sale refund refunds the subscription license, and later events leave it refunded', async () => {
+  const { subscriptionId, saleId } = await subscribeMonthly(stack, { email: uniqueEmail(), ip: '198.51.100.64' });
+  await stack.mock('POST', '/__mock/drop-webhooks', { count: 1 });
+  const { body: refund } = await stack.mock('POST', `/v1/payments/sale/${saleId}/refund`, {});
+
+  assert.equal(await handle('PAYMENT.SALE.REFUNDED', refund), 'License refunded');
+  assert.equal((await licenseFor(subscriptionId)).data.refund.transactionId, saleId);
+
+  const result = await handle('BILLING.SUBSCRIPTION.RE-ACTIVATED', await subscription(subscriptionId));
+  assert.equal(result, 'License is refunded; ignored');
+  assert.equal((await licenseFor(subscriptionId)).data.status, 'refunded');
+});
+
+test('a reversal refunds the license', async () => {
+  const { orderId, captureId } = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.65' });
+
+  const result = await handle('PAYMENT.CAPTURE.REVERSED', {
+    id: captureId,
+    status: 'REVERSED',
+    status_details: { reason: 'BUYER_COMPLAINT' },
+    amount: { value: '20.00', currency_code: 'USD' }
+  });
+  assert.equal(result, 'License refunded');
+  const { data } = await licenseFor(orderId);
+  assert.equal(data.status, 'refunded');
+  assert.equal(data.refund.type, 'reversal');
+  assert.equal(data.refund.reason, 'reversal: BUYER_COMPLAINT');
+});
+
+test('an open dispute is recorded and the license stays active', async () => {
+  const { orderId, captureId } = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.66' });
+
+  assert.equal(await handle('CUSTOMER.DISPUTE.CREATED', dispute(captureId)), 'Dispute recorded');
+  const { data } = await licenseFor(orderId);
+  assert.equal(data.status, 'active');
+  assert.equal(data.dispute.status, 'OPEN');
+  assert.equal(data.dispute.reason, 'MERCHANDISE_OR_SERVICE_NOT_RECEIVED');
+});
+
+test('a dispute resolved for the buyer refunds the license; one for the seller does not', async () => {
+  const lost = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.67' });
+  const won = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.68' });
+
+  const result = await handle('CUSTOMER.DISPUTE.RESOLVED',
+    dispute(lost.captureId, { status: 'RESOLVED', outcome: 'RESOLVED_BUYER_FAVOUR' }));
+  assert.equal(result, 'License refunded after dispute');
+  const { data } = await licenseFor(lost.orderId);
+  assert.equal(data.status, 'refunded');
+  assert.equal(data.refund.type, 'dispute');
+  assert.equal(data.refund.amount, '20.00');
+
+  await handle('CUSTOMER.DISPUTE.RESOLVED',
+    dispute(won.captureId, { status: 'RESOLVED', outcome: 'RESOLVED_SELLER_FAVOUR' }));
+  const kept = await licenseFor(won.orderId);
+  assert.equal(kept.data.status, 'active');
+  assert.equal(kept.data.dispute.outcome, 'RESOLVED_SELLER_FAVOUR');
+});
+
+test('events for payments without a license are acknowledged and ignored', async () => {
+  const refund = refundResource({ kind: 'capture', parentId: mockId('CAP'), amount: '20.00' });
+  assert.equal(await handle('PAYMENT.CAPTURE.REFUNDED', refund), 'No license for transaction');
+  assert.equal(await handle('CUSTOMER.DISPUTE.CREATED', dispute(mockId('CAP'))), 'No license for transaction');
+  assert.equal(await handle('BILLING.SUBSCRIPTION.CANCELLED', { id: mockId('I'), status: 'CANCELLED' }), 'No license for subscription');
+});
@@ -0,0 +1,81 @@
+// The download link in the license email (api/download.js): opening it shows
+// a button and nothing more, and only the button's POST reaches the license.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, mailTo, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime } from './support/flows.mjs';
+import { db } from '../lib/firebase.js';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+// The emailed download link's path, for a fresh lifetime license
+async function emailedLink(ip) {
+  const email = uniqueEmail();
+  const purchase = await buyLifetime(stack, { email, ip });
+  const issued = mailTo(email).find(mail => mail.text.includes(purchase.licenseKey));
+  const [, path] = issued.text.match(/http:\/\/localhost(\/api\/download\?\S+)/);
+  return { ...purchase, path };
+}
+
+function form(fields) {
+  return new URLSearchParams(fields).toString();
+}
+
+async function openLink(ip, path) {
+  const page = await stack.api('GET', path, { ip });
+  assert.equal(page.status, 200);
+  const field = name => page.body.match(new RegExp(`name="${name}" value="([^"]*)"`))?.[1];
+  return { page, ref: field('ref'), csrf: field('csrf'), cookie: page.headers.get('set-cookie').split(';')[0] };
+}
+
+test('the emailed link carries a ref, not the key, and opening it counts nothing', async () => {
+  const ip = '198.51.100.99';
+  const { licenseKey, path } = await emailedLink(ip);
+  assert.match(path, /^\/api\/download\?ref=/);
+  assert.ok(!path.includes(encodeURIComponent(licenseKey)));
+  const downloads = (await db.collection('downloads').get()).size;
+
+  // A mail scanner fetching the link a few times
+  for (let i = 0; i < 3; i++) {
+    const { page, ref, csrf } = await openLink(ip, path);
+    assert.match(page.body, /<form method="POST" action="\/api\/download">/);
+    assert.ok(ref);
+    assert.ok(csrf);
+    assert.equal(page.headers.get('referrer-policy'), 'no-referrer');
+  }
+  assert.equal((await db.collection('downloads').get()).size, downloads);
+});
+
+test('the button posts the ref to a download, and a forged post is refused', async () => {
+  const ip = '198.51.100.100';
+  const { path } = await emailedLink(ip);
+  const { ref, csrf, cookie } = await openLink(ip, path);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', cookie };
+
+  const forged = await stack.api('POST', '/api/download', {
+    ip, headers: { 'Content-Type': headers['Content-Type'] }, body: form({ ref, csrf })
+  });
+  assert.equal(forged.status, 403);
+
+  const tampered = await stack.api('POST', '/api/download', { ip, headers, body: form({ ref: ref.replace(/\.[^.]+$/, '.AAAA'), csrf }) });
+  assert.equal(tampered.status, 404);
+  assert.match(tampered.body, /download link is not valid/);
+
+  // The ref found an entitled license; the test stack has no release to serve
+  const posted = await stack.api('POST', '/api/download', { ip, headers, body: form({ ref, csrf }) });
+  assert.equal(posted.status, 404);
+  assert.match(posted.body, /No release is available for download/);
+});
+
+test('a link from mail sent before refs still gets the page, not a download', async () => {
+  const ip = '198.51.100.101';
+  const { licenseKey } = await emailedLink(ip);
+  const { page, ref } = await openLink(ip, `/api/download?licenseKey=${encodeURIComponent(licenseKey)}`);
+  assert.equal(ref, undefined);
+  assert.match(page.body, new RegExp(`name="licenseKey" value="${licenseKey}"`));
+});
@@ -0,0 +1,58 @@
+// License keys against lib/license-key-vectors.json, the vectors the Swift
+// app is checked against.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { KEY_PREFIX, KEY_ALPHABET, checkSymbol, encodeLicenseKey, parseLicenseKey } from '../lib/license-key.js';
+
+const vectors = JSON.parse(readFileSync(new URL('../lib/license-key-vectors.json', import.meta.url), 'utf8'));
+
+test('the vectors use this format', () => {
+  assert.equal(vectors.prefix, KEY_PREFIX);
+  assert.equal(vectors.alphabet, KEY_ALPHABET);
+});
+
+for (const vector of vectors.encode) {
+  test(`encodes ${vector.randomBytesHex}`, () => {
+    assert.equal(encodeLicenseKey(Buffer.from(vector.randomBytesHex, 'hex')), vector.key);
+  });
+}
+
+for (const vector of vectors.parse) {
+  test(`parses: ${vector.name}`, () => {
+    assert.deepEqual(parseLicenseKey(vector.input), vector.expected);
+  });
+}
+
+test('the last symbol is the check symbol over the 27 before it', () => {
+  for (const { key } of vectors.encode) {
+    const symbols = key.slice(KEY_PREFIX.length).replace(/-/g, '');
+    assert.equal(checkSymbol(symbols.slice(0, -1)), symbols.at(-1), key);
+  }
+});
+
+test('input is read the Crockford way: O as 0, I and L as 1, any case and separators', () => {
+  for (const { key } of vectors.encode) {
+    const typed = key
+      .replace(/0/g, 'O')
+      .replace(/1/g, (_, at) => (at % 2 ? 'I' : 'l'))
+      .toLowerCase()
+      .replace(/-/g, ' - ');
+    assert.deepEqual(parseLicenseKey(typed), { valid: true, format: 'clk1', key }, typed);
+    assert.deepEqual(parseLicenseKey(key.replace(/-/g, '')), { valid: true, format: 'clk1', key });
+  }
+});
+
+test('every single-symbol typo in the vector keys is caught', () => {
+  for (const { key } of vectors.encode) {
+    const symbols = key.slice(KEY_PREFIX.length).replace(/-/g, '');
+    for (let at = 0; at < symbols.length; at++) {
+      for (const typo of KEY_ALPHABET) {
+        if (typo === symbols[at]) continue;
+        const typed = KEY_PREFIX + symbols.slice(0, at) + typo + symbols.slice(at + 1);
+        assert.deepEqual(parseLicenseKey(typed), { valid: false, reason: 'checksum' }, typed);
+      }
+    }
+  }
+});
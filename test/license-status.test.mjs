@@ -0,0 +1,53 @@
+// License lookups by key through api/license-status.js: what the app asks
+// before it trusts a license, and what it gets while PayPal is down.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, subscribeMonthly } from './support/flows.mjs';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+function licenseStatus(licenseKey) {
+  return stack.api('GET', `/api/license-status?licenseKey=${encodeURIComponent(licenseKey)}`);
+}
+
+test('a lifetime license is entitled for good', async () => {
+  const { licenseKey } = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.40' });
+
+  const { status, body } = await licenseStatus(licenseKey);
+  assert.equal(status, 200);
+  assert.deepEqual(body, {
+    state: 'lifetime', entitled: true, validUntil: null, purchaseType: 'one-time', planId: 'lifetime', features: [], stale: false
+  });
+});
+
+test('a subscription is entitled until its next billing time', async () => {
+  const { licenseKey } = await subscribeMonthly(stack, { email: uniqueEmail(), ip: '198.51.100.41' });
+
+  const { body } = await licenseStatus(licenseKey);
+  assert.equal(body.state, 'active');
+  assert.equal(body.entitled, true);
+  assert.ok(Date.parse(body.validUntil) > Date.now());
+  assert.equal(body.stale, false);
+});
+
+test('while PayPal is down the last known state is served as stale', async () => {
+  const { licenseKey } = await subscribeMonthly(stack, { email: uniqueEmail(), ip: '198.51.100.42' });
+
+  // Every attempt lib/paypal.js makes fails
+  await stack.mock('POST', '/__mock/outage', { status: 503, count: 3 });
+  const { status, body } = await licenseStatus(licenseKey);
+  assert.equal(status, 200);
+  assert.equal(body.state, 'active');
+  assert.equal(body.stale, true);
+});
+
+test('an unknown key is not found', async () => {
+  const { status } = await licenseStatus('0123456789ab');
+  assert.equal(status, 404);
+});
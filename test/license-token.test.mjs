@@ -0,0 +1,65 @@
+// Offline license tokens against lib/license-token-vectors.json, the vectors
+// the Swift app is checked against: lib/license-token.js must sign exactly
+// those tokens and lib/verify-license-token.js must reach the expected verdicts.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { signLicenseToken, publicKeyBase64 } from '../lib/license-token.js';
+import { verifyLicenseToken, hashEmail } from '../lib/verify-license-token.js';
+
+const vectors = JSON.parse(readFileSync(new URL('../lib/license-token-vectors.json', import.meta.url), 'utf8'));
+const DAY_SECONDS = 24 * 60 * 60;
+
+test('the vector key pair matches', () => {
+  assert.equal(publicKeyBase64(vectors.privateKeySeedBase64), vectors.publicKeyBase64);
+});
+
+for (const vector of vectors.vectors) {
+  test(`verifies: ${vector.name}`, () => {
+    const result = verifyLicenseToken(vector.token, vectors.publicKeyBase64, { now: vector.now * 1000 });
+    assert.deepEqual(result, vector.expected);
+  });
+}
+
+// Ed25519 signatures are deterministic, so signing a vector's payload again
+// must give back its token byte for byte
+for (const vector of vectors.vectors.filter(v => v.expected.payload)) {
+  test(`signs: ${vector.name}`, () => {
+    assert.equal(signLicenseToken(vector.expected.payload, vectors.privateKeySeedBase64), vector.token);
+  });
+}
+
+test('expired tokens still verify for refresh, and expire after the grace period', () => {
+  const expired = vectors.vectors.find(v => v.expected.reason === 'expired');
+  const { payload } = expired.expected;
+  assert.equal(payload.exp, payload.ent + vectors.graceDays * DAY_SECONDS);
+
+  const refresh = verifyLicenseToken(expired.token, vectors.publicKeyBase64, { now: expired.now * 1000, ignoreExpiry: true });
+  assert.deepEqual(refresh, { valid: true, payload });
+  const lastSecond = verifyLicenseToken(expired.token, vectors.publicKeyBase64, { now: (payload.exp - 1) * 1000 });
+  assert.equal(lastSecond.valid, true);
+  const atExpiry = verifyLicenseToken(expired.token, vectors.publicKeyBase64, { now: payload.exp * 1000 });
+  assert.equal(atExpiry.reason, 'expired');
+});
+
+test('a tampered or foreign-signed token never verifies, even ignoring expiry', () => {
+  for (const name of ['payload altered after signing', 'signed with a different key']) {
+    const vector = vectors.vectors.find(v => v.name === name);
+    assert.ok(vector, name);
+    const result = verifyLicenseToken(vector.token, vectors.publicKeyBase64, { now: vector.now * 1000, ignoreExpiry: true });
+    assert.deepEqual(result, { valid: false, reason: 'bad_signature' });
+  }
+});
+
+test('a token signed with the vector key fails under another public key', () => {
+  const [vector] = vectors.vectors;
+  const otherKey = publicKeyBase64(Buffer.alloc(32, 7).toString('base64'));
+  const result = verifyLicenseToken(vector.token, otherKey, { now: vector.now * 1000 });
+  assert.deepEqual(result, { valid: false, reason: 'bad_signature' });
+});
+
+test('the email hash is of the trimmed, lowercased address', () => {
+  assert.equal(hashEmail(' Buyer@Example.COM '), hashEmail('buyer@example.com'));
+  assert.equal(hashEmail('not-an-email'), null);
+});
@@ -0,0 +1,41 @@
+// File: test/loader.mjs
+//
+// Module hooks that let node:test import the api handlers as Vercel builds
+// them: api/ and lib/ are ES modules with extensionless relative imports,
+// although package.json says commonjs. lib/firebase.js is swapped for the
+// in-memory Firestore in test/support/firestore.mjs. Registered by
+// test/setup.mjs.
+
+import { existsSync } from 'fs';
+import { dirname, extname, resolve as resolvePath } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const ROOT = resolvePath(dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE_DIRS = ['api', 'lib'].map(dir => pathToFileURL(`${ROOT}/${dir}/`).href);
+const FIREBASE = pathToFileURL(`${ROOT}/lib/firebase.js`).href;
+const FAKE_FIREBASE = pathToFileURL(`${ROOT}/test/support/firestore.mjs`).href;
+
+function isSource(url) {
+  return SOURCE_DIRS.some(dir => url.startsWith(dir)) && url.endsWith('.js');
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  let target = specifier;
+  const parent = context.parentURL;
+  if (parent && isSource(parent) && /^\.\.?\//.test(specifier) && !extname(specifier)) {
+    const file = fileURLToPath(new URL(`${specifier}.js`, parent));
+    if (existsSync(file)) target = `${specifier}.js`;
+  }
+  const resolved = await nextResolve(target, context);
+  if (resolved.url === FIREBASE) {
+    return { url: FAKE_FIREBASE, format: 'module', shortCircuit: true };
+  }
+  return isSource(resolved.url) ? { ...resolved, format: 'module' } : resolved;
+}
+
+export async function load(url, context, nextLoad) {
+  if (isSource(url)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
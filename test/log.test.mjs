@@ -0,0 +1,60 @@
+// lib/log.js: what redaction keeps out of the logs, and the request ID every
+// route stamps on its lines and its response.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { startStack } from './support/stack.mjs';
+import { redact } from '../lib/log.js';
+import { newLicenseKey, licenseIdForKey } from '../lib/key-vault.js';
+
+const API_DIR = fileURLToPath(new URL('../api', import.meta.url));
+
+function routes(dir = API_DIR) {
+  return readdirSync(dir).flatMap((name) => {
+    const file = join(dir, name);
+    if (statSync(file).isDirectory()) return routes(file);
+    return name.endsWith('.js') ? [`/api/${relative(API_DIR, file).slice(0, -3)}`] : [];
+  });
+}
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+test('license keys and legacy license IDs are masked, hashed IDs are kept', () => {
+  const key = newLicenseKey();
+  const hashedId = licenseIdForKey(key);
+  const legacyId = '0a1b2c3d4e5f';
+
+  const line = redact({
+    msg: `Issued ${key} to buyer@example.com`,
+    licenseKey: legacyId,
+    licenseId: legacyId,
+    orgLicenseId: hashedId,
+    nested: { licenseId: hashedId }
+  });
+  assert.equal(line.msg.includes(key), false);
+  assert.ok(line.msg.includes(key.slice(-4)));
+  assert.equal(line.msg.includes('buyer@example.com'), false);
+  assert.equal(line.licenseKey, '••••••••4e5f');
+  assert.equal(line.licenseId, '••••••••4e5f');
+  assert.equal(line.orgLicenseId, hashedId);
+  assert.equal(line.nested.licenseId, hashedId);
+});
+
+test('every route answers with a request ID', async () => {
+  const paths = routes();
+  assert.ok(paths.length > 30);
+  for (const path of paths) {
+    const { headers } = await stack.api('OPTIONS', path, { ip: '198.51.100.70' });
+    assert.match(headers.get('x-request-id') || '', /^[0-9a-f]{16}$/, path);
+  }
+
+  const { headers } = await stack.api('OPTIONS', '/api/plans', { headers: { 'x-request-id': 'req-123' } });
+  assert.equal(headers.get('x-request-id'), 'req-123');
+});
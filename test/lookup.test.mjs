@@ -0,0 +1,100 @@
+// License lookups by PayPal ID (api/check-license.js): the ID needs a second
+// factor, and guessing is slowed by lib/lookup-guard.js.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { startStack, mailTo, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, subscribeMonthly } from './support/flows.mjs';
+import { MIN_LOOKUP_MS } from '../lib/lookup-guard.js';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+function checkLicense(ip, body) {
+  return stack.api('POST', '/api/check-license', { ip, body });
+}
+
+// Brute-forces a nonce the way the checkout page does
+function solve({ challenge, difficulty }) {
+  for (let n = 0; ; n++) {
+    const digest = createHash('sha256').update(`${challenge}:${n}`).digest();
+    let bits = 0;
+    while (bits < difficulty && !(digest[bits >> 3] & (0x80 >> (bits & 7)))) bits++;
+    if (bits === difficulty) return { challenge, nonce: String(n) };
+  }
+}
+
+test('the checkout lookup token returns the full key', async () => {
+  const ip = '198.51.100.40';
+  const { orderId, lookupToken, licenseKey } = await buyLifetime(stack, { email: uniqueEmail(), ip });
+
+  const { status, body } = await checkLicense(ip, { paypalId: orderId, lookupToken });
+  assert.equal(status, 200);
+  assert.equal(body.found, true);
+  assert.equal(body.licenseKey, licenseKey);
+  assert.equal(body.masked, false);
+});
+
+test('the lookup token also finds a subscription license', async () => {
+  const ip = '198.51.100.41';
+  const { subscriptionId, lookupToken, licenseKey } = await subscribeMonthly(stack, { email: uniqueEmail(), ip });
+
+  const { body } = await checkLicense(ip, { paypalId: subscriptionId, lookupToken });
+  assert.equal(body.licenseKey, licenseKey);
+  assert.equal(body.subscriptionId, subscriptionId);
+});
+
+test('the purchase email returns a masked key and mails the full one', async () => {
+  const email = uniqueEmail();
+  const ip = '198.51.100.42';
+  const { orderId, licenseKey } = await buyLifetime(stack, { email, ip });
+  const before = mailTo(email).length;
+
+  const { body } = await checkLicense(ip, { paypalId: orderId, email: ` ${email.toUpperCase()} ` });
+  assert.equal(body.found, true);
+  assert.equal(body.masked, true);
+  assert.equal(body.emailed, true);
+  assert.notEqual(body.licenseKey, licenseKey);
+  assert.ok(body.licenseKey.endsWith(licenseKey.slice(-4)));
+  const sent = mailTo(email).slice(before);
+  assert.equal(sent.length, 1);
+  assert.ok(sent[0].text.includes(licenseKey));
+});
+
+test('a wrong email and an unknown ID look the same, and take as long', async () => {
+  const ip = '198.51.100.43';
+  const { orderId } = await buyLifetime(stack, { email: uniqueEmail(), ip });
+
+  const startedAt = Date.now();
+  const wrong = await checkLicense(ip, { paypalId: orderId, email: uniqueEmail('guess') });
+  assert.ok(Date.now() - startedAt >= MIN_LOOKUP_MS);
+  const unknown = await checkLicense(ip, { paypalId: 'NO-SUCH-ORDER', email: uniqueEmail('guess') });
+  assert.deepEqual(wrong.body, { found: false });
+  assert.deepEqual(unknown.body, { found: false });
+});
+
+test('repeated misses require a proof-of-work challenge', async () => {
+  const ip = '198.51.100.44';
+  const email = uniqueEmail();
+  const { orderId } = await buyLifetime(stack, { email, ip });
+  for (let i = 0; i < 3; i++) {
+    await checkLicense(ip, { paypalId: `GUESS-${i}`, email });
+  }
+
+  const challenged = await checkLicense(ip, { paypalId: orderId, email });
+  assert.equal(challenged.status, 403);
+  assert.ok(challenged.body.challenge.challenge);
+
+  // Another client is not affected
+  const other = await checkLicense('198.51.100.45', { paypalId: orderId, email });
+  assert.equal(other.body.found, true);
+
+  const pow = solve(challenged.body.challenge);
+  const solved = await checkLicense(ip, { paypalId: orderId, email, pow });
+  assert.equal(solved.status, 200);
+  assert.equal(solved.body.found, true);
+});
@@ -0,0 +1,69 @@
+// The mail outbox (lib/mailer.js): what /api/cron/send-mail sends again, and
+// what it leaves to the send that holds the lease.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mailTo, uniqueEmail } from './support/stack.mjs';
+import { queueMail, retryDueMail } from '../lib/mailer.js';
+import { db } from '../lib/firebase.js';
+
+const MINUTE = 60 * 1000;
+
+// Queues and sends a message, then puts its record back the way a send
+// cut off before it recorded anything leaves it
+async function interruptedMail(template, data, options = {}) {
+  const email = uniqueEmail();
+  const { id, status } = await queueMail(template, email, data, options);
+  assert.equal(status, 'sent');
+  const ref = db.collection('mail_outbox').doc(id);
+  await ref.update({ status: 'queued', attempts: 0, leaseUntil: new Date(Date.now() + 5 * MINUTE) });
+  return { email, ref };
+}
+
+test('a queued email is left alone while its send holds the lease', async () => {
+  const { email, ref } = await interruptedMail('subscription_suspended', { licenseKey: 'CLK1-TEST' });
+
+  await retryDueMail(50, new Date());
+  assert.equal((await ref.get()).data().status, 'queued');
+  assert.equal(mailTo(email).length, 1);
+});
+
+test('a queued email whose lease ran out is sent again, once', async () => {
+  const { email, ref } = await interruptedMail('subscription_suspended', { licenseKey: 'CLK1-TEST' });
+  const later = new Date(Date.now() + 6 * MINUTE);
+
+  const first = await retryDueMail(50, later);
+  assert.ok(first.sent >= 1);
+  const record = (await ref.get()).data();
+  assert.equal(record.status, 'sent');
+  assert.equal(record.attempts, 1);
+  assert.equal(record.leaseUntil, undefined);
+  assert.equal(mailTo(email).length, 2);
+  assert.match(mailTo(email)[1].text, /CLK1-TEST/);
+
+  await retryDueMail(50, later);
+  assert.equal(mailTo(email).length, 2);
+});
+
+test('a cut-off sensitive email is marked dead, not sent again', async () => {
+  const { email, ref } = await interruptedMail('portal_link', { link: 'http://localhost/x', ttlMinutes: 15 }, { sensitive: true });
+
+  await retryDueMail(50, new Date(Date.now() + 6 * MINUTE));
+  const record = (await ref.get()).data();
+  assert.equal(record.status, 'dead');
+  assert.equal(mailTo(email).length, 1);
+});
+
+test('a failed email is not retried while another run holds its lease', async () => {
+  const { email, ref } = await interruptedMail('subscription_suspended', { licenseKey: 'CLK1-TEST' });
+  const now = new Date(Date.now() + 6 * MINUTE);
+  await ref.update({ status: 'failed', nextAttemptAt: new Date(now.getTime() - MINUTE), leaseUntil: new Date(now.getTime() + MINUTE) });
+
+  await retryDueMail(50, now);
+  assert.equal((await ref.get()).data().status, 'failed');
+  assert.equal(mailTo(email).length, 1);
+
+  await retryDueMail(50, new Date(now.getTime() + 2 * MINUTE));
+  assert.equal((await ref.get()).data().status, 'sent');
+  assert.equal(mailTo(email).length, 2);
+});
@@ -0,0 +1,89 @@
+// Team licenses (lib/organizations.js): seats PayPal stops billing for, and
+// invites that fail half way.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, uniqueEmail } from './support/stack.mjs';
+import { subscribeTeam, signInPortal } from './support/flows.mjs';
+import { inviteMember } from '../lib/organizations.js';
+import { db } from '../lib/firebase.js';
+
+process.env.PLANS = JSON.stringify([
+  {
+    id: 'team', purchaseType: 'subscription', perSeat: true, minSeats: 2,
+    price: { value: '0.99', currency: 'USD' }, interval: 'month', paypalPlanId: 'P-TEAM'
+  }
+]);
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+async function team(ip, email) {
+  const purchase = await subscribeTeam(stack, { email, ip, seats: 2 });
+  const cookie = await signInPortal(stack, { email, ip });
+  const call = (action, body) => stack.api('POST', '/api/portal/team', {
+    ip, headers: { cookie }, body: { licenseKey: purchase.licenseKey, action, ...body }
+  });
+  return { ...purchase, call };
+}
+
+async function memberLicenseId(orgDoc, email) {
+  const snap = await orgDoc.ref.collection('members').where('email', '==', email).get();
+  return snap.docs[0].data().licenseKey;
+}
+
+test('a seat count dropped at PayPal marks the team over its seats until members go', async () => {
+  const ip = '198.51.100.97';
+  const { subscriptionId, doc, call } = await team(ip, uniqueEmail('admin'));
+  const [first, second] = [uniqueEmail('member'), uniqueEmail('member')];
+  assert.equal((await call('invite', { email: first })).status, 200);
+  assert.equal((await call('invite', { email: second })).status, 200);
+
+  // The admin lowers the quantity at PayPal, outside the portal
+  await stack.mock('POST', `/v1/billing/subscriptions/${subscriptionId}/revise`, { quantity: '1' });
+  const org = (await doc.ref.get()).data();
+  assert.equal(org.seatCount, 1);
+  assert.equal(org.overSeats, true);
+  // Nobody is cut off
+  const memberLicense = await db.collection('licenses').doc(await memberLicenseId(doc, second)).get();
+  assert.equal(memberLicense.data().status, 'active');
+
+  const refused = await call('invite', { email: uniqueEmail('member') });
+  assert.equal(refused.status, 409);
+  assert.match(refused.body.error, /more members \(2\) than paid seats \(1\)/);
+
+  const removed = await call('remove', { email: first });
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body.seats, { limit: 1, used: 1, remaining: 0, over: 0, pending: null });
+  assert.equal((await doc.ref.get()).data().overSeats, undefined);
+});
+
+test('a failed invite gives a removed member their earlier record back', async () => {
+  const ip = '198.51.100.98';
+  const { doc, call } = await team(ip, uniqueEmail('admin'));
+  const member = uniqueEmail('member');
+  assert.equal((await call('invite', { email: member })).status, 200);
+  assert.equal((await call('remove', { email: member })).status, 200);
+  const [before] = (await doc.ref.collection('members').where('email', '==', member).get()).docs;
+
+  // The seat is taken, then issuing the member's license fails
+  const runTransaction = db.runTransaction;
+  let calls = 0;
+  db.runTransaction = async function (update) {
+    calls += 1;
+    if (calls === 2) throw new Error('Firestore unavailable');
+    return runTransaction.call(this, update);
+  };
+  try {
+    await assert.rejects(inviteMember(await doc.ref.get(), member), /Firestore unavailable/);
+  } finally {
+    db.runTransaction = runTransaction;
+  }
+
+  const after = await before.ref.get();
+  assert.deepEqual(after.data(), before.data());
+  assert.equal(after.data().status, 'removed');
+});
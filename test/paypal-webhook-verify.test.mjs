@@ -0,0 +1,212 @@
+// lib/paypal-webhook-verify.js in local mode, against a certificate chain made
+// with openssl for each run: a root we pin, an intermediate, and PayPal-named
+// signing certs, plus a rogue CA that must not be trusted.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { X509Certificate } from 'crypto';
+import zlib from 'zlib';
+import fixtures from '../dev/webhook-fixtures.js';
+import { crc32, isTransmissionFresh, validateCertChain, verifyWebhookSignature } from '../lib/paypal-webhook-verify.js';
+
+const { buildEvent, captureResource, createSigningKey, signWebhook } = fixtures;
+const WEBHOOK_ID = 'WH-TEST-0001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+const pem = {};
+const key = {};
+
+function openssl(...args) {
+  execFileSync('openssl', args, { cwd: dir, stdio: 'pipe' });
+}
+
+// A self-signed CA
+function makeRoot(name, subject) {
+  openssl('req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-keyout', `${name}.key`, '-out', `${name}.pem`,
+    '-subj', subject, '-days', '3650',
+    '-addext', 'basicConstraints=critical,CA:TRUE', '-addext', 'keyUsage=critical,keyCertSign');
+}
+
+// A cert signed by `issuer`, valid for `days` from now
+function makeCert(name, subject, issuer, { days, ca = false }) {
+  writeFileSync(join(dir, `${name}.ext`), ca
+    ? 'basicConstraints=critical,CA:TRUE\nkeyUsage=critical,keyCertSign\n'
+    : 'basicConstraints=critical,CA:FALSE\nkeyUsage=critical,digitalSignature\n');
+  openssl('req', '-new', '-newkey', 'rsa:2048', '-nodes', '-keyout', `${name}.key`, '-out', `${name}.csr`, '-subj', subject);
+  openssl('x509', '-req', '-in', `${name}.csr`, '-CA', `${issuer}.pem`, '-CAkey', `${issuer}.key`,
+    '-set_serial', String(Date.now()), '-days', String(days), '-extfile', `${name}.ext`, '-out', `${name}.pem`);
+}
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'cardlocker-ca-'));
+  makeRoot('root', '/CN=Test Root CA');
+  makeCert('intermediate', '/CN=Test Intermediate CA', 'root', { days: 3650, ca: true });
+  makeCert('leaf', '/CN=messageverificationcerts.paypal.com', 'intermediate', { days: 2 });
+  makeCert('other-name', '/CN=webhooks.example.com', 'intermediate', { days: 2 });
+  // Same name as our intermediate, different key: only the signature tells them apart
+  makeRoot('rogue', '/CN=Test Intermediate CA');
+  makeCert('rogue-leaf', '/CN=messageverificationcerts.paypal.com', 'rogue', { days: 2 });
+  for (const name of ['root', 'intermediate', 'leaf', 'other-name', 'rogue', 'rogue-leaf']) {
+    pem[name] = readFileSync(join(dir, `${name}.pem`), 'utf8');
+    key[name] = readFileSync(join(dir, `${name}.key`), 'utf8');
+  }
+});
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function chainOf(...names) {
+  return names.map(name => new X509Certificate(pem[name]));
+}
+
+// A delivery signed with `signer`'s key, whose cert_url serves `chain`. Each
+// test uses its own cert URL, since the verifier caches chains per URL.
+let certCount = 0;
+function delivery({ signer = 'leaf', chain = ['leaf', 'intermediate'], time = new Date(), webhookId = WEBHOOK_ID } = {}) {
+  const event = buildEvent('PAYMENT.CAPTURE.COMPLETED', captureResource({ orderId: 'ORDER-1', email: 'buyer@example.com' }));
+  const { headers, rawBody } = signWebhook(event, { privateKey: key[signer], webhookId, time });
+  certCount += 1;
+  headers['paypal-cert-url'] = `https://api.paypal.com/v1/notifications/certs/CERT-TEST-${certCount}`;
+  const body = chain.map(name => pem[name]).join('\n');
+  const fetchImpl = async () => new Response(body);
+  return { headers, rawBody, fetchImpl };
+}
+
+function verify({ headers, rawBody, fetchImpl }, options = {}) {
+  return verifyWebhookSignature(headers, rawBody, {
+    mode: 'local',
+    webhookId: WEBHOOK_ID,
+    rootPem: pem.root,
+    fetchImpl,
+    ...options
+  });
+}
+
+test('a delivery signed by a PayPal cert under the pinned root verifies', async () => {
+  assert.deepEqual(await verify(delivery()), { valid: true });
+  // The chain may also include the root itself
+  assert.deepEqual(await verify(delivery({ chain: ['leaf', 'intermediate', 'root'] })), { valid: true });
+});
+
+test('validateCertChain accepts the chain to the pinned root', () => {
+  assert.equal(validateCertChain(chainOf('leaf', 'intermediate'), pem.root), null);
+});
+
+test('validateCertChain rejects a cert from the wrong issuer', () => {
+  // Names match our intermediate, the signature does not
+  assert.equal(validateCertChain(chainOf('rogue-leaf', 'intermediate'), pem.root), 'cert 0 is not signed by its issuer');
+  // A complete chain that ends at a root we did not pin
+  assert.equal(validateCertChain(chainOf('rogue-leaf', 'rogue'), pem.root), 'cert 1 is not signed by its issuer');
+  // No intermediate: the leaf is not signed by the root
+  assert.equal(validateCertChain(chainOf('leaf'), pem.root), 'cert 0 is not signed by its issuer');
+  // Pinning a different root
+  assert.equal(validateCertChain(chainOf('leaf', 'intermediate'), pem.rogue), 'cert 1 is not signed by its issuer');
+});
+
+test('validateCertChain rejects an expired cert', () => {
+  const later = new Date(Date.now() + 3 * DAY_MS);
+  assert.equal(validateCertChain(chainOf('leaf', 'intermediate'), pem.root, later), 'cert 0 is outside its validity period');
+  const earlier = new Date(Date.now() - DAY_MS);
+  assert.equal(validateCertChain(chainOf('leaf', 'intermediate'), pem.root, earlier), 'cert 0 is outside its validity period');
+});
+
+test('validateCertChain wants a signing cert issued to paypal.com', () => {
+  assert.equal(validateCertChain(chainOf('other-name', 'intermediate'), pem.root), 'signing cert is not issued to paypal.com');
+  assert.equal(validateCertChain([], pem.root), 'empty cert chain');
+  assert.equal(validateCertChain(chainOf('leaf', 'intermediate'), undefined), 'no pinned root configured');
+});
+
+test('deliveries with a bad chain or cert URL are refused', async () => {
+  assert.deepEqual(await verify(delivery({ signer: 'rogue-leaf', chain: ['rogue-leaf', 'rogue'] })),
+    { valid: false, reason: 'cert 1 is not signed by its issuer' });
+  const later = new Date(Date.now() + 3 * DAY_MS);
+  assert.deepEqual(await verify(delivery({ time: later }), { now: later.getTime() }),
+    { valid: false, reason: 'cert 0 is outside its validity period' });
+
+  const offsite = delivery();
+  offsite.headers['paypal-cert-url'] = 'https://paypal.com.example.net/certs/CERT-1';
+  assert.deepEqual(await verify(offsite), { valid: false, reason: 'cert_url is not a PayPal https URL' });
+});
+
+test('crc32 is the IEEE CRC of the raw body bytes', () => {
+  assert.equal(crc32(''), 0);
+  assert.equal(crc32('123456789'), 0xcbf43926);
+  const body = '{"id":"WH-1","summary":"Zahlung über 20,00 € — ✓"}';
+  assert.equal(crc32(body), zlib.crc32(Buffer.from(body, 'utf8')) >>> 0);
+  assert.equal(crc32(Buffer.from(body, 'utf8')), crc32(body));
+  // Unsigned, as it appears in the signed message
+  assert.ok(crc32('a') > 0x7fffffff);
+});
+
+test('the signature covers the body exactly as received', async () => {
+  const sent = delivery();
+  const reserialised = JSON.stringify(JSON.parse(sent.rawBody), null, 2);
+  assert.deepEqual(await verify({ ...sent, rawBody: reserialised }), { valid: false, reason: 'signature mismatch' });
+  assert.deepEqual(await verify(sent), { valid: true });
+});
+
+test('a stale or future transmission_time is refused before any cert is fetched', async () => {
+  let fetched = false;
+  const old = delivery({ time: new Date(Date.now() - 11 * 60 * 1000) });
+  const result = await verify({ ...old, fetchImpl: async () => { fetched = true; return new Response(''); } });
+  assert.deepEqual(result, { valid: false, reason: 'stale transmission_time' });
+  assert.equal(fetched, false);
+
+  assert.deepEqual(await verify(delivery({ time: new Date(Date.now() + 11 * 60 * 1000) })),
+    { valid: false, reason: 'stale transmission_time' });
+  assert.equal(isTransmissionFresh(new Date(Date.now() - 9 * 60 * 1000).toISOString()), true);
+  assert.equal(isTransmissionFresh('not a date'), false);
+});
+
+test('a signature that does not match is refused', async () => {
+  // Signed by a key that is not the cert's
+  const forged = delivery();
+  const other = delivery();
+  const { headers: reSigned } = signWebhook(forged.rawBody, {
+    privateKey: createSigningKey().privateKey,
+    webhookId: WEBHOOK_ID,
+    transmissionId: forged.headers['paypal-transmission-id'],
+    time: new Date(forged.headers['paypal-transmission-time'])
+  });
+  assert.deepEqual(
+    await verify({ ...forged, headers: { ...forged.headers, 'paypal-transmission-sig': reSigned['paypal-transmission-sig'] } }),
+    { valid: false, reason: 'signature mismatch' });
+
+  // Signed for another webhook
+  assert.deepEqual(await verify(delivery({ webhookId: 'WH-SOMEONE-ELSE' })), { valid: false, reason: 'signature mismatch' });
+
+  // Another delivery's signature
+  assert.deepEqual(
+    await verify({ ...forged, headers: { ...forged.headers, 'paypal-transmission-sig': other.headers['paypal-transmission-sig'] } }),
+    { valid: false, reason: 'signature mismatch' });
+});
+
+test('a cert host that does not answer times out instead of holding the webhook', async () => {
+  const hanging = delivery();
+  hanging.fetchImpl = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  });
+  await assert.rejects(verify(hanging, { certTimeoutMs: 50 }), /Timed out fetching PayPal signing cert after 50ms/);
+});
+
+test('an oversized cert chain is refused without buffering it', async () => {
+  const big = 'x'.repeat(65 * 1024);
+  const declared = delivery();
+  declared.fetchImpl = async () => new Response(big, { headers: { 'content-length': String(big.length) } });
+  await assert.rejects(verify(declared), /larger than 65536 bytes/);
+
+  // A server that does not declare the length is cut off while reading
+  let pulled = 0;
+  const streamed = delivery();
+  streamed.fetchImpl = async () => new Response(new ReadableStream({
+    pull(controller) {
+      pulled += 1;
+      controller.enqueue(new TextEncoder().encode('x'.repeat(16 * 1024)));
+    }
+  }));
+  await assert.rejects(verify(streamed), /larger than 65536 bytes/);
+  assert.ok(pulled < 10);
+});
@@ -0,0 +1,64 @@
+// Portal sign-in finds licenses by emailLower, whatever case the address was
+// typed in at checkout.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, licenseFor, signInPortal } from './support/flows.mjs';
+import { db, admin } from '../lib/firebase.js';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+// Signs in and lists the licenses the session sees
+async function portalLicenses(email, ip) {
+  const cookie = await signInPortal(stack, { email, ip });
+  if (!cookie) return [];
+  const { status, body } = await stack.api('GET', '/api/portal/licenses', { ip, headers: { cookie } });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.licenses;
+}
+
+test('a mixed-case checkout email signs in with the lowercase address', async () => {
+  const ip = '198.51.100.90';
+  const email = uniqueEmail('Mixed.Case').replace('example.com', 'Example.COM');
+  const { orderId, licenseKey } = await buyLifetime(stack, { email, ip });
+
+  const { data } = await licenseFor(orderId);
+  assert.equal(data.email, email);
+  assert.equal(data.emailLower, email.toLowerCase());
+
+  const licenses = await portalLicenses(email.toLowerCase(), ip);
+  assert.deepEqual(licenses.map(license => license.licenseKey), [licenseKey]);
+});
+
+test('the backfill makes licenses stored without emailLower findable', async () => {
+  const ip = '198.51.100.91';
+  const email = uniqueEmail('Legacy').toUpperCase();
+  const { orderId, licenseKey } = await buyLifetime(stack, { email, ip });
+  const { doc } = await licenseFor(orderId);
+  await doc.ref.update({ emailLower: admin.firestore.FieldValue.delete() });
+  const session = await db.collection('checkout_sessions').where('emailLower', '==', email.toLowerCase()).get();
+  await Promise.all(session.docs.map(d => d.ref.update({ emailLower: admin.firestore.FieldValue.delete() })));
+
+  assert.deepEqual(await portalLicenses(email.toLowerCase(), ip), []);
+
+  const headers = { Authorization: 'Bearer test-admin-key' };
+  const dryRun = await stack.api('POST', '/api/admin/backfill-email-lower', { ip, headers });
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.apply, false);
+  assert.ok(dryRun.body.updated.licenses >= 1);
+  assert.ok(dryRun.body.updated.checkout_sessions >= 1);
+  assert.deepEqual(await portalLicenses(email.toLowerCase(), ip), []);
+
+  const applied = await stack.api('POST', '/api/admin/backfill-email-lower?apply=true', { ip, headers });
+  assert.equal(applied.status, 200);
+  const licenses = await portalLicenses(email.toLowerCase(), ip);
+  assert.deepEqual(licenses.map(license => license.licenseKey), [licenseKey]);
+
+  const again = await stack.api('POST', '/api/admin/backfill-email-lower', { ip, headers });
+  assert.equal(again.body.updated.licenses, 0);
+});
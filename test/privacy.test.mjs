@@ -0,0 +1,72 @@
+// Erasure from the portal (api/privacy/delete.js): it finds records whatever
+// case the address was typed in, and does not cut a team's members off.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, subscribeTeam, licenseFor, signInPortal } from './support/flows.mjs';
+import { db } from '../lib/firebase.js';
+
+process.env.PLANS = JSON.stringify([
+  { id: 'lifetime', purchaseType: 'one-time', price: { value: '20.00', currency: 'USD' } },
+  {
+    id: 'team', purchaseType: 'subscription', perSeat: true, minSeats: 2,
+    price: { value: '0.99', currency: 'USD' }, interval: 'month', paypalPlanId: 'P-TEAM'
+  }
+]);
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+function erase(email, ip, cookie) {
+  return stack.api('POST', '/api/privacy/delete', { ip, headers: { cookie }, body: { confirmEmail: email } });
+}
+
+test('erasing a mixed-case buyer removes their sessions and mail', async () => {
+  const ip = '198.51.100.92';
+  const email = uniqueEmail('Mixed.Case').replace('example.com', 'Example.COM');
+  const { orderId } = await buyLifetime(stack, { email, ip });
+  const address = email.toLowerCase();
+  const cookie = await signInPortal(stack, { email: address, ip });
+
+  const { status, body } = await erase(address, ip, cookie);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.counts.licenses, 1);
+  assert.ok(body.counts.checkoutSessions >= 1);
+  assert.ok(body.counts.emails >= 1);
+
+  const { data } = await licenseFor(orderId);
+  assert.equal(data.status, 'erased');
+  assert.equal(data.email, undefined);
+  assert.equal(data.emailLower, undefined);
+  for (const collection of ['checkout_sessions', 'mail_outbox']) {
+    const left = await db.collection(collection).where('emailLower', '==', address).get();
+    assert.equal(left.size, 0, collection);
+  }
+});
+
+test('a team admin cannot erase their data while the team has members', async () => {
+  const ip = '198.51.100.93';
+  const email = uniqueEmail('admin');
+  const member = uniqueEmail('member');
+  const { subscriptionId, licenseKey } = await subscribeTeam(stack, { email, ip, seats: 3 });
+  const cookie = await signInPortal(stack, { email, ip });
+  const team = (action, body) => stack.api('POST', '/api/portal/team', {
+    ip, headers: { cookie }, body: { licenseKey, action, ...body }
+  });
+  assert.equal((await team('invite', { email: member })).status, 200);
+
+  const refused = await erase(email, ip, cookie);
+  assert.equal(refused.status, 409);
+  assert.match(refused.body.error, /team members/);
+  assert.equal((await licenseFor(subscriptionId)).data.status, 'active');
+
+  // Without members only the still-billing subscription stands in the way
+  assert.equal((await team('remove', { email: member })).status, 200);
+  const billing = await erase(email, ip, cookie);
+  assert.equal(billing.status, 409);
+  assert.match(billing.body.error, /Cancel your subscription/);
+});
@@ -0,0 +1,84 @@
+// One-time purchases: the capture webhook and the checkout page's
+// create-license call must end up with the same single license.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, mailTo, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, licenseFor } from './support/flows.mjs';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+test('a capture issues one active lifetime license and mails the key', async () => {
+  const email = uniqueEmail();
+  const purchase = await buyLifetime(stack, { email, ip: '198.51.100.10' });
+
+  assert.equal(purchase.data.status, 'active');
+  assert.equal(purchase.data.email, email);
+  assert.equal(purchase.data.purchaseType, 'one-time');
+  const issued = mailTo(email).filter(mail => mail.text.includes(purchase.licenseKey));
+  assert.equal(issued.length, 1);
+});
+
+test('create-license returns the key the webhook issued to the checkout email', async () => {
+  const email = uniqueEmail();
+  const purchase = await buyLifetime(stack, { email, ip: '198.51.100.11' });
+
+  const { status, body } = await stack.api('POST', '/api/create-license', {
+    ip: '198.51.100.11',
+    body: { paypalId: purchase.orderId, email: email.toUpperCase(), purchaseType: 'one-time' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.licenseKey, purchase.licenseKey);
+  assert.ok(body.lookupToken);
+});
+
+test('create-license does not hand the key to another email', async () => {
+  const purchase = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.12' });
+
+  const { status, body } = await stack.api('POST', '/api/create-license', {
+    ip: '198.51.100.12',
+    body: { paypalId: purchase.orderId, email: uniqueEmail('someone-else'), purchaseType: 'one-time' }
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { found: false });
+});
+
+test('create-license issues the license when the webhook was lost', async () => {
+  const email = uniqueEmail();
+  const ip = '198.51.100.13';
+  const session = await stack.api('POST', '/api/checkout/session', { ip, body: { planId: 'lifetime', email } });
+  const { body: created } = await stack.api('POST', '/api/checkout/create', { ip, body: { sessionId: session.body.sessionId } });
+  await stack.mock('POST', '/__mock/drop-webhooks', { count: 1 });
+  await stack.mock('POST', `/v2/checkout/orders/${created.orderId}/capture`, {});
+  assert.equal(await licenseFor(created.orderId), null);
+
+  const { status, body } = await stack.api('POST', '/api/create-license', {
+    ip,
+    body: { paypalId: created.orderId, email, purchaseType: 'one-time' }
+  });
+  assert.equal(status, 200);
+  const license = await licenseFor(created.orderId);
+  assert.equal(body.licenseKey, license.licenseKey);
+  assert.equal(license.data.email, email);
+});
+
+test('a purchased key activates a Mac and gets an offline token', async () => {
+  const ip = '198.51.100.14';
+  const { licenseKey } = await buyLifetime(stack, { email: uniqueEmail(), ip });
+
+  const activated = await stack.api('POST', '/api/activate', {
+    ip,
+    body: { licenseKey, machineId: 'MAC-0001-TEST', appVersion: '1.0.0' }
+  });
+  assert.equal(activated.status, 200, JSON.stringify(activated.body));
+  assert.equal(activated.body.activated, true);
+
+  const token = await stack.api('POST', '/api/license-token', { ip, body: { licenseKey } });
+  assert.equal(token.status, 200, JSON.stringify(token.body));
+  assert.match(token.body.token, /^CL1\./);
+  assert.equal(token.body.expiresAt, null);
+});
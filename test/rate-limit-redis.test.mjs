@@ -0,0 +1,52 @@
+// lib/rate-limit.js with a Redis store that does not answer: each call times
+// out, and the limiter fails open so the route still serves the request.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+let server;
+let rateLimit;
+let RedisStore;
+before(async () => {
+  // Accepts the request and never answers
+  server = createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    RATE_LIMIT_STORE: 'redis',
+    KV_REST_API_URL: `http://127.0.0.1:${server.address().port}`,
+    KV_REST_API_TOKEN: 'test-token',
+    RATE_LIMIT_REDIS_TIMEOUT_MS: '100'
+  });
+  ({ rateLimit, RedisStore } = await import('../lib/rate-limit.js'));
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('a Redis call that hangs times out', async () => {
+  const store = new RedisStore(process.env.KV_REST_API_URL, 'test-token', 50);
+  const started = Date.now();
+  await assert.rejects(store.command(['PING']), /timed out after 50ms/);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('the limiter lets requests through while Redis does not answer', async () => {
+  const req = { headers: { 'x-forwarded-for': '198.51.100.80' } };
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  const started = Date.now();
+  assert.equal(await rateLimit(req, res, 'activate', { licenseKey: 'CLK1-ANY' }), true);
+  assert.equal(res.statusCode, 200);
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,88 @@
+// Rate limits (lib/rate-limit.js) as the routes apply them: per client IP,
+// and per identifier both from that IP and across all addresses.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime } from './support/flows.mjs';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+test('check-license answers 429 with Retry-After once the window is spent', async () => {
+  const ip = '198.51.100.50';
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    const { status } = await stack.api('GET', '/api/check-license?paypalId=', { ip });
+    statuses.push(status);
+  }
+  assert.deepEqual(statuses, [400, 400, 400, 400, 400, 429]);
+
+  const limited = await stack.api('GET', '/api/check-license?paypalId=', { ip });
+  assert.equal(limited.status, 429);
+  const retryAfter = Number(limited.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 60);
+
+  const other = await stack.api('GET', '/api/check-license?paypalId=', { ip: '198.51.100.51' });
+  assert.equal(other.status, 400);
+});
+
+test('spending a license key budget from one address does not lock out another', async () => {
+  const { licenseKey } = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.52' });
+  const attacker = '198.51.100.53';
+  let last;
+  for (let i = 0; i < 11; i++) {
+    last = await stack.api('GET', `/api/activate?licenseKey=${licenseKey}`, { ip: attacker });
+  }
+  assert.equal(last.status, 429);
+
+  const owner = await stack.api('POST', '/api/activate', {
+    ip: '198.51.100.54',
+    body: { licenseKey, machineId: 'MAC-0002-TEST', appVersion: '1.0.0' }
+  });
+  assert.equal(owner.status, 200, JSON.stringify(owner.body));
+});
+
+test('a license key guessed from many addresses runs out of its shared budget', async () => {
+  const { licenseKey } = await buyLifetime(stack, { email: uniqueEmail(), ip: '198.51.100.58' });
+  // activate allows 10 a minute per address, so 50 across all of them
+  const statuses = [];
+  for (let i = 1; i <= 51; i++) {
+    statuses.push((await stack.api('GET', `/api/activate?licenseKey=${licenseKey}`, { ip: `203.0.113.${i}` })).status);
+  }
+  assert.deepEqual(statuses, [...Array(50).fill(200), 429]);
+
+  const fresh = await stack.api('GET', `/api/activate?licenseKey=${licenseKey}`, { ip: '203.0.113.52' });
+  assert.equal(fresh.status, 429);
+  const otherKey = await stack.api('GET', '/api/activate?licenseKey=UNKNOWN-KEY', { ip: '203.0.113.52' });
+  assert.equal(otherKey.status, 404);
+});
+
+test('license-token allows a burst of 10 and then throttles', async () => {
+  const ip = '198.51.100.55';
+  const { licenseKey } = await buyLifetime(stack, { email: uniqueEmail(), ip });
+  const statuses = [];
+  for (let i = 0; i < 11; i++) {
+    statuses.push((await stack.api('POST', '/api/license-token', { ip, body: { licenseKey } })).status);
+  }
+  assert.deepEqual(statuses, [...Array(10).fill(200), 429]);
+
+  const limited = await stack.api('POST', '/api/license-token', { ip, body: { licenseKey } });
+  const retryAfter = Number(limited.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 60);
+});
+
+test('a spent address budget does not limit another address', async () => {
+  const ip = '198.51.100.56';
+  let last;
+  for (let i = 0; i < 11; i++) {
+    last = await stack.api('GET', `/api/activate?licenseKey=UNKNOWN-${i}`, { ip });
+  }
+  assert.equal(last.status, 429);
+
+  const other = await stack.api('GET', '/api/activate?licenseKey=UNKNOWN-11', { ip: '198.51.100.57' });
+  assert.equal(other.status, 404);
+});
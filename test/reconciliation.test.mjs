@@ -0,0 +1,84 @@
+// Reconciliation (lib/reconciliation.js) issues the license for a payment
+// whose webhook never came, the way the webhook would have.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, uniqueEmail } from './support/stack.mjs';
+import { licenseFor } from './support/flows.mjs';
+import { runReconciliation, getRunReport } from '../lib/reconciliation.js';
+import { db } from '../lib/firebase.js';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+async function checkout(ip, body) {
+  const session = await stack.api('POST', '/api/checkout/session', { ip, body });
+  assert.equal(session.status, 200, JSON.stringify(session.body));
+  const created = await stack.api('POST', '/api/checkout/create', { ip, body: { sessionId: session.body.sessionId } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  return created.body;
+}
+
+async function reconcile() {
+  const run = await runReconciliation({ force: true });
+  assert.equal(run.status, 'done');
+  return getRunReport(run.runId, 'missing_license');
+}
+
+test('a paid order whose capture webhook was lost gets its license from the checkout', async () => {
+  const email = uniqueEmail('Lost.Capture');
+  const { orderId } = await checkout('198.51.100.94', { planId: 'lifetime', email });
+  await stack.mock('POST', '/__mock/drop-webhooks', { count: 1 });
+  await stack.mock('POST', `/v2/checkout/orders/${orderId}/capture`, {});
+  assert.equal(await licenseFor(orderId), null);
+
+  const report = await reconcile();
+  const finding = report.findings.find(f => f.orderId === orderId);
+  assert.ok(finding, 'the checkouts pass finds the order');
+  assert.equal(finding.fixed, true);
+
+  const { data, doc } = await licenseFor(orderId);
+  assert.equal(finding.licenseKey, doc.id);
+  assert.equal(data.status, 'active');
+  assert.equal(data.email, email);
+  assert.equal(data.emailSource, 'checkout');
+  assert.equal(data.planId, 'lifetime');
+  assert.ok(data.captureId);
+  assert.equal((await db.collection('checkouts').doc(orderId).get()).data().status, 'paid');
+
+  // The next run has nothing left to do for it
+  const again = await reconcile();
+  assert.equal(again.findings.filter(f => f.orderId === orderId).length, 0);
+});
+
+test('an approved subscription whose webhooks were lost gets its plan and checkout email', async () => {
+  const email = uniqueEmail('Lost.Subscription');
+  const { subscriptionId } = await checkout('198.51.100.95', { planId: 'monthly', email });
+  await stack.mock('POST', '/__mock/drop-webhooks', { count: 2 });
+  await stack.mock('POST', `/__mock/subscriptions/${subscriptionId}/approve`);
+  assert.equal(await licenseFor(subscriptionId), null);
+
+  const report = await reconcile();
+  const finding = report.findings.find(f => f.subscriptionId === subscriptionId);
+  assert.ok(finding, 'the mappings pass finds the subscription');
+  assert.equal(finding.fixed, true);
+
+  const { data } = await licenseFor(subscriptionId);
+  assert.equal(data.email, email);
+  assert.equal(data.emailSource, 'checkout');
+  assert.equal(data.purchaseType, 'subscription');
+  assert.equal(data.subscriptionId, subscriptionId);
+  assert.equal(data.planId, 'monthly');
+  assert.equal((await db.collection('checkouts').doc(subscriptionId).get()).data().status, 'paid');
+});
+
+test('an order that was never paid is not a missing license', async () => {
+  const { orderId } = await checkout('198.51.100.96', { planId: 'lifetime', email: uniqueEmail() });
+
+  const report = await reconcile();
+  assert.equal(report.findings.filter(f => f.orderId === orderId).length, 0);
+  assert.equal(await licenseFor(orderId), null);
+});
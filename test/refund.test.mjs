@@ -0,0 +1,97 @@
+// Refunds issued at PayPal reach the license through the refund webhooks.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, mailTo, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, subscribeMonthly, licenseFor } from './support/flows.mjs';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+test('refunding a capture refunds the lifetime license', async () => {
+  const email = uniqueEmail();
+  const { orderId, captureId } = await buyLifetime(stack, { email, ip: '198.51.100.30' });
+
+  const { status, body } = await stack.mock('POST', `/v2/payments/captures/${captureId}/refund`, {});
+  assert.equal(status, 201);
+
+  const { data } = await licenseFor(orderId);
+  assert.equal(data.status, 'refunded');
+  assert.equal(data.refund.type, 'refund');
+  assert.equal(data.refund.transactionId, captureId);
+  assert.equal(data.refund.refundId, body.id);
+  assert.equal(mailTo(email).filter(mail => /refund/.test(mail.subject)).length, 1);
+});
+
+test('refunding a subscription payment refunds the license', async () => {
+  const email = uniqueEmail();
+  const { subscriptionId, saleId } = await subscribeMonthly(stack, { email, ip: '198.51.100.31' });
+
+  const { status } = await stack.mock('POST', `/v1/payments/sale/${saleId}/refund`, {});
+  assert.equal(status, 201);
+
+  const { data } = await licenseFor(subscriptionId);
+  assert.equal(data.status, 'refunded');
+  assert.equal(data.refund.transactionId, saleId);
+});
+
+test('refunding a renewal refunds the license and cancels the subscription', async () => {
+  const email = uniqueEmail();
+  const { subscriptionId } = await subscribeMonthly(stack, { email, ip: '198.51.100.34' });
+  const { body: renewal } = await stack.mock('POST', `/__mock/subscriptions/${subscriptionId}/renew`);
+
+  const { status } = await stack.mock('POST', `/v1/payments/sale/${renewal.saleId}/refund`, {});
+  assert.equal(status, 201);
+
+  const { data } = await licenseFor(subscriptionId);
+  assert.equal(data.status, 'refunded');
+  assert.equal(data.refund.transactionId, renewal.saleId);
+  const state = await stack.mock('GET', '/__mock/state');
+  assert.equal(state.body.subscriptions.find(s => s.id === subscriptionId).status, 'CANCELLED');
+  assert.equal(mailTo(email).filter(mail => /refund/.test(mail.subject)).length, 1);
+});
+
+test('a redelivered refund webhook is handled once and mails the customer once', async () => {
+  const email = uniqueEmail();
+  const { orderId, captureId } = await buyLifetime(stack, { email, ip: '198.51.100.32' });
+  const { body: refund } = await stack.mock('POST', `/v2/payments/captures/${captureId}/refund`, {});
+  const refundedAt = (await licenseFor(orderId)).data.refund.at.toMillis();
+
+  // PayPal retries with the same event ID
+  const state = await stack.mock('GET', '/__mock/state');
+  const delivery = state.body.deliveries.findLast(d => d.eventType === 'PAYMENT.CAPTURE.REFUNDED');
+  const { body: redelivered } = await stack.mock('POST', '/__mock/webhooks/send', {
+    event: {
+      id: delivery.eventId,
+      event_type: 'PAYMENT.CAPTURE.REFUNDED',
+      resource_type: 'refund',
+      create_time: new Date().toISOString(),
+      resource: refund
+    }
+  });
+  assert.equal(redelivered.status, 200);
+  assert.equal((await licenseFor(orderId)).data.refund.at.toMillis(), refundedAt);
+  assert.equal(mailTo(email).filter(mail => /refund/.test(mail.subject)).length, 1);
+});
+
+test('a refunded lifetime license gets no token and no seat', async () => {
+  const ip = '198.51.100.33';
+  const { captureId, licenseKey } = await buyLifetime(stack, { email: uniqueEmail(), ip });
+  const issued = await stack.api('POST', '/api/license-token', { ip, body: { licenseKey } });
+  assert.equal(issued.status, 200);
+
+  await stack.mock('POST', `/v2/payments/captures/${captureId}/refund`, {});
+
+  const token = await stack.api('POST', '/api/license-token', { ip, body: { licenseKey } });
+  assert.equal(token.status, 403);
+  const refreshed = await stack.api('POST', '/api/license-token', { ip, body: { token: issued.body.token } });
+  assert.equal(refreshed.status, 403);
+  const activated = await stack.api('POST', '/api/activate', {
+    ip,
+    body: { licenseKey, machineId: 'MAC-0003-TEST', appVersion: '1.0.0' }
+  });
+  assert.equal(activated.status, 403);
+});
@@ -0,0 +1,42 @@
+// File: test/setup.mjs
+//
+// Preloaded by `npm test` (node --import): registers test/loader.mjs and sets
+// the environment the app expects, before any test file imports it. Secrets
+// are made up per run. PayPal is dev/mock-paypal.js, started by
+// test/support/stack.mjs, which also sets PAYPAL_API_BASE.
+
+import { register } from 'module';
+import { randomBytes } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+register('./loader.mjs', import.meta.url);
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+  PAYPAL_ENV: 'sandbox',
+  PAYPAL_CLIENT_ID: 'test-client',
+  PAYPAL_CLIENT_SECRET: 'test-secret',
+  PAYPAL_WEBHOOK_ID: 'MOCK-WEBHOOK-ID',
+  PAYPAL_WEBHOOK_VERIFY_MODE: 'api',
+  PAYPAL_TIMEOUT_MS: '2000',
+  LICENSE_KEY_SEAL_KEY: randomBytes(32).toString('base64'),
+  LICENSE_SIGNING_KEY: randomBytes(32).toString('base64'),
+  LOOKUP_TOKEN_SECRET: randomBytes(32).toString('hex'),
+  CANCEL_TOKEN_SECRET: randomBytes(32).toString('hex'),
+  ADMIN_API_KEY: 'test-admin-key',
+  CRON_SECRET: 'test-cron-secret',
+  RATE_LIMIT_STORE: 'memory',
+  MAIL_TRANSPORT: 'file',
+  MAIL_FILE_DIR: mkdtempSync(join(tmpdir(), 'cardlocker-mail-')),
+  PUBLIC_BASE_URL: 'http://localhost'
+});
+// Every process gets its own mail directory, the test runner's included
+const mailDir = process.env.MAIL_FILE_DIR;
+process.on('exit', () => rmSync(mailDir, { recursive: true, force: true }));
+
+for (const name of ['EDGE_CONFIG', 'PLANS', 'RATE_LIMITS', 'KV_REST_API_URL', 'UPSTASH_REDIS_REST_URL', 'FIRESTORE_EMULATOR_HOST']) {
+  delete process.env[name];
+}
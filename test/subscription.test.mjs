@@ -0,0 +1,115 @@
+// Subscriptions: approval, renewals, failed payments and self-service
+// cancellation through api/merchant-cancel-subscription.js.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStack, mailTo, uniqueEmail } from './support/stack.mjs';
+import { buyLifetime, subscribeMonthly, licenseFor } from './support/flows.mjs';
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+function mailWithSubject(email, pattern) {
+  return mailTo(email).filter(mail => pattern.test(mail.subject));
+}
+
+test('an approved subscription issues an active license', async () => {
+  const email = uniqueEmail();
+  const subscription = await subscribeMonthly(stack, { email, ip: '198.51.100.20' });
+
+  assert.equal(subscription.data.status, 'active');
+  assert.equal(subscription.data.email, email);
+  assert.equal(subscription.data.subscriptionId, subscription.subscriptionId);
+  assert.equal(subscription.data.lastPayment.saleId, subscription.saleId);
+  assert.equal(mailWithSubject(email, /license key/).length, 1);
+});
+
+test('a renewal records the payment and mails a receipt', async () => {
+  const email = uniqueEmail();
+  const { subscriptionId } = await subscribeMonthly(stack, { email, ip: '198.51.100.21' });
+
+  const { status, body } = await stack.mock('POST', `/__mock/subscriptions/${subscriptionId}/renew`);
+  assert.equal(status, 200);
+  assert.equal(body.webhook.status, 200);
+
+  const { data } = await licenseFor(subscriptionId);
+  assert.equal(data.lastPayment.saleId, body.saleId);
+  assert.equal(data.lastPayment.amount, '0.99');
+  assert.ok(data.saleIds.includes(body.saleId));
+  assert.equal(data.status, 'active');
+  assert.ok(mailWithSubject(email, /payment receipt/).length >= 1);
+});
+
+test('a failed payment records the failure and a renewal clears it', async () => {
+  const email = uniqueEmail();
+  const { subscriptionId } = await subscribeMonthly(stack, { email, ip: '198.51.100.22' });
+
+  await stack.mock('POST', `/__mock/subscriptions/${subscriptionId}/fail-payment`);
+  assert.ok((await licenseFor(subscriptionId)).data.lastPaymentFailedAt);
+
+  await stack.mock('POST', `/__mock/subscriptions/${subscriptionId}/renew`);
+  assert.equal((await licenseFor(subscriptionId)).data.lastPaymentFailedAt, undefined);
+});
+
+test('a customer cancels with the emailed code and keeps access until the period ends', async () => {
+  const email = uniqueEmail();
+  const ip = '198.51.100.23';
+  const { subscriptionId, licenseKey } = await subscribeMonthly(stack, { email, ip });
+
+  const requested = await stack.api('POST', '/api/merchant-cancel-subscription', {
+    ip,
+    body: { action: 'request', licenseKey }
+  });
+  assert.equal(requested.status, 200);
+  const [mail] = mailWithSubject(email, /^Cancel your/);
+  const code = /code on the cancellation page: (\S+)/.exec(mail.text)[1];
+
+  const wrong = await stack.api('POST', '/api/merchant-cancel-subscription', {
+    ip,
+    body: { action: 'code', licenseKey, code: 'not-the-code' }
+  });
+  assert.equal(wrong.status, 400);
+
+  const exchanged = await stack.api('POST', '/api/merchant-cancel-subscription', {
+    ip,
+    body: { action: 'code', licenseKey, code }
+  });
+  assert.equal(exchanged.status, 200);
+
+  const confirmed = await stack.api('POST', '/api/merchant-cancel-subscription', {
+    ip,
+    body: { action: 'confirm', token: exchanged.body.token, mode: 'period_end' }
+  });
+  assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+  assert.equal(confirmed.body.mode, 'period_end');
+  assert.ok(Date.parse(confirmed.body.endsAt) > Date.now());
+
+  const { data } = await licenseFor(subscriptionId);
+  assert.equal(data.cancellation.mode, 'period_end');
+  const state = await stack.mock('GET', '/__mock/state');
+  assert.equal(state.body.subscriptions.find(s => s.id === subscriptionId).status, 'CANCELLED');
+
+  // The token is spent
+  const again = await stack.api('POST', '/api/merchant-cancel-subscription', {
+    ip,
+    body: { action: 'confirm', token: exchanged.body.token, mode: 'period_end' }
+  });
+  assert.equal(again.status, 400);
+});
+
+test('a lifetime license cannot be cancelled', async () => {
+  const email = uniqueEmail();
+  const ip = '198.51.100.24';
+  const { licenseKey } = await buyLifetime(stack, { email, ip });
+
+  const requested = await stack.api('POST', '/api/merchant-cancel-subscription', {
+    ip,
+    body: { action: 'request', licenseKey }
+  });
+  // Same answer as for a subscription, so the form says nothing about the key
+  assert.equal(requested.status, 200);
+  assert.equal(mailWithSubject(email, /^Cancel your/).length, 0);
+});
@@ -0,0 +1,445 @@
+// File: test/support/firestore.mjs
+//
+// An in-memory stand-in for the slice of firebase-admin's Firestore the app
+// uses, so the api handlers run without the emulator. test/loader.mjs swaps
+// it in for lib/firebase.js; it exports the same { db, admin }.
+//
+// Documents live in one Map keyed by path. Writes behave as Firestore's do
+// where the app relies on it: Dates come back as Timestamps, FieldValue
+// sentinels resolve on write, update() takes dotted paths and fails on a
+// missing document (code 5), create() fails on an existing one (code 6), and
+// transaction and batch writes apply together at commit. Transactions do not
+// retry or detect conflicts; the tests drive one request at a time.
+
+import { randomBytes } from 'crypto';
+
+const store = new Map();
+
+// Empties every collection; call between tests that share IDs
+export function resetFirestore() {
+  store.clear();
+}
+
+// —————— 1) Values ——————
+
+export class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromDate(date) {
+    const ms = date.getTime();
+    return new Timestamp(Math.floor(ms / 1000), (ms % 1000) * 1e6);
+  }
+
+  static fromMillis(ms) {
+    return Timestamp.fromDate(new Date(ms));
+  }
+
+  static now() {
+    return Timestamp.fromDate(new Date());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.toMillis() === this.toMillis();
+  }
+
+  // Sortable, so Timestamps compare with < and > as the SDK's do
+  valueOf() {
+    return String(this.toMillis()).padStart(16, '0');
+  }
+}
+
+class Sentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+export const FieldValue = {
+  serverTimestamp: () => new Sentinel('serverTimestamp'),
+  delete: () => new Sentinel('delete'),
+  increment: n => new Sentinel('increment', n),
+  arrayUnion: (...items) => new Sentinel('arrayUnion', items),
+  arrayRemove: (...items) => new Sentinel('arrayRemove', items)
+};
+
+const DOCUMENT_ID = Symbol('documentId');
+export const FieldPath = { documentId: () => DOCUMENT_ID };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// A stored copy: Dates become Timestamps, nothing is shared with the caller
+function clone(value) {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp) return new Timestamp(value.seconds, value.nanoseconds);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) copy[key] = clone(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  if (a instanceof Timestamp || b instanceof Timestamp) {
+    return a instanceof Timestamp && b instanceof Timestamp && a.isEqual(b);
+  }
+  if (Array.isArray(a) || isPlainObject(a)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+// The value a sentinel leaves behind, given what was there before
+function resolveSentinel(sentinel, previous) {
+  switch (sentinel.kind) {
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'increment':
+      return (typeof previous === 'number' ? previous : 0) + sentinel.operand;
+    case 'arrayUnion': {
+      const list = Array.isArray(previous) ? [...previous] : [];
+      for (const item of sentinel.operand) {
+        if (!list.some(existing => sameValue(existing, item))) list.push(clone(item));
+      }
+      return list;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(previous) ? previous : []).filter(existing =>
+        !sentinel.operand.some(item => sameValue(existing, item)));
+    default:
+      throw new Error(`Unsupported sentinel ${sentinel.kind}`);
+  }
+}
+
+// Stores value under key, resolving sentinels (nested maps included)
+function assign(target, key, value) {
+  if (value instanceof Sentinel && value.kind === 'delete') {
+    delete target[key];
+  } else if (value instanceof Sentinel) {
+    target[key] = resolveSentinel(value, target[key]);
+  } else if (isPlainObject(value)) {
+    target[key] = mergeInto({}, value);
+  } else {
+    target[key] = clone(value);
+  }
+}
+
+// Writes value at a dotted path inside data, creating maps on the way
+function setPath(data, path, value) {
+  const parts = path.split('.');
+  let target = data;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(target[part])) target[part] = {};
+    target = target[part];
+  }
+  assign(target, parts[parts.length - 1], value);
+}
+
+// set(..., { merge: true }): nested maps merge field by field
+function mergeInto(target, patch) {
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === undefined) continue;
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      assign(target, key, value);
+    }
+  }
+  return target;
+}
+
+function freshData(data) {
+  return mergeInto({}, data);
+}
+
+function getPath(data, path) {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+function firestoreError(code, message) {
+  const err = new Error(`${code} ${message}`);
+  err.code = code;
+  return err;
+}
+
+function autoId() {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return [...randomBytes(20)].map(byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// —————— 2) Writes ——————
+// Every write is a function applied to the store; batches and transactions
+// collect them and apply them together.
+
+function writeOp(kind, ref, data, options = {}) {
+  return () => {
+    const existing = store.get(ref.path);
+    if (kind === 'create') {
+      if (existing) throw firestoreError(6, `ALREADY_EXISTS: ${ref.path}`);
+      store.set(ref.path, freshData(data));
+    } else if (kind === 'set') {
+      store.set(ref.path, options.merge && existing ? mergeInto(clone(existing), data) : freshData(data));
+    } else if (kind === 'update') {
+      if (!existing) throw firestoreError(5, `NOT_FOUND: ${ref.path}`);
+      const updated = clone(existing);
+      for (const [path, value] of Object.entries(data)) {
+        if (value !== undefined) setPath(updated, path, value);
+      }
+      store.set(ref.path, updated);
+    } else if (kind === 'delete') {
+      store.delete(ref.path);
+    }
+  };
+}
+
+class WriteBatch {
+  constructor() {
+    this.ops = [];
+  }
+
+  queue(kind, ref, data, options) {
+    this.ops.push({ kind, ref, apply: writeOp(kind, ref, data, options) });
+    return this;
+  }
+
+  create(ref, data) { return this.queue('create', ref, data); }
+  set(ref, data, options) { return this.queue('set', ref, data, options); }
+  update(ref, data) { return this.queue('update', ref, data); }
+  delete(ref) { return this.queue('delete', ref); }
+
+  async commit() {
+    // All or nothing: a failing precondition leaves the store untouched
+    const before = new Map([...store].map(([path, data]) => [path, clone(data)]));
+    try {
+      for (const op of this.ops) op.apply();
+    } catch (err) {
+      store.clear();
+      for (const [path, data] of before) store.set(path, data);
+      throw err;
+    }
+    return this.ops.map(() => ({ writeTime: Timestamp.now() }));
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    if (this.ops.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+}
+
+// —————— 3) Snapshots and references ——————
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.stored = data;
+  }
+
+  data() {
+    return this.exists ? clone(this.stored) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getPath(this.stored, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, store.get(this.path));
+  }
+
+  async create(data) { return new WriteBatch().create(this, data).commit(); }
+  async set(data, options) { return new WriteBatch().set(this, data, options).commit(); }
+  async update(data) { return new WriteBatch().update(this, data).commit(); }
+  async delete() { return new WriteBatch().delete(this).commit(); }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+}
+
+function compare(a, b) {
+  const left = a instanceof Timestamp ? a.toMillis() : a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Timestamp ? b.toMillis() : b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+const OPERATORS = {
+  '==': (value, operand) => sameValue(value, clone(operand)),
+  '!=': (value, operand) => value !== undefined && !sameValue(value, clone(operand)),
+  '<': (value, operand) => value !== undefined && compare(value, operand) < 0,
+  '<=': (value, operand) => value !== undefined && compare(value, operand) <= 0,
+  '>': (value, operand) => value !== undefined && compare(value, operand) > 0,
+  '>=': (value, operand) => value !== undefined && compare(value, operand) >= 0,
+  'in': (value, operand) => operand.some(item => sameValue(value, clone(item))),
+  'not-in': (value, operand) => value !== undefined && !operand.some(item => sameValue(value, clone(item))),
+  'array-contains': (value, operand) => Array.isArray(value) && value.some(item => sameValue(item, clone(operand))),
+  'array-contains-any': (value, operand) => Array.isArray(value) && value.some(item => operand.some(o => sameValue(item, clone(o))))
+};
+
+class Query {
+  constructor(path, { filters = [], orders = [], limit = null, cursor = null } = {}) {
+    this.collectionPath = path;
+    this.spec = { filters, orders, limit, cursor };
+  }
+
+  with(change) {
+    return new Query(this.collectionPath, { ...this.spec, ...change });
+  }
+
+  where(field, op, value) {
+    if (!OPERATORS[op]) throw new Error(`Unsupported operator ${op}`);
+    if ((op === 'in' || op === 'not-in' || op === 'array-contains-any') && value.length > 30) {
+      throw new Error(`'${op}' supports up to 30 comparison values.`);
+    }
+    return this.with({ filters: [...this.spec.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orders: [...this.spec.orders, { field, direction }] });
+  }
+
+  limit(n) {
+    return this.with({ limit: n });
+  }
+
+  startAfter(cursor) {
+    return this.with({ cursor });
+  }
+
+  async get() {
+    const prefix = `${this.collectionPath}/`;
+    const valueOf = (id, data, field) => (field === DOCUMENT_ID ? id : getPath(data, field));
+
+    let rows = [...store.entries()]
+      .filter(([path]) => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .map(([path, data]) => ({ id: path.slice(prefix.length), path, data }));
+    rows = rows.filter(row => this.spec.filters.every(({ field, op, value }) =>
+      OPERATORS[op](valueOf(row.id, row.data, field), value)));
+    // Like Firestore, documents without an ordered field are left out
+    rows = rows.filter(row => this.spec.orders.every(({ field }) => valueOf(row.id, row.data, field) !== undefined));
+
+    const orders = this.spec.orders.length > 0 ? this.spec.orders : [{ field: DOCUMENT_ID, direction: 'asc' }];
+    const order = (a, b) => {
+      for (const { field, direction } of orders) {
+        const result = compare(valueOf(a.id, a.data, field), valueOf(b.id, b.data, field));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    };
+    rows.sort(order);
+
+    const { cursor } = this.spec;
+    if (cursor !== null && cursor !== undefined) {
+      const after = cursor instanceof DocumentSnapshot
+        ? { id: cursor.id, data: cursor.stored || {} }
+        : { id: String(cursor), data: {} };
+      rows = rows.filter(row => order(row, after) > 0);
+    }
+    if (this.spec.limit !== null) rows = rows.slice(0, this.spec.limit);
+
+    return new QuerySnapshot(rows.map(row => new DocumentSnapshot(new DocumentReference(row.path), row.data)));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(path) {
+    super(path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const parts = this.path.split('/');
+    return parts.length > 1 ? new DocumentReference(parts.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id = autoId()) {
+    return new DocumentReference(`${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// —————— 4) The database ——————
+
+export const db = {
+  collection: path => new CollectionReference(path),
+  doc: path => new DocumentReference(path),
+  batch: () => new WriteBatch(),
+  getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+
+  async runTransaction(updateFunction) {
+    const tx = new Transaction();
+    const result = await updateFunction(tx);
+    await tx.commit();
+    return result;
+  }
+};
+
+const firestore = () => db;
+firestore.FieldValue = FieldValue;
+firestore.FieldPath = FieldPath;
+firestore.Timestamp = Timestamp;
+
+export const admin = { apps: [{ name: '[DEFAULT]' }], firestore };
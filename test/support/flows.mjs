@@ -0,0 +1,72 @@
+// File: test/support/flows.mjs
+//
+// Purchases made the way a buyer makes them: the checkout page creates the
+// PayPal order or subscription, the buyer pays at the mock, PayPal's webhook
+// issues the license. Each helper takes the stack from startStack() and an
+// `ip`, so a test spends its own rate-limit budgets.
+
+import assert from 'node:assert/strict';
+import { db } from '../../lib/firebase.js';
+import { licenseKeyOf } from '../../lib/key-vault.js';
+import { mailTo } from './stack.mjs';
+
+async function checkout(stack, { planId, email, ip, seats }) {
+  const session = await stack.api('POST', '/api/checkout/session', { ip, body: { planId, email, seats } });
+  assert.equal(session.status, 200, JSON.stringify(session.body));
+  const created = await stack.api('POST', '/api/checkout/create', { ip, body: { sessionId: session.body.sessionId } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  return created.body;
+}
+
+// The license issued for a PayPal order or subscription ID, or null
+export async function licenseFor(paypalId) {
+  const issuance = await db.collection('issuances').doc(paypalId).get();
+  if (!issuance.exists) return null;
+  const doc = await db.collection('licenses').doc(issuance.data().licenseKey).get();
+  return { doc, data: doc.data(), licenseKey: licenseKeyOf(doc) };
+}
+
+// Lifetime plan: checkout, capture at PayPal, PAYMENT.CAPTURE.COMPLETED
+export async function buyLifetime(stack, { email, ip }) {
+  const { orderId, lookupToken } = await checkout(stack, { planId: 'lifetime', email, ip });
+  const { status, body } = await stack.mock('POST', `/v2/checkout/orders/${orderId}/capture`, {});
+  assert.equal(status, 201, JSON.stringify(body));
+  const captureId = body.purchase_units[0].payments.captures[0].id;
+  const license = await licenseFor(orderId);
+  assert.ok(license, 'the capture webhook issues a license');
+  return { orderId, captureId, lookupToken, ...license };
+}
+
+// Monthly plan: checkout, buyer approves, ACTIVATED and the first SALE.COMPLETED
+export async function subscribeMonthly(stack, { email, ip }) {
+  const { subscriptionId, lookupToken } = await checkout(stack, { planId: 'monthly', email, ip });
+  const { status, body } = await stack.mock('POST', `/__mock/subscriptions/${subscriptionId}/approve`);
+  assert.equal(status, 200, JSON.stringify(body));
+  const license = await licenseFor(subscriptionId);
+  assert.ok(license, 'the subscription webhooks issue a license');
+  return { subscriptionId, saleId: body.saleId, lookupToken, ...license };
+}
+
+// A per-seat plan (the test file sets PLANS): like subscribeMonthly, for
+// `seats` seats; the license is the team's organization license
+export async function subscribeTeam(stack, { planId = 'team', email, ip, seats }) {
+  const { subscriptionId } = await checkout(stack, { planId, email, ip, seats });
+  const { status, body } = await stack.mock('POST', `/__mock/subscriptions/${subscriptionId}/approve`);
+  assert.equal(status, 200, JSON.stringify(body));
+  const license = await licenseFor(subscriptionId);
+  assert.ok(license, 'the subscription webhooks issue a license');
+  return { subscriptionId, saleId: body.saleId, ...license };
+}
+
+// Signs in to the portal through the mailed link. Resolves to the session
+// cookie for stack.api's headers, or null when no link was mailed.
+export async function signInPortal(stack, { email, ip }) {
+  const requested = await stack.api('POST', '/api/portal/request-link', { ip, body: { email } });
+  assert.equal(requested.status, 200, JSON.stringify(requested.body));
+  const mail = mailTo(email).findLast(message => /Sign in/.test(message.subject));
+  if (!mail) return null;
+  const token = /verify\?token=([0-9a-f]{64})/.exec(mail.text)[1];
+  const verified = await stack.api('GET', `/api/portal/verify?token=${token}`, { ip });
+  assert.equal(verified.status, 302);
+  return verified.headers.get('set-cookie').split(';')[0];
+}
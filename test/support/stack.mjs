@@ -0,0 +1,170 @@
+// File: test/support/stack.mjs
+//
+// The app and a PayPal to talk to, on local ports, the way
+// docs/local-testing.md runs them by hand:
+//   app     every api/* handler behind a small stand-in for Vercel's Node
+//           runtime (req.query, req.body, req.cookies, res.status/json/send/redirect)
+//   paypal  dev/mock-paypal.js, which posts its webhooks back to the app
+// Firestore is the in-memory one (test/loader.mjs). Mail goes to files in
+// MAIL_FILE_DIR, which mailTo() reads.
+//
+//   const stack = await startStack();
+//   const { status, body } = await stack.api('POST', '/api/create-license', { body: { … } });
+//   await stack.mock('POST', '/__mock/purchase', { email });
+//   await stack.stop();
+
+import http from 'http';
+import { createRequire } from 'module';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+const require = createRequire(import.meta.url);
+
+function readBody(req) {
+  return new Promise((done, fail) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => done(Buffer.concat(chunks)));
+    req.on('error', fail);
+  });
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const at = part.indexOf('=');
+    if (at > 0) cookies[part.slice(0, at).trim()] = decodeURIComponent(part.slice(at + 1).trim());
+  }
+  return cookies;
+}
+
+// The response helpers Vercel adds to Node's ServerResponse
+function withHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = (body) => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(body);
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.redirect = (statusOrUrl, url) => {
+    res.statusCode = url ? statusOrUrl : 307;
+    res.setHeader('Location', url || statusOrUrl);
+    res.end();
+    return res;
+  };
+  return res;
+}
+
+async function route(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const file = join(ROOT, `${url.pathname.replace(/\/+$/, '')}.js`);
+  if (!url.pathname.startsWith('/api/') || !file.startsWith(`${ROOT}/api/`) || !existsSync(file)) {
+    res.statusCode = 404;
+    return res.end('Not found');
+  }
+  const module = await import(pathToFileURL(file).href);
+
+  req.query = Object.fromEntries(url.searchParams);
+  req.cookies = parseCookies(req.headers.cookie);
+  if (module.config?.api?.bodyParser !== false) {
+    const raw = (await readBody(req)).toString('utf8');
+    const type = req.headers['content-type'] || '';
+    if (type.includes('application/json')) {
+      req.body = raw ? JSON.parse(raw) : {};
+    } else if (type.includes('application/x-www-form-urlencoded')) {
+      req.body = Object.fromEntries(new URLSearchParams(raw));
+    } else {
+      req.body = raw || undefined;
+    }
+  }
+  await module.default(req, withHelpers(res));
+}
+
+function listen(server) {
+  return new Promise(done => server.listen(0, '127.0.0.1', () => done(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(done => server.close(() => done()));
+}
+
+async function call(base, method, path, { body, headers = {} } = {}) {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    redirect: 'manual',
+    headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (e) {
+    // HTML pages and plain-text answers stay text
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+/**
+ * Starts the app and the mock PayPal. api() calls the app, by default as the
+ * client IP in `ip` (x-forwarded-for), so a test can keep its own rate limits.
+ */
+export async function startStack() {
+  const app = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      console.error('❌ Test server error:', err);
+      if (!res.headersSent) res.statusCode = 500;
+      res.end();
+    });
+  });
+  const appUrl = await listen(app);
+
+  process.env.MOCK_PAYPAL_WEBHOOK_URL = `${appUrl}/api/paypal-webhook`;
+  const { server: paypal } = require(join(ROOT, 'dev/mock-paypal.js'));
+  const paypalUrl = await listen(paypal);
+  process.env.PAYPAL_API_BASE = paypalUrl;
+
+  return {
+    appUrl,
+    paypalUrl,
+    api(method, path, { ip = '203.0.113.1', headers = {}, ...options } = {}) {
+      return call(appUrl, method, path, { ...options, headers: { 'x-forwarded-for': ip, ...headers } });
+    },
+    // The mock's REST routes want a bearer token, any will do
+    mock(method, path, body) {
+      return call(paypalUrl, method, path, { body, headers: { Authorization: 'Bearer test' } });
+    },
+    async stop() {
+      await Promise.all([close(app), close(paypal)]);
+    }
+  };
+}
+
+// Messages the file transport wrote to an address, oldest first
+export function mailTo(address) {
+  const dir = process.env.MAIL_FILE_DIR;
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .sort()
+    .map(name => JSON.parse(readFileSync(join(dir, name), 'utf8')))
+    .filter(mail => mail.to === address);
+}
+
+// A fresh address per test, so tests never see each other's licenses
+let counter = 0;
+export function uniqueEmail(label = 'buyer') {
+  counter += 1;
+  return `${label}.${process.pid}.${counter}@example.com`;
+}